@@ -0,0 +1,186 @@
+/**
+ * /api/outfitAnimation returns a looping animated image of an outfit, with
+ * its canvas movie layers playing!
+ *
+ * Parameters:
+ *   - size: Must be "150", "300", or "600", to indicate the image size you'd
+ *           like back. (For example, "150" will return a 150x150 image.)
+ *   - format: Must be "webp" or "gif". Defaults to "webp", which looks much
+ *             better: GIFs only get 256 colors, and no partial transparency.
+ *   - fps: The frame rate of the animation, from 1 to 24. Defaults to 12.
+ *          Movie layers play at their own natural speed either way, this just
+ *          controls how smoothly we sample them.
+ *   - duration: How many seconds of animation to render before looping, from
+ *               1 to 10. Defaults to 3. (We also cap the total number of
+ *               frames, lower for bigger sizes, so long, smooth animations may
+ *               be rejected.)
+ *   - layerUrls: A comma-separated list of URLs to render, in order from
+ *                bottom to top. Canvas movie layers should be given as their
+ *                HTTPS movie library URL (or as an /api/assetImage URL). The
+ *                URLs must match a known layer URL format. This mode will
+ *                return a long-term cache header.
+ *   - id: Instead of `layerUrls`, you can instead provide an outfit ID, which
+ *         will load the outfit data and render it directly. By default, this
+ *         will return a 10-minute cache header. (If you provide `updatedAt`
+ *         too, we cache it for longer!)
+ *   - updatedAt: If you provide an `id`, you may also provide `updatedAt`:
+ *                the UNIX timestamp for when the outfit was last updated. This
+ *                has no effect on the output, but it enables us to return a
+ *                long-term cache header.
+ *
+ * If some of the layers fail to render, we still return the animation without
+ * them, see sendRenderedOutfit.
+ *
+ * Animations are much more expensive to render than still images, so prefer
+ * /api/outfitImage when you don't need the movement! We only render a couple
+ * at a time, and return a 503 if the server is too busy.
+ */
+const beeline = require("honeycomb-beeline")({
+  writeKey: process.env["HONEYCOMB_WRITE_KEY"],
+  dataset:
+    process.env["NODE_ENV"] === "production"
+      ? "Dress to Impress (2020)"
+      : "Dress to Impress (2020, dev)",
+  serviceName: "impress-2020-gql-server",
+  sampleRate: 10,
+});
+
+import {
+  isValidLayerUrl,
+  loadLayerUrlsForSavedOutfit,
+} from "../../src/server/outfit-layer-urls";
+import {
+  renderOutfitAnimation,
+  sendRenderedOutfit,
+} from "../../src/server/outfit-images";
+import getMaxNumAnimationFrames from "../../src/shared/getMaxNumAnimationFrames";
+
+const genericPool = require("generic-pool");
+
+const CONTENT_TYPES = {
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+const MAX_FPS = 24;
+const MAX_DURATION_IN_SECONDS = 10;
+
+// Rendering an animation takes a lot of CPU and memory, so we only render a
+// couple at a time, by borrowing a "slot" from this pool. If they're all in
+// use, a request waits for one to become available, up to a point.
+//
+// NOTE: The slots themselves are just placeholders, the pool is only here to
+//       count them for us!
+const RENDER_SLOT_POOL = genericPool.createPool(
+  {
+    create: async () => ({}),
+    destroy: async () => {},
+  },
+  { max: 2, maxWaitingClients: 10, acquireTimeoutMillis: 15000 }
+);
+
+async function handle(req, res) {
+  const size = parseInt(req.query.size);
+  if (size !== 150 && size !== 300 && size !== 600) {
+    return reject(res, `Size must be 150, 300, or 600`);
+  }
+
+  const format = req.query.format || "webp";
+  if (!Object.keys(CONTENT_TYPES).includes(format)) {
+    return reject(res, `Format must be "webp" or "gif"`);
+  }
+
+  const fps = req.query.fps != null ? parseInt(req.query.fps) : 12;
+  if (!(fps >= 1 && fps <= MAX_FPS)) {
+    return reject(res, `fps must be between 1 and ${MAX_FPS}`);
+  }
+
+  const durationInSeconds =
+    req.query.duration != null ? parseFloat(req.query.duration) : 3;
+  if (
+    !(durationInSeconds >= 1 && durationInSeconds <= MAX_DURATION_IN_SECONDS)
+  ) {
+    return reject(
+      res,
+      `duration must be between 1 and ${MAX_DURATION_IN_SECONDS} seconds`
+    );
+  }
+
+  const maxNumFrames = getMaxNumAnimationFrames(size);
+  if (fps * durationInSeconds > maxNumFrames) {
+    return reject(
+      res,
+      `Too many frames: fps * duration must be at most ${maxNumFrames} ` +
+        `at size ${size}`
+    );
+  }
+
+  let layerUrls;
+  if (req.query.layerUrls) {
+    layerUrls = req.query.layerUrls.split(",");
+  } else if (req.query.id) {
+    const outfitId = req.query.id;
+    try {
+      layerUrls = await loadLayerUrlsForSavedOutfit(outfitId, size);
+    } catch (e) {
+      console.error(e);
+      return reject(
+        res,
+        `Error loading data for outfit ${outfitId}: ${e.message}`,
+        500
+      );
+    }
+  } else {
+    return reject(res, `Missing required parameter: layerUrls`);
+  }
+
+  for (const layerUrl of layerUrls) {
+    if (!isValidLayerUrl(layerUrl)) {
+      return reject(res, `Unexpected layer URL format: ${layerUrl}`);
+    }
+  }
+
+  let renderSlot;
+  try {
+    renderSlot = await RENDER_SLOT_POOL.acquire();
+  } catch (e) {
+    return reject(res, `Server under heavy load: ${e.message}`, 503);
+  }
+
+  let animationResult;
+  try {
+    animationResult = await renderOutfitAnimation(layerUrls, size, {
+      format,
+      fps,
+      durationInSeconds,
+    });
+  } catch (e) {
+    console.error(e);
+    return reject(res, `Error rendering animation: ${e.message}`);
+  } finally {
+    RENDER_SLOT_POOL.release(renderSlot);
+  }
+
+  return sendRenderedOutfit(res, animationResult, {
+    contentType: CONTENT_TYPES[format],
+    // Without `updatedAt`, this outfit might change, so keep it fresh-ish.
+    cacheControl:
+      req.query.id && !req.query.updatedAt
+        ? "public, max-age=600"
+        : "public, max-age=31536000, immutable",
+  });
+}
+
+function reject(res, message, status = 400) {
+  res.setHeader("Content-Type", "text/plain; charset=utf8");
+  return res.status(status).send(message);
+}
+
+async function handleWithBeeline(req, res) {
+  beeline.withTrace(
+    { name: "api/outfitAnimation", operation_name: "api/outfitAnimation" },
+    () => handle(req, res)
+  );
+}
+
+export default handleWithBeeline;
@@ -0,0 +1,132 @@
+/**
+ * /api/outfitContactSheet returns a single image of an outfit in every pose
+ * the pet has, side by side, with a label under each one!
+ *
+ * Parameters:
+ *   - size: Must be "150", "300", or "600", to indicate the size you'd like
+ *           for each pose's image. (For example, "150" will render each pose
+ *           as a 150x150 image, plus room for its label.)
+ *   - speciesId: The species of the pet to render.
+ *   - colorId: The color of the pet to render.
+ *   - wornItemIds: A comma-separated list of the item IDs the pet is wearing.
+ *                  Optional, an empty pet is fine too!
+ *   - hiddenLayerIds: A comma-separated list of layer IDs to leave out, like
+ *                     the layers the user hid in the wardrobe. Optional.
+ *
+ * We render the standard Happy, Sad, and Sick poses, in both Masculine and
+ * Feminine, plus Unconverted if the pet has it. Poses the pet doesn't have
+ * are skipped. Because new poses can be modeled at any time, this returns a
+ * 10-minute cache header.
+ *
+ * If some of the layers fail to render, we still return the contact sheet
+ * without them, see sendRenderedOutfit.
+ */
+const beeline = require("honeycomb-beeline")({
+  writeKey: process.env["HONEYCOMB_WRITE_KEY"],
+  dataset:
+    process.env["NODE_ENV"] === "production"
+      ? "Dress to Impress (2020)"
+      : "Dress to Impress (2020, dev)",
+  serviceName: "impress-2020-gql-server",
+  sampleRate: 10,
+});
+
+import {
+  isValidLayerUrl,
+  loadLayerUrlsForAllPoses,
+} from "../../src/server/outfit-layer-urls";
+import {
+  renderOutfitContactSheet,
+  sendRenderedOutfit,
+} from "../../src/server/outfit-images";
+
+const POSE_LABELS = {
+  HAPPY_MASC: "Happy (Masculine)",
+  SAD_MASC: "Sad (Masculine)",
+  SICK_MASC: "Sick (Masculine)",
+  HAPPY_FEM: "Happy (Feminine)",
+  SAD_FEM: "Sad (Feminine)",
+  SICK_FEM: "Sick (Feminine)",
+  UNCONVERTED: "Unconverted",
+};
+
+async function handle(req, res) {
+  const size = parseInt(req.query.size);
+  if (size !== 150 && size !== 300 && size !== 600) {
+    return reject(res, `Size must be 150, 300, or 600`);
+  }
+
+  const { speciesId, colorId } = req.query;
+  if (!speciesId || !colorId) {
+    return reject(res, `Missing required parameters: speciesId, colorId`);
+  }
+
+  const wornItemIds = splitIds(req.query.wornItemIds);
+  const hiddenLayerIds = splitIds(req.query.hiddenLayerIds);
+
+  let poses;
+  try {
+    poses = await loadLayerUrlsForAllPoses(
+      { speciesId, colorId, wornItemIds, hiddenLayerIds },
+      size
+    );
+  } catch (e) {
+    console.error(e);
+    return reject(
+      res,
+      `Error loading data for species ${speciesId} and color ${colorId}: ` +
+        e.message,
+      500
+    );
+  }
+
+  for (const { layerUrls } of poses) {
+    for (const layerUrl of layerUrls) {
+      if (!isValidLayerUrl(layerUrl)) {
+        return reject(res, `Unexpected layer URL format: ${layerUrl}`);
+      }
+    }
+  }
+
+  let imageResult;
+  try {
+    imageResult = await renderOutfitContactSheet(
+      poses.map(({ pose, layerUrls }) => ({
+        label: POSE_LABELS[pose],
+        layerUrls,
+      })),
+      size
+    );
+  } catch (e) {
+    console.error(e);
+    return reject(res, `Error rendering contact sheet: ${e.message}`);
+  }
+
+  // Cache this result for 10 minutes, so individual users don't wait on
+  // re-renders too much, but new poses still show up pretty soon!
+  return sendRenderedOutfit(res, imageResult, {
+    contentType: "image/png",
+    cacheControl: "public, max-age=600",
+  });
+}
+
+function splitIds(idsString) {
+  return (idsString || "").split(",").filter((id) => id);
+}
+
+function reject(res, message, status = 400) {
+  res.setHeader("Content-Type", "text/plain; charset=utf8");
+  return res.status(status).send(message);
+}
+
+async function handleWithBeeline(req, res) {
+  beeline.withTrace(
+    {
+      name: "api/outfitContactSheet",
+      operation_name: "api/outfitContactSheet",
+    },
+    () => handle(req, res)
+  );
+}
+
+export default handleWithBeeline;
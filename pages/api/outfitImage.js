@@ -5,7 +5,10 @@
  *   - size: Must be "150", "300", or "600", to indicate the image size you'd
  *           like back. (For example, "150" will return a 150x150 image.)
  *   - layerUrls: A comma-separated list of URLs to render, in order from
- *                bottom to top. This is a sorta "independent" render mode,
+ *                bottom to top. Canvas movie layers can be given as their
+ *                HTTPS movie library URL (or as an /api/assetImage URL), and
+ *                we'll render their first frame in-process, without needing
+ *                a headless browser. This is a sorta "independent" render mode,
  *                not bound to any saved outfit. The URLs must match a known
  *                layer URL format. This mode will return a long-term cache
  *                header, so the client and our CDN cache can cache the
@@ -23,6 +26,9 @@
  *                long-term cache header, so the client and our CDN cache can
  *                cache the requested URL forever. (NOTE: The Vercel cache
  *                seems pretty quick to eject them, though...)
+ *
+ * If some of the layers fail to render, we still return the image without
+ * them, see sendRenderedOutfit.
  */
 const beeline = require("honeycomb-beeline")({
   writeKey: process.env["HONEYCOMB_WRITE_KEY"],
@@ -34,24 +40,15 @@ const beeline = require("honeycomb-beeline")({
   sampleRate: 10,
 });
 
-import gql from "graphql-tag";
-import { ApolloServer } from "apollo-server";
-import { createTestClient } from "apollo-server-testing";
-
 import connectToDb from "../../src/server/db";
-import { config as graphqlConfig } from "../../src/server";
-import { renderOutfitImage } from "../../src/server/outfit-images";
-import getVisibleLayers, {
-  petAppearanceFragmentForGetVisibleLayers,
-  itemAppearanceFragmentForGetVisibleLayers,
-} from "../../src/shared/getVisibleLayers";
-
-const VALID_LAYER_URLS = [
-  /^https:\/\/(impress-asset-images\.openneo\.net|impress-asset-images\.s3\.amazonaws\.com)\/(biology|object)\/[0-9]{3}\/[0-9]{3}\/[0-9]{3}\/[0-9]+\/(150|300|600)x(150|300|600)\.png(\?[a-zA-Z0-9_-]+)?$/,
-  /^http:\/\/images\.neopets\.com\/cp\/(bio|object|items)\/data\/[0-9]{3}\/[0-9]{3}\/[0-9]{3}\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+\.(svg|png)(\?.*)?$/,
-  // NOTE: We don't validate the layer's libraryUrl, because assetImage performs validation better than we could!
-  /^https:\/\/impress-2020\.openneo\.net\/api\/assetImage\?libraryUrl=[^&]+(&size=(150|300|600))?$/,
-];
+import {
+  isValidLayerUrl,
+  loadLayerUrlsForSavedOutfit,
+} from "../../src/server/outfit-layer-urls";
+import {
+  renderOutfitImage,
+  sendRenderedOutfit,
+} from "../../src/server/outfit-images";
 
 async function handle(req, res) {
   const size = parseInt(req.query.size);
@@ -108,7 +105,7 @@ async function handle(req, res) {
   }
 
   for (const layerUrl of layerUrls) {
-    if (!VALID_LAYER_URLS.some((pattern) => layerUrl.match(pattern))) {
+    if (!isValidLayerUrl(layerUrl)) {
       return reject(res, `Unexpected layer URL format: ${layerUrl}`);
     }
   }
@@ -121,80 +118,12 @@ async function handle(req, res) {
     return reject(res, `Error rendering image: ${e.message}`);
   }
 
-  const { image, status } = imageResult;
-
-  if (status === "success") {
-    // This image is ready, and it either used `layerUrls` or `updatedAt`, so
-    // it shouldn't change much, if ever. Send a long-term cache header!
-    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
-    res.status(200);
-  } else {
-    // On partial failure, we still send the image, but with a 500 status. We
-    // send a one-week cache header, but in such a way that the user can
-    // refresh the page to try again. (`private` means the CDN won't cache it,
-    // and we don't send `immutable`, which would save it even across reloads.)
-    // The 500 won't really affect the client, which will still show the image
-    // without feedback to the user - but it's a helpful debugging hint.
-    res.setHeader("Cache-Control", "private, max-age=604800");
-    res.status(500);
-  }
-
-  res.setHeader("Content-Type", "image/png");
-  return res.send(image);
-}
-
-// Check out this scrappy way of making a query against server code ^_^`
-const graphqlClient = createTestClient(new ApolloServer(graphqlConfig));
-
-async function loadLayerUrlsForSavedOutfit(outfitId, size) {
-  const { errors, data } = await graphqlClient.query({
-    query: gql`
-      query ApiOutfitImage($outfitId: ID!, $size: LayerImageSize) {
-        outfit(id: $outfitId) {
-          petAppearance {
-            layers {
-              id
-              imageUrl(size: $size)
-            }
-            ...PetAppearanceForGetVisibleLayers
-          }
-          itemAppearances {
-            layers {
-              id
-              imageUrl(size: $size)
-            }
-            ...ItemAppearanceForGetVisibleLayers
-          }
-        }
-      }
-      ${petAppearanceFragmentForGetVisibleLayers}
-      ${itemAppearanceFragmentForGetVisibleLayers}
-    `,
-    variables: { outfitId, size: `SIZE_${size}` },
+  // This image either used `layerUrls` or `updatedAt`, so it shouldn't
+  // change much, if ever. Send a long-term cache header!
+  return sendRenderedOutfit(res, imageResult, {
+    contentType: "image/png",
+    cacheControl: "public, max-age=31536000, immutable",
   });
-
-  if (errors && errors.length > 0) {
-    throw new Error(
-      `GraphQL Error: ${errors.map((e) => e.message).join(", ")}`
-    );
-  }
-
-  if (!data.outfit) {
-    throw new Error(`outfit ${outfitId} not found`);
-  }
-
-  const { petAppearance, itemAppearances } = data.outfit;
-  const visibleLayers = getVisibleLayers(petAppearance, itemAppearances);
-
-  for (const layer of visibleLayers) {
-    if (!layer.imageUrl) {
-      throw new Error(`layer ${layer.id} has no imageUrl for size ${size}`);
-    }
-  }
-
-  return visibleLayers
-    .sort((a, b) => a.depth - b.depth)
-    .map((layer) => layer.imageUrl);
 }
 
 async function loadUpdatedAtForSavedOutfit(outfitId) {
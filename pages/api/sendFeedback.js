@@ -6,12 +6,12 @@ const beeline = require("honeycomb-beeline")({
       : "Dress to Impress (2020, dev)",
   serviceName: "impress-2020-gql-server",
 });
-import sendgridMail from "@sendgrid/mail";
-
-sendgridMail.setApiKey(process.env.SENDGRID_API_KEY);
+import connectToDb from "../../src/server/db";
+import { getUserIdFromToken } from "../../src/server/auth";
+import { sendNotification } from "../../src/server/notifications";
 
 async function handle(req, res) {
-  const { content, email } = req.body;
+  const { content, email, pageUrl, outfitId } = req.body;
   if (!content) {
     return res.status(400).send("Content must not be empty");
   }
@@ -21,26 +21,65 @@ async function handle(req, res) {
     contentSummary = contentSummary.slice(0, 40) + "…";
   }
 
-  const senderText = email || "<anonymous>";
+  // If the sender is logged in, we'll remember who they are. (But it's okay
+  // if they're not, feedback is open to everyone!)
+  const auth = req.headers.authorization || "";
+  const authMatch = auth.match(/^Bearer (.+)$/);
+  const currentUserId = await getUserIdFromToken(authMatch && authMatch[1]);
+
+  const senderText =
+    [email, currentUserId && `user ${currentUserId}`]
+      .filter((s) => s)
+      .join(", ") || "<anonymous>";
 
   console.info(`Sending from ${senderText}:\n${content}`);
 
-  const body = `${content}\n\nSent by ${senderText}`;
+  // First, save the feedback to the inbox. If that fails, we still try to
+  // send the notification, so the feedback isn't lost!
+  let feedbackId = null;
+  try {
+    const db = await connectToDb();
+    const [result] = await db.execute(
+      `
+        INSERT INTO feedback
+          (user_id, email, content, page_url, outfit_id, status, created_at,
+           updated_at)
+          VALUES (?, ?, ?, ?, ?, "new", CURRENT_TIMESTAMP(),
+            CURRENT_TIMESTAMP())
+      `,
+      [
+        currentUserId || null,
+        email || null,
+        content,
+        pageUrl ? String(pageUrl).slice(0, 2048) : null,
+        /^[0-9]+$/.test(outfitId) ? outfitId : null,
+      ]
+    );
+    feedbackId = String(result.insertId);
+  } catch (e) {
+    console.error("Error saving feedback", e);
+  }
 
   try {
-    await sendgridMail.send({
-      to: "matchu1993@gmail.com",
-      from: "impress-2020-feedback@openneo.net",
-      subject: `DTI feedback: ${contentSummary}`,
+    await sendNotification("feedback", {
+      title: `DTI feedback: ${contentSummary}`,
+      description: content,
+      fields: [
+        { name: "Sent by", value: senderText },
+        ...(pageUrl ? [{ name: "Page", value: String(pageUrl) }] : []),
+      ],
+      timestamp: new Date().toISOString(),
+      url:
+        feedbackId != null
+          ? `https://impress-2020.openneo.net/support/feedback#feedback-${feedbackId}`
+          : undefined,
       replyTo: email || undefined,
-      text: body,
     });
   } catch (e) {
     console.error(e);
-    if (e.response && e.response.body && e.response.body.errors) {
-      console.error(e.response.body.errors);
+    if (feedbackId == null) {
+      return res.status(500).send("Error sending message, see logs");
     }
-    return res.status(500).send("Error sending message, see logs");
   }
 
   return res.status(200).send();
@@ -11,11 +11,15 @@ const Jimp = require("jimp");
 
 const connectToDb = require("../../src/server/db");
 const buildLoaders = require("../../src/server/loaders");
+const { getUserIdFromToken } = require("../../src/server/auth");
 const {
-  loadBodyName,
-  logToDiscord,
-  normalizeRow,
-} = require("../../src/server/util");
+  hasSupportPermission,
+} = require("../../src/server/types/MutationsForSupport");
+const {
+  hasNotificationSinks,
+  sendNotification,
+} = require("../../src/server/notifications");
+const { loadBodyName, normalizeRow } = require("../../src/server/util");
 
 if (
   !process.env["DTI_AWS_ACCESS_KEY_ID"] ||
@@ -67,8 +71,28 @@ async function processImage(assetType, remoteId, size, imageData) {
 }
 
 async function handle(req, res) {
-  if (req.headers["dti-support-secret"] !== process.env["SUPPORT_SECRET"]) {
-    res.status(401).send(`Support secret is incorrect. Try setting up again?`);
+  const db = await connectToDb();
+
+  // Like our GraphQL Support mutations, we check the current user's roles,
+  // or the deprecated shared Support secret.
+  const auth = req.headers.authorization || "";
+  const authMatch = auth.match(/^Bearer (.+)$/);
+  const currentUserId = await getUserIdFromToken(authMatch && authMatch[1]);
+  const canUploadLayerImages = await hasSupportPermission(
+    "EDIT_MODELING_DATA",
+    {
+      supportSecret: req.headers["dti-support-secret"],
+      currentUserId,
+      userRolesLoader: buildLoaders(db).userRolesLoader,
+    }
+  );
+  if (!canUploadLayerImages) {
+    res
+      .status(401)
+      .send(
+        `You don't have permission to upload layer images. Are you logged ` +
+          `in as a Support user?`
+      );
     return;
   }
 
@@ -82,8 +106,6 @@ async function handle(req, res) {
     });
   });
 
-  const db = await connectToDb();
-
   const { layerId } = req.query;
   const [layerRows] = await db.execute(
     `SELECT * FROM swf_assets WHERE id = ?`,
@@ -113,7 +135,7 @@ async function handle(req, res) {
       .send(`expected 1 affected row but found ${result.affectedRows}`);
   }
 
-  if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+  if (hasNotificationSinks("uploads")) {
     try {
       const {
         itemLoader,
@@ -142,28 +164,24 @@ async function handle(req, res) {
         loadBodyName(layer.bodyId, db),
       ]);
 
-      await logToDiscord({
-        embeds: [
+      await sendNotification("uploads", {
+        title: `🛠 ${itemTranslation.name}`,
+        thumbnail: {
+          url: item.thumbnailUrl,
+          height: 80,
+          width: 80,
+        },
+        fields: [
           {
-            title: `🛠 ${itemTranslation.name}`,
-            thumbnail: {
-              url: item.thumbnailUrl,
-              height: 80,
-              width: 80,
-            },
-            fields: [
-              {
-                name: `Layer ${layerId} (${zoneTranslation.label})`,
-                value: `🎨 Uploaded new PNG for ${bodyName}`,
-              },
-            ],
-            timestamp: new Date().toISOString(),
-            url: `https://impress.openneo.net/items/${itemId}`,
+            name: `Layer ${layerId} (${zoneTranslation.label})`,
+            value: `🎨 Uploaded new PNG for ${bodyName}`,
           },
         ],
+        timestamp: new Date().toISOString(),
+        url: `https://impress.openneo.net/items/${itemId}`,
       });
     } catch (e) {
-      console.error("Error sending Discord support log", e);
+      console.error("Error sending uploads notification", e);
     }
   }
 
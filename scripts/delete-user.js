@@ -48,20 +48,29 @@ async function main() {
     contributions,
     neopetsConnections,
     outfits,
+    tradeNotifications,
   ] = await Promise.all([
     findAllForUser(db, impressUser.id, "closet_hangers"),
     findAllForUser(db, impressUser.id, "closet_lists"),
     findAllForUser(db, impressUser.id, "contributions"),
     findAllForUser(db, impressUser.id, "neopets_connections"),
     findAllForUser(db, impressUser.id, "outfits"),
+    findAllTradeNotificationsForUser(db, impressUser.id),
   ]);
 
   console.log("Loading other user data... (2)");
-  const itemOutfitRelationships = await findAllForOutfits(
-    db,
-    outfits.map((o) => o.id),
-    "item_outfit_relationships"
-  );
+  const [itemOutfitRelationships, outfitRevisions] = await Promise.all([
+    findAllForOutfits(
+      db,
+      outfits.map((o) => o.id),
+      "item_outfit_relationships"
+    ),
+    findAllForOutfits(
+      db,
+      outfits.map((o) => o.id),
+      "outfit_revisions"
+    ),
+  ]);
 
   const userDataToExport = {
     idUser,
@@ -72,6 +81,8 @@ async function main() {
     neopetsConnections,
     outfits,
     itemOutfitRelationships,
+    outfitRevisions,
+    tradeNotifications,
   };
 
   const userDataToExportAsJson = JSON.stringify(userDataToExport, null, 4);
@@ -117,11 +128,17 @@ async function main() {
     deleteAllForUser(db, impressUser.id, "contributions"),
     deleteAllForUser(db, impressUser.id, "neopets_connections"),
     deleteAllForUser(db, impressUser.id, "outfits"),
+    deleteAllTradeNotificationsForUser(db, impressUser.id),
     deleteAllForOutfits(
       db,
       outfits.map((o) => o.id),
       "item_outfit_relationships"
     ),
+    deleteAllForOutfits(
+      db,
+      outfits.map((o) => o.id),
+      "outfit_revisions"
+    ),
   ]);
 
   await deleteImpressUser(db, idUser.id);
@@ -198,6 +215,30 @@ async function deleteAllForUser(db, impressUserId, table) {
   console.log(`  - Deleted ${results.affectedRows} ${table}`);
 }
 
+// Trade notifications are about two users: the one we notified, and the one
+// whose list matched. Either way, they're about this user, so we include both.
+async function findAllTradeNotificationsForUser(db, impressUserId) {
+  const [rows, _] = await db.execute(
+    `SELECT * FROM openneo_impress.trade_notifications
+       WHERE user_id = ? OR other_user_id = ?`,
+    [impressUserId, impressUserId]
+  );
+
+  console.log(`  - Found ${rows.length} trade_notifications`);
+
+  return rows;
+}
+
+async function deleteAllTradeNotificationsForUser(db, impressUserId) {
+  const [results, _] = await db.execute(
+    `DELETE FROM openneo_impress.trade_notifications
+       WHERE user_id = ? OR other_user_id = ?`,
+    [impressUserId, impressUserId]
+  );
+
+  console.log(`  - Deleted ${results.affectedRows} trade_notifications`);
+}
+
 async function findAllForOutfits(db, outfitIds, table) {
   if (outfitIds.length === 0) {
     console.log(`  - Skipped searching for ${table}`);
@@ -0,0 +1,87 @@
+// This is a background job to detect new trade matches, and save them as
+// trade notifications for the users they match with! A match is when someone
+// newly offers an item you want, or newly seeks an item you own.
+//
+// We look at the hangers that were added or changed recently (by default, in
+// the last 60 minutes), including hangers whose list, or default list
+// visibility setting, changed recently, so we expect to run this regularly,
+// like every 15 minutes. It's okay for runs to overlap: we only ever notify a user once for
+// each other user, item, and kind of match.
+//
+// You can run with --since-minutes=N to look further back, e.g. after the job
+// has been down for a while.
+const { argv } = require("yargs");
+
+const connectToDb = require("../src/server/db");
+const { VISIBILITY_VALUES } = require("../src/server/util");
+
+async function detectTradeMatches(db) {
+  const sinceMinutes = argv.sinceMinutes || 60;
+
+  // For the user who changed their hanger (but not the user we're notifying),
+  // the hanger must be marked Trading. This matches what the user would see
+  // on the item's trades page, see buildTradeMatchesLoader.
+  const [result] = await db.execute(
+    `
+      INSERT IGNORE INTO trade_notifications
+        (user_id, other_user_id, item_id, kind, created_at)
+      SELECT
+        current_user_hangers.user_id,
+        new_hangers.user_id,
+        new_hangers.item_id,
+        IF(new_hangers.owned, "offering", "seeking"),
+        CURRENT_TIMESTAMP()
+      FROM closet_hangers AS new_hangers
+      INNER JOIN users AS other_users ON other_users.id = new_hangers.user_id
+      LEFT JOIN closet_lists AS new_hanger_lists
+        ON new_hanger_lists.id = new_hangers.list_id
+      INNER JOIN closet_hangers AS current_user_hangers
+        ON current_user_hangers.item_id = new_hangers.item_id
+        AND current_user_hangers.owned != new_hangers.owned
+        AND current_user_hangers.user_id != new_hangers.user_id
+      WHERE (
+        (
+          new_hangers.updated_at >= CURRENT_TIMESTAMP() - INTERVAL ? MINUTE
+          OR new_hanger_lists.updated_at >= CURRENT_TIMESTAMP() - INTERVAL ? MINUTE
+          OR (
+            new_hangers.list_id IS NULL
+            AND other_users.closet_hangers_visibility_updated_at >= CURRENT_TIMESTAMP() - INTERVAL ? MINUTE
+          )
+        )
+        AND (
+          (new_hangers.list_id IS NOT NULL AND new_hanger_lists.visibility >= ${VISIBILITY_VALUES.TRADING})
+          OR (
+            new_hangers.list_id IS NULL AND new_hangers.owned = 1
+            AND other_users.owned_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
+          )
+          OR (
+            new_hangers.list_id IS NULL AND new_hangers.owned = 0
+            AND other_users.wanted_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
+          )
+        )
+      )
+    `,
+    [sinceMinutes, sinceMinutes, sinceMinutes]
+  );
+
+  console.info(
+    `Done! Saved ${result.affectedRows} new trade notifications, from the ` +
+      `last ${sinceMinutes} minutes of trade activity.`
+  );
+}
+
+async function main() {
+  const db = await connectToDb();
+  try {
+    await detectTradeMatches(db);
+  } catch (e) {
+    db.end();
+    throw e;
+  }
+  db.end();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
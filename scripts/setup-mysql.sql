@@ -23,14 +23,25 @@ GRANT INSERT, UPDATE ON pet_types TO impress2020;
 GRANT INSERT, UPDATE ON pet_states TO impress2020;
 GRANT INSERT, UPDATE ON swf_assets TO impress2020;
 GRANT INSERT ON modeling_logs TO impress2020;
+GRANT SELECT, INSERT ON pet_name_contributions TO impress2020;
+
+-- Support tools
+GRANT SELECT, INSERT, UPDATE ON feedback TO impress2020;
+GRANT SELECT, INSERT, UPDATE ON feedback_replies TO impress2020;
+GRANT SELECT, INSERT, UPDATE ON support_audit_log TO impress2020;
+GRANT SELECT, INSERT, UPDATE, DELETE ON item_sets TO impress2020;
 
 -- User data tables
-GRANT SELECT, INSERT, DELETE ON closet_hangers TO impress2020;
-GRANT SELECT, UPDATE ON closet_lists TO impress2020;
-GRANT SELECT, DELETE ON item_outfit_relationships TO impress2020;
+GRANT SELECT, INSERT, UPDATE, DELETE ON closet_hangers TO impress2020;
+GRANT SELECT, INSERT, UPDATE, DELETE ON closet_lists TO impress2020;
+GRANT SELECT, INSERT ON contributions TO impress2020;
+GRANT SELECT, INSERT, DELETE ON item_outfit_relationships TO impress2020;
 GRANT SELECT ON neopets_connections TO impress2020;
-GRANT SELECT, INSERT, UPDATE ON outfits TO impress2020;
+GRANT SELECT, INSERT, UPDATE, DELETE ON outfits TO impress2020;
+GRANT SELECT, INSERT, DELETE ON outfit_revisions TO impress2020;
+GRANT SELECT, INSERT, UPDATE, DELETE ON trade_notifications TO impress2020;
 GRANT SELECT, UPDATE ON users TO impress2020;
+GRANT SELECT ON user_roles TO impress2020;
 GRANT SELECT, UPDATE ON openneo_id.users TO impress2020;
 
 -- mysqldump
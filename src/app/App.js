@@ -33,9 +33,16 @@ const ItemTradesSeekingPage = loadable(() =>
 );
 const ModelingPage = loadable(() => import("./ModelingPage"));
 const PrivacyPolicyPage = loadable(() => import("./PrivacyPolicyPage"));
+const SupportFeedbackPage = loadable(() => import("./SupportFeedbackPage"));
+const SupportModelingLogsPage = loadable(() =>
+  import("./SupportModelingLogsPage")
+);
 const SupportPetAppearancesPage = loadable(() =>
   import("./SupportPetAppearancesPage")
 );
+const TradeNotificationsPage = loadable(() =>
+  import("./TradeNotificationsPage")
+);
 const UserItemListsIndexPage = loadable(() =>
   import("./UserItemListsIndexPage")
 );
@@ -168,6 +175,11 @@ function App() {
                   <UserOutfitsPage />
                 </PageLayout>
               </Route>
+              <Route path="/trade-notifications">
+                <PageLayout>
+                  <TradeNotificationsPage />
+                </PageLayout>
+              </Route>
               <Route path="/modeling">
                 <PageLayout>
                   <ModelingPage />
@@ -183,6 +195,16 @@ function App() {
                   <ConversionPage />
                 </PageLayout>
               </Route>
+              <Route path="/support/feedback">
+                <PageLayout>
+                  <SupportFeedbackPage />
+                </PageLayout>
+              </Route>
+              <Route path="/support/modelingLogs">
+                <PageLayout>
+                  <SupportModelingLogsPage />
+                </PageLayout>
+              </Route>
               <Route path="/support/petAppearances">
                 <PageLayout>
                   <SupportPetAppearancesPage />
@@ -1,5 +1,6 @@
 import React from "react";
 import {
+  Badge,
   Box,
   Button,
   HStack,
@@ -12,6 +13,7 @@ import {
 import { HamburgerIcon } from "@chakra-ui/icons";
 import { Link, useLocation } from "react-router-dom";
 import { useAuth0 } from "@auth0/auth0-react";
+import { gql, useQuery } from "@apollo/client";
 import { ChevronLeftIcon } from "@chakra-ui/icons";
 import Image from "next/image";
 
@@ -133,6 +135,10 @@ function UserNavBarSection() {
           <NavLinkItem as={Link} to={`/your-outfits`}>
             Outfits
           </NavLinkItem>
+          <NavLinkItem as={Link} to="/trade-notifications">
+            Trades
+            <UnreadTradeNotificationsBadge />
+          </NavLinkItem>
           <NavLinkItem as={Link} to="/modeling">
             Modeling
           </NavLinkItem>
@@ -156,6 +162,40 @@ function UserNavBarSection() {
   }
 }
 
+/**
+ * UnreadTradeNotificationsBadge shows how many trade notifications the current
+ * user hasn't read yet, or nothing if they're all read.
+ */
+function UnreadTradeNotificationsBadge() {
+  const { data } = useQuery(
+    gql`
+      query GlobalHeaderUnreadTradeNotifications {
+        currentUser {
+          id
+          numUnreadTradeNotifications
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      // The trade matches job runs in the background, so check back now and
+      // then for new ones!
+      pollInterval: 5 * 60 * 1000,
+    }
+  );
+
+  const numUnread = data?.currentUser?.numUnreadTradeNotifications || 0;
+  if (numUnread === 0) {
+    return null;
+  }
+
+  return (
+    <Badge colorScheme="red" variant="solid" borderRadius="full" marginLeft="1">
+      {numUnread}
+    </Badge>
+  );
+}
+
 /**
  * Renders the given <NavLinkItem /> children as a dropdown menu or as a list
  * of buttons, depending on the screen size.
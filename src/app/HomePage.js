@@ -16,7 +16,6 @@ import {
   Link as ChakraLink,
   ListItem,
   Skeleton,
-  Textarea,
   Tooltip,
   UnorderedList,
   useColorModeValue,
@@ -36,9 +35,9 @@ import {
   Heading2,
   TestErrorSender,
   useCommonStyles,
-  useLocalStorage,
   usePageTitle,
 } from "./util";
+import FeedbackForm from "./components/FeedbackForm";
 import OutfitPreview from "./components/OutfitPreview";
 import SpeciesColorPicker from "./components/SpeciesColorPicker";
 import SquareItemCard, {
@@ -223,6 +222,8 @@ function SubmitPetForm() {
     `,
     {
       fetchPolicy: "network-only",
+      // If the user is logged in, they get credit for any new data we model!
+      context: { sendAuth: true },
       onCompleted: (data) => {
         if (!data) return;
 
@@ -741,100 +742,6 @@ function FeedbackFormPitch() {
   );
 }
 
-function FeedbackForm() {
-  const [content, setContent] = React.useState("");
-  const [email, setEmail] = useLocalStorage("DTIFeedbackFormEmail", "");
-  const [isSending, setIsSending] = React.useState(false);
-  const toast = useToast();
-
-  const onSubmit = React.useCallback(
-    (e) => {
-      e.preventDefault();
-
-      fetch("/api/sendFeedback", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ content, email }),
-      })
-        .then((res) => {
-          if (!res.ok) {
-            throw new Error(`/api/sendFeedback returned status ${res.status}`);
-          }
-
-          setIsSending(false);
-          setContent("");
-          toast({
-            status: "success",
-            title: "Got it! We'll take a look soon.",
-            description:
-              "Thanks for helping us get better! Best wishes to you and your " +
-              "pets!!",
-          });
-        })
-        .catch((e) => {
-          setIsSending(false);
-          console.error(e);
-          toast({
-            status: "warning",
-            title: "Oops, we had an error sending this, sorry!",
-            description:
-              "We'd still love to hear from you! Please reach out to " +
-              "matchu@openneo.net with whatever's on your mind. Thanks and " +
-              "enjoy the site!",
-            duration: null,
-            isClosable: true,
-          });
-        });
-
-      setIsSending(true);
-    },
-    [content, email, toast]
-  );
-
-  const { brightBackground } = useCommonStyles();
-
-  return (
-    <Box
-      as="form"
-      // We use Grid here rather than our usual Flex, mainly so the fields will
-      // tab in the correct order!
-      display="grid"
-      gridTemplateAreas={`"email send" "content content"`}
-      gridTemplateColumns="1fr auto"
-      gridGap="2"
-      onSubmit={onSubmit}
-    >
-      <Input
-        type="email"
-        placeholder="Email address (optional)"
-        size="sm"
-        gridArea="email"
-        value={email}
-        onChange={(e) => setEmail(e.target.value)}
-        background={brightBackground}
-      />
-      <Textarea
-        size="sm"
-        placeholder={"I love…\nI wish…\nNext, you should add…"}
-        gridArea="content"
-        value={content}
-        onChange={(e) => setContent(e.target.value)}
-        background={brightBackground}
-      />
-      <Button
-        type="submit"
-        size="sm"
-        colorScheme="blue"
-        gridArea="send"
-        isDisabled={content.trim().length === 0}
-        isLoading={isSending}
-      >
-        Send
-      </Button>
-    </Box>
-  );
-}
-
 /**
  * useSupportSetup helps our support staff get set up with special access.
  * If you provide ?supportSecret=... in the URL, we'll save it in a cookie and
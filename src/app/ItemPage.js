@@ -10,6 +10,8 @@ import {
   Tooltip,
   VisuallyHidden,
   VStack,
+  Wrap,
+  WrapItem,
   useBreakpointValue,
   useColorModeValue,
   useTheme,
@@ -36,8 +38,18 @@ import { useQuery, useMutation } from "@apollo/client";
 import { Link, useParams } from "react-router-dom";
 
 import ItemPageLayout, { SubtleSkeleton } from "./ItemPageLayout";
-import { Delay, logAndCapture, useLocalStorage, usePageTitle } from "./util";
+import {
+  Delay,
+  Heading2,
+  logAndCapture,
+  useLocalStorage,
+  usePageTitle,
+} from "./util";
 import HTML5Badge, { layerUsesHTML5 } from "./components/HTML5Badge";
+import SquareItemCard from "./components/SquareItemCard";
+import ModelingCredit, {
+  modelingContributorFragment,
+} from "./components/ModelingCredit";
 import {
   itemAppearanceFragment,
   petAppearanceFragment,
@@ -78,6 +90,12 @@ export function ItemPageContent({ itemId, isEmbedded }) {
           description
           createdAt
           wakaValueText
+          price
+          category
+          type
+          weightLbs
+          isSoldInNcMall
+          lastSpideredAt
 
           # For Support users.
           rarityIndex
@@ -108,6 +126,7 @@ export function ItemPageContent({ itemId, isEmbedded }) {
           {isLoggedIn && <ItemPageOwnWantButtons itemId={itemId} />}
         </VStack>
         {!isEmbedded && <ItemPageOutfitPreview itemId={itemId} />}
+        {!isEmbedded && <ItemPageRelatedItems itemId={itemId} />}
       </VStack>
     </ItemPageLayout>
   );
@@ -653,6 +672,79 @@ function ItemPageWantButton({ itemId, isChecked }) {
   );
 }
 
+// How we title each group of related items, in the order we show them.
+const RELATED_ITEM_REASON_TITLES = {
+  SAME_SET: "From the same set",
+  SAME_SPECIAL_COLOR: "For the same special color",
+  OFTEN_WORN_WITH: "Often worn with",
+};
+
+function ItemPageRelatedItems({ itemId }) {
+  const { data, error } = useQuery(
+    gql`
+      query ItemPageRelatedItems($itemId: ID!) {
+        item(id: $itemId) {
+          id
+          relatedItems {
+            reason
+            item {
+              id
+              name
+              thumbnailUrl
+              isNc
+              isPb
+            }
+          }
+        }
+      }
+    `,
+    { variables: { itemId } }
+  );
+
+  // Related items are just a nice extra, so we don't show a loading state,
+  // and we don't bother showing any errors beyond the console.
+  if (error) {
+    console.error("Error loading related items, skipping:", error);
+    return null;
+  }
+
+  const relatedItems = data?.item?.relatedItems || [];
+  if (relatedItems.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box width="100%">
+      <Heading2 marginBottom="2">Related items</Heading2>
+      <VStack spacing="4" align="stretch">
+        {Object.entries(RELATED_ITEM_REASON_TITLES).map(([reason, title]) => {
+          const items = relatedItems
+            .filter((relatedItem) => relatedItem.reason === reason)
+            .map((relatedItem) => relatedItem.item);
+          if (items.length === 0) {
+            return null;
+          }
+
+          return (
+            <Box key={reason}>
+              <Box as="header" fontSize="sm" fontWeight="bold">
+                {title}
+              </Box>
+              <Wrap spacing="4" paddingY="2">
+                {items.map((item) => (
+                  <WrapItem key={item.id}>
+                    <SquareItemCard item={item} />
+                  </WrapItem>
+                ))}
+              </Wrap>
+            </Box>
+          );
+        })}
+      </VStack>
+    </Box>
+  );
+}
+
 function ItemPageTradeLinks({ itemId, isEmbedded }) {
   const { data, loading, error } = useQuery(
     gql`
@@ -1127,10 +1219,61 @@ function ItemPageOutfitPreview({ itemId }) {
           />
         </Flex>
       </Flex>
+      {petState.isValid && isCompatible && (
+        <ItemModelingCredit
+          itemId={itemId}
+          speciesId={petState.speciesId}
+          colorId={petState.colorId}
+          gridColumn="1 / -1"
+          justifySelf="center"
+        />
+      )}
     </Grid>
   );
 }
 
+/**
+ * ItemModelingCredit thanks the people who modeled this item's layers for the
+ * given species and color. We load this separately from the preview, because
+ * it's not essential, and we'd rather not slow the preview down for it!
+ */
+function ItemModelingCredit({ itemId, speciesId, colorId, ...props }) {
+  const { data } = useQuery(
+    gql`
+      query ItemPageModelingCredit(
+        $itemId: ID!
+        $speciesId: ID!
+        $colorId: ID!
+      ) {
+        item(id: $itemId) {
+          id
+          appearanceOn(speciesId: $speciesId, colorId: $colorId) {
+            layers {
+              id
+              contributedBy {
+                ...ModelingContributorForCredit
+              }
+            }
+          }
+        }
+      }
+
+      ${modelingContributorFragment}
+    `,
+    { variables: { itemId, speciesId, colorId } }
+  );
+
+  const layers = data?.item?.appearanceOn?.layers || [];
+
+  return (
+    <ModelingCredit
+      contributors={layers.map((layer) => layer.contributedBy)}
+      textAlign="center"
+      {...props}
+    />
+  );
+}
+
 function CustomizeMoreButton({ speciesId, colorId, pose, itemId, isDisabled }) {
   const url =
     `/outfits/new?species=${speciesId}&color=${colorId}&pose=${pose}&` +
@@ -111,6 +111,13 @@ export function SubtleSkeleton({ isLoaded, ...props }) {
 
 function ItemPageBadges({ item, isEmbedded }) {
   const searchBadgesAreLoaded = item?.name != null && item?.isNc != null;
+  const categoryDetails = [
+    item?.type && `Type: ${item.type}`,
+    item?.weightLbs != null &&
+      `Weight: ${item.weightLbs} ${item.weightLbs === 1 ? "lb" : "lbs"}`,
+  ]
+    .filter((detail) => detail)
+    .join(" · ");
 
   return (
     <ItemBadgeList marginTop="1">
@@ -136,6 +143,44 @@ function ItemPageBadges({ item, isEmbedded }) {
           </SubtleSkeleton>
         )
       }
+      {
+        // Like createdAt, hide these badges if they're loaded and empty.
+        item.category !== null && (
+          <SubtleSkeleton isLoaded={item.category !== undefined}>
+            <Tooltip
+              label={categoryDetails}
+              isDisabled={!categoryDetails}
+              placement="top"
+              openDelay={400}
+            >
+              <Badge display="block">{item.category || "Category"}</Badge>
+            </Tooltip>
+          </SubtleSkeleton>
+        )
+      }
+      {item.price != null && (
+        <Tooltip
+          label={
+            item.lastSpideredAt
+              ? `Neopets.com price, as of ` +
+                fullDateFormatter.format(new Date(item.lastSpideredAt))
+              : `Neopets.com price`
+          }
+          placement="top"
+          openDelay={400}
+        >
+          <Badge display="block">{item.price.toLocaleString()} NP</Badge>
+        </Tooltip>
+      )}
+      {item.isSoldInNcMall && (
+        <LinkBadge
+          href="https://ncmall.neopets.com/"
+          colorScheme="purple"
+          isEmbedded={isEmbedded}
+        >
+          In NC Mall
+        </LinkBadge>
+      )}
       <SubtleSkeleton isLoaded={searchBadgesAreLoaded}>
         <LinkBadge
           href={`https://impress.openneo.net/items/${item.id}`}
@@ -265,23 +310,26 @@ function ItemKindBadgeWithSupportTools({ item }) {
   const isNcAutoDetectedFromRarity =
     item.rarityIndex === 500 || item.rarityIndex === 0;
 
-  const [mutate, { loading }] = useMutation(gql`
-    mutation ItemPageSupportSetIsManuallyNc(
-      $itemId: ID!
-      $isManuallyNc: Boolean!
-      $supportSecret: String!
-    ) {
-      setItemIsManuallyNc(
-        itemId: $itemId
-        isManuallyNc: $isManuallyNc
-        supportSecret: $supportSecret
+  const [mutate, { loading }] = useMutation(
+    gql`
+      mutation ItemPageSupportSetIsManuallyNc(
+        $itemId: ID!
+        $isManuallyNc: Boolean!
+        $supportSecret: String
       ) {
-        id
-        isNc
-        isManuallyNc
+        setItemIsManuallyNc(
+          itemId: $itemId
+          isManuallyNc: $isManuallyNc
+          supportSecret: $supportSecret
+        ) {
+          id
+          isNc
+          isManuallyNc
+        }
       }
-    }
-  `);
+    `,
+    { context: { sendAuth: true } }
+  );
 
   if (isSupportUser && item.rarityIndex != null && item.isManuallyNc != null) {
     // TODO: Could code-split this into a SupportOnly file...
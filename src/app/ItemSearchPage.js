@@ -1,4 +1,4 @@
-import { Box, Wrap, WrapItem } from "@chakra-ui/react";
+import { Box, Flex, Select, Wrap, WrapItem } from "@chakra-ui/react";
 import gql from "graphql-tag";
 import { useQuery } from "@apollo/client";
 
@@ -12,9 +12,16 @@ import SquareItemCard, {
 import { Delay, MajorErrorMessage, useDebounce } from "./util";
 import PaginationToolbar from "./components/PaginationToolbar";
 import { useSearchQueryInUrl } from "./components/ItemSearchPageToolbar";
+import ItemSearchFacets from "./components/ItemSearchFacets";
 
 function ItemSearchPage() {
-  const { query: latestQuery, offset } = useSearchQueryInUrl();
+  const {
+    query: latestQuery,
+    offset,
+    sortBy,
+    setQuery,
+    setSortBy,
+  } = useSearchQueryInUrl();
 
   // NOTE: Some of this is copied from SearchPanel... but all of this is messy
   //       enough that I'm not comfy code-sharing yet, esp since I feel like
@@ -53,6 +60,7 @@ function ItemSearchPage() {
         $itemKind: ItemKindSearchFilter
         $currentUserOwnsOrWants: OwnsOrWants
         $zoneIds: [ID!]!
+        $sortBy: ItemSearchSortBy!
         $offset: Int!
       ) {
         itemSearch: itemSearchV2(
@@ -60,9 +68,19 @@ function ItemSearchPage() {
           itemKind: $itemKind
           currentUserOwnsOrWants: $currentUserOwnsOrWants
           zoneIds: $zoneIds
+          mode: RANKED
+          sortBy: $sortBy
         ) {
           id
           numTotalItems
+          zoneFacets {
+            zoneLabel
+            numItems
+          }
+          itemKindFacets {
+            itemKind
+            numItems
+          }
           items(offset: $offset, limit: 30) {
             id
             name
@@ -81,6 +99,7 @@ function ItemSearchPage() {
         itemKind: query.filterToItemKind,
         currentUserOwnsOrWants: query.filterToCurrentUserOwnsOrWants,
         zoneIds: filterToZoneIds,
+        sortBy,
         offset,
       },
       context: { sendAuth: true },
@@ -116,6 +135,24 @@ function ItemSearchPage() {
 
   return (
     <Box>
+      <Flex
+        alignItems="flex-start"
+        justifyContent="space-between"
+        marginBottom="4"
+      >
+        <ItemSearchFacets
+          query={latestQuery}
+          zoneFacets={data?.itemSearch?.zoneFacets}
+          itemKindFacets={data?.itemSearch?.itemKindFacets}
+          onChange={setQuery}
+          marginRight="4"
+        />
+        <ItemSearchSortBySelect
+          value={sortBy}
+          onChange={setSortBy}
+          marginLeft="auto"
+        />
+      </Flex>
       <PaginationToolbar
         totalCount={numTotalItems}
         isLoading={loading}
@@ -144,6 +181,26 @@ function ItemSearchPage() {
   );
 }
 
+function ItemSearchSortBySelect({ value, onChange, ...props }) {
+  return (
+    <Select
+      aria-label="Sort by"
+      size="sm"
+      width="auto"
+      flex="0 0 auto"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      {...props}
+    >
+      <option value="RELEVANCE">Best match</option>
+      <option value="NEWEST">Newest</option>
+      <option value="RARITY">Rarest</option>
+      <option value="MOST_WANTED">Most wanted</option>
+      <option value="MOST_OFFERED">Most offered</option>
+    </Select>
+  );
+}
+
 function ItemSearchPageResultsLoading() {
   return (
     <Wrap justify="center" spacing="4">
@@ -1,6 +1,7 @@
 import React from "react";
 import { ClassNames } from "@emotion/react";
 import {
+  Badge,
   Box,
   Button,
   Flex,
@@ -42,6 +43,7 @@ export function ItemTradesOfferingPage() {
                 id
                 name
               }
+              quantity
             }
           }
         }
@@ -75,6 +77,7 @@ export function ItemTradesSeekingPage() {
                 id
                 name
               }
+              quantity
             }
           }
         }
@@ -103,6 +106,12 @@ function ItemTradesPage({
           description
           createdAt
           wakaValueText
+          price
+          category
+          type
+          weightLbs
+          isSoldInNcMall
+          lastSpideredAt
         }
       }
     `,
@@ -254,6 +263,7 @@ function ItemTradesTable({
                     href={`/user/${trade.user.id}/lists#list-${trade.closetList.id}`}
                     username={trade.user.username}
                     listName={trade.closetList.name}
+                    quantity={trade.quantity}
                     lastTradeActivity={trade.user.lastTradeActivity}
                     matchingItems={trade.user.matchingItems}
                     shouldShowCompareColumn={shouldShowCompareColumn}
@@ -306,6 +316,7 @@ function ItemTradesTableRow({
   href,
   username,
   listName,
+  quantity,
   lastTradeActivity,
   matchingItems,
   shouldShowCompareColumn,
@@ -376,6 +387,11 @@ function ItemTradesTableRow({
             >
               {listName}
             </Box>
+            {quantity > 1 && (
+              <Badge marginLeft="2" colorScheme="teal" verticalAlign="middle">
+                ×{quantity}
+              </Badge>
+            )}
           </ItemTradesTableCell>
         </Box>
       )}
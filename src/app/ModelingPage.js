@@ -1,7 +1,15 @@
 import React from "react";
-import { Badge, Box, Tooltip } from "@chakra-ui/react";
+import {
+  Badge,
+  Box,
+  Link as ChakraLink,
+  ListItem,
+  OrderedList,
+  Tooltip,
+} from "@chakra-ui/react";
 import gql from "graphql-tag";
 import { useQuery } from "@apollo/client";
+import { Link } from "react-router-dom";
 
 import { Delay } from "./util";
 import HangerSpinner from "./components/HangerSpinner";
@@ -20,11 +28,53 @@ function ModelingPage() {
   return (
     <Box>
       <Heading1 marginBottom="2">Modeling Hub</Heading1>
+      <TopModelersSection />
       <ItemModelsSection />
     </Box>
   );
 }
 
+function TopModelersSection() {
+  const { loading, error, data } = useQuery(gql`
+    query ModelingPage_TopModelers {
+      topModelers(limit: 10) {
+        id
+        username
+        modelingPoints
+      }
+    }
+  `);
+
+  // Like the owned items below, this isn't essential info, so we stay quiet
+  // while it loads, and if it fails.
+  if (loading || error || data.topModelers.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box marginBottom="6">
+      <Heading2 marginBottom="2">Top modelers</Heading2>
+      <Box fontSize="sm" marginBottom="2">
+        Log in before you submit your pets, and you'll get points for every new
+        pose and item layer we learn from them. Thank you for helping out!
+      </Box>
+      <OrderedList>
+        {data.topModelers.map((user) => (
+          <ListItem key={user.id}>
+            <ChakraLink as={Link} to={`/user/${user.id}/lists`}>
+              {user.username}
+            </ChakraLink>{" "}
+            <Box as="span" fontSize="sm" opacity="0.8">
+              ({user.modelingPoints.toLocaleString()}{" "}
+              {user.modelingPoints === 1 ? "point" : "points"})
+            </Box>
+          </ListItem>
+        ))}
+      </OrderedList>
+    </Box>
+  );
+}
+
 function ItemModelsSection() {
   const { isLoggedIn } = useCurrentUser();
 
@@ -0,0 +1,410 @@
+import * as React from "react";
+import { gql, useMutation, useQuery } from "@apollo/client";
+import {
+  Box,
+  Button,
+  ButtonGroup,
+  Checkbox,
+  Flex,
+  Link as ChakraLink,
+  Select,
+  Stack,
+  Textarea,
+  useColorModeValue,
+  useToast,
+} from "@chakra-ui/react";
+import { Link } from "react-router-dom";
+
+import HangerSpinner from "./components/HangerSpinner";
+import { ErrorMessage, Heading1, usePageTitle } from "./util";
+import useSupport from "./WardrobePage/support/useSupport";
+
+const PAGE_SIZE = 30;
+
+const STATUS_NAMES = {
+  NEW: "New",
+  TRIAGED: "Triaged",
+  DONE: "Done",
+};
+
+function SupportFeedbackPage() {
+  usePageTitle("Support: Feedback inbox");
+  const { isSupportUser, supportPermissions, supportSecret } = useSupport();
+  const [status, setStatus] = React.useState("NEW");
+  const [offset, setOffset] = React.useState(0);
+
+  // The deprecated supportSecret grants every permission, so we let the
+  // server decide in that case.
+  const canManageFeedback =
+    supportSecret != null || supportPermissions.includes("MANAGE_FEEDBACK");
+  if (!isSupportUser || !canManageFeedback) {
+    return "Sorry, this page is only for Support users!";
+  }
+
+  return (
+    <>
+      <Heading1 marginBottom=".5em">Support: Feedback inbox</Heading1>
+      <ButtonGroup size="sm" isAttached variant="outline" marginBottom="4">
+        {[...Object.keys(STATUS_NAMES), null].map((s) => (
+          <Button
+            key={s || "ALL"}
+            isActive={status === s}
+            onClick={() => {
+              setStatus(s);
+              setOffset(0);
+            }}
+          >
+            {s ? STATUS_NAMES[s] : "All"}
+          </Button>
+        ))}
+      </ButtonGroup>
+      <FeedbackInbox
+        status={status}
+        offset={offset}
+        onChangeOffset={setOffset}
+      />
+    </>
+  );
+}
+
+function FeedbackInbox({ status, offset, onChangeOffset }) {
+  const { supportSecret } = useSupport();
+
+  const { loading, error, data } = useQuery(
+    gql`
+      query SupportFeedbackInbox(
+        $status: FeedbackStatus
+        $offset: Int
+        $limit: Int
+        $supportSecret: String
+      ) {
+        feedbackInbox(
+          status: $status
+          offset: $offset
+          limit: $limit
+          supportSecret: $supportSecret
+        ) {
+          id
+          content
+          email
+          pageUrl
+          status
+          createdAt
+          user {
+            id
+            username
+          }
+          outfit {
+            id
+            name
+          }
+          replies {
+            id
+            content
+            wasEmailed
+            createdAt
+            user {
+              id
+              username
+            }
+          }
+        }
+      }
+    `,
+    {
+      variables: { status, offset, limit: PAGE_SIZE, supportSecret },
+      context: { sendAuth: true },
+      fetchPolicy: "cache-and-network",
+    }
+  );
+
+  if (loading && !data) {
+    return (
+      <Flex justify="center">
+        <HangerSpinner />
+      </Flex>
+    );
+  }
+
+  if (error) {
+    return <ErrorMessage>{error.message}</ErrorMessage>;
+  }
+
+  const feedbacks = data.feedbackInbox;
+
+  return (
+    <>
+      {feedbacks.length === 0 ? (
+        <Box fontStyle="italic">Nothing here! Inbox zero, nice!! 🎉</Box>
+      ) : (
+        <Stack spacing="4">
+          {feedbacks.map((feedback) => (
+            <FeedbackCard key={feedback.id} feedback={feedback} />
+          ))}
+        </Stack>
+      )}
+      <Flex justify="space-between" marginTop="4">
+        <Button
+          size="sm"
+          isDisabled={offset === 0}
+          onClick={() => onChangeOffset(Math.max(offset - PAGE_SIZE, 0))}
+        >
+          ← Newer
+        </Button>
+        <Button
+          size="sm"
+          isDisabled={feedbacks.length < PAGE_SIZE}
+          onClick={() => onChangeOffset(offset + PAGE_SIZE)}
+        >
+          Older →
+        </Button>
+      </Flex>
+    </>
+  );
+}
+
+function FeedbackCard({ feedback }) {
+  const { supportSecret } = useSupport();
+  const toast = useToast();
+  const borderColor = useColorModeValue("gray.300", "whiteAlpha.300");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  const [setFeedbackStatus, { loading: statusLoading }] = useMutation(
+    gql`
+      mutation SupportFeedbackSetStatus(
+        $feedbackId: ID!
+        $status: FeedbackStatus!
+        $supportSecret: String
+      ) {
+        setFeedbackStatus(
+          feedbackId: $feedbackId
+          status: $status
+          supportSecret: $supportSecret
+        ) {
+          id
+          status
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      // The feedback might belong in a different list now!
+      refetchQueries: ["SupportFeedbackInbox"],
+      onError: (e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: `Couldn't update feedback ${feedback.id}`,
+          description: e.message,
+        });
+      },
+    }
+  );
+
+  return (
+    <Box
+      id={`feedback-${feedback.id}`}
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="md"
+      padding="3"
+    >
+      <Flex align="flex-start">
+        <Box flex="1 1 auto" fontSize="sm" color={mutedColor}>
+          <Box>
+            From:{" "}
+            {feedback.user ? (
+              <ChakraLink as={Link} to={`/user/${feedback.user.id}/lists`}>
+                {feedback.user.username}
+              </ChakraLink>
+            ) : (
+              "<logged out>"
+            )}
+            {feedback.email && <> ({feedback.email})</>}
+          </Box>
+          <Box>{new Date(feedback.createdAt).toLocaleString()}</Box>
+          {feedback.pageUrl && (
+            <Box>
+              Page:{" "}
+              <ChakraLink href={feedback.pageUrl} isExternal>
+                {feedback.pageUrl}
+              </ChakraLink>
+            </Box>
+          )}
+          {feedback.outfit && (
+            <Box>
+              Outfit:{" "}
+              <ChakraLink as={Link} to={`/outfits/${feedback.outfit.id}`}>
+                {feedback.outfit.name || `Outfit ${feedback.outfit.id}`}
+              </ChakraLink>
+            </Box>
+          )}
+        </Box>
+        <Box width="2" flex="0 0 auto" />
+        <Select
+          size="sm"
+          width="auto"
+          flex="0 0 auto"
+          value={feedback.status}
+          isDisabled={statusLoading}
+          onChange={(e) =>
+            setFeedbackStatus({
+              variables: {
+                feedbackId: feedback.id,
+                status: e.target.value,
+                supportSecret,
+              },
+            }).catch(() => {
+              /* handled in onError */
+            })
+          }
+        >
+          {Object.entries(STATUS_NAMES).map(([value, name]) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </Select>
+      </Flex>
+      <Box whiteSpace="pre-wrap" marginY="3">
+        {feedback.content}
+      </Box>
+      {feedback.replies.length > 0 && (
+        <Stack
+          spacing="2"
+          borderLeft="2px solid"
+          borderColor={borderColor}
+          paddingLeft="3"
+          marginBottom="3"
+        >
+          {feedback.replies.map((reply) => (
+            <Box key={reply.id}>
+              <Box whiteSpace="pre-wrap">{reply.content}</Box>
+              <Box fontSize="xs" color={mutedColor}>
+                {reply.user?.username || "Unknown (Support secret)"},{" "}
+                {new Date(reply.createdAt).toLocaleString()}
+                {reply.wasEmailed && <> · Emailed</>}
+              </Box>
+            </Box>
+          ))}
+        </Stack>
+      )}
+      <FeedbackReplyForm feedback={feedback} />
+    </Box>
+  );
+}
+
+function FeedbackReplyForm({ feedback }) {
+  const { supportSecret } = useSupport();
+  const [content, setContent] = React.useState("");
+  const [shouldSendEmail, setShouldSendEmail] = React.useState(true);
+  const toast = useToast();
+
+  const [replyToFeedback, { loading }] = useMutation(
+    gql`
+      mutation SupportFeedbackReply(
+        $feedbackId: ID!
+        $content: String!
+        $sendEmail: Boolean
+        $supportSecret: String
+      ) {
+        replyToFeedback(
+          feedbackId: $feedbackId
+          content: $content
+          sendEmail: $sendEmail
+          supportSecret: $supportSecret
+        ) {
+          id
+          status
+          replies {
+            id
+            content
+            wasEmailed
+            createdAt
+            user {
+              id
+              username
+            }
+          }
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      onCompleted: (data) => {
+        setContent("");
+
+        // The reply is saved even if the email fails, so check whether it
+        // actually went out.
+        const replies = data.replyToFeedback.replies;
+        const newReply = replies[replies.length - 1];
+        if (shouldSendEmail && feedback.email && !newReply?.wasEmailed) {
+          toast({
+            status: "warning",
+            title: "Reply saved, but we couldn't email it",
+            description: `You might want to reach out to ${feedback.email} another way.`,
+          });
+        } else {
+          toast({ status: "success", title: "Reply sent!" });
+        }
+      },
+      onError: (e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: "Couldn't send reply",
+          description: e.message,
+        });
+      },
+    }
+  );
+
+  return (
+    <Box
+      as="form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        replyToFeedback({
+          variables: {
+            feedbackId: feedback.id,
+            content,
+            sendEmail: shouldSendEmail,
+            supportSecret,
+          },
+        }).catch(() => {
+          /* handled in onError */
+        });
+      }}
+    >
+      <Textarea
+        size="sm"
+        placeholder="Reply…"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+      />
+      <Flex align="center" justify="flex-end" marginTop="2">
+        {feedback.email && (
+          <Checkbox
+            size="sm"
+            isChecked={shouldSendEmail}
+            onChange={(e) => setShouldSendEmail(e.target.checked)}
+            marginRight="3"
+          >
+            Email the reply to {feedback.email}
+          </Checkbox>
+        )}
+        <Button
+          type="submit"
+          size="sm"
+          colorScheme="blue"
+          isLoading={loading}
+          isDisabled={content.trim().length === 0}
+        >
+          Reply
+        </Button>
+      </Flex>
+    </Box>
+  );
+}
+
+export default SupportFeedbackPage;
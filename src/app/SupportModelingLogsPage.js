@@ -0,0 +1,349 @@
+import * as React from "react";
+import { gql, useQuery } from "@apollo/client";
+import {
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Input,
+  Link as ChakraLink,
+  Stack,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { Link, useHistory, useLocation } from "react-router-dom";
+
+import HangerSpinner from "./components/HangerSpinner";
+import { ErrorMessage, Heading1, usePageTitle } from "./util";
+import useSupport from "./WardrobePage/support/useSupport";
+
+const PAGE_SIZE = 20;
+
+// How to describe the rows modeling adds to each table, in the summary.
+const TABLE_NOUNS = {
+  pet_types: ["pet type", "pet types"],
+  pet_states: ["pet state", "pet states"],
+  items: ["item", "items"],
+  item_translations: ["item translation", "item translations"],
+  swf_assets: ["layer", "layers"],
+  parents_swf_assets: ["layer relationship", "layer relationships"],
+};
+
+/**
+ * SupportModelingLogsPage shows what each submitted pet contributed to our
+ * database, from newest to oldest. Filter to a single pet with ?petName=...
+ */
+function SupportModelingLogsPage() {
+  usePageTitle("Support: Modeling logs");
+  const { isSupportUser } = useSupport();
+  const { search } = useLocation();
+  const history = useHistory();
+  const petName = new URLSearchParams(search).get("petName") || "";
+  const [offset, setOffset] = React.useState(0);
+
+  const setPetName = React.useCallback(
+    (newPetName) => {
+      setOffset(0);
+      history.push(
+        newPetName
+          ? `/support/modelingLogs?petName=${encodeURIComponent(newPetName)}`
+          : `/support/modelingLogs`
+      );
+    },
+    [history]
+  );
+
+  if (!isSupportUser) {
+    return "Sorry, this page is only for Support users!";
+  }
+
+  return (
+    <>
+      <Heading1 marginBottom=".5em">Support: Modeling logs</Heading1>
+      <PetNameFilter
+        key={petName}
+        petName={petName}
+        onChange={setPetName}
+        marginBottom="4"
+      />
+      <ModelingLogsList
+        petName={petName}
+        offset={offset}
+        onChangeOffset={setOffset}
+        onSelectPetName={setPetName}
+      />
+    </>
+  );
+}
+
+function PetNameFilter({ petName, onChange, ...props }) {
+  const [value, setValue] = React.useState(petName);
+
+  return (
+    <Flex
+      as="form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onChange(value.trim());
+      }}
+      {...props}
+    >
+      <Input
+        size="sm"
+        placeholder="Pet name (leave blank for all pets)"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        maxWidth="300px"
+      />
+      <Box width="2" />
+      <Button type="submit" size="sm">
+        Filter
+      </Button>
+    </Flex>
+  );
+}
+
+function ModelingLogsList({
+  petName,
+  offset,
+  onChangeOffset,
+  onSelectPetName,
+}) {
+  const { supportSecret } = useSupport();
+
+  const { loading, error, data } = useQuery(
+    gql`
+      query SupportModelingLogs(
+        $petName: String
+        $offset: Int
+        $limit: Int
+        $supportSecret: String
+      ) {
+        modelingLogs(
+          petName: $petName
+          offset: $offset
+          limit: $limit
+          supportSecret: $supportSecret
+        ) {
+          id
+          petName
+          createdAt
+          changes {
+            tableName
+            kind
+            label
+            item {
+              id
+              name
+            }
+            fields {
+              name
+              oldValue
+              newValue
+            }
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        petName: petName || null,
+        offset,
+        limit: PAGE_SIZE,
+        supportSecret,
+      },
+      context: { sendAuth: true },
+    }
+  );
+
+  if (loading) {
+    return (
+      <Flex justify="center">
+        <HangerSpinner />
+      </Flex>
+    );
+  }
+
+  if (error) {
+    return <ErrorMessage>{error.message}</ErrorMessage>;
+  }
+
+  const modelingLogs = data.modelingLogs;
+
+  return (
+    <>
+      {modelingLogs.length === 0 ? (
+        <Box fontStyle="italic">No modeling logs found.</Box>
+      ) : (
+        <Stack spacing="4">
+          {modelingLogs.map((modelingLog) => (
+            <ModelingLogCard
+              key={modelingLog.id}
+              modelingLog={modelingLog}
+              onSelectPetName={onSelectPetName}
+            />
+          ))}
+        </Stack>
+      )}
+      <Flex justify="space-between" marginTop="4">
+        <Button
+          size="sm"
+          isDisabled={offset === 0}
+          onClick={() => onChangeOffset(Math.max(offset - PAGE_SIZE, 0))}
+        >
+          ← Newer
+        </Button>
+        <Button
+          size="sm"
+          isDisabled={modelingLogs.length < PAGE_SIZE}
+          onClick={() => onChangeOffset(offset + PAGE_SIZE)}
+        >
+          Older →
+        </Button>
+      </Flex>
+    </>
+  );
+}
+
+function ModelingLogCard({ modelingLog, onSelectPetName }) {
+  const borderColor = useColorModeValue("gray.300", "whiteAlpha.300");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  return (
+    <Box
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="md"
+      padding="3"
+    >
+      <Flex align="baseline" wrap="wrap">
+        <Button
+          variant="link"
+          fontWeight="bold"
+          onClick={() => onSelectPetName(modelingLog.petName)}
+        >
+          {modelingLog.petName}
+        </Button>
+        <Box width="2" />
+        <Box fontSize="sm" color={mutedColor}>
+          {new Date(modelingLog.createdAt).toLocaleString()}
+        </Box>
+      </Flex>
+      <Box fontSize="sm" marginY="2">
+        {summarizeChanges(modelingLog.changes)}
+      </Box>
+      <Stack spacing="2">
+        {modelingLog.changes.map((change, i) => (
+          <ModelingLogChange key={i} change={change} />
+        ))}
+      </Stack>
+    </Box>
+  );
+}
+
+function ModelingLogChange({ change }) {
+  const isInsert = change.kind === "INSERT";
+  // New rows have lots of fields, so we collapse them by default. Changed
+  // rows only show the fields that changed, so we show those right away!
+  const [isExpanded, setIsExpanded] = React.useState(!isInsert);
+  const insertColor = useColorModeValue("green.600", "green.300");
+  const updateColor = useColorModeValue("orange.600", "orange.300");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  return (
+    <Box fontSize="sm">
+      <Flex align="center" wrap="wrap">
+        <Badge colorScheme={isInsert ? "green" : "orange"} marginRight="2">
+          {isInsert ? "New" : "Changed"}
+        </Badge>
+        <Box color={isInsert ? insertColor : updateColor}>{change.label}</Box>
+        {change.item && (
+          <ChakraLink
+            as={Link}
+            to={`/items/${change.item.id}`}
+            marginLeft="2"
+            color={mutedColor}
+          >
+            {change.item.name || `Item ${change.item.id}`}
+          </ChakraLink>
+        )}
+        {isInsert && (
+          <Button
+            variant="link"
+            size="xs"
+            marginLeft="2"
+            onClick={() => setIsExpanded((e) => !e)}
+          >
+            {isExpanded ? "Hide fields" : "Show fields"}
+          </Button>
+        )}
+      </Flex>
+      {isExpanded && (
+        <Box
+          as="dl"
+          display="grid"
+          gridTemplateColumns="auto 1fr"
+          gridColumnGap="2"
+          paddingLeft="4"
+          fontFamily="mono"
+          fontSize="xs"
+        >
+          {change.fields.map((field) => (
+            <React.Fragment key={field.name}>
+              <Box as="dt" color={mutedColor}>
+                {field.name}
+              </Box>
+              <Box as="dd" wordBreak="break-all">
+                {isInsert ? (
+                  formatFieldValue(field.newValue)
+                ) : (
+                  <>
+                    <Box as="del" color={mutedColor}>
+                      {field.oldValue != null
+                        ? formatFieldValue(field.oldValue)
+                        : "(not logged)"}
+                    </Box>{" "}
+                    → <Box as="ins">{formatFieldValue(field.newValue)}</Box>
+                  </>
+                )}
+              </Box>
+            </React.Fragment>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * summarizeChanges describes a modeling log's changes in a sentence, like
+ * "2 new items, 5 new layers, 1 changed item".
+ */
+function summarizeChanges(changes) {
+  const counts = new Map();
+  for (const { tableName, kind } of changes) {
+    const key = `${kind}:${tableName}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([key, count]) => {
+      const [kind, tableName] = key.split(":");
+      const [singular, plural] = TABLE_NOUNS[tableName] || [
+        `${tableName} row`,
+        `${tableName} rows`,
+      ];
+      const adjective = kind === "INSERT" ? "new" : "changed";
+      return `${count} ${adjective} ${count === 1 ? singular : plural}`;
+    })
+    .join(", ");
+}
+
+// Some fields, like layer manifests, are very long! Truncate them for display.
+function formatFieldValue(value) {
+  if (value == null) {
+    return "null";
+  }
+  return value.length > 200 ? value.slice(0, 200) + "…" : value;
+}
+
+export default SupportModelingLogsPage;
@@ -0,0 +1,232 @@
+import * as React from "react";
+import { gql, useMutation, useQuery } from "@apollo/client";
+import {
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Link as ChakraLink,
+  Stack,
+  useColorModeValue,
+  useToast,
+} from "@chakra-ui/react";
+import { Link } from "react-router-dom";
+
+import HangerSpinner from "./components/HangerSpinner";
+import useRequireLogin from "./components/useRequireLogin";
+import { Heading1, MajorErrorMessage, usePageTitle } from "./util";
+
+const PAGE_SIZE = 30;
+
+/**
+ * TradeNotificationsPage shows the current user's new trade matches, newest
+ * first: people who started offering items they want, or seeking items they
+ * own.
+ */
+function TradeNotificationsPage() {
+  usePageTitle("Trade notifications");
+  const { isLoading: userLoading } = useRequireLogin();
+  const [offset, setOffset] = React.useState(0);
+
+  const { loading: queryLoading, error, data } = useQuery(
+    gql`
+      query TradeNotificationsPage($offset: Int!, $limit: Int!) {
+        currentUser {
+          id
+          numUnreadTradeNotifications
+          tradeNotifications(offset: $offset, limit: $limit) {
+            id
+            kind
+            createdAt
+            isRead
+            otherUser {
+              id
+              username
+            }
+            item {
+              id
+              name
+            }
+          }
+        }
+      }
+    `,
+    {
+      variables: { offset, limit: PAGE_SIZE },
+      context: { sendAuth: true },
+      skip: userLoading,
+      fetchPolicy: "cache-and-network",
+    }
+  );
+
+  if (error) {
+    return <MajorErrorMessage error={error} variant="network" />;
+  }
+
+  const isLoading = userLoading || (queryLoading && !data);
+  const notifications = data?.currentUser?.tradeNotifications || [];
+  const numUnread = data?.currentUser?.numUnreadTradeNotifications || 0;
+
+  return (
+    <>
+      <Flex align="center" wrap="wrap" marginBottom="4">
+        <Heading1>Trade notifications</Heading1>
+        <Box flex="1 0 auto" />
+        <MarkAllAsReadButton isDisabled={numUnread === 0} />
+      </Flex>
+      {isLoading ? (
+        <Flex justify="center">
+          <HangerSpinner />
+        </Flex>
+      ) : notifications.length === 0 ? (
+        <Box fontStyle="italic">
+          No trade notifications yet! When someone starts offering an item you
+          want, or seeking an item you own, we'll let you know here.
+        </Box>
+      ) : (
+        <Stack spacing="2">
+          {notifications.map((notification) => (
+            <TradeNotificationCard
+              key={notification.id}
+              notification={notification}
+            />
+          ))}
+        </Stack>
+      )}
+      <Flex justify="space-between" marginTop="4">
+        <Button
+          size="sm"
+          isDisabled={offset === 0}
+          onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+        >
+          ← Newer
+        </Button>
+        <Button
+          size="sm"
+          isDisabled={notifications.length < PAGE_SIZE}
+          onClick={() => setOffset(offset + PAGE_SIZE)}
+        >
+          Older →
+        </Button>
+      </Flex>
+    </>
+  );
+}
+
+function TradeNotificationCard({ notification }) {
+  const borderColor = useColorModeValue("gray.300", "whiteAlpha.300");
+  const unreadBackground = useColorModeValue("blue.50", "whiteAlpha.100");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+  const [markAsRead] = useMarkTradeNotificationsAsReadMutation();
+
+  const { kind, otherUser, item, isRead } = notification;
+  const isOffering = kind === "OFFERING";
+
+  return (
+    <Flex
+      align="center"
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="md"
+      padding="3"
+      background={isRead ? "transparent" : unreadBackground}
+    >
+      <Box flex="1 1 auto">
+        <Box>
+          <ChakraLink
+            as={Link}
+            to={`/user/${otherUser.id}/lists`}
+            fontWeight="bold"
+          >
+            {otherUser.username}
+          </ChakraLink>{" "}
+          is now {isOffering ? "offering" : "seeking"}{" "}
+          <ChakraLink
+            as={Link}
+            to={`/items/${item.id}/trades/${
+              isOffering ? "offering" : "seeking"
+            }`}
+            fontWeight="bold"
+          >
+            {item.name}
+          </ChakraLink>
+          , which you {isOffering ? "want" : "own"}!
+        </Box>
+        <Box fontSize="sm" color={mutedColor}>
+          {new Date(notification.createdAt).toLocaleString()}
+        </Box>
+      </Box>
+      <Box width="2" flex="0 0 auto" />
+      {isRead ? (
+        <Badge flex="0 0 auto">Read</Badge>
+      ) : (
+        <Button
+          size="xs"
+          flex="0 0 auto"
+          onClick={() =>
+            markAsRead({
+              variables: { notificationIds: [notification.id] },
+            }).catch(() => {
+              /* handled in onError */
+            })
+          }
+        >
+          Mark as read
+        </Button>
+      )}
+    </Flex>
+  );
+}
+
+function MarkAllAsReadButton({ isDisabled }) {
+  const [markAsRead, { loading }] = useMarkTradeNotificationsAsReadMutation();
+
+  return (
+    <Button
+      size="sm"
+      isDisabled={isDisabled}
+      isLoading={loading}
+      onClick={() =>
+        markAsRead({ variables: { notificationIds: null } }).catch(() => {
+          /* handled in onError */
+        })
+      }
+    >
+      Mark all as read
+    </Button>
+  );
+}
+
+/**
+ * useMarkTradeNotificationsAsReadMutation marks the given trade notifications
+ * as read (or all of them, if notificationIds is null), then refreshes the
+ * list and the unread count in the header.
+ */
+function useMarkTradeNotificationsAsReadMutation() {
+  const toast = useToast();
+
+  return useMutation(
+    gql`
+      mutation TradeNotificationsPage_MarkAsRead($notificationIds: [ID!]) {
+        markTradeNotificationsAsRead(notificationIds: $notificationIds) {
+          id
+          numUnreadTradeNotifications
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      refetchQueries: ["TradeNotificationsPage"],
+      onError: (e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: "Couldn't mark notifications as read",
+          description: e.message,
+        });
+      },
+    }
+  );
+}
+
+export default TradeNotificationsPage;
@@ -9,8 +9,20 @@ import {
   Center,
   Flex,
   HStack,
+  IconButton,
   Input,
+  Menu,
+  MenuButton,
+  MenuDivider,
+  MenuGroup,
+  MenuItem,
+  MenuItemOption,
+  MenuList,
+  MenuOptionGroup,
+  Portal,
+  Spinner,
   Textarea,
+  useColorModeValue,
   useToast,
   Wrap,
   WrapItem,
@@ -19,17 +31,22 @@ import {
   ArrowForwardIcon,
   CheckIcon,
   ChevronRightIcon,
+  DeleteIcon,
   EditIcon,
   EmailIcon,
+  LockIcon,
+  RepeatIcon,
+  ViewIcon,
 } from "@chakra-ui/icons";
 import { gql, useMutation, useQuery } from "@apollo/client";
-import { Link, useParams } from "react-router-dom";
+import { Link, useHistory, useParams } from "react-router-dom";
 import { HashLink } from "react-router-hash-link";
 import {
   List as VirtualizedList,
   AutoSizer,
   WindowScroller,
 } from "react-virtualized";
+import { MdMoreVert } from "react-icons/md";
 
 import { Heading1, Heading3, MajorErrorMessage, usePageTitle } from "./util";
 import HangerSpinner from "./components/HangerSpinner";
@@ -51,6 +68,8 @@ function UserItemListPage() {
           name
           description
           ownsOrWantsItems
+          isDefaultList
+          visibility
           creator {
             id
             username
@@ -65,6 +84,13 @@ function UserItemListPage() {
             currentUserOwnsThis
             currentUserWantsThis
           }
+          hangers {
+            id
+            quantity
+            item {
+              id
+            }
+          }
         }
       }
     `,
@@ -143,6 +169,7 @@ export function ClosetList({
 }) {
   const { isSupportUser, supportSecret } = useSupport();
   const toast = useToast();
+  const history = useHistory();
 
   // When this mounts, scroll it into view if it matches the location hash.
   // This works around the fact that, while the browser tries to do this
@@ -221,6 +248,66 @@ export function ClosetList({
       });
   };
 
+  const [sendDeleteMutation, { loading: loadingDelete }] = useMutation(
+    gql`
+      mutation ClosetList_Delete(
+        $closetListId: ID!
+        $moveItemsToDefaultList: Boolean!
+      ) {
+        deleteClosetList(
+          closetListId: $closetListId
+          moveItemsToDefaultList: $moveItemsToDefaultList
+        )
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      update: (cache) => {
+        cache.evict({ id: cache.identify(closetList) });
+        // The user's other lists might have changed too, if we moved the
+        // items to the default list. Clear them, to refetch them next time.
+        cache.evict({
+          id: cache.identify(closetList.creator),
+          fieldName: "closetLists",
+        });
+        cache.gc();
+      },
+    }
+  );
+  const onDelete = ({ moveItemsToDefaultList }) => {
+    if (
+      !window.confirm(
+        `Delete "${closetList.name}"? ` +
+          (moveItemsToDefaultList
+            ? `Its items will move to "Not in a list".`
+            : `Its items will be removed from your lists, too!`)
+      )
+    ) {
+      return;
+    }
+
+    sendDeleteMutation({
+      variables: { closetListId: closetList.id, moveItemsToDefaultList },
+    })
+      .then(() => {
+        toast({
+          status: "success",
+          title: `Deleted "${closetList.name}"!`,
+        });
+        if (headingVariant === "top-level") {
+          history.push(`/user/${closetList.creator.id}/lists`);
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        toast({
+          status: "error",
+          title: "Sorry, we couldn't delete this list 😖",
+          description: "Check your connection and try again.",
+        });
+      });
+  };
+
   const Heading = headingVariant === "top-level" ? Heading1 : Heading3;
 
   return (
@@ -262,6 +349,11 @@ export function ClosetList({
               )}
             </Heading>
           ))}
+        {isCurrentUser && (
+          <Box marginLeft="2">
+            <ClosetListVisibilityMenu closetList={closetList} />
+          </Box>
+        )}
         <Box flex="1 0 auto" width="4" />
         {(isCurrentUser || isSupportUser) &&
           !closetList.isDefaultList &&
@@ -276,6 +368,38 @@ export function ClosetList({
               </WIPCallout>
               <Box width="4" />
               <HStack spacing="2" marginLeft="auto" marginY="1">
+                {isCurrentUser && (
+                  <Menu placement="bottom-end">
+                    <MenuButton
+                      as={Button}
+                      size="sm"
+                      colorScheme="red"
+                      variant="outline"
+                      leftIcon={<DeleteIcon />}
+                      isLoading={loadingDelete}
+                    >
+                      Delete
+                    </MenuButton>
+                    <Portal>
+                      <MenuList>
+                        <MenuItem
+                          onClick={() =>
+                            onDelete({ moveItemsToDefaultList: true })
+                          }
+                        >
+                          Delete list, and move items to "Not in a list"
+                        </MenuItem>
+                        <MenuItem
+                          onClick={() =>
+                            onDelete({ moveItemsToDefaultList: false })
+                          }
+                        >
+                          Delete list, and remove its items
+                        </MenuItem>
+                      </MenuList>
+                    </Portal>
+                  </Menu>
+                )}
                 <Button size="sm" onClick={() => setIsEditing(false)}>
                   Cancel
                 </Button>
@@ -364,6 +488,116 @@ export function ClosetList({
   );
 }
 
+export const BadgeButton = React.forwardRef((props, ref) => (
+  <Badge as="button" ref={ref} {...props} />
+));
+
+const VISIBILITY_OPTIONS = {
+  PRIVATE: {
+    label: "Private",
+    description: "Only you can see this list.",
+    icon: LockIcon,
+  },
+  PUBLIC: {
+    label: "Public",
+    description: "Anyone can see this list, but it won't appear in trades.",
+    icon: ViewIcon,
+  },
+  TRADING: {
+    label: "Trading",
+    description: "Anyone can see this list, and it'll appear in trades!",
+    icon: RepeatIcon,
+  },
+};
+
+function ClosetListVisibilityMenu({ closetList }) {
+  const toast = useToast();
+
+  const [sendSetVisibilityMutation] = useMutation(
+    gql`
+      mutation ClosetListVisibilityMenu(
+        $closetListId: ID!
+        $visibility: ClosetListVisibility!
+      ) {
+        setClosetListVisibility(
+          closetListId: $closetListId
+          visibility: $visibility
+        ) {
+          id
+          visibility
+        }
+      }
+    `,
+    { context: { sendAuth: true } }
+  );
+
+  const onChange = (visibility) => {
+    if (visibility === closetList.visibility) {
+      return;
+    }
+
+    sendSetVisibilityMutation({
+      variables: { closetListId: closetList.id, visibility },
+      optimisticResponse: {
+        setClosetListVisibility: {
+          __typename: "ClosetList",
+          id: closetList.id,
+          visibility,
+        },
+      },
+    }).catch((error) => {
+      console.error(error);
+      toast({
+        status: "error",
+        title: "Sorry, we couldn't change who can see this list 😖",
+        description: "Check your connection and try again.",
+      });
+    });
+  };
+
+  const currentOption = VISIBILITY_OPTIONS[closetList.visibility];
+  if (!currentOption) {
+    return null;
+  }
+
+  const CurrentIcon = currentOption.icon;
+
+  return (
+    <Menu placement="bottom-start">
+      <MenuButton
+        as={BadgeButton}
+        display="flex"
+        alignItems="center"
+        title={currentOption.description}
+      >
+        <CurrentIcon marginRight="1" />
+        {currentOption.label}
+      </MenuButton>
+      <Portal>
+        <MenuList>
+          <MenuOptionGroup
+            type="radio"
+            title="Who can see this list?"
+            value={closetList.visibility}
+            onChange={onChange}
+          >
+            {Object.entries(VISIBILITY_OPTIONS).map(
+              ([visibility, { label, description }]) => (
+                <MenuItemOption key={visibility} value={visibility}>
+                  <Box>{label}</Box>
+                  <Box fontSize="xs" opacity="0.8">
+                    {description}
+                  </Box>
+                </MenuItemOption>
+              )
+            )}
+          </MenuOptionGroup>
+        </MenuList>
+      </Portal>
+    </Menu>
+  );
+}
+
 export function ClosetListContents({
   closetList,
   isCurrentUser,
@@ -454,10 +688,16 @@ function ClosetItemList({
   canEdit,
   tradeMatchingMode,
 }) {
+  // Look up each item's hanger, so we can show and edit its quantity.
+  const hangersByItemId = new Map(
+    (closetList.hangers || []).map((h) => [h.item.id, h])
+  );
+
   const renderItem = (item) => (
     <ClosetListItemCard
       key={item.id}
       item={item}
+      hanger={hangersByItemId.get(item.id)}
       closetList={closetList}
       canEdit={canEdit}
       tradeMatchingMode={tradeMatchingMode}
@@ -529,7 +769,13 @@ function ClosetItemList({
   );
 }
 
-function ClosetListItemCard({ item, closetList, canEdit, tradeMatchingMode }) {
+function ClosetListItemCard({
+  item,
+  hanger,
+  closetList,
+  canEdit,
+  tradeMatchingMode,
+}) {
   const toast = useToast();
 
   const [sendRemoveMutation] = useMutation(
@@ -540,6 +786,13 @@ function ClosetListItemCard({ item, closetList, canEdit, tradeMatchingMode }) {
           items {
             id
           }
+          hangers {
+            id
+            quantity
+            item {
+              id
+            }
+          }
         }
       }
     `,
@@ -556,6 +809,9 @@ function ClosetListItemCard({ item, closetList, canEdit, tradeMatchingMode }) {
           items: closetList.items
             .filter(({ id }) => id !== item.id)
             .map(({ id }) => ({ id, __typename: "Item" })),
+          hangers: (closetList.hangers || []).filter(
+            (h) => h.item.id !== item.id
+          ),
         },
       },
     }).catch((error) => {
@@ -576,10 +832,248 @@ function ClosetListItemCard({ item, closetList, canEdit, tradeMatchingMode }) {
       tradeMatchingMode={tradeMatchingMode}
       showRemoveButton={canEdit}
       onRemove={onRemove}
+      quantity={hanger?.quantity}
+      extraButton={
+        canEdit ? (
+          <ClosetListItemMenu
+            item={item}
+            hanger={hanger}
+            closetList={closetList}
+          />
+        ) : null
+      }
     />
   );
 }
 
+function ClosetListItemMenu({ item, hanger, closetList }) {
+  const backgroundColor = useColorModeValue("gray.200", "gray.500");
+  const toast = useToast();
+
+  const [sendSetQuantityMutation] = useMutation(
+    gql`
+      mutation ClosetListItemMenu_SetQuantity(
+        $closetHangerId: ID!
+        $quantity: Int!
+      ) {
+        setClosetHangerQuantity(
+          closetHangerId: $closetHangerId
+          quantity: $quantity
+        ) {
+          id
+          quantity
+        }
+      }
+    `,
+    { context: { sendAuth: true } }
+  );
+
+  const onSetQuantity = () => {
+    const quantityString = prompt(
+      `How many "${item.name}" do you have in this list?`,
+      String(hanger.quantity)
+    );
+    if (quantityString == null) {
+      return;
+    }
+
+    const quantity = parseInt(quantityString);
+    if (!(quantity >= 1)) {
+      toast({
+        status: "warning",
+        title: "Quantity must be a number, 1 or more!",
+        description: `To take "${item.name}" out of this list, remove it instead.`,
+      });
+      return;
+    }
+
+    sendSetQuantityMutation({
+      variables: { closetHangerId: hanger.id, quantity },
+      optimisticResponse: {
+        setClosetHangerQuantity: {
+          __typename: "ClosetHanger",
+          id: hanger.id,
+          quantity,
+        },
+      },
+    }).catch((error) => {
+      console.error(error);
+      toast({
+        status: "error",
+        title: `Oops, we couldn't update the quantity of "${item.name}"!`,
+        description: "Check your connection and try again. Sorry!",
+      });
+    });
+  };
+
+  return (
+    <Menu isLazy placement="bottom-start">
+      <MenuButton
+        as={IconButton}
+        aria-label="Item actions"
+        title="Item actions"
+        icon={<MdMoreVert />}
+        size="xs"
+        borderRadius="full"
+        boxShadow="lg"
+        backgroundColor={backgroundColor}
+        _hover={{
+          // Override night mode's fade-out on hover
+          opacity: 1,
+          transform: "scale(1.15, 1.15)",
+        }}
+        _focus={{
+          transform: "scale(1.15, 1.15)",
+          boxShadow: "outline",
+        }}
+      />
+      <Portal>
+        <MenuList>
+          {hanger && (
+            <MenuItem onClick={onSetQuantity}>
+              Set quantity ({hanger.quantity})…
+            </MenuItem>
+          )}
+          {hanger && <MenuDivider />}
+          <MoveToListMenuContents item={item} closetList={closetList} />
+        </MenuList>
+      </Portal>
+    </Menu>
+  );
+}
+
+/**
+ * MoveToListMenuContents loads the user's other lists, and offers to move the
+ * item to them. We split this out, so that we only load the lists once the
+ * menu actually opens!
+ */
+function MoveToListMenuContents({ item, closetList }) {
+  const toast = useToast();
+
+  const { loading, error, data } = useQuery(
+    gql`
+      query MoveToListMenuContents($userId: ID!) {
+        user(id: $userId) {
+          id
+          closetLists {
+            id
+            name
+            ownsOrWantsItems
+            isDefaultList
+          }
+        }
+      }
+    `,
+    {
+      variables: { userId: closetList.creator.id },
+      context: { sendAuth: true },
+    }
+  );
+
+  const [sendMoveMutation] = useMutation(
+    gql`
+      mutation MoveToListMenuContents_Move(
+        $fromListId: ID!
+        $toListId: ID!
+        $itemIds: [ID!]!
+      ) {
+        moveItemsBetweenClosetLists(
+          fromListId: $fromListId
+          toListId: $toListId
+          itemIds: $itemIds
+        ) {
+          id
+          items {
+            id
+            isNc
+            isPb
+            name
+            thumbnailUrl
+            currentUserOwnsThis
+            currentUserWantsThis
+          }
+          hangers {
+            id
+            quantity
+            item {
+              id
+            }
+          }
+        }
+      }
+    `,
+    { context: { sendAuth: true } }
+  );
+
+  const onMove = (toList) => {
+    sendMoveMutation({
+      variables: {
+        fromListId: closetList.id,
+        toListId: toList.id,
+        itemIds: [item.id],
+      },
+    })
+      .then(() => {
+        toast({
+          status: "success",
+          title: `Moved "${item.name}" to "${toList.name}"!`,
+        });
+      })
+      .catch((error) => {
+        console.error(error);
+        toast({
+          status: "error",
+          title: `Oops, we couldn't move "${item.name}"!`,
+          description: "Check your connection and try again. Sorry!",
+        });
+      });
+  };
+
+  if (loading) {
+    return (
+      <Center paddingY="2">
+        <Spinner size="sm" />
+      </Center>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box paddingX="3" paddingY="2" color="red.400" fontSize="sm">
+        Error loading lists: {error.message}
+      </Box>
+    );
+  }
+
+  const otherLists = (data?.user?.closetLists || []).filter(
+    (l) =>
+      l.id !== closetList.id &&
+      l.ownsOrWantsItems === closetList.ownsOrWantsItems
+  );
+
+  if (otherLists.length === 0) {
+    return (
+      <Box paddingX="3" paddingY="2" fontStyle="italic" fontSize="sm">
+        You don't have any other lists yet!
+      </Box>
+    );
+  }
+
+  return (
+    <MenuGroup title="Move to…">
+      {otherLists.map((list) => (
+        <MenuItem
+          key={list.id}
+          onClick={() => onMove(list)}
+          fontStyle={list.isDefaultList ? "italic" : "normal"}
+        >
+          {list.name}
+        </MenuItem>
+      ))}
+    </MenuGroup>
+  );
+}
+
 export function buildClosetListPath(closetList) {
   let ownsOrWants;
   if (closetList.ownsOrWantsItems === "OWNS") {
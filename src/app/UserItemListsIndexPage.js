@@ -3,6 +3,7 @@ import { ClassNames } from "@emotion/react";
 import {
   Badge,
   Box,
+  Button,
   Center,
   Flex,
   IconButton,
@@ -21,6 +22,7 @@ import {
   useToast,
 } from "@chakra-ui/react";
 import {
+  AddIcon,
   ArrowForwardIcon,
   CheckIcon,
   EditIcon,
@@ -37,11 +39,7 @@ import { Heading1, Heading2, usePageTitle } from "./util";
 import SupportOnly from "./WardrobePage/support/SupportOnly";
 import useSupport from "./WardrobePage/support/useSupport";
 import useCurrentUser from "./components/useCurrentUser";
-import { ClosetList, NeopetsStarIcon } from "./UserItemListPage";
-
-const BadgeButton = React.forwardRef((props, ref) => (
-  <Badge as="button" ref={ref} {...props} />
-));
+import { BadgeButton, ClosetList, NeopetsStarIcon } from "./UserItemListPage";
 
 function UserItemListsIndexPage() {
   const { userId } = useParams();
@@ -62,6 +60,7 @@ function UserItemListsIndexPage() {
             description
             ownsOrWantsItems
             isDefaultList
+            visibility
             items {
               id
               isNc
@@ -71,6 +70,13 @@ function UserItemListsIndexPage() {
               currentUserOwnsThis
               currentUserWantsThis
             }
+            hangers {
+              id
+              quantity
+              item {
+                id
+              }
+            }
             creator {
               id
             }
@@ -243,11 +249,15 @@ function UserItemListsIndexPage() {
           </Flex>
 
           <Box marginTop="4">
-            <Heading2 id="owned-items" marginBottom="2">
-              {isCurrentUser
-                ? "Items you own"
-                : `Items ${data.user.username} owns`}
-            </Heading2>
+            <Flex align="center" marginBottom="2">
+              <Heading2 id="owned-items">
+                {isCurrentUser
+                  ? "Items you own"
+                  : `Items ${data.user.username} owns`}
+              </Heading2>
+              <Box flex="1 0 auto" width="4" />
+              {isCurrentUser && <NewClosetListButton ownsOrWantsItems="OWNS" />}
+            </Flex>
             <VStack
               spacing="8"
               alignItems="stretch"
@@ -282,11 +292,15 @@ function UserItemListsIndexPage() {
             marginBottom="6"
           />
 
-          <Heading2 id="wanted-items" marginBottom="2">
-            {isCurrentUser
-              ? "Items you want"
-              : `Items ${data.user.username} wants`}
-          </Heading2>
+          <Flex align="center" marginBottom="2">
+            <Heading2 id="wanted-items">
+              {isCurrentUser
+                ? "Items you want"
+                : `Items ${data.user.username} wants`}
+            </Heading2>
+            <Box flex="1 0 auto" width="4" />
+            {isCurrentUser && <NewClosetListButton ownsOrWantsItems="WANTS" />}
+          </Flex>
           <VStack spacing="4" alignItems="stretch">
             {listsOfWantedItems.map((closetList) => (
               <ClosetList
@@ -313,6 +327,62 @@ function UserItemListsIndexPage() {
   );
 }
 
+function NewClosetListButton({ ownsOrWantsItems }) {
+  const toast = useToast();
+
+  const [sendCreateMutation, { loading }] = useMutation(
+    gql`
+      mutation NewClosetListButton(
+        $name: String!
+        $ownsOrWantsItems: OwnsOrWants!
+      ) {
+        createClosetList(name: $name, ownsOrWantsItems: $ownsOrWantsItems) {
+          id
+          name
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      refetchQueries: ["UserItemListsIndexPage"],
+    }
+  );
+
+  const createList = React.useCallback(() => {
+    const name = prompt("What should this list be called?");
+    if (!name) {
+      return;
+    }
+
+    sendCreateMutation({ variables: { name, ownsOrWantsItems } })
+      .then(() => {
+        toast({
+          status: "success",
+          title: `Created "${name}"!`,
+        });
+      })
+      .catch((e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: "Sorry, we couldn't create this list 😖",
+          description: "Check your connection and try again.",
+        });
+      });
+  }, [sendCreateMutation, ownsOrWantsItems, toast]);
+
+  return (
+    <Button
+      size="sm"
+      leftIcon={<AddIcon />}
+      onClick={createList}
+      isLoading={loading}
+    >
+      New list
+    </Button>
+  );
+}
+
 function UserSearchForm() {
   const [query, setQuery] = React.useState("");
 
@@ -356,7 +426,7 @@ function UserSearchForm() {
 
   const [loadUserByEmail, { loading: loading2 }] = useLazyQuery(
     gql`
-      query UserSearchFormByEmail($email: String!, $supportSecret: String!) {
+      query UserSearchFormByEmail($email: String!, $supportSecret: String) {
         userByEmail(email: $email, supportSecret: $supportSecret) {
           id
           # Consider preloading UserItemListsIndexPage fields here, too?
@@ -364,6 +434,7 @@ function UserSearchForm() {
       }
     `,
     {
+      context: { sendAuth: true },
       onCompleted: (data) => {
         const user = data.userByEmail;
         if (!user) {
@@ -447,7 +518,7 @@ function UserSupportMenu({ children, user }) {
 
   const { loading, error, data } = useQuery(
     gql`
-      query UserSupportMenu($userId: ID!, $supportSecret: String!) {
+      query UserSupportMenu($userId: ID!, $supportSecret: String) {
         user(id: $userId) {
           id
           emailForSupportUsers(supportSecret: $supportSecret)
@@ -455,6 +526,7 @@ function UserSupportMenu({ children, user }) {
       }
     `,
     {
+      context: { sendAuth: true },
       variables: {
         userId: user.id,
         supportSecret,
@@ -468,7 +540,7 @@ function UserSupportMenu({ children, user }) {
       mutation UserSupportMenuRename(
         $userId: ID!
         $newUsername: String!
-        $supportSecret: String!
+        $supportSecret: String
       ) {
         setUsername(
           userId: $userId
@@ -481,6 +553,7 @@ function UserSupportMenu({ children, user }) {
       }
     `,
     {
+      context: { sendAuth: true },
       onCompleted: (data) => {
         const updatedUser = data.setUsername;
         toast({
@@ -1,9 +1,27 @@
 import React from "react";
-import { Box, Center, Flex, Wrap, WrapItem } from "@chakra-ui/react";
+import {
+  Box,
+  Button,
+  Center,
+  Checkbox,
+  Flex,
+  HStack,
+  IconButton,
+  Menu,
+  MenuButton,
+  MenuItem,
+  MenuList,
+  Portal,
+  useToast,
+  Wrap,
+  WrapItem,
+} from "@chakra-ui/react";
+import { CopyIcon, DeleteIcon } from "@chakra-ui/icons";
 import { ClassNames } from "@emotion/react";
 import gql from "graphql-tag";
-import { useQuery } from "@apollo/client";
+import { useMutation, useQuery } from "@apollo/client";
 import { Link, useLocation } from "react-router-dom";
+import { MdMoreVert } from "react-icons/md";
 
 import { Heading1, MajorErrorMessage, useCommonStyles } from "./util";
 import HangerSpinner from "./components/HangerSpinner";
@@ -92,6 +110,27 @@ function UserOutfitsPageContent() {
 
   const isLoading = userLoading || queryLoading;
 
+  // When the user is selecting outfits for bulk actions, we track which ones
+  // they've checked. We clear the selection when the page changes, because
+  // selecting outfits you can't see anymore would be confusing!
+  const [isSelecting, setIsSelecting] = React.useState(false);
+  const [selectedOutfitIds, setSelectedOutfitIds] = React.useState(new Set());
+  React.useEffect(() => {
+    setSelectedOutfitIds(new Set());
+  }, [offset]);
+
+  const toggleOutfitSelected = React.useCallback((outfitId) => {
+    setSelectedOutfitIds((prevIds) => {
+      const newIds = new Set(prevIds);
+      if (newIds.has(outfitId)) {
+        newIds.delete(outfitId);
+      } else {
+        newIds.add(outfitId);
+      }
+      return newIds;
+    });
+  }, []);
+
   if (error) {
     return <MajorErrorMessage error={error} variant="network" />;
   }
@@ -105,7 +144,16 @@ function UserOutfitsPageContent() {
         totalCount={numTotalOutfits}
         numPerPage={PER_PAGE}
       />
-      <Box height="6" />
+      <Box height="4" />
+      <OutfitSelectionToolbar
+        outfits={outfits}
+        isSelecting={isSelecting}
+        setIsSelecting={setIsSelecting}
+        selectedOutfitIds={selectedOutfitIds}
+        setSelectedOutfitIds={setSelectedOutfitIds}
+        isDisabled={isLoading || outfits.length === 0}
+      />
+      <Box height="4" />
       {isLoading ? (
         <Center>
           <HangerSpinner />
@@ -116,7 +164,12 @@ function UserOutfitsPageContent() {
         <Wrap spacing="4" justify="space-around">
           {outfits.map((outfit) => (
             <WrapItem key={outfit.id}>
-              <OutfitCard outfit={outfit} />
+              <OutfitCard
+                outfit={outfit}
+                isSelecting={isSelecting}
+                isSelected={selectedOutfitIds.has(outfit.id)}
+                onToggleSelected={() => toggleOutfitSelected(outfit.id)}
+              />
             </WrapItem>
           ))}
         </Wrap>
@@ -131,7 +184,134 @@ function UserOutfitsPageContent() {
   );
 }
 
-function OutfitCard({ outfit }) {
+/**
+ * useDeleteOutfitsMutation returns a function that deletes the given outfits,
+ * then evicts them from the cache and refreshes the current page of outfits.
+ */
+function useDeleteOutfitsMutation() {
+  return useMutation(
+    gql`
+      mutation UserOutfitsPage_DeleteOutfits($ids: [ID!]!) {
+        deleteOutfits(ids: $ids)
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      update: (cache, { data: { deleteOutfits: deletedIds } }) => {
+        for (const id of deletedIds) {
+          cache.evict({ id: cache.identify({ __typename: "Outfit", id }) });
+        }
+        cache.gc();
+      },
+      // The outfits from later pages shift into this one, and the total count
+      // changes, so it's simplest to just ask the server again.
+      refetchQueries: ["UserOutfitsPageContent"],
+    }
+  );
+}
+
+function OutfitSelectionToolbar({
+  outfits,
+  isSelecting,
+  setIsSelecting,
+  selectedOutfitIds,
+  setSelectedOutfitIds,
+  isDisabled,
+}) {
+  const toast = useToast();
+  const [sendDeleteOutfitsMutation, { loading }] = useDeleteOutfitsMutation();
+
+  if (!isSelecting) {
+    return (
+      <Flex justify="flex-end">
+        <Button
+          size="sm"
+          onClick={() => setIsSelecting(true)}
+          isDisabled={isDisabled}
+        >
+          Select outfits
+        </Button>
+      </Flex>
+    );
+  }
+
+  const numSelected = selectedOutfitIds.size;
+  const allAreSelected =
+    outfits.length > 0 && outfits.every((o) => selectedOutfitIds.has(o.id));
+
+  const deleteSelectedOutfits = () => {
+    if (
+      !window.confirm(
+        `Delete ${numSelected} outfit${numSelected === 1 ? "" : "s"}? ` +
+          `This can't be undone!`
+      )
+    ) {
+      return;
+    }
+
+    sendDeleteOutfitsMutation({ variables: { ids: [...selectedOutfitIds] } })
+      .then(() => {
+        setSelectedOutfitIds(new Set());
+        setIsSelecting(false);
+        toast({
+          status: "success",
+          title: `Deleted ${numSelected} outfit${
+            numSelected === 1 ? "" : "s"
+          }!`,
+        });
+      })
+      .catch((err) => {
+        console.error(err);
+        toast({
+          status: "error",
+          title: "Sorry, we couldn't delete these outfits 😖",
+          description: "Check your connection and try again.",
+        });
+      });
+  };
+
+  return (
+    <Flex align="center" wrap="wrap">
+      <Box fontSize="sm">
+        {numSelected} outfit{numSelected === 1 ? "" : "s"} selected
+      </Box>
+      <Box flex="1 0 auto" width="4" />
+      <HStack spacing="2" marginY="1">
+        <Button
+          size="sm"
+          onClick={() =>
+            setSelectedOutfitIds(
+              allAreSelected ? new Set() : new Set(outfits.map((o) => o.id))
+            )
+          }
+        >
+          {allAreSelected ? "Select none" : "Select all"}
+        </Button>
+        <Button
+          size="sm"
+          colorScheme="red"
+          leftIcon={<DeleteIcon />}
+          onClick={deleteSelectedOutfits}
+          isDisabled={numSelected === 0}
+          isLoading={loading}
+        >
+          Delete
+        </Button>
+        <Button
+          size="sm"
+          onClick={() => {
+            setSelectedOutfitIds(new Set());
+            setIsSelecting(false);
+          }}
+        >
+          Done
+        </Button>
+      </HStack>
+    </Flex>
+  );
+}
+
+function OutfitCard({ outfit, isSelecting, isSelected, onToggleSelected }) {
   const image = (
     <ClassNames>
       {({ css }) => (
@@ -163,24 +343,141 @@ function OutfitCard({ outfit }) {
     </ClassNames>
   );
 
+  if (isSelecting) {
+    return (
+      <Box
+        as="label"
+        display="block"
+        position="relative"
+        cursor="pointer"
+        borderRadius="md"
+        boxShadow={isSelected ? "outline" : "none"}
+        transition="all 0.2s"
+      >
+        <OutfitCardLayout image={image} caption={outfit.name} />
+        <Checkbox
+          position="absolute"
+          top="2"
+          left="2"
+          size="lg"
+          backgroundColor="white"
+          borderRadius="sm"
+          isChecked={isSelected}
+          onChange={onToggleSelected}
+          aria-label={`Select ${outfit.name}`}
+        />
+      </Box>
+    );
+  }
+
   return (
-    <Box
-      as={Link}
-      to={`/outfits/${outfit.id}`}
-      display="block"
-      transition="all 0.2s"
-      _hover={{ transform: `scale(1.05)` }}
-      _focus={{
-        transform: `scale(1.05)`,
-        boxShadow: "outline",
-        outline: "none",
-      }}
-    >
-      <OutfitCardLayout image={image} caption={outfit.name} />
+    <Box position="relative" role="group">
+      <Box
+        as={Link}
+        to={`/outfits/${outfit.id}`}
+        display="block"
+        transition="all 0.2s"
+        _hover={{ transform: `scale(1.05)` }}
+        _focus={{
+          transform: `scale(1.05)`,
+          boxShadow: "outline",
+          outline: "none",
+        }}
+      >
+        <OutfitCardLayout image={image} caption={outfit.name} />
+      </Box>
+      <Box position="absolute" top="1" right="1">
+        <OutfitCardMenu outfit={outfit} />
+      </Box>
     </Box>
   );
 }
 
+function OutfitCardMenu({ outfit }) {
+  const toast = useToast();
+
+  const [sendDuplicateOutfitMutation] = useMutation(
+    gql`
+      mutation UserOutfitsPage_DuplicateOutfit($id: ID!) {
+        duplicateOutfit(id: $id) {
+          id
+          name
+        }
+      }
+    `,
+    {
+      variables: { id: outfit.id },
+      context: { sendAuth: true },
+      refetchQueries: ["UserOutfitsPageContent"],
+    }
+  );
+  const [sendDeleteOutfitsMutation] = useDeleteOutfitsMutation();
+
+  const duplicateOutfit = () => {
+    sendDuplicateOutfitMutation()
+      .then(({ data }) => {
+        toast({
+          status: "success",
+          title: `Saved a copy as "${data.duplicateOutfit.name}"!`,
+        });
+      })
+      .catch((err) => {
+        console.error(err);
+        toast({
+          status: "error",
+          title: "Sorry, we couldn't copy this outfit 😖",
+          description: "Check your connection and try again.",
+        });
+      });
+  };
+
+  const deleteOutfit = () => {
+    if (!window.confirm(`Delete "${outfit.name}"? This can't be undone!`)) {
+      return;
+    }
+
+    sendDeleteOutfitsMutation({ variables: { ids: [outfit.id] } }).catch(
+      (err) => {
+        console.error(err);
+        toast({
+          status: "error",
+          title: "Sorry, we couldn't delete this outfit 😖",
+          description: "Check your connection and try again.",
+        });
+      }
+    );
+  };
+
+  return (
+    <Menu placement="bottom-end">
+      <MenuButton
+        as={IconButton}
+        size="sm"
+        variant="ghost"
+        color="white"
+        icon={<MdMoreVert />}
+        aria-label="Outfit menu"
+        borderRadius="full"
+        fontSize="20px"
+        opacity="0"
+        _groupHover={{ opacity: 1 }}
+        _focus={{ opacity: 1, boxShadow: "outline" }}
+        _active={{ opacity: 1 }}
+      />
+      <Portal>
+        <MenuList>
+          <MenuItem icon={<CopyIcon />} onClick={duplicateOutfit}>
+            Duplicate
+          </MenuItem>
+          <MenuItem icon={<DeleteIcon />} onClick={deleteOutfit}>
+            Delete
+          </MenuItem>
+        </MenuList>
+      </Portal>
+    </Menu>
+  );
+}
+
 function OutfitCardLayout({ image, caption }) {
   const { brightBackground } = useCommonStyles();
 
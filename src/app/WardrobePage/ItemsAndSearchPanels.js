@@ -58,6 +58,7 @@ function ItemsAndSearchPanels({
             <Box px="4" py="2">
               <SearchPanel
                 query={searchQuery}
+                onChangeQuery={setSearchQuery}
                 outfitState={outfitState}
                 dispatchToOutfit={dispatchToOutfit}
                 scrollContainerRef={scrollContainerRef}
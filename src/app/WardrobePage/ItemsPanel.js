@@ -18,6 +18,7 @@ import {
   Button,
   Spinner,
   useColorModeValue,
+  useDisclosure,
 } from "@chakra-ui/react";
 import {
   CheckIcon,
@@ -31,7 +32,10 @@ import { Delay, Heading1, Heading2 } from "../util";
 import Item, { ItemListContainer, ItemListSkeleton } from "./Item";
 import { BiRename } from "react-icons/bi";
 import { IoCloudUploadOutline } from "react-icons/io5";
-import { MdMoreVert } from "react-icons/md";
+import { MdCompare, MdHistory, MdMoreVert } from "react-icons/md";
+
+import OutfitComparisonModal from "./OutfitComparisonModal";
+import OutfitRevisionsModal from "./OutfitRevisionsModal";
 
 /**
  * ItemsPanel shows the items in the current outfit, and lets the user toggle
@@ -359,6 +363,21 @@ function OutfitSavingIndicator({ outfitSaving }) {
  * It also contains the outfit menu, for saving etc.
  */
 function OutfitHeading({ outfitState, outfitSaving, dispatchToOutfit }) {
+  const {
+    isOpen: revisionsModalIsOpen,
+    onOpen: onOpenRevisionsModal,
+    onClose: onCloseRevisionsModal,
+  } = useDisclosure();
+  const {
+    isOpen: comparisonModalIsOpen,
+    onOpen: onOpenComparisonModal,
+    onClose: onCloseComparisonModal,
+  } = useDisclosure();
+
+  // Only the outfit's creator can see and restore its earlier versions.
+  const canViewRevisions =
+    !outfitSaving.isNewOutfit && outfitSaving.canSaveOutfit;
+
   return (
     // The Editable wraps everything, including the menu, because the menu has
     // a Rename option.
@@ -414,9 +433,30 @@ function OutfitHeading({ outfitState, outfitSaving, dispatchToOutfit }) {
                 >
                   Rename
                 </MenuItem>
+                <MenuItem icon={<MdCompare />} onClick={onOpenComparisonModal}>
+                  Compare on other pets
+                </MenuItem>
+                {canViewRevisions && (
+                  <MenuItem icon={<MdHistory />} onClick={onOpenRevisionsModal}>
+                    Version history
+                  </MenuItem>
+                )}
               </MenuList>
             </Portal>
           </Menu>
+          <OutfitComparisonModal
+            outfitState={outfitState}
+            isOpen={comparisonModalIsOpen}
+            onClose={onCloseComparisonModal}
+          />
+          {canViewRevisions && (
+            <OutfitRevisionsModal
+              outfitState={outfitState}
+              dispatchToOutfit={dispatchToOutfit}
+              isOpen={revisionsModalIsOpen}
+              onClose={onCloseRevisionsModal}
+            />
+          )}
         </Flex>
       )}
     </Editable>
@@ -0,0 +1,239 @@
+import React from "react";
+import {
+  Box,
+  Button,
+  CloseButton,
+  Flex,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalHeader,
+  ModalOverlay,
+  Stack,
+  Wrap,
+  WrapItem,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { AddIcon, WarningIcon } from "@chakra-ui/icons";
+
+import { OutfitLayers, usePreloadLayers } from "../components/OutfitPreview";
+import SpeciesColorPicker from "../components/SpeciesColorPicker";
+import useOutfitAppearance from "../components/useOutfitAppearance";
+import { ErrorMessage, useCommonStyles } from "../util";
+
+const MAX_COMPARED_PETS = 6;
+
+/**
+ * OutfitComparisonModal shows the items currently worn in the outfit on
+ * several species/colors at once, so the user can check how they look on
+ * each pet without flipping the main preview back and forth. For each pet, we
+ * also flag the items that don't fit its body.
+ */
+function OutfitComparisonModal({ outfitState, isOpen, onClose }) {
+  const { bodyBackground } = useCommonStyles();
+
+  return (
+    <Modal size="6xl" isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay>
+        <ModalContent background={bodyBackground}>
+          <ModalHeader as="h1">Compare on other pets</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody paddingBottom="6">
+            <OutfitComparisonGrid outfitState={outfitState} />
+          </ModalBody>
+        </ModalContent>
+      </ModalOverlay>
+    </Modal>
+  );
+}
+
+function OutfitComparisonGrid({ outfitState }) {
+  const nextKey = React.useRef(0);
+  const buildPet = ({ speciesId, colorId, pose }) => ({
+    key: nextKey.current++,
+    speciesId,
+    colorId,
+    pose,
+  });
+
+  // Start by comparing against the outfit's current pet. New pets start as a
+  // copy of the last one, for the user to change from there.
+  const [pets, setPets] = React.useState(() => [buildPet(outfitState)]);
+
+  const updatePet = (key, changes) =>
+    setPets((pets) =>
+      pets.map((p) => (p.key === key ? { ...p, ...changes } : p))
+    );
+  const removePet = (key) =>
+    setPets((pets) => pets.filter((p) => p.key !== key));
+  const addPet = () =>
+    setPets((pets) => [
+      ...pets,
+      buildPet(pets[pets.length - 1] || outfitState),
+    ]);
+
+  if (outfitState.wornItemIds.length === 0) {
+    return (
+      <Box fontStyle="italic">
+        This outfit isn't wearing any items yet! Try some on, then come back to
+        compare them across pets.
+      </Box>
+    );
+  }
+
+  return (
+    <Wrap spacing="4" justify="center">
+      {pets.map((pet) => (
+        <WrapItem key={pet.key}>
+          <OutfitComparisonCard
+            pet={pet}
+            wornItemIds={outfitState.wornItemIds}
+            idealPose={outfitState.pose}
+            canRemove={pets.length > 1}
+            onChange={(changes) => updatePet(pet.key, changes)}
+            onRemove={() => removePet(pet.key)}
+          />
+        </WrapItem>
+      ))}
+      {pets.length < MAX_COMPARED_PETS && (
+        <WrapItem alignSelf="center">
+          <Button leftIcon={<AddIcon />} onClick={addPet}>
+            Add a pet
+          </Button>
+        </WrapItem>
+      )}
+    </Wrap>
+  );
+}
+
+function OutfitComparisonCard({
+  pet,
+  wornItemIds,
+  idealPose,
+  canRemove,
+  onChange,
+  onRemove,
+}) {
+  const borderColor = useColorModeValue("gray.300", "whiteAlpha.300");
+
+  const appearance = useOutfitAppearance({
+    speciesId: pet.speciesId,
+    colorId: pet.colorId,
+    pose: pet.pose,
+    wornItemIds,
+  });
+  const { loading, error, items, visibleLayers } = appearance;
+
+  const { loading: loading2, error: error2, loadedLayers } = usePreloadLayers(
+    visibleLayers
+  );
+
+  return (
+    <Flex
+      direction="column"
+      align="center"
+      width="240px"
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="md"
+      padding="3"
+      position="relative"
+    >
+      {canRemove && (
+        <CloseButton
+          size="sm"
+          position="absolute"
+          top="1"
+          right="1"
+          zIndex="1"
+          aria-label="Remove this pet from the comparison"
+          onClick={onRemove}
+        />
+      )}
+      <Box width="200px" height="200px" boxShadow="md" borderRadius="md">
+        <OutfitLayers
+          loading={loading || loading2}
+          visibleLayers={loadedLayers}
+        />
+      </Box>
+      <Box height="3" />
+      <SpeciesColorPicker
+        speciesId={pet.speciesId}
+        colorId={pet.colorId}
+        idealPose={idealPose}
+        size="sm"
+        stateMustAlwaysBeValid
+        onChange={(species, color, isValid, closestPose) => {
+          if (isValid) {
+            onChange({
+              speciesId: species.id,
+              colorId: color.id,
+              pose: closestPose,
+            });
+          }
+        }}
+      />
+      <Box height="2" />
+      {error || error2 ? (
+        <ErrorMessage fontSize="sm">
+          Could not load this pet. Check your connection and try again.
+        </ErrorMessage>
+      ) : (
+        !loading && <ItemFitList items={items} visibleLayers={visibleLayers} />
+      )}
+    </Flex>
+  );
+}
+
+/**
+ * ItemFitList flags the worn items that won't show up on this pet: either
+ * because there's no version of them for this body, or because they're
+ * hidden by getVisibleLayers's rules for this pet (like body-specific items
+ * on an Unconverted pet).
+ */
+function ItemFitList({ items, visibleLayers }) {
+  const errorColor = useColorModeValue("red.500", "red.300");
+  const warningColor = useColorModeValue("orange.500", "orange.300");
+
+  const visibleLayerIds = new Set(visibleLayers.map((l) => l.id));
+  const incompatibleItems = items.filter(
+    (item) => item.appearance.layers.length === 0
+  );
+  const hiddenItems = items.filter(
+    (item) =>
+      item.appearance.layers.length > 0 &&
+      !item.appearance.layers.some((l) => visibleLayerIds.has(l.id))
+  );
+
+  if (incompatibleItems.length === 0 && hiddenItems.length === 0) {
+    return (
+      <Box fontSize="sm" fontStyle="italic">
+        All items fit!
+      </Box>
+    );
+  }
+
+  return (
+    <Stack spacing="1" fontSize="sm" alignSelf="stretch">
+      {incompatibleItems.map((item) => (
+        <Flex key={item.id} align="center">
+          <WarningIcon color={errorColor} marginRight="2" flex="0 0 auto" />
+          <Box>
+            {item.name} <i>(doesn't fit)</i>
+          </Box>
+        </Flex>
+      ))}
+      {hiddenItems.map((item) => (
+        <Flex key={item.id} align="center">
+          <WarningIcon color={warningColor} marginRight="2" flex="0 0 auto" />
+          <Box>
+            {item.name} <i>(hidden on this pet)</i>
+          </Box>
+        </Flex>
+      ))}
+    </Stack>
+  );
+}
+
+export default OutfitComparisonModal;
@@ -17,6 +17,7 @@ import {
   PopoverContent,
   PopoverTrigger,
   Portal,
+  Select,
   Stack,
   Switch,
   Tooltip,
@@ -31,18 +32,36 @@ import {
   DownloadIcon,
   LinkIcon,
   SettingsIcon,
+  ViewIcon,
+  ViewOffIcon,
 } from "@chakra-ui/icons";
-import { MdPause, MdPlayArrow } from "react-icons/md";
+import {
+  MdFeedback,
+  MdGridOn,
+  MdLayers,
+  MdMovie,
+  MdPause,
+  MdPlayArrow,
+  MdRedo,
+  MdUndo,
+} from "react-icons/md";
 import { Link } from "react-router-dom";
 
 import { getBestImageUrlForLayer } from "../components/OutfitPreview";
 import HTML5Badge, { layerUsesHTML5 } from "../components/HTML5Badge";
+import FeedbackForm from "../components/FeedbackForm";
+import { ArtistCredit } from "../components/ModelingCredit";
 import PosePicker from "./PosePicker";
 import SpeciesColorPicker from "../components/SpeciesColorPicker";
 import { loadImage, useLocalStorage } from "../util";
+import getVisibleLayers from "../../shared/getVisibleLayers";
+import getMaxNumAnimationFrames from "../../shared/getMaxNumAnimationFrames";
 import useCurrentUser from "../components/useCurrentUser";
 import useOutfitAppearance from "../components/useOutfitAppearance";
 import OutfitKnownGlitchesBadge from "./OutfitKnownGlitchesBadge";
+import recordOutfitVideo, {
+  getSupportedVideoMimeType,
+} from "../components/recordOutfitVideo";
 
 /**
  * OutfitControls is the set of controls layered over the outfit preview, to
@@ -93,6 +112,8 @@ function OutfitControls({
     [dispatchToOutfit, toast]
   );
 
+  useUndoRedoKeyboardShortcuts(outfitState, dispatchToOutfit);
+
   const maybeUnlockFocus = (e) => {
     // We lock focus when a touch-device user taps the area. When they tap
     // empty space, we treat that as a toggle and release the focus lock.
@@ -117,8 +138,9 @@ function OutfitControls({
           overflow="auto"
           gridTemplateAreas={`"back play-pause sharing"
                           "space space space"
-                          "picker picker picker"`}
-          gridTemplateRows="auto minmax(1rem, 1fr) auto"
+                          "picker picker picker"
+                          "artist artist artist"`}
+          gridTemplateRows="auto minmax(1rem, 1fr) auto auto"
           className={cx(
             css`
               opacity: 0;
@@ -172,9 +194,18 @@ function OutfitControls({
           }}
           data-test-id="wardrobe-outfit-controls"
         >
-          <Box gridArea="back" onClick={maybeUnlockFocus}>
+          <HStack
+            gridArea="back"
+            spacing="2"
+            align="flex-start"
+            onClick={maybeUnlockFocus}
+          >
             <BackButton outfitState={outfitState} />
-          </Box>
+            <UndoRedoButtons
+              outfitState={outfitState}
+              dispatchToOutfit={dispatchToOutfit}
+            />
+          </HStack>
 
           <Flex
             gridArea="play-pause"
@@ -188,10 +219,22 @@ function OutfitControls({
             <HStack spacing="2" align="center" justify="center">
               <OutfitHTML5Badge appearance={appearance} />
               <OutfitKnownGlitchesBadge appearance={appearance} />
+              <LayersButton
+                outfitState={outfitState}
+                dispatchToOutfit={dispatchToOutfit}
+                appearance={appearance}
+                onLockFocus={onLockFocus}
+                onUnlockFocus={onUnlockFocus}
+              />
               <SettingsButton
                 onLockFocus={onLockFocus}
                 onUnlockFocus={onUnlockFocus}
               />
+              <FeedbackButton
+                outfitState={outfitState}
+                onLockFocus={onLockFocus}
+                onUnlockFocus={onUnlockFocus}
+              />
             </HStack>
           </Flex>
           <Stack
@@ -204,6 +247,18 @@ function OutfitControls({
             <Box>
               <DownloadButton outfitState={outfitState} />
             </Box>
+            <Box>
+              <ContactSheetButton outfitState={outfitState} />
+            </Box>
+            {showAnimationControls && (
+              <Box>
+                <ExportAnimationButton
+                  outfitState={outfitState}
+                  onLockFocus={onLockFocus}
+                  onUnlockFocus={onUnlockFocus}
+                />
+              </Box>
+            )}
             <Box>
               <CopyLinkButton outfitState={outfitState} />
             </Box>
@@ -248,6 +303,14 @@ function OutfitControls({
               </Flex>
             </Flex>
           )}
+          <ArtistCredit
+            gridArea="artist"
+            artist={appearance.petAppearance?.artist}
+            textAlign="center"
+            color="white"
+            marginTop="2"
+            onClick={maybeUnlockFocus}
+          />
         </Box>
       )}
     </ClassNames>
@@ -329,6 +392,78 @@ function BackButton({ outfitState }) {
   );
 }
 
+/**
+ * UndoRedoButtons undo and redo changes to the outfit, like wearing items or
+ * changing the pose. See `outfitHistoryReducer` in useOutfitState.
+ */
+function UndoRedoButtons({ outfitState, dispatchToOutfit }) {
+  return (
+    <>
+      <Tooltip label="Undo (Ctrl+Z)" placement="bottom">
+        <Box>
+          <ControlButton
+            icon={<MdUndo />}
+            aria-label="Undo"
+            isDisabled={!outfitState.canUndo}
+            onClick={() => dispatchToOutfit({ type: "undo" })}
+          />
+        </Box>
+      </Tooltip>
+      <Tooltip label="Redo (Ctrl+Shift+Z)" placement="bottom">
+        <Box>
+          <ControlButton
+            icon={<MdRedo />}
+            aria-label="Redo"
+            isDisabled={!outfitState.canRedo}
+            onClick={() => dispatchToOutfit({ type: "redo" })}
+          />
+        </Box>
+      </Tooltip>
+    </>
+  );
+}
+
+/**
+ * useUndoRedoKeyboardShortcuts binds Ctrl+Z to undo and Ctrl+Shift+Z to redo
+ * (or Cmd, on Macs). We leave the keys alone while you're typing in a text
+ * field though, so it can undo your typing like usual!
+ */
+function useUndoRedoKeyboardShortcuts(outfitState, dispatchToOutfit) {
+  const { canUndo, canRedo } = outfitState;
+
+  React.useEffect(() => {
+    const onKeyDown = (e) => {
+      if (
+        !(e.ctrlKey || e.metaKey) ||
+        e.altKey ||
+        e.key.toLowerCase() !== "z"
+      ) {
+        return;
+      }
+
+      const { tagName, isContentEditable } = e.target;
+      if (
+        isContentEditable ||
+        tagName === "INPUT" ||
+        tagName === "TEXTAREA" ||
+        tagName === "SELECT"
+      ) {
+        return;
+      }
+
+      e.preventDefault();
+      if (e.shiftKey && canRedo) {
+        dispatchToOutfit({ type: "redo" });
+      } else if (!e.shiftKey && canUndo) {
+        dispatchToOutfit({ type: "undo" });
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [canUndo, canRedo, dispatchToOutfit]);
+}
+
 /**
  * DownloadButton downloads the outfit as an image!
  */
@@ -363,6 +498,210 @@ function DownloadButton({ outfitState }) {
   );
 }
 
+/**
+ * ContactSheetButton downloads a single image of the outfit in every pose the
+ * pet has, which the server renders for us.
+ */
+function ContactSheetButton({ outfitState }) {
+  const { speciesId, colorId, wornItemIds, hiddenLayerIds } = outfitState;
+
+  const params = new URLSearchParams({
+    size: "300",
+    speciesId: speciesId || "",
+    colorId: colorId || "",
+    wornItemIds: wornItemIds.join(","),
+  });
+  if (hiddenLayerIds.length > 0) {
+    params.append("hiddenLayerIds", hiddenLayerIds.join(","));
+  }
+
+  // Links can't really be disabled, so we leave out the `href` instead, to
+  // make sure it doesn't download a broken contact sheet.
+  const isDisabled = !speciesId || !colorId;
+
+  return (
+    <Tooltip label="Download all poses" placement="left">
+      <Box>
+        <ControlButton
+          icon={<MdGridOn />}
+          aria-label="Download all poses"
+          as="a"
+          href={isDisabled ? undefined : `/api/outfitContactSheet?${params}`}
+          download={(outfitState.name || "Outfit") + " (All poses).png"}
+          isDisabled={isDisabled}
+        />
+      </Box>
+    </Tooltip>
+  );
+}
+
+/**
+ * ExportAnimationButton downloads the outfit as an animation! Animated WebPs
+ * and GIFs are rendered by the server, but videos we record right here in the
+ * browser, because that's what browsers are good at :)
+ */
+function ExportAnimationButton({ outfitState, onLockFocus, onUnlockFocus }) {
+  const { visibleLayers } = useOutfitAppearance(outfitState);
+  const [hiResMode] = useLocalStorage("DTIHiResMode", false);
+  const [format, setFormat] = React.useState("webp");
+  const [size, setSize] = React.useState(300);
+  const [fps, setFps] = React.useState(12);
+  const [durationInSeconds, setDurationInSeconds] = React.useState(3);
+  const [isExporting, setIsExporting] = React.useState(false);
+  const toast = useToast();
+
+  const videoMimeType = getSupportedVideoMimeType();
+
+  // The server renders fewer frames at bigger sizes, so it can keep them all
+  // in memory. (Videos we record ourselves, so they're not limited.)
+  const hasTooManyFrames =
+    format !== "video" &&
+    fps * durationInSeconds > getMaxNumAnimationFrames(size);
+
+  const exportAnimation = async () => {
+    setIsExporting(true);
+    try {
+      let blob;
+      let isPartialFailure = false;
+      if (format === "video") {
+        blob = await recordOutfitVideo(visibleLayers, {
+          size,
+          fps,
+          durationInSeconds,
+          hiResMode,
+        });
+      } else {
+        ({ blob, isPartialFailure } = await loadOutfitAnimation(visibleLayers, {
+          format,
+          size,
+          fps,
+          durationInSeconds,
+        }));
+      }
+
+      const extension =
+        format === "video"
+          ? videoMimeType.startsWith("video/mp4")
+            ? "mp4"
+            : "webm"
+          : format;
+      downloadBlob(blob, (outfitState.name || "Outfit") + "." + extension);
+
+      if (isPartialFailure) {
+        toast({
+          status: "warning",
+          title: "Some layers couldn't be rendered",
+          description:
+            "We left them out of the animation. Try exporting again later?",
+        });
+      }
+    } catch (e) {
+      console.error("Error exporting animation", e);
+      toast({
+        status: "error",
+        title: "Oops, sorry, we couldn't export the animation!",
+        description:
+          "Check your connection, then reload the page and try again.",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Popover placement="left" onOpen={onLockFocus} onClose={onUnlockFocus}>
+      <Tooltip label="Export animation" placement="left">
+        <Box>
+          {/* ControlButton doesn't forward refs, so we trigger with a Box. */}
+          <PopoverTrigger>
+            <Box>
+              <ControlButton icon={<MdMovie />} aria-label="Export animation" />
+            </Box>
+          </PopoverTrigger>
+        </Box>
+      </Tooltip>
+      <Portal>
+        <PopoverContent width="25ch">
+          <PopoverArrow />
+          <PopoverBody>
+            <Stack spacing="2">
+              <ExportAnimationSetting
+                label="Format"
+                value={format}
+                onChange={setFormat}
+              >
+                <option value="webp">Animated WebP</option>
+                <option value="gif">Animated GIF</option>
+                {videoMimeType && <option value="video">Video</option>}
+              </ExportAnimationSetting>
+              <ExportAnimationSetting
+                label="Size"
+                value={size}
+                onChange={(v) => setSize(Number(v))}
+              >
+                <option value={150}>150×150</option>
+                <option value={300}>300×300</option>
+                <option value={600}>600×600</option>
+              </ExportAnimationSetting>
+              <ExportAnimationSetting
+                label="Frame rate"
+                value={fps}
+                onChange={(v) => setFps(Number(v))}
+              >
+                <option value={6}>6 fps</option>
+                <option value={12}>12 fps</option>
+                <option value={24}>24 fps</option>
+              </ExportAnimationSetting>
+              <ExportAnimationSetting
+                label="Duration"
+                value={durationInSeconds}
+                onChange={(v) => setDurationInSeconds(Number(v))}
+              >
+                <option value={2}>2 seconds</option>
+                <option value={3}>3 seconds</option>
+                <option value={5}>5 seconds</option>
+              </ExportAnimationSetting>
+              {hasTooManyFrames && (
+                <Box fontSize="xs" color="red.500">
+                  That's too many frames at this size. Try a lower frame rate, a
+                  shorter duration, or a smaller size!
+                </Box>
+              )}
+              <Button
+                size="sm"
+                leftIcon={<DownloadIcon />}
+                onClick={exportAnimation}
+                isLoading={isExporting}
+                loadingText={format === "video" ? "Recording…" : "Rendering…"}
+                isDisabled={visibleLayers.length === 0 || hasTooManyFrames}
+              >
+                Export
+              </Button>
+            </Stack>
+          </PopoverBody>
+        </PopoverContent>
+      </Portal>
+    </Popover>
+  );
+}
+
+function ExportAnimationSetting({ label, value, onChange, children }) {
+  return (
+    <FormControl>
+      <FormLabel fontSize="sm" marginBottom="1">
+        {label}
+      </FormLabel>
+      <Select
+        size="sm"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {children}
+      </Select>
+    </FormControl>
+  );
+}
+
 /**
  * CopyLinkButton copies the outfit URL to the clipboard!
  */
@@ -475,6 +814,133 @@ const PlayPauseButtonContent = React.forwardRef(
   }
 );
 
+/**
+ * LayersButton opens the Layers panel, which lists each layer in the outfit
+ * preview, and lets the user hide individual layers for this session. Hidden
+ * layers are left out of downloads, and kept in the outfit's share URL.
+ */
+function LayersButton({
+  outfitState,
+  dispatchToOutfit,
+  appearance,
+  onLockFocus,
+  onUnlockFocus,
+}) {
+  const numHiddenLayers = outfitState.hiddenLayerIds.length;
+
+  return (
+    <Popover placement="bottom" onOpen={onLockFocus} onClose={onUnlockFocus}>
+      <PopoverTrigger>
+        <TranslucentButton size="xs" aria-label="Layers">
+          <MdLayers />
+          {numHiddenLayers > 0 && (
+            <Box marginLeft="1" fontSize="xs">
+              {numHiddenLayers} hidden
+            </Box>
+          )}
+          <Box width="1" />
+          <ChevronDownIcon />
+        </TranslucentButton>
+      </PopoverTrigger>
+      <Portal>
+        <PopoverContent width="30ch">
+          <PopoverArrow />
+          <PopoverBody>
+            <LayersPanel
+              outfitState={outfitState}
+              dispatchToOutfit={dispatchToOutfit}
+              appearance={appearance}
+            />
+          </PopoverBody>
+        </PopoverContent>
+      </Portal>
+    </Popover>
+  );
+}
+
+function LayersPanel({ outfitState, dispatchToOutfit, appearance }) {
+  const { petAppearance, items, itemAppearances } = appearance;
+
+  // We want to list the hidden layers too, so we use getVisibleLayers
+  // directly, instead of the appearance's `visibleLayers`, which leaves them
+  // out. We list them from front to back, like the zones stack up on screen.
+  const layers = React.useMemo(
+    () => getVisibleLayers(petAppearance, itemAppearances).reverse(),
+    [petAppearance, itemAppearances]
+  );
+
+  const itemNamesByLayerId = new Map();
+  for (const item of items) {
+    for (const layer of item.appearance?.layers || []) {
+      itemNamesByLayerId.set(layer.id, item.name);
+    }
+  }
+
+  const hiddenLayerIds = new Set(outfitState.hiddenLayerIds);
+
+  if (layers.length === 0) {
+    return (
+      <Box fontSize="sm" fontStyle="italic">
+        No layers to show yet!
+      </Box>
+    );
+  }
+
+  return (
+    <Stack spacing="1" maxHeight="50vh" overflowY="auto">
+      {layers.map((layer) => {
+        const isHidden = hiddenLayerIds.has(layer.id);
+        const sourceName =
+          layer.source === "pet"
+            ? "Pet"
+            : itemNamesByLayerId.get(layer.id) || "Item";
+
+        return (
+          <Flex key={layer.id} align="center" opacity={isHidden ? 0.5 : 1}>
+            <Box flex="1 1 auto" minWidth="0">
+              <Box fontSize="sm" isTruncated>
+                {layer.zone.label}
+              </Box>
+              <Box fontSize="xs" opacity="0.8" isTruncated>
+                {sourceName}
+              </Box>
+            </Box>
+            <Box width="2" flex="0 0 auto" />
+            <IconButton
+              size="xs"
+              variant="ghost"
+              flex="0 0 auto"
+              icon={isHidden ? <ViewOffIcon /> : <ViewIcon />}
+              aria-label={
+                isHidden
+                  ? `Show ${layer.zone.label} layer`
+                  : `Hide ${layer.zone.label} layer`
+              }
+              onClick={() =>
+                dispatchToOutfit({
+                  type: "setLayerIsHidden",
+                  layerId: layer.id,
+                  isHidden: !isHidden,
+                })
+              }
+            />
+          </Flex>
+        );
+      })}
+      {hiddenLayerIds.size > 0 && (
+        <Button
+          size="xs"
+          alignSelf="center"
+          marginTop="1"
+          onClick={() => dispatchToOutfit({ type: "showAllLayers" })}
+        >
+          Show all layers
+        </Button>
+      )}
+    </Stack>
+  );
+}
+
 function SettingsButton({ onLockFocus, onUnlockFocus }) {
   return (
     <Popover onOpen={onLockFocus} onClose={onUnlockFocus}>
@@ -497,6 +963,32 @@ function SettingsButton({ onLockFocus, onUnlockFocus }) {
   );
 }
 
+/**
+ * FeedbackButton opens our feedback form, and attaches the outfit to it if
+ * it's saved, so we can see what the user is seeing!
+ */
+function FeedbackButton({ outfitState, onLockFocus, onUnlockFocus }) {
+  return (
+    <Popover onOpen={onLockFocus} onClose={onUnlockFocus}>
+      <PopoverTrigger>
+        <TranslucentButton size="xs" aria-label="Send feedback">
+          <MdFeedback />
+          <Box width="1" />
+          <ChevronDownIcon />
+        </TranslucentButton>
+      </PopoverTrigger>
+      <Portal>
+        <PopoverContent width="40ch">
+          <PopoverArrow />
+          <PopoverBody>
+            <FeedbackForm outfitId={outfitState.id} />
+          </PopoverBody>
+        </PopoverContent>
+      </Portal>
+    </Popover>
+  );
+}
+
 function HiResModeSetting() {
   const [hiResMode, setHiResMode] = useLocalStorage("DTIHiResMode", false);
 
@@ -648,4 +1140,54 @@ function useDownloadableImage(visibleLayers) {
   return [downloadImageUrl, prepareDownload];
 }
 
+/**
+ * loadOutfitAnimation asks /api/outfitAnimation to render the given layers,
+ * and returns the resulting image as a Blob. If some of the layers failed to
+ * render, we still return the image, and set `isPartialFailure`.
+ */
+async function loadOutfitAnimation(
+  visibleLayers,
+  { format, size, fps, durationInSeconds }
+) {
+  // The server renders movies itself, straight from their libraries.
+  const layerUrls = visibleLayers.map((layer) =>
+    layer.canvasMovieLibraryUrl
+      ? layer.canvasMovieLibraryUrl.replace(/^http:\/\//, "https://")
+      : layer.imageUrl
+  );
+
+  const params = new URLSearchParams({
+    format,
+    size,
+    fps,
+    duration: durationInSeconds,
+    layerUrls: layerUrls.join(","),
+  });
+  const res = await fetch(`/api/outfitAnimation?${params}`);
+  if (!res.ok) {
+    throw new Error(
+      `Error rendering animation: ${res.status} ${await res.text()}`
+    );
+  }
+
+  return {
+    blob: await res.blob(),
+    isPartialFailure:
+      res.headers.get("X-Outfit-Render-Status") === "partial-failure",
+  };
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before we let go.
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 export default OutfitControls;
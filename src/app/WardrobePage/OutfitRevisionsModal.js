@@ -0,0 +1,281 @@
+import React from "react";
+import {
+  Box,
+  Button,
+  Flex,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalHeader,
+  ModalOverlay,
+  Stack,
+  useColorModeValue,
+  useToast,
+} from "@chakra-ui/react";
+import { gql, useMutation, useQuery } from "@apollo/client";
+
+import HangerSpinner from "../components/HangerSpinner";
+import { ErrorMessage, useCommonStyles } from "../util";
+import getVisibleLayers, {
+  itemAppearanceFragmentForGetVisibleLayers,
+  petAppearanceFragmentForGetVisibleLayers,
+} from "../../shared/getVisibleLayers";
+
+/**
+ * OutfitRevisionsModal lists the earlier versions of a saved outfit, with a
+ * preview of each, and lets the outfit's creator restore one.
+ */
+function OutfitRevisionsModal({
+  outfitState,
+  dispatchToOutfit,
+  isOpen,
+  onClose,
+}) {
+  const { bodyBackground } = useCommonStyles();
+
+  return (
+    <Modal size="xl" isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay>
+        <ModalContent background={bodyBackground}>
+          <ModalHeader as="h1">Version history</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody paddingBottom="6">
+            <OutfitRevisionsList
+              outfitState={outfitState}
+              dispatchToOutfit={dispatchToOutfit}
+              onRestore={onClose}
+            />
+          </ModalBody>
+        </ModalContent>
+      </ModalOverlay>
+    </Modal>
+  );
+}
+
+function OutfitRevisionsList({ outfitState, dispatchToOutfit, onRestore }) {
+  const { loading, error, data } = useQuery(
+    gql`
+      query OutfitRevisionsModal($outfitId: ID!) {
+        outfit(id: $outfitId) {
+          id
+          revisions(limit: 30) {
+            id
+            name
+            createdAt
+            wornItems {
+              id
+            }
+            petAppearance {
+              ...PetAppearanceForGetVisibleLayers
+              layers {
+                ...AppearanceLayerForRevisionPreview
+              }
+            }
+            itemAppearances {
+              ...ItemAppearanceForGetVisibleLayers
+              layers {
+                ...AppearanceLayerForRevisionPreview
+              }
+            }
+          }
+        }
+      }
+
+      fragment AppearanceLayerForRevisionPreview on AppearanceLayer {
+        id
+        imageUrl150: imageUrl(size: SIZE_150)
+        imageUrl300: imageUrl(size: SIZE_300)
+        canvasMovieLibraryUrl
+      }
+      ${petAppearanceFragmentForGetVisibleLayers}
+      ${itemAppearanceFragmentForGetVisibleLayers}
+    `,
+    {
+      variables: { outfitId: outfitState.id },
+      context: { sendAuth: true },
+      // We save a new revision every time the outfit saves, so always check
+      // for the latest ones!
+      fetchPolicy: "network-only",
+    }
+  );
+
+  if (loading) {
+    return (
+      <Flex justify="center">
+        <HangerSpinner />
+      </Flex>
+    );
+  }
+
+  if (error) {
+    return <ErrorMessage>{error.message}</ErrorMessage>;
+  }
+
+  const revisions = data?.outfit?.revisions || [];
+  if (revisions.length === 0) {
+    return (
+      <Box fontStyle="italic">
+        No earlier versions yet! We'll save one each time this outfit saves.
+      </Box>
+    );
+  }
+
+  return (
+    <Stack spacing="3">
+      {revisions.map((revision, i) => (
+        <OutfitRevisionCard
+          key={revision.id}
+          revision={revision}
+          isLatest={i === 0}
+          dispatchToOutfit={dispatchToOutfit}
+          onRestore={onRestore}
+        />
+      ))}
+    </Stack>
+  );
+}
+
+function OutfitRevisionCard({
+  revision,
+  isLatest,
+  dispatchToOutfit,
+  onRestore,
+}) {
+  const borderColor = useColorModeValue("gray.300", "whiteAlpha.300");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+  const toast = useToast();
+
+  const [restoreOutfitRevision, { loading }] = useMutation(
+    gql`
+      mutation OutfitRevisionsModal_Restore($revisionId: ID!) {
+        outfit: restoreOutfitRevision(revisionId: $revisionId) {
+          id
+          name
+          updatedAt
+          creator {
+            id
+          }
+          petAppearance {
+            id
+            species {
+              id
+            }
+            color {
+              id
+            }
+            pose
+          }
+          wornItems {
+            id
+          }
+          closetedItems {
+            id
+          }
+        }
+      }
+    `,
+    {
+      context: { sendAuth: true },
+      onCompleted: ({ outfit }) => {
+        // Update the local outfit state to match. This is an undoable action,
+        // so the user can get back the version they just replaced, too!
+        dispatchToOutfit({
+          type: "restoreRevision",
+          savedOutfitData: outfit,
+        });
+        toast({
+          status: "success",
+          title: "Restored this version of the outfit!",
+        });
+        onRestore();
+      },
+      onError: (e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: "Sorry, there was an error restoring this version!",
+          description: "Maybe check your connection and try again.",
+        });
+      },
+    }
+  );
+
+  const imageUrl150 = getRevisionImageUrl(revision, 150);
+  const imageUrl300 = getRevisionImageUrl(revision, 300);
+  const numWornItems = revision.wornItems.length;
+
+  return (
+    <Flex
+      align="center"
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="md"
+      padding="2"
+    >
+      <Box
+        as="img"
+        src={imageUrl150}
+        srcSet={`${imageUrl150} 1x, ${imageUrl300} 2x`}
+        alt={`Preview of ${revision.name || "this version"}`}
+        width="75px"
+        height="75px"
+        flex="0 0 auto"
+        borderRadius="md"
+        loading="lazy"
+      />
+      <Box width="3" flex="0 0 auto" />
+      <Box flex="1 1 auto">
+        <Box fontWeight="bold">{revision.name || "Untitled outfit"}</Box>
+        <Box fontSize="sm" color={mutedColor}>
+          {new Date(revision.createdAt).toLocaleString()}
+          {" · "}
+          {numWornItems} {numWornItems === 1 ? "item" : "items"}
+          {isLatest && <> · Latest save</>}
+        </Box>
+      </Box>
+      <Box width="2" flex="0 0 auto" />
+      <Button
+        size="sm"
+        flex="0 0 auto"
+        isLoading={loading}
+        onClick={() =>
+          restoreOutfitRevision({
+            variables: { revisionId: revision.id },
+          }).catch(() => {
+            /* handled in onError */
+          })
+        }
+      >
+        Restore
+      </Button>
+    </Flex>
+  );
+}
+
+/**
+ * getRevisionImageUrl returns an /api/outfitImage URL for the given revision,
+ * at the given size, by listing its layers. (Revisions are private to the
+ * outfit's owner, so the image API can't look them up by ID for us: anyone
+ * can load an image URL!)
+ */
+function getRevisionImageUrl(revision, size) {
+  const visibleLayers = getVisibleLayers(
+    revision.petAppearance,
+    revision.itemAppearances
+  );
+
+  // The server renders movies itself, straight from their libraries.
+  const layerUrls = visibleLayers
+    .map((layer) =>
+      layer.canvasMovieLibraryUrl
+        ? layer.canvasMovieLibraryUrl.replace(/^http:\/\//, "https://")
+        : layer[`imageUrl${size}`]
+    )
+    .filter((url) => url);
+
+  const params = new URLSearchParams({ size, layerUrls: layerUrls.join(",") });
+  return `/api/outfitImage?${params}`;
+}
+
+export default OutfitRevisionsModal;
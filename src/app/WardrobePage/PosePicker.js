@@ -20,6 +20,10 @@ import { loadable } from "../util";
 import Image from "next/image";
 
 import { petAppearanceFragment } from "../components/useOutfitAppearance";
+import ModelingCredit, {
+  ArtistCredit,
+  modelingContributorFragment,
+} from "../components/ModelingCredit";
 import getVisibleLayers from "../../shared/getVisibleLayers";
 import { OutfitLayers } from "../components/OutfitPreview";
 import SupportOnly from "./support/SupportOnly";
@@ -90,6 +94,7 @@ function PosePicker({
   const selectedPoseIsAvailable = Object.values(poseInfos).some(
     (pi) => pi.isSelected && pi.isAvailable
   );
+  const selectedPoseInfo = Object.values(poseInfos).find((pi) => pi.isSelected);
   const firstAvailablePose = Object.values(poseInfos).find(
     (pi) => pi.isAvailable
   )?.pose;
@@ -117,7 +122,11 @@ function PosePicker({
         `Pose ${pose} not found for speciesId=${speciesId}, ` +
           `colorId=${colorId}. Redirecting to pose ${firstAvailablePose}.`
       );
-      dispatchToOutfit({ type: "setPose", pose: firstAvailablePose });
+      dispatchToOutfit({
+        type: "setPose",
+        pose: firstAvailablePose,
+        isAutomatic: true,
+      });
     }
   }, [
     loading,
@@ -219,6 +228,16 @@ function PosePicker({
                           onChange={onChange}
                           initialFocusRef={initialFocusRef}
                         />
+                        <ArtistCredit
+                          artist={selectedPoseInfo?.artist}
+                          textAlign="center"
+                          marginTop="2"
+                        />
+                        <ModelingCredit
+                          contributors={[selectedPoseInfo?.contributedBy]}
+                          textAlign="center"
+                          marginTop="2"
+                        />
                         {numAvailablePoses <= 1 && (
                           <SupportOnly>
                             <Box
@@ -676,9 +695,14 @@ export const petAppearanceForPosePickerFragment = gql`
     id
     bodyId
     pose
+    artist
+    contributedBy {
+      ...ModelingContributorForCredit
+    }
     ...PetAppearanceForOutfitPreview
   }
   ${petAppearanceFragment}
+  ${modelingContributorFragment}
 `;
 
 const transformsByBodyId = {
@@ -7,6 +7,7 @@ import { Delay, useDebounce } from "../util";
 import { emptySearchQuery } from "./SearchToolbar";
 import Item, { ItemListContainer, ItemListSkeleton } from "./Item";
 import { itemAppearanceFragment } from "../components/useOutfitAppearance";
+import ItemSearchFacets from "../components/ItemSearchFacets";
 
 /**
  * SearchPanel shows item search results to the user, so they can preview them
@@ -17,6 +18,7 @@ import { itemAppearanceFragment } from "../components/useOutfitAppearance";
  */
 function SearchPanel({
   query,
+  onChangeQuery,
   outfitState,
   dispatchToOutfit,
   scrollContainerRef,
@@ -60,6 +62,7 @@ function SearchPanel({
         //       I wonder whether that's still necessary...
         key={serializeQuery(query)}
         query={query}
+        onChangeQuery={onChangeQuery}
         outfitState={outfitState}
         dispatchToOutfit={dispatchToOutfit}
         scrollContainerRef={scrollContainerRef}
@@ -80,16 +83,22 @@ function SearchPanel({
  */
 function SearchResults({
   query,
+  onChangeQuery,
   outfitState,
   dispatchToOutfit,
   scrollContainerRef,
   firstSearchResultRef,
   onMoveFocusUpToQuery,
 }) {
-  const { loading, loadingMore, error, items, fetchMore } = useSearchResults(
-    query,
-    outfitState
-  );
+  const {
+    loading,
+    loadingMore,
+    error,
+    items,
+    zoneFacets,
+    itemKindFacets,
+    fetchMore,
+  } = useSearchResults(query, outfitState);
   useScrollTracker(scrollContainerRef, 300, fetchMore);
 
   // This will save the `wornItemIds` when the SearchResults first mounts, and
@@ -157,6 +166,14 @@ function SearchResults({
   // scroll loading.
   return (
     <>
+      <ItemSearchFacets
+        query={query}
+        zoneFacets={zoneFacets}
+        itemKindFacets={itemKindFacets}
+        onChange={onChangeQuery}
+        maxNumZoneFacets={5}
+        marginY="2"
+      />
       <ItemListContainer>
         {items.map((item, index) => (
           <SearchResultItem
@@ -247,7 +264,6 @@ function SearchResultItem({
  */
 function useSearchResults(query, outfitState) {
   const { speciesId, colorId } = outfitState;
-  const [isEndOfResults, setIsEndOfResults] = React.useState(false);
 
   // We debounce the search query, so that we don't resend a new query whenever
   // the user types anything.
@@ -256,12 +272,6 @@ function useSearchResults(query, outfitState) {
     initialValue: emptySearchQuery,
   });
 
-  // When the query changes, we should update our impression of whether we've
-  // reached the end!
-  React.useEffect(() => {
-    setIsEndOfResults(false);
-  }, [query]);
-
   // NOTE: This query should always load ~instantly, from the client cache.
   const { data: zoneData } = useQuery(gql`
     query SearchPanelZones {
@@ -293,7 +303,7 @@ function useSearchResults(query, outfitState) {
         $zoneIds: [ID!]!
         $speciesId: ID!
         $colorId: ID!
-        $offset: Int!
+        $after: String
       ) {
         itemSearch: itemSearchV2(
           query: $query
@@ -301,38 +311,53 @@ function useSearchResults(query, outfitState) {
           itemKind: $itemKind
           currentUserOwnsOrWants: $currentUserOwnsOrWants
           zoneIds: $zoneIds
+          mode: RANKED
         ) {
+          id
           query
           zones {
             id
           }
-          items(offset: $offset, limit: 50) {
-            # TODO: De-dupe this from useOutfitState?
-            id
-            name
-            thumbnailUrl
-            isNc
-            isPb
-            currentUserOwnsThis
-            currentUserWantsThis
+          itemKind
+          currentUserOwnsOrWants
+          zoneFacets {
+            zoneLabel
+            numItems
+          }
+          itemKindFacets {
+            itemKind
+            numItems
+          }
+          itemsPage(after: $after, limit: 30) {
+            nextCursor
+            items {
+              # TODO: De-dupe this from useOutfitState?
+              id
+              name
+              thumbnailUrl
+              isNc
+              isPb
+              currentUserOwnsThis
+              currentUserWantsThis
 
-            appearanceOn(speciesId: $speciesId, colorId: $colorId) {
-              # This enables us to quickly show the item when the user clicks it!
-              ...ItemAppearanceForOutfitPreview
+              appearanceOn(speciesId: $speciesId, colorId: $colorId) {
+                # This enables us to quickly show the item when the user clicks it!
+                ...ItemAppearanceForOutfitPreview
 
-              # This is used to group items by zone, and to detect conflicts when
-              # wearing a new item.
-              layers {
-                zone {
+                # This is used to group items by zone, and to detect conflicts when
+                # wearing a new item.
+                layers {
+                  zone {
+                    id
+                    label @client
+                  }
+                }
+                restrictedZones {
                   id
                   label @client
+                  isCommonlyUsedByItems @client
                 }
               }
-              restrictedZones {
-                id
-                label @client
-                isCommonlyUsedByItems @client
-              }
             }
           }
         }
@@ -346,7 +371,7 @@ function useSearchResults(query, outfitState) {
         itemKind: debouncedQuery.filterToItemKind,
         currentUserOwnsOrWants: debouncedQuery.filterToCurrentUserOwnsOrWants,
         zoneIds: filterToZoneIds,
-        offset: 0,
+        after: null,
         speciesId,
         colorId,
       },
@@ -357,16 +382,6 @@ function useSearchResults(query, outfitState) {
         !debouncedQuery.filterToZoneLabel &&
         !debouncedQuery.filterToCurrentUserOwnsOrWants,
       notifyOnNetworkStatusChange: true,
-      onCompleted: (d) => {
-        // This is called each time the query completes, including on
-        // `fetchMore`, with the extended results. But, on the first time, this
-        // logic can tell us whether we're at the end of the list, by counting
-        // whether there was <30. We also have to check in `fetchMore`!
-        const items = d && d.itemSearch && d.itemSearch.items;
-        if (items && items.length < 30) {
-          setIsEndOfResults(true);
-        }
-      },
       onError: (e) => {
         console.error("Error loading search results", e);
       },
@@ -381,8 +396,17 @@ function useSearchResults(query, outfitState) {
     .map((z) => z.id)
     .sort()
     .join(",");
-  const queriesMatch = resultValue === query.value && resultZoneStr === zoneStr;
-  const items = result?.items || [];
+  const queriesMatch =
+    resultValue === query.value &&
+    resultZoneStr === zoneStr &&
+    (result?.itemKind || null) === (query.filterToItemKind || null) &&
+    (result?.currentUserOwnsOrWants || null) ===
+      (query.filterToCurrentUserOwnsOrWants || null);
+  const items = result?.itemsPage?.items || [];
+  const nextCursor = result?.itemsPage?.nextCursor;
+  const isEndOfResults = result != null && nextCursor == null;
+  const zoneFacets = result?.zoneFacets || [];
+  const itemKindFacets = result?.itemKindFacets || [];
 
   // Okay, what kind of loading state is this?
   let loading;
@@ -403,36 +427,38 @@ function useSearchResults(query, outfitState) {
     loadingMore = false;
   }
 
-  // When SearchResults calls this, we'll resend the query, with the `offset`
-  // increased. We'll append the results to the original query!
+  // When SearchResults calls this, we'll resend the query, with the cursor
+  // from the last page. We'll append the results to the original query!
+  //
+  // We use a cursor rather than an offset, because the cursor keeps the pages
+  // stable if new items are added to the database mid-session. (Note: This
+  // is a bit awkward because, if the results count ends on a multiple of 30,
+  // the user will see a flash of loading before getting told it's actually
+  // the end. Ah well :/)
   const fetchMore = React.useCallback(() => {
     if (!loadingGQL && !error && !isEndOfResults) {
       fetchMoreGQL({
         variables: {
-          offset: items.length,
+          after: nextCursor,
         },
         updateQuery: (prev, { fetchMoreResult }) => {
-          // Note: This is a bit awkward because, if the results count ends on
-          // a multiple of 30, the user will see a flash of loading before
-          // getting told it's actually the end. Ah well :/
-          //
-          // We could maybe make this more rigorous later with
-          // react-virtualized to have a better scrollbar anyway, and then
-          // we'd need to return the total result count... a bit annoying to
-          // potentially double the query runtime? We'd need to see how slow it
-          // actually makes things.
-          if (fetchMoreResult.itemSearch.items.length < 30) {
-            setIsEndOfResults(true);
+          // If the user changed the search while this page was loading,
+          // ignore it, rather than mixing in results from another search!
+          if (fetchMoreResult?.itemSearch?.id !== prev?.itemSearch?.id) {
+            return prev;
           }
 
           return {
             ...prev,
             itemSearch: {
               ...(prev?.itemSearch || {}),
-              items: [
-                ...(prev?.itemSearch?.items || []),
-                ...(fetchMoreResult?.itemSearch?.items || []),
-              ],
+              itemsPage: {
+                ...(fetchMoreResult?.itemSearch?.itemsPage || {}),
+                items: [
+                  ...(prev?.itemSearch?.itemsPage?.items || []),
+                  ...(fetchMoreResult?.itemSearch?.itemsPage?.items || []),
+                ],
+              },
             },
           };
         },
@@ -440,9 +466,17 @@ function useSearchResults(query, outfitState) {
         console.error("Error loading more search results pages", e);
       });
     }
-  }, [loadingGQL, error, isEndOfResults, fetchMoreGQL, items.length]);
+  }, [loadingGQL, error, isEndOfResults, fetchMoreGQL, nextCursor]);
 
-  return { loading, loadingMore, error, items, fetchMore };
+  return {
+    loading,
+    loadingMore,
+    error,
+    items,
+    zoneFacets,
+    itemKindFacets,
+    fetchMore,
+  };
 }
 
 /**
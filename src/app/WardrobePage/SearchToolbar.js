@@ -86,7 +86,6 @@ function SearchToolbar({
 
   const suggestionBgColor = useColorModeValue("transparent", "whiteAlpha.100");
   const highlightedBgColor = useColorModeValue("gray.100", "whiteAlpha.300");
-
   const renderSuggestion = React.useCallback(
     ({ text }, { isHighlighted }) => (
       <Box
@@ -135,6 +134,9 @@ function SearchToolbar({
                   No more filters available!
                 </Box>
               )}
+              {advancedSearchIsOpen && (
+                <SearchFilterHint padding="2" paddingLeft="2.5rem" />
+              )}
             </Box>
           )}
         </ClassNames>
@@ -324,6 +326,24 @@ function SearchToolbar({
   );
 }
 
+/**
+ * SearchFilterHint lists some of the filters the user can type into their
+ * search query, like `is:nc` and `fits:blue-acara`.
+ */
+export function SearchFilterHint({ ...props }) {
+  const hintColor = useColorModeValue("gray.500", "gray.400");
+
+  return (
+    <Box fontSize="xs" color={hintColor} {...props}>
+      Tip: You can also type filters, like <code>is:nc</code>,{" "}
+      <code>zone:"Hat"</code>, <code>fits:blue-acara</code>,{" "}
+      <code>owns:yes</code>, <code>restricts:"Hat"</code>,{" "}
+      <code>category:"Clothes"</code>, <code>mall:yes</code>, or{" "}
+      <code>added:&gt;2021-01</code>.
+    </Box>
+  );
+}
+
 function getSuggestions(
   value,
   query,
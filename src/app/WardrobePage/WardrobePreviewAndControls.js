@@ -26,6 +26,7 @@ function WardrobePreviewAndControls({
     pose: outfitState.pose,
     appearanceId: outfitState.appearanceId,
     wornItemIds: outfitState.wornItemIds,
+    hiddenLayerIds: outfitState.hiddenLayerIds,
     onChangeHasAnimations: setHasAnimations,
     placeholder: <OutfitThumbnailIfCached outfitId={outfitState.id} />,
     "data-test-id": "wardrobe-outfit-preview",
@@ -306,24 +306,27 @@ function AllItemLayersSupportModalContent({
   const [
     sendBulkAddMutation,
     { loading: mutationLoading, error: mutationError },
-  ] = useMutation(gql`
-    mutation AllItemLayersSupportModal_BulkAddMutation(
-      $itemId: ID!
-      $entries: [BulkAddLayersToItemEntry!]!
-      $supportSecret: String!
-    ) {
-      bulkAddLayersToItem(
-        itemId: $itemId
-        entries: $entries
-        supportSecret: $supportSecret
+  ] = useMutation(
+    gql`
+      mutation AllItemLayersSupportModal_BulkAddMutation(
+        $itemId: ID!
+        $entries: [BulkAddLayersToItemEntry!]!
+        $supportSecret: String
       ) {
-        id
-        ...AllAppearancesForItem
+        bulkAddLayersToItem(
+          itemId: $itemId
+          entries: $entries
+          supportSecret: $supportSecret
+        ) {
+          id
+          ...AllAppearancesForItem
+        }
       }
-    }
 
-    ${allAppearancesFragment}
-  `);
+      ${allAppearancesFragment}
+    `,
+    { context: { sendAuth: true } }
+  );
 
   if (loading || loading2) {
     return (
@@ -35,6 +35,7 @@ import useOutfitAppearance, {
   itemAppearanceFragment,
 } from "../../components/useOutfitAppearance";
 import useSupport from "./useSupport";
+import SupportAuditLog from "./SupportAuditLog";
 
 /**
  * AppearanceLayerSupportModal offers Support info and tools for a specific item
@@ -76,7 +77,7 @@ function AppearanceLayerSupportModal({
         $layerId: ID!
         $bodyId: ID!
         $knownGlitches: [AppearanceLayerKnownGlitch!]!
-        $supportSecret: String!
+        $supportSecret: String
         $outfitSpeciesId: ID!
         $outfitColorId: ID!
         $formPreviewSpeciesId: ID!
@@ -125,6 +126,7 @@ function AppearanceLayerSupportModal({
       ${itemAppearanceFragment}
     `,
     {
+      context: { sendAuth: true },
       variables: {
         layerId: layer.id,
         bodyId: selectedBodyId,
@@ -288,6 +290,8 @@ function AppearanceLayerSupportModal({
               selectedKnownGlitches={selectedKnownGlitches}
               onChange={setSelectedKnownGlitches}
             />
+            <Box height="8" />
+            <SupportAuditLog subjectType="LAYER" subjectId={layer.id} />
           </ModalBody>
           <ModalFooter>
             {item && (
@@ -510,7 +514,7 @@ function AppearanceLayerSupportModalRemoveButton({
         $itemId: ID!
         $outfitSpeciesId: ID!
         $outfitColorId: ID!
-        $supportSecret: String!
+        $supportSecret: String
       ) {
         removeLayerFromItem(
           layerId: $layerId
@@ -540,6 +544,7 @@ function AppearanceLayerSupportModalRemoveButton({
       ${itemAppearanceFragment}
     `,
     {
+      context: { sendAuth: true },
       variables: {
         layerId: layer.id,
         itemId: item.id,
@@ -1,5 +1,6 @@
 import * as React from "react";
 import { useApolloClient } from "@apollo/client";
+import { useAuth0 } from "@auth0/auth0-react";
 import {
   Button,
   Box,
@@ -38,6 +39,7 @@ function AppearanceLayerSupportUploadModal({ item, layer, isOpen, onClose }) {
   const [conflictMode, setConflictMode] = React.useState("onBlack");
 
   const { supportSecret } = useSupport();
+  const { isAuthenticated, getAccessTokenSilently } = useAuth0();
   const toast = useToast();
   const apolloClient = useApolloClient();
 
@@ -93,11 +95,19 @@ function AppearanceLayerSupportUploadModal({ item, layer, isOpen, onClose }) {
     setIsUploading(true);
     setUploadError(null);
     try {
+      // The server checks our Support roles, or the deprecated shared secret.
+      const headers = {};
+      if (isAuthenticated) {
+        const token = await getAccessTokenSilently();
+        headers["Authorization"] = `Bearer ${token}`;
+      }
+      if (supportSecret) {
+        headers["DTI-Support-Secret"] = supportSecret;
+      }
+
       const res = await fetch(`/api/uploadLayerImage?layerId=${layer.id}`, {
         method: "POST",
-        headers: {
-          "DTI-Support-Secret": supportSecret,
-        },
+        headers,
         body: imageWithAlphaBlob,
       });
 
@@ -132,6 +142,8 @@ function AppearanceLayerSupportUploadModal({ item, layer, isOpen, onClose }) {
   }, [
     imageWithAlphaBlob,
     supportSecret,
+    isAuthenticated,
+    getAccessTokenSilently,
     layer.id,
     toast,
     onClose,
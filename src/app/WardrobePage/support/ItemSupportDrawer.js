@@ -17,6 +17,7 @@ import {
   FormHelperText,
   FormLabel,
   HStack,
+  Input,
   Link,
   Select,
   Spinner,
@@ -38,6 +39,7 @@ import useOutfitAppearance from "../../components/useOutfitAppearance";
 import { OutfitStateContext } from "../useOutfitState";
 import useSupport from "./useSupport";
 import ItemSupportAppearanceLayer from "./ItemSupportAppearanceLayer";
+import SupportAuditLog from "./SupportAuditLog";
 
 /**
  * ItemSupportDrawer shows Support UI for the item when open.
@@ -82,6 +84,7 @@ function ItemSupportDrawer({ item, isOpen, onClose }) {
             <Stack spacing="8" marginTop="6">
               <ItemSupportFields item={item} />
               <ItemSupportAppearanceLayers item={item} />
+              <SupportAuditLog subjectType="ITEM" subjectId={item.id} />
             </Stack>
           </DrawerBody>
         </DrawerContent>
@@ -146,6 +149,7 @@ function ItemSupportFields({ item }) {
             id
           }
           explicitlyBodySpecific
+          manualSetName
         }
       }
     `,
@@ -180,6 +184,14 @@ function ItemSupportFields({ item }) {
         item={item}
         explicitlyBodySpecific={data?.item?.explicitlyBodySpecific}
       />
+      <ItemSupportSetNameFields
+        // Reset the input once the saved set name loads.
+        key={loading ? "loading" : "loaded"}
+        loading={loading}
+        error={error}
+        item={item}
+        manualSetName={data?.item?.manualSetName}
+      />
     </>
   );
 }
@@ -211,24 +223,27 @@ function ItemSupportSpecialColorFields({
   const [
     mutate,
     { loading: mutationLoading, error: mutationError, data: mutationData },
-  ] = useMutation(gql`
-    mutation ItemSupportDrawerSetManualSpecialColor(
-      $itemId: ID!
-      $colorId: ID
-      $supportSecret: String!
-    ) {
-      setManualSpecialColor(
-        itemId: $itemId
-        colorId: $colorId
-        supportSecret: $supportSecret
+  ] = useMutation(
+    gql`
+      mutation ItemSupportDrawerSetManualSpecialColor(
+        $itemId: ID!
+        $colorId: ID
+        $supportSecret: String
       ) {
-        id
-        manualSpecialColor {
+        setManualSpecialColor(
+          itemId: $itemId
+          colorId: $colorId
+          supportSecret: $supportSecret
+        ) {
           id
+          manualSpecialColor {
+            id
+          }
         }
       }
-    }
-  `);
+    `,
+    { context: { sendAuth: true } }
+  );
 
   const onChange = React.useCallback(
     (e) => {
@@ -324,22 +339,25 @@ function ItemSupportPetCompatibilityRuleFields({
   const [
     mutate,
     { loading: mutationLoading, error: mutationError, data: mutationData },
-  ] = useMutation(gql`
-    mutation ItemSupportDrawerSetItemExplicitlyBodySpecific(
-      $itemId: ID!
-      $explicitlyBodySpecific: Boolean!
-      $supportSecret: String!
-    ) {
-      setItemExplicitlyBodySpecific(
-        itemId: $itemId
-        explicitlyBodySpecific: $explicitlyBodySpecific
-        supportSecret: $supportSecret
+  ] = useMutation(
+    gql`
+      mutation ItemSupportDrawerSetItemExplicitlyBodySpecific(
+        $itemId: ID!
+        $explicitlyBodySpecific: Boolean!
+        $supportSecret: String
       ) {
-        id
-        explicitlyBodySpecific
+        setItemExplicitlyBodySpecific(
+          itemId: $itemId
+          explicitlyBodySpecific: $explicitlyBodySpecific
+          supportSecret: $supportSecret
+        ) {
+          id
+          explicitlyBodySpecific
+        }
       }
-    }
-  `);
+    `,
+    { context: { sendAuth: true } }
+  );
 
   const onChange = React.useCallback(
     (e) => {
@@ -406,6 +424,92 @@ function ItemSupportPetCompatibilityRuleFields({
   );
 }
 
+function ItemSupportSetNameFields({ loading, error, item, manualSetName }) {
+  const { supportSecret } = useSupport();
+  const [setName, setSetName] = React.useState(manualSetName || "");
+
+  const [
+    mutate,
+    { loading: mutationLoading, error: mutationError, data: mutationData },
+  ] = useMutation(
+    gql`
+      mutation ItemSupportDrawerSetItemSetName(
+        $itemId: ID!
+        $setName: String
+        $supportSecret: String
+      ) {
+        setItemSetName(
+          itemId: $itemId
+          setName: $setName
+          supportSecret: $supportSecret
+        ) {
+          id
+          manualSetName
+          relatedItems {
+            reason
+            item {
+              id
+            }
+          }
+        }
+      }
+    `,
+    { context: { sendAuth: true } }
+  );
+
+  const hasChanges = setName.trim() !== (manualSetName || "");
+
+  return (
+    <FormControl isInvalid={Boolean(error || mutationError)}>
+      <FormLabel>Set</FormLabel>
+      <Flex
+        as="form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          mutate({
+            variables: {
+              itemId: item.id,
+              setName: setName.trim() || null,
+              supportSecret,
+            },
+          }).catch((e) => {
+            // Ignore errors from the promise, because we'll handle them on render!
+          });
+        }}
+      >
+        <Input
+          placeholder={
+            loading ? "Loading…" : "Default: Auto-detect from item name"
+          }
+          value={setName}
+          onChange={(e) => setSetName(e.target.value)}
+          isDisabled={loading}
+        />
+        <Button
+          type="submit"
+          marginLeft="2"
+          isLoading={mutationLoading}
+          isDisabled={!hasChanges}
+          rightIcon={
+            mutationData && !hasChanges ? <CheckCircleIcon /> : undefined
+          }
+        >
+          Save
+        </Button>
+      </Flex>
+      {mutationError && (
+        <FormErrorMessage>{mutationError.message}</FormErrorMessage>
+      )}
+      {!mutationError && (
+        <FormHelperText>
+          Items with the same set name show up as related items on each other's
+          item pages. By default, we guess sets from item names.
+        </FormHelperText>
+      )}
+    </FormControl>
+  );
+}
+
 /**
  * NOTE: This component takes `outfitState` from context, rather than as a prop
  *       from its parent, for performance reasons. We want `Item` to memoize
@@ -5,6 +5,7 @@ import {
   Box,
   Button,
   IconButton,
+  Input,
   Select,
   Spinner,
   Switch,
@@ -42,6 +43,7 @@ function PosePickerSupport({
           id
           pose
           isGlitched
+          artist
           layers {
             id
             zone {
@@ -128,6 +130,7 @@ function PosePickerSupport({
         type: "setPose",
         pose,
         appearanceId,
+        isAutomatic: true,
       });
     }
   }, [providedAppearanceId, appearanceId, pose, dispatchToOutfit]);
@@ -184,6 +187,10 @@ function PosePickerSupport({
             colorId={colorId}
           />
         </MetadataValue>
+        <MetadataLabel>Artist:</MetadataLabel>
+        <MetadataValue>
+          <PosePickerSupportArtistField petAppearance={currentPetAppearance} />
+        </MetadataValue>
         <MetadataLabel>Layers:</MetadataLabel>
         <MetadataValue>
           <Wrap spacing="1">
@@ -326,7 +333,7 @@ function PosePickerSupportPoseFields({ petAppearance, speciesId, colorId }) {
       mutation PosePickerSupportSetPetAppearancePose(
         $appearanceId: ID!
         $pose: Pose!
-        $supportSecret: String!
+        $supportSecret: String
       ) {
         setPetAppearancePose(
           appearanceId: $appearanceId
@@ -339,6 +346,7 @@ function PosePickerSupportPoseFields({ petAppearance, speciesId, colorId }) {
       }
     `,
     {
+      context: { sendAuth: true },
       refetchQueries: [
         {
           query: gql`
@@ -361,7 +369,7 @@ function PosePickerSupportPoseFields({ petAppearance, speciesId, colorId }) {
       mutation PosePickerSupportSetPetAppearanceIsGlitched(
         $appearanceId: ID!
         $isGlitched: Boolean!
-        $supportSecret: String!
+        $supportSecret: String
       ) {
         setPetAppearanceIsGlitched(
           appearanceId: $appearanceId
@@ -374,6 +382,7 @@ function PosePickerSupportPoseFields({ petAppearance, speciesId, colorId }) {
       }
     `,
     {
+      context: { sendAuth: true },
       refetchQueries: [
         {
           query: gql`
@@ -481,6 +490,80 @@ function PosePickerSupportPoseFields({ petAppearance, speciesId, colorId }) {
   );
 }
 
+function PosePickerSupportArtistField({ petAppearance }) {
+  const { supportSecret } = useSupport();
+  const [artist, setArtist] = React.useState(petAppearance.artist || "");
+
+  const [mutateArtist, artistMutation] = useMutation(
+    gql`
+      mutation PosePickerSupportSetPetAppearanceArtist(
+        $appearanceId: ID!
+        $artistNeopetsUsername: String
+        $supportSecret: String
+      ) {
+        setPetAppearanceArtist(
+          appearanceId: $appearanceId
+          artistNeopetsUsername: $artistNeopetsUsername
+          supportSecret: $supportSecret
+        ) {
+          id
+          artist
+        }
+      }
+    `,
+    { context: { sendAuth: true } }
+  );
+
+  const hasChanges = artist.trim() !== (petAppearance.artist || "");
+
+  return (
+    <Box>
+      <Box
+        as="form"
+        display="flex"
+        flexDirection="row"
+        alignItems="center"
+        onSubmit={(e) => {
+          e.preventDefault();
+          mutateArtist({
+            variables: {
+              appearanceId: petAppearance.id,
+              artistNeopetsUsername: artist.trim() || null,
+              supportSecret,
+            },
+          }).catch((e) => {
+            /* Discard errors here; we'll show them in the UI! */
+          });
+        }}
+      >
+        <Input
+          size="sm"
+          flex="0 1 200px"
+          placeholder="Neopets username"
+          value={artist}
+          onChange={(e) => setArtist(e.target.value)}
+          isInvalid={artistMutation.error != null}
+        />
+        <Button
+          type="submit"
+          size="sm"
+          marginLeft="2"
+          isLoading={artistMutation.loading}
+          isDisabled={!hasChanges}
+          rightIcon={
+            artistMutation.data && !hasChanges ? <CheckCircleIcon /> : undefined
+          }
+        >
+          Save
+        </Button>
+      </Box>
+      {artistMutation.error && (
+        <Box color="red.400">{artistMutation.error.message}</Box>
+      )}
+    </Box>
+  );
+}
+
 export function PosePickerSupportSwitch({ isChecked, onChange }) {
   return (
     <Box as="label" display="flex" flexDirection="row" alignItems="center">
@@ -0,0 +1,203 @@
+import * as React from "react";
+import gql from "graphql-tag";
+import { useMutation, useQuery } from "@apollo/client";
+import {
+  Box,
+  Button,
+  Flex,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Spinner,
+  Stack,
+  Text,
+  useColorModeValue,
+  useToast,
+} from "@chakra-ui/react";
+
+import useSupport from "./useSupport";
+
+// The GraphQL type for each audit log subject type, so we can clear the
+// subject from the cache after undoing a change to it.
+const SUBJECT_TYPENAMES = {
+  ITEM: "Item",
+  LAYER: "AppearanceLayer",
+  PET_APPEARANCE: "PetAppearance",
+  USER: "User",
+};
+
+/**
+ * SupportAuditLog shows the recent Support changes to the given subject, with
+ * a button to undo each of them.
+ */
+function SupportAuditLog({ subjectType, subjectId, ...props }) {
+  const { supportSecret } = useSupport();
+
+  const { loading, error, data } = useQuery(
+    gql`
+      query SupportAuditLog(
+        $subjectType: SupportAuditLogSubjectType!
+        $subjectId: ID!
+        $supportSecret: String
+      ) {
+        supportAuditLog(
+          subjectType: $subjectType
+          subjectId: $subjectId
+          supportSecret: $supportSecret
+        ) {
+          id
+          action
+          beforeValue
+          afterValue
+          createdAt
+          undoneAt
+          user {
+            id
+            username
+          }
+          undoneBy {
+            id
+            username
+          }
+        }
+      }
+    `,
+    {
+      variables: { subjectType, subjectId, supportSecret },
+      context: { sendAuth: true },
+      fetchPolicy: "cache-and-network",
+    }
+  );
+
+  const entries = data?.supportAuditLog || [];
+
+  return (
+    <FormControl isInvalid={error ? true : false} {...props}>
+      <FormLabel>History</FormLabel>
+      {loading && entries.length === 0 ? (
+        <Flex justify="center">
+          <Spinner size="sm" />
+        </Flex>
+      ) : entries.length === 0 ? (
+        <Text fontSize="sm" fontStyle="italic">
+          No Support changes yet.
+        </Text>
+      ) : (
+        <Stack spacing="2">
+          {entries.map((entry) => (
+            <SupportAuditLogEntry
+              key={entry.id}
+              entry={entry}
+              subjectType={subjectType}
+              subjectId={subjectId}
+            />
+          ))}
+        </Stack>
+      )}
+      {error && <FormErrorMessage>{error.message}</FormErrorMessage>}
+    </FormControl>
+  );
+}
+
+function SupportAuditLogEntry({ entry, subjectType, subjectId }) {
+  const { supportSecret } = useSupport();
+  const toast = useToast();
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  const [undo, { loading }] = useMutation(
+    gql`
+      mutation SupportAuditLogUndo($id: ID!, $supportSecret: String) {
+        undoSupportAction(id: $id, supportSecret: $supportSecret) {
+          id
+          undoneAt
+          undoneBy {
+            id
+            username
+          }
+        }
+      }
+    `,
+    {
+      variables: { id: entry.id, supportSecret },
+      context: { sendAuth: true },
+      refetchQueries: ["SupportAuditLog"],
+      update: (cache) => {
+        // The undo changed the subject's data, so reload it from scratch.
+        cache.evict({
+          id: cache.identify({
+            __typename: SUBJECT_TYPENAMES[subjectType],
+            id: subjectId,
+          }),
+        });
+        cache.gc();
+      },
+      onCompleted: () => {
+        toast({ status: "success", title: `Undid ${entry.action}` });
+      },
+      onError: (e) => {
+        console.error(e);
+        toast({
+          status: "error",
+          title: `Couldn't undo ${entry.action}`,
+          description: e.message,
+        });
+      },
+    }
+  );
+
+  return (
+    <Flex align="center" fontSize="sm">
+      <Box flex="1 1 auto">
+        <Box
+          fontWeight="bold"
+          textDecoration={entry.undoneAt ? "line-through" : undefined}
+        >
+          {entry.action}
+        </Box>
+        <Box>
+          {formatAuditLogValue(entry.beforeValue)} →{" "}
+          {formatAuditLogValue(entry.afterValue)}
+        </Box>
+        <Box color={mutedColor} fontSize="xs">
+          {entry.user?.username || "Unknown (Support secret)"},{" "}
+          {new Date(entry.createdAt).toLocaleString()}
+          {entry.undoneAt && (
+            <>
+              {" "}
+              · Undone by {entry.undoneBy?.username || "unknown"},{" "}
+              {new Date(entry.undoneAt).toLocaleString()}
+            </>
+          )}
+        </Box>
+      </Box>
+      <Box width="2" flex="0 0 auto" />
+      <Button
+        size="xs"
+        flex="0 0 auto"
+        isLoading={loading}
+        isDisabled={Boolean(entry.undoneAt)}
+        onClick={() => undo().catch(() => {})}
+      >
+        Undo
+      </Button>
+    </Flex>
+  );
+}
+
+/**
+ * formatAuditLogValue formats an audit log entry's JSON values for display,
+ * like `bodyId: "180"`. Lists of objects, like bulk-added layers, get
+ * summarized as a count instead.
+ */
+function formatAuditLogValue(valueJson) {
+  const value = JSON.parse(valueJson);
+  return Object.entries(value)
+    .map(([key, v]) =>
+      Array.isArray(v) && v.some((e) => typeof e === "object")
+        ? `${key}: ${v.length} entries`
+        : `${key}: ${JSON.stringify(v)}`
+    )
+    .join(", ");
+}
+
+export default SupportAuditLog;
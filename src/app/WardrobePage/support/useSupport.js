@@ -1,19 +1,28 @@
 import * as React from "react";
+import { gql, useQuery } from "@apollo/client";
+
+import useCurrentUser from "../../components/useCurrentUser";
 
 /**
- * useSupport returns the Support secret that the server requires for Support
- * actions... if the user has it set. For most users, this returns nothing!
+ * useSupport returns whether the current user can use Support tools, and the
+ * credentials the server requires for Support actions. For most users, this
+ * returns nothing!
  *
  * Specifically, we return an object of:
- *   - isSupportUser: true iff the `supportSecret` is set
+ *   - isSupportUser: true iff the user has a Support role, or the
+ *                    `supportSecret` is set
+ *   - supportPermissions: the permissions the user's Support roles grant them,
+ *                         like "EDIT_MODELING_DATA"
  *   - supportSecret: the secret saved to this device, or null if not set
  *
- * To become a Support user, you visit /?supportSecret=..., which saves the
- * secret to your device.
+ * Support roles are assigned to your account in the `user_roles` table, and
+ * the server checks them for each Support request, so make sure to send auth!
  *
- * Note that this hook doesn't check that the secret is *correct*, so it's
- * possible that it will return an invalid secret. That's okay, because
- * the server checks the provided secret for each Support request.
+ * The `supportSecret` is the deprecated, older way to become a Support user:
+ * you visit /?supportSecret=..., which saves the secret to your device. Note
+ * that this hook doesn't check that the secret is *correct*, so it's possible
+ * that it will return an invalid secret. That's okay, because the server
+ * checks the provided secret for each Support request.
  */
 function useSupport() {
   const supportSecret = React.useMemo(
@@ -21,9 +30,23 @@ function useSupport() {
     []
   );
 
-  const isSupportUser = supportSecret != null;
+  const { isLoggedIn } = useCurrentUser();
+  const { data } = useQuery(
+    gql`
+      query UseSupport {
+        currentUser {
+          id
+          supportPermissions
+        }
+      }
+    `,
+    { context: { sendAuth: true }, skip: !isLoggedIn }
+  );
+  const supportPermissions = data?.currentUser?.supportPermissions || [];
+
+  const isSupportUser = supportSecret != null || supportPermissions.length > 0;
 
-  return { isSupportUser, supportSecret };
+  return { isSupportUser, supportPermissions, supportSecret };
 }
 
 export default useSupport;
@@ -13,10 +13,12 @@ export const OutfitStateContext = React.createContext(null);
 function useOutfitState() {
   const apolloClient = useApolloClient();
   const urlOutfitState = useParseOutfitUrl();
-  const [localOutfitState, dispatchToOutfit] = React.useReducer(
-    outfitStateReducer(apolloClient),
-    urlOutfitState
+  const [outfitHistory, dispatchToOutfit] = React.useReducer(
+    outfitHistoryReducer(outfitStateReducer(apolloClient)),
+    urlOutfitState,
+    buildOutfitHistory
   );
+  const localOutfitState = outfitHistory.present;
 
   // If there's an outfit ID (i.e. we're on /outfits/:id), load basic data
   // about the outfit. We'll use it to initialize the local state.
@@ -118,6 +120,7 @@ function useOutfitState() {
   const { id, name, speciesId, colorId, pose, appearanceId } = outfitState;
   const wornItemIds = Array.from(outfitState.wornItemIds);
   const closetedItemIds = Array.from(outfitState.closetedItemIds);
+  const hiddenLayerIds = Array.from(outfitState.hiddenLayerIds);
   const allItemIds = [...wornItemIds, ...closetedItemIds];
 
   const {
@@ -225,6 +228,12 @@ function useOutfitState() {
 
   const url = buildOutfitUrl(outfitState);
 
+  // We can only undo/redo when we're showing the local state, because that's
+  // the state the history belongs to!
+  const isShowingLocalOutfitState = outfitState === localOutfitState;
+  const canUndo = isShowingLocalOutfitState && outfitHistory.past.length > 0;
+  const canRedo = isShowingLocalOutfitState && outfitHistory.future.length > 0;
+
   const outfitStateWithExtras = {
     id,
     creator,
@@ -234,11 +243,14 @@ function useOutfitState() {
     wornItemIds,
     closetedItemIds,
     allItemIds,
+    hiddenLayerIds,
     speciesId,
     colorId,
     pose,
     appearanceId,
     url,
+    canUndo,
+    canRedo,
 
     // We use this plain outfit state objects in `useOutfitSaving`! Unlike the
     // full `outfitState` object, which we rebuild each render,
@@ -350,13 +362,136 @@ const outfitStateReducer = (apolloClient) => (baseState, action) => {
         // particular about which version of the pose to show if more than one.
         state.appearanceId = action.appearanceId || null;
       });
+    case "setLayerIsHidden":
+      return produce(baseState, (state) => {
+        const { layerId, isHidden } = action;
+        if (isHidden) {
+          state.hiddenLayerIds.add(layerId);
+        } else {
+          state.hiddenLayerIds.delete(layerId);
+        }
+      });
+    case "showAllLayers":
+      return produce(baseState, (state) => {
+        state.hiddenLayerIds.clear();
+      });
     case "resetToSavedOutfitData":
       return getOutfitStateFromOutfitData(action.savedOutfitData);
+    case "restoreRevision":
+      // This is just like resetting to the saved outfit data, except that the
+      // user did it on purpose, so it's undoable!
+      return {
+        ...getOutfitStateFromOutfitData(action.savedOutfitData),
+        hiddenLayerIds: baseState.hiddenLayerIds,
+      };
     default:
       throw new Error(`unexpected action ${JSON.stringify(action)}`);
   }
 };
 
+// How many undo steps we keep. Outfit states are small, but let's not keep
+// them forever!
+const MAX_UNDO_STEPS = 50;
+
+// The actions the user can undo. (Renames are left out, because the server
+// renames outfits too, e.g. "Untitled outfit (1)", and because the name field
+// has its own undo behavior while editing.)
+const UNDOABLE_ACTION_TYPES = new Set([
+  "setSpeciesAndColor",
+  "wearItem",
+  "unwearItem",
+  "removeItem",
+  "setPose",
+  "restoreRevision",
+]);
+
+function buildOutfitHistory(outfitState) {
+  return { past: [], present: outfitState, future: [] };
+}
+
+/**
+ * outfitHistoryReducer wraps the outfit state reducer with an undo/redo
+ * history, and handles the "undo" and "redo" actions.
+ *
+ * Undoing only restores the customization, not the outfit's ID and name. That
+ * way, undoing after the outfit is first saved still changes the saved outfit,
+ * and `useOutfitSaving` auto-saves the undone state like any other change.
+ * Hidden layers are left alone too, because they're just a viewing preference
+ * for this session, rather than part of the outfit.
+ *
+ * Actions with `isAutomatic: true` are corrections the app made on its own,
+ * like switching to an available pose, so they replace the current state
+ * instead of adding an undo step. Otherwise, undoing would just trigger the
+ * same correction again!
+ */
+const outfitHistoryReducer = (reducer) => (history, action) => {
+  const { past, present, future } = history;
+
+  switch (action.type) {
+    case "undo": {
+      if (past.length === 0) {
+        return history;
+      }
+      const previous = past[past.length - 1];
+      return {
+        past: past.slice(0, -1),
+        present: {
+          ...previous,
+          id: present.id,
+          name: present.name,
+          hiddenLayerIds: present.hiddenLayerIds,
+        },
+        future: [present, ...future],
+      };
+    }
+    case "redo": {
+      if (future.length === 0) {
+        return history;
+      }
+      const next = future[0];
+      return {
+        past: [...past, present],
+        present: {
+          ...next,
+          id: present.id,
+          name: present.name,
+          hiddenLayerIds: present.hiddenLayerIds,
+        },
+        future: future.slice(1),
+      };
+    }
+    case "resetToSavedOutfitData": {
+      const newPresent = reducer(present, action);
+      // If this is the outfit we were already editing (e.g. it just finished
+      // saving for the first time), keep its history and hidden layers.
+      // Otherwise, it's a whole new outfit, so start over!
+      if (present.id == null || present.id === newPresent.id) {
+        return {
+          past,
+          present: { ...newPresent, hiddenLayerIds: present.hiddenLayerIds },
+          future,
+        };
+      }
+      return buildOutfitHistory(newPresent);
+    }
+    default: {
+      const newPresent = reducer(present, action);
+      if (
+        !UNDOABLE_ACTION_TYPES.has(action.type) ||
+        action.isAutomatic ||
+        outfitStatesAreEqual(present, newPresent)
+      ) {
+        return { past, present: newPresent, future };
+      }
+      return {
+        past: [...past, present].slice(-MAX_UNDO_STEPS),
+        present: newPresent,
+        future: [],
+      };
+    }
+  }
+};
+
 const EMPTY_CUSTOMIZATION_STATE = {
   id: null,
   name: null,
@@ -366,6 +501,7 @@ const EMPTY_CUSTOMIZATION_STATE = {
   appearanceId: null,
   wornItemIds: [],
   closetedItemIds: [],
+  hiddenLayerIds: [],
 };
 
 function useParseOutfitUrl() {
@@ -375,18 +511,21 @@ function useParseOutfitUrl() {
   // We memoize this to make `outfitStateWithoutExtras` an even more reliable
   // stable object!
   const memoizedOutfitState = React.useMemo(() => {
-    // For the /outfits/:id page, ignore the query string, and just wait for the
+    // For the /outfits/:id page, ignore the query string (except for hidden
+    // layers, which aren't saved with the outfit), and just wait for the
     // outfit data to load in!
+    const urlParams = new URLSearchParams(search);
+    const hiddenLayerIds = new Set(urlParams.getAll("hiddenLayers[]"));
     if (id != null) {
       return {
         ...EMPTY_CUSTOMIZATION_STATE,
         id,
+        hiddenLayerIds,
       };
     }
 
     // Otherwise, parse the query string, and fill in default values for anything
     // not specified.
-    const urlParams = new URLSearchParams(search);
     return {
       id: null,
       name: urlParams.get("name"),
@@ -396,6 +535,7 @@ function useParseOutfitUrl() {
       appearanceId: urlParams.get("state") || null,
       wornItemIds: new Set(urlParams.getAll("objects[]")),
       closetedItemIds: new Set(urlParams.getAll("closet[]")),
+      hiddenLayerIds,
     };
   }, [id, search]);
 
@@ -420,6 +560,7 @@ function getOutfitStateFromOutfitData(outfit) {
     closetedItemIds: new Set(
       (outfit.closetedItems || []).map((item) => item.id)
     ),
+    hiddenLayerIds: new Set(),
   };
 }
 
@@ -600,15 +741,34 @@ function getZonesAndItems(itemsById, wornItemIds, closetedItemIds) {
 }
 
 function buildOutfitUrl(outfitState) {
-  const { id } = outfitState;
+  const { id, hiddenLayerIds } = outfitState;
 
   const { origin, pathname } = window.location;
 
+  // Hidden layers aren't part of the outfit itself, so they're not in the
+  // outfit query string. But we still include them in the URL, so that shared
+  // links look the same as what the user sees!
+  const hiddenLayersParams = new URLSearchParams();
+  for (const layerId of hiddenLayerIds) {
+    hiddenLayersParams.append("hiddenLayers[]", layerId);
+  }
+  const hiddenLayersQueryString = hiddenLayersParams.toString();
+
   if (id) {
-    return origin + `/outfits/${id}`;
+    return (
+      origin +
+      `/outfits/${id}` +
+      (hiddenLayersQueryString ? "?" + hiddenLayersQueryString : "")
+    );
   }
 
-  return origin + pathname + "?" + buildOutfitQueryString(outfitState);
+  return (
+    origin +
+    pathname +
+    "?" +
+    buildOutfitQueryString(outfitState) +
+    (hiddenLayersQueryString ? "&" + hiddenLayersQueryString : "")
+  );
 }
 
 function buildOutfitQueryString(outfitState) {
@@ -0,0 +1,124 @@
+import React from "react";
+import { Box, Button, Input, Textarea, useToast } from "@chakra-ui/react";
+import { useAuth0 } from "@auth0/auth0-react";
+
+import { useCommonStyles, useLocalStorage } from "../util";
+
+/**
+ * FeedbackForm sends feedback to our inbox, along with the current page, and
+ * the current user if they're logged in. If the feedback is about a specific
+ * outfit, provide its `outfitId` too!
+ */
+function FeedbackForm({ outfitId = null }) {
+  const [content, setContent] = React.useState("");
+  const [email, setEmail] = useLocalStorage("DTIFeedbackFormEmail", "");
+  const [isSending, setIsSending] = React.useState(false);
+  const { isAuthenticated, getAccessTokenSilently } = useAuth0();
+  const toast = useToast();
+
+  const onSubmit = React.useCallback(
+    (e) => {
+      e.preventDefault();
+
+      const getHeaders = async () => {
+        const headers = { "Content-Type": "application/json" };
+        if (isAuthenticated) {
+          const token = await getAccessTokenSilently();
+          headers["Authorization"] = `Bearer ${token}`;
+        }
+        return headers;
+      };
+
+      getHeaders()
+        .then((headers) =>
+          fetch("/api/sendFeedback", {
+            method: "POST",
+            headers,
+            body: JSON.stringify({
+              content,
+              email,
+              pageUrl: window.location.href,
+              outfitId,
+            }),
+          })
+        )
+        .then((res) => {
+          if (!res.ok) {
+            throw new Error(`/api/sendFeedback returned status ${res.status}`);
+          }
+
+          setIsSending(false);
+          setContent("");
+          toast({
+            status: "success",
+            title: "Got it! We'll take a look soon.",
+            description:
+              "Thanks for helping us get better! Best wishes to you and your " +
+              "pets!!",
+          });
+        })
+        .catch((e) => {
+          setIsSending(false);
+          console.error(e);
+          toast({
+            status: "warning",
+            title: "Oops, we had an error sending this, sorry!",
+            description:
+              "We'd still love to hear from you! Please reach out to " +
+              "matchu@openneo.net with whatever's on your mind. Thanks and " +
+              "enjoy the site!",
+            duration: null,
+            isClosable: true,
+          });
+        });
+
+      setIsSending(true);
+    },
+    [content, email, outfitId, isAuthenticated, getAccessTokenSilently, toast]
+  );
+
+  const { brightBackground } = useCommonStyles();
+
+  return (
+    <Box
+      as="form"
+      // We use Grid here rather than our usual Flex, mainly so the fields will
+      // tab in the correct order!
+      display="grid"
+      gridTemplateAreas={`"email send" "content content"`}
+      gridTemplateColumns="1fr auto"
+      gridGap="2"
+      onSubmit={onSubmit}
+    >
+      <Input
+        type="email"
+        placeholder="Email address (optional)"
+        size="sm"
+        gridArea="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        background={brightBackground}
+      />
+      <Textarea
+        size="sm"
+        placeholder={"I love…\nI wish…\nNext, you should add…"}
+        gridArea="content"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        background={brightBackground}
+      />
+      <Button
+        type="submit"
+        size="sm"
+        colorScheme="blue"
+        gridArea="send"
+        isDisabled={content.trim().length === 0}
+        isLoading={isSending}
+      >
+        Send
+      </Button>
+    </Box>
+  );
+}
+
+export default FeedbackForm;
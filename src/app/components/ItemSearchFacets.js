@@ -0,0 +1,70 @@
+import React from "react";
+import { Button, Wrap, WrapItem } from "@chakra-ui/react";
+
+/**
+ * ItemSearchFacets shows how many search results match each item kind and
+ * zone, as chips like "Hat (42)". Clicking a chip adds it to the query's
+ * filters, so it's a quick way to narrow down a big search!
+ *
+ * We only show facets for filters that aren't already set.
+ */
+function ItemSearchFacets({
+  query,
+  zoneFacets,
+  itemKindFacets,
+  onChange,
+  maxNumZoneFacets = 8,
+  ...props
+}) {
+  const visibleItemKindFacets = query.filterToItemKind
+    ? []
+    : (itemKindFacets || []).filter((f) => f.numItems > 0);
+  const visibleZoneFacets = query.filterToZoneLabel
+    ? []
+    : (zoneFacets || [])
+        .filter((f) => f.numItems > 0)
+        .slice(0, maxNumZoneFacets);
+
+  if (visibleItemKindFacets.length === 0 && visibleZoneFacets.length === 0) {
+    return null;
+  }
+
+  return (
+    <Wrap spacing="2" {...props}>
+      {visibleItemKindFacets.map(({ itemKind, numItems }) => (
+        <WrapItem key={itemKind}>
+          <ItemSearchFacetButton
+            label={itemKind}
+            numItems={numItems}
+            onClick={() => onChange({ ...query, filterToItemKind: itemKind })}
+          />
+        </WrapItem>
+      ))}
+      {visibleZoneFacets.map(({ zoneLabel, numItems }) => (
+        <WrapItem key={zoneLabel}>
+          <ItemSearchFacetButton
+            label={zoneLabel}
+            numItems={numItems}
+            onClick={() => onChange({ ...query, filterToZoneLabel: zoneLabel })}
+          />
+        </WrapItem>
+      ))}
+    </Wrap>
+  );
+}
+
+function ItemSearchFacetButton({ label, numItems, onClick }) {
+  return (
+    <Button
+      size="xs"
+      variant="outline"
+      borderRadius="full"
+      fontWeight="normal"
+      onClick={onClick}
+    >
+      {label} ({numItems.toLocaleString()})
+    </Button>
+  );
+}
+
+export default ItemSearchFacets;
@@ -1,27 +1,35 @@
 import React from "react";
 import { useHistory, useLocation, useParams } from "react-router-dom";
+import { Box } from "@chakra-ui/react";
 import { useCommonStyles } from "../util";
-import SearchToolbar from "../WardrobePage/SearchToolbar";
+import SearchToolbar, { SearchFilterHint } from "../WardrobePage/SearchToolbar";
 
-function ItemSearchPageToolbar({ ...props }) {
+function ItemSearchPageToolbar({ marginBottom, ...props }) {
   const { query, setQuery } = useSearchQueryInUrl();
   const { brightBackground } = useCommonStyles();
+  const { pathname } = useLocation();
+
+  // On the search page itself, show which filters the user can type, too!
+  const isSearchPage = pathname.startsWith("/items/search");
 
   return (
-    <SearchToolbar
-      query={query}
-      onChange={setQuery}
-      showItemsLabel
-      background={brightBackground}
-      boxShadow="md"
-      {...props}
-    />
+    <Box marginBottom={marginBottom}>
+      <SearchToolbar
+        query={query}
+        onChange={setQuery}
+        showItemsLabel
+        background={brightBackground}
+        boxShadow="md"
+        {...props}
+      />
+      {isSearchPage && <SearchFilterHint marginTop="2" paddingX="2" />}
+    </Box>
   );
 }
 
 /**
  * useSearchQueryInUrl provides an API like useState, but stores the search
- * query in the URL! It also parses out the offset for us.
+ * query in the URL! It also parses out the offset and sort order for us.
  */
 export function useSearchQueryInUrl() {
   const history = useHistory();
@@ -43,6 +51,10 @@ export function useSearchQueryInUrl() {
 
   const offset = parseInt(new URLSearchParams(search).get("offset")) || 0;
 
+  // NOTE: We keep the sort order separate from the query, because choosing a
+  //       sort order on its own shouldn't start a search.
+  const sortBy = new URLSearchParams(search).get("sort") || "RELEVANCE";
+
   // While on the search page, save the most recent parsed query in state.
   const isSearchPage = pathname.startsWith("/items/search");
   const [savedQuery, setSavedQuery] = React.useState(parsedQuery);
@@ -56,8 +68,8 @@ export function useSearchQueryInUrl() {
   // instead of the (presumably empty) parsed query from the URL.
   const query = isSearchPage ? parsedQuery : savedQuery;
 
-  const setQuery = React.useCallback(
-    (newQuery) => {
+  const setQueryAndSortBy = React.useCallback(
+    (newQuery, newSortBy) => {
       let url = `/items/search`;
 
       if (newQuery.value) {
@@ -74,9 +86,12 @@ export function useSearchQueryInUrl() {
       if (newQuery.filterToCurrentUserOwnsOrWants) {
         newParams.append("user", newQuery.filterToCurrentUserOwnsOrWants);
       }
+      if (newSortBy !== "RELEVANCE") {
+        newParams.append("sort", newSortBy);
+      }
 
-      // NOTE: We omit `offset`, because changing the query should reset us
-      //       back to the first page!
+      // NOTE: We omit `offset`, because changing the query or sort order
+      //       should reset us back to the first page!
       const search = newParams.toString();
       if (search) {
         url += "?" + search;
@@ -98,9 +113,18 @@ export function useSearchQueryInUrl() {
     [history, isSearchPage]
   );
 
+  const setQuery = React.useCallback(
+    (newQuery) => setQueryAndSortBy(newQuery, sortBy),
+    [setQueryAndSortBy, sortBy]
+  );
+  const setSortBy = React.useCallback(
+    (newSortBy) => setQueryAndSortBy(query, newSortBy),
+    [setQueryAndSortBy, query]
+  );
+
   // NOTE: We don't provide a `setOffset`, because that's handled via
   //       pagination links.
-  return { query, offset, setQuery };
+  return { query, offset, sortBy, setQuery, setSortBy };
 }
 
 export default ItemSearchPageToolbar;
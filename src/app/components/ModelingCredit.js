@@ -0,0 +1,88 @@
+import React from "react";
+import { gql } from "@apollo/client";
+import { Box, Link as ChakraLink } from "@chakra-ui/react";
+import { Link } from "react-router-dom";
+
+/**
+ * ModelingCredit thanks the people who modeled some data, given a list of
+ * `ModelingContributor` objects (some of which may be null, if we don't know
+ * who modeled it). If we don't know anyone, we render nothing.
+ */
+function ModelingCredit({ contributors, ...props }) {
+  // Dedupe the contributors, and skip the data we don't have credit for.
+  const contributorsByKey = new Map();
+  for (const contributor of contributors) {
+    if (contributor == null) {
+      continue;
+    }
+    const key = contributor.user
+      ? `user:${contributor.user.id}`
+      : `pet:${contributor.petName}`;
+    contributorsByKey.set(key, contributor);
+  }
+  const uniqueContributors = [...contributorsByKey.entries()];
+
+  if (uniqueContributors.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box fontSize="xs" opacity="0.8" {...props}>
+      Modeled by{" "}
+      {uniqueContributors.map(([key, contributor], i) => (
+        <React.Fragment key={key}>
+          {i > 0 && (i === uniqueContributors.length - 1 ? " and " : ", ")}
+          {contributor.user ? (
+            <ChakraLink
+              as={Link}
+              to={`/user/${contributor.user.id}/lists`}
+              textDecoration="underline"
+            >
+              {contributor.user.username}
+            </ChakraLink>
+          ) : (
+            <>a pet named {contributor.petName}</>
+          )}
+        </React.Fragment>
+      ))}
+      . Thank you!
+    </Box>
+  );
+}
+
+/**
+ * ArtistCredit thanks the artist who drew some pet art, given their Neopets
+ * username. If we don't know who drew it, we render nothing.
+ */
+export function ArtistCredit({ artist, ...props }) {
+  if (!artist) {
+    return null;
+  }
+
+  return (
+    <Box fontSize="xs" opacity="0.8" {...props}>
+      Art by{" "}
+      <ChakraLink
+        href={`http://www.neopets.com/userlookup.phtml?user=${encodeURIComponent(
+          artist
+        )}`}
+        isExternal
+        textDecoration="underline"
+      >
+        {artist}
+      </ChakraLink>
+    </Box>
+  );
+}
+
+export const modelingContributorFragment = gql`
+  fragment ModelingContributorForCredit on ModelingContributor {
+    user {
+      id
+      username
+    }
+    petName
+  }
+`;
+
+export default ModelingCredit;
@@ -3,6 +3,7 @@ import LRU from "lru-cache";
 import { Box, Grid, useToast } from "@chakra-ui/react";
 
 import { loadImage, logAndCapture, safeImageUrl } from "../util";
+import buildMovieClip from "../../shared/buildMovieClip";
 
 // Import EaselJS and TweenJS directly into the `window` object! The bundled
 // scripts are built to attach themselves to `window.createjs`, and
@@ -418,35 +419,6 @@ export function loadMovieLibrary(librarySrc) {
   return movieLibraryPromise;
 }
 
-export function buildMovieClip(library, libraryUrl) {
-  let constructorName;
-  try {
-    const fileName = decodeURI(libraryUrl).split("/").pop();
-    const fileNameWithoutExtension = fileName.split(".")[0];
-    constructorName = fileNameWithoutExtension.replace(/[ -]/g, "");
-    if (constructorName.match(/^[0-9]/)) {
-      constructorName = "_" + constructorName;
-    }
-  } catch (e) {
-    throw new Error(
-      `Movie libraryUrl ${JSON.stringify(
-        libraryUrl
-      )} did not match expected format: ${e.message}`
-    );
-  }
-
-  const LibraryMovieClipConstructor = library[constructorName];
-  if (!LibraryMovieClipConstructor) {
-    throw new Error(
-      `Expected JS movie library ${libraryUrl} to contain a constructor ` +
-        `named ${constructorName}, but it did not: ${Object.keys(library)}`
-    );
-  }
-  const movieClip = new LibraryMovieClipConstructor();
-
-  return movieClip;
-}
-
 /**
  * Recursively scans the given MovieClip (or child createjs node), to see if
  * there are any animated areas.
@@ -463,4 +435,5 @@ export function hasAnimations(createjsNode) {
   );
 }
 
+export { buildMovieClip };
 export default OutfitMovieLayer;
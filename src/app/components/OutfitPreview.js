@@ -53,6 +53,7 @@ export function useOutfitPreview({
   pose,
   wornItemIds,
   appearanceId = null,
+  hiddenLayerIds = [],
   isLoading = false,
   placeholder = null,
   loadingDelayMs,
@@ -69,6 +70,7 @@ export function useOutfitPreview({
     pose,
     appearanceId,
     wornItemIds,
+    hiddenLayerIds,
   });
   const { loading, error, visibleLayers } = appearance;
 
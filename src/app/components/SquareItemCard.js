@@ -17,7 +17,12 @@ function SquareItemCard({
   item,
   showRemoveButton = false,
   onRemove = () => {},
+  // An optional extra button (e.g. a menu of actions), shown in the top-left
+  // corner on hover, like the remove button.
+  extraButton = null,
   tradeMatchingMode = null,
+  // If provided, and more than 1, we show a "×3"-style badge on the thumbnail.
+  quantity = null,
   footer = null,
   ...props
 }) {
@@ -79,6 +84,7 @@ function SquareItemCard({
                 <ItemThumbnail
                   item={item}
                   tradeMatchingMode={tradeMatchingMode}
+                  quantity={quantity}
                 />
               }
               removeButton={
@@ -115,6 +121,28 @@ function SquareItemCard({
               <SquareItemCardRemoveButton onClick={onRemove} />
             </div>
           )}
+          {extraButton && (
+            <div
+              className={css`
+                position: absolute;
+                left: 0;
+                top: 0;
+                transform: translate(-50%, -50%);
+                z-index: 1;
+                padding: 0.75em;
+
+                opacity: 0;
+                [role="group"]:hover &,
+                [role="group"]:focus-within &,
+                &:hover,
+                &:focus-within {
+                  opacity: 1;
+                }
+              `}
+            >
+              {extraButton}
+            </div>
+          )}
         </div>
       )}
     </ClassNames>
@@ -180,7 +208,7 @@ function SquareItemCardLayout({
   );
 }
 
-function ItemThumbnail({ item, tradeMatchingMode }) {
+function ItemThumbnail({ item, tradeMatchingMode, quantity }) {
   const kindColorScheme = item.isNc ? "purple" : item.isPb ? "orange" : "gray";
 
   const thumbnailShadowColor = useColorModeValue(
@@ -310,6 +338,21 @@ function ItemThumbnail({ item, tradeMatchingMode }) {
               </ItemThumbnailKindBadge>
             </div>
           )}
+          {quantity > 1 && (
+            <div
+              aria-label={`Quantity: ${quantity}`}
+              title={`Quantity: ${quantity}`}
+              className={css`
+                position: absolute;
+                bottom: -6px;
+                left: -3px;
+              `}
+            >
+              <ItemThumbnailKindBadge colorScheme="teal">
+                ×{quantity}
+              </ItemThumbnailKindBadge>
+            </div>
+          )}
         </div>
       )}
     </ClassNames>
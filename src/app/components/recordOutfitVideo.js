@@ -0,0 +1,129 @@
+import { loadImage } from "../util";
+import { getBestImageUrlForLayer } from "./OutfitPreview";
+import { buildMovieClip, loadMovieLibrary } from "./OutfitMovieLayer";
+
+// In order of preference! MP4 is the easiest to share, but most browsers can
+// only record WebM.
+const VIDEO_MIME_TYPES = ["video/mp4", "video/webm;codecs=vp9", "video/webm"];
+
+/**
+ * getSupportedVideoMimeType returns the best video format this browser can
+ * record, or null if it can't record video at all.
+ */
+export function getSupportedVideoMimeType() {
+  if (typeof window === "undefined" || !window.MediaRecorder) {
+    return null;
+  }
+
+  return (
+    VIDEO_MIME_TYPES.find((mimeType) =>
+      window.MediaRecorder.isTypeSupported(mimeType)
+    ) || null
+  );
+}
+
+/**
+ * recordOutfitVideo plays the given layers on an offscreen canvas, like
+ * OutfitMovieLayer does on the page, and records `durationInSeconds` of it
+ * as a video. Returns a Promise for the video Blob.
+ *
+ * NOTE: This records in real time, so it takes as long as the video does!
+ */
+async function recordOutfitVideo(
+  visibleLayers,
+  { size, fps, durationInSeconds, hiResMode = false }
+) {
+  const mimeType = getSupportedVideoMimeType();
+  if (!mimeType) {
+    throw new Error(`This browser can't record video.`);
+  }
+
+  const layers = await Promise.all(
+    visibleLayers.map((layer) => loadLayerForVideo(layer, size, hiResMode))
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+
+  const drawFrame = () => {
+    context.clearRect(0, 0, size, size);
+    for (const layer of layers) {
+      const source = layer.stage ? layer.stage.canvas : layer.image;
+      context.drawImage(source, 0, 0, size, size);
+    }
+  };
+
+  const recorder = new window.MediaRecorder(canvas.captureStream(fps), {
+    mimeType,
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  const recorderStoppedPromise = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (e) => reject(e.error);
+  });
+
+  drawFrame();
+  recorder.start();
+
+  // Each movie plays at its own natural frame rate, and we sample them all
+  // onto the main canvas at the frame rate we're recording.
+  const intervalIds = [
+    ...layers
+      .filter((layer) => layer.stage)
+      .map((layer) =>
+        setInterval(() => layer.stage.update(), 1000 / layer.fps)
+      ),
+    setInterval(drawFrame, 1000 / fps),
+  ];
+
+  try {
+    await new Promise((resolve) =>
+      setTimeout(resolve, durationInSeconds * 1000)
+    );
+    recorder.stop();
+    await recorderStoppedPromise;
+  } finally {
+    intervalIds.forEach((id) => clearInterval(id));
+
+    // Like in OutfitMovieLayer, clean up the canvases ourselves, to work
+    // around Safari's canvas memory leaks.
+    for (const layer of layers) {
+      if (layer.stage) {
+        layer.stage.canvas.width = 0;
+        layer.stage.canvas.height = 0;
+      }
+    }
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+
+  return new Blob(chunks, { type: mimeType });
+}
+
+async function loadLayerForVideo(layer, size, hiResMode) {
+  if (!layer.canvasMovieLibraryUrl) {
+    const imageUrl = getBestImageUrlForLayer(layer, { hiResMode });
+    const image = await loadImage(imageUrl, { crossOrigin: "anonymous" });
+    return { image };
+  }
+
+  const libraryUrl = layer.canvasMovieLibraryUrl;
+  const library = await loadMovieLibrary(libraryUrl);
+  const movieClip = buildMovieClip(library, libraryUrl);
+  movieClip.scaleX = size / library.properties.width;
+  movieClip.scaleY = size / library.properties.height;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const stage = new window.createjs.Stage(canvas);
+  stage.addChild(movieClip);
+  stage.update();
+
+  return { stage, fps: library.properties.fps };
+}
+
+export default recordOutfitVideo;
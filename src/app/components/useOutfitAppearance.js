@@ -9,9 +9,20 @@ import getVisibleLayers, {
 /**
  * useOutfitAppearance downloads the outfit's appearance data, and returns
  * visibleLayers for rendering.
+ *
+ * If the outfit state has `hiddenLayerIds`, we leave those layers out of
+ * visibleLayers, too. (They're the layers the user chose to hide in the
+ * wardrobe's Layers panel.)
  */
 export default function useOutfitAppearance(outfitState) {
-  const { wornItemIds, speciesId, colorId, pose, appearanceId } = outfitState;
+  const {
+    wornItemIds,
+    speciesId,
+    colorId,
+    pose,
+    appearanceId,
+    hiddenLayerIds = [],
+  } = outfitState;
 
   // We split this query out from the other one, so that we can HTTP cache it.
   //
@@ -100,10 +111,16 @@ export default function useOutfitAppearance(outfitState) {
     () => (items || []).map((i) => i.appearance),
     [items]
   );
-  const visibleLayers = React.useMemo(
-    () => getVisibleLayers(petAppearance, itemAppearances),
-    [petAppearance, itemAppearances]
-  );
+  // We join the hidden layer IDs into a string, so that the memoized layers
+  // only change when the IDs actually do, even if the caller passes us a new
+  // array each render.
+  const hiddenLayerIdsKey = [...hiddenLayerIds].sort().join(",");
+  const visibleLayers = React.useMemo(() => {
+    const hiddenLayerIdSet = new Set(hiddenLayerIdsKey.split(","));
+    return getVisibleLayers(petAppearance, itemAppearances).filter(
+      (layer) => !hiddenLayerIdSet.has(layer.id)
+    );
+  }, [petAppearance, itemAppearances, hiddenLayerIdsKey]);
 
   const bodyId = petAppearance?.bodyId;
 
@@ -168,6 +185,7 @@ export const petAppearanceFragment = gql`
     bodyId
     pose # For Known Glitches UI
     isGlitched # For Known Glitches UI
+    artist # For the artist credit in OutfitControls
     species {
       id # For Known Glitches UI
     }
@@ -0,0 +1,350 @@
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import fetch from "node-fetch";
+import LRU from "lru-cache";
+import { createCanvas, loadImage } from "canvas";
+
+import buildMovieClip from "../shared/buildMovieClip";
+
+// We run EaselJS, TweenJS, and the movie library itself inside a VM sandbox
+// that pretends to be a browser window, backed by node-canvas. Each render
+// gets a fresh sandbox, so libraries can't interfere with each other, but we
+// compile the createjs scripts just once.
+//
+// NOTE: We read these from node_modules at runtime, rather than importing
+//       them, because they're built to attach themselves to `window`, and
+//       need to run inside the sandbox to do that!
+const CREATEJS_SCRIPTS = [
+  "easeljs/lib/easeljs.js",
+  "tweenjs/lib/tweenjs.js",
+].map(
+  (modulePath) =>
+    new vm.Script(
+      fs.readFileSync(
+        path.join(process.cwd(), "node_modules", modulePath),
+        "utf8"
+      ),
+      { filename: modulePath }
+    )
+);
+
+// Movie libraries are third-party code, so we don't let them hang the server:
+// every time we run code in the sandbox, including each frame's scripts, it
+// has this long to finish before we interrupt it and give up.
+const SANDBOX_TIMEOUT_IN_MS = 2000;
+
+// Movie libraries are big, and popular layers come up a lot, so we keep the
+// most recent library sources around. (We cache the source, not the loaded
+// library, because the loaded library is bound to its sandbox.)
+const MOVIE_LIBRARY_SOURCE_CACHE = new LRU(50);
+
+/**
+ * renderMovieLibraryFirstFrame loads the canvas movie library at the given
+ * URL, and renders its first frame to a new size-by-size canvas.
+ */
+async function renderMovieLibraryFirstFrame(libraryUrl, size) {
+  const movieRenderer = await createMovieRenderer(libraryUrl, size);
+  movieRenderer.renderNextFrame();
+  return movieRenderer.canvas;
+}
+
+/**
+ * createMovieRenderer loads the canvas movie library at the given URL, onto a
+ * new size-by-size canvas. Each call to `renderNextFrame` advances the movie
+ * by one frame, and draws it to `canvas`. The movie's natural frame rate is
+ * `fps`.
+ */
+async function createMovieRenderer(libraryUrl, size) {
+  const sandbox = createSandbox();
+  await loadMovieLibrary(libraryUrl, sandbox);
+
+  const canvas = createCanvas(size, size);
+  const fps = sandbox.run(
+    `(host) => {
+      const movieClip = host.buildMovieClip(movieLibrary, host.libraryUrl);
+      movieClip.scaleX = host.size / movieLibrary.properties.width;
+      movieClip.scaleY = host.size / movieLibrary.properties.height;
+
+      // There's no DOM for the stage to listen to events from, so we skip it.
+      createjs.Stage.prototype.enableDOMEvents = () => {};
+      movieStage = new createjs.Stage(host.canvas);
+      movieStage.addChild(movieClip);
+
+      return Number(movieLibrary.properties.fps);
+    }`,
+    { buildMovieClip, libraryUrl, size, canvas }
+  );
+
+  return {
+    canvas,
+    fps,
+    renderNextFrame: () => sandbox.run(`() => movieStage.update()`),
+  };
+}
+
+/**
+ * createSandbox creates a fresh VM context with createjs loaded, and returns
+ * a `run` function to call code inside it.
+ *
+ * The context can't see anything from our side, except what we pass to
+ * `run`. Even then, it only gets primitives, or proxies that forward to our
+ * objects, but hide their prototypes and constructors (which would otherwise
+ * lead back to our `Function`, and from there to `process`!). And errors from
+ * our side, including any thrown while the proxies look something up, are
+ * rethrown as the sandbox's own errors, for the same reason.
+ */
+function createSandbox() {
+  // NOTE: The context's globals are backed by this object, so we give it no
+  //       prototype, or `this.constructor` would be our own `Object`!
+  const context = vm.createContext(Object.create(null), {
+    // Run promise callbacks as part of each call, so they get the same time
+    // limit, instead of running on our side later.
+    microtaskMode: "afterEvaluate",
+  });
+  const sandboxObjectPrototype = vm.runInContext("Object.prototype", context);
+  const SandboxError = vm.runInContext("Error", context);
+
+  const proxiesByTarget = new WeakMap();
+  const targetsByProxy = new WeakMap();
+  const expose = (value) => {
+    if (
+      value === null ||
+      (typeof value !== "object" && typeof value !== "function") ||
+      targetsByProxy.has(value) ||
+      Object.prototype.isPrototypeOf.call(sandboxObjectPrototype, value)
+    ) {
+      return value;
+    }
+
+    if (!proxiesByTarget.has(value)) {
+      const proxy = new Proxy(
+        // We proxy a blank stand-in, rather than the value itself, so that the
+        // proxy doesn't have to report the value's own prototype or
+        // unconfigurable properties. (A bound function is callable, but has
+        // no `prototype` of its own.)
+        typeof value === "function"
+          ? function () {}.bind(null)
+          : Object.create(null),
+        buildExposedProxyHandler(value)
+      );
+      proxiesByTarget.set(value, proxy);
+      targetsByProxy.set(proxy, value);
+    }
+    return proxiesByTarget.get(value);
+  };
+  const unwrap = (value) =>
+    targetsByProxy.has(value) ? targetsByProxy.get(value) : value;
+  const rethrowInSandbox = (fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      throw new SandboxError(String(e && e.message));
+    }
+  };
+  const isHiddenKey = (key) => key === "constructor" || key === "__proto__";
+
+  // Any trap can throw one of our errors, even just reading a property (like
+  // a function's `caller`), so every trap rethrows them as sandbox errors.
+  const buildExposedProxyHandler = (target) =>
+    Object.fromEntries(
+      Object.entries(buildUnguardedProxyHandler(target)).map(([name, trap]) => [
+        name,
+        (...args) => rethrowInSandbox(() => trap(...args)),
+      ])
+    );
+  const buildUnguardedProxyHandler = (target) => ({
+    get: (_, key) => (isHiddenKey(key) ? undefined : expose(target[key])),
+    set: (_, key, value) => Reflect.set(target, key, unwrap(value)),
+    has: (_, key) => !isHiddenKey(key) && key in target,
+    deleteProperty: (_, key) => Reflect.deleteProperty(target, key),
+    ownKeys: () => Reflect.ownKeys(target).filter((key) => !isHiddenKey(key)),
+    getOwnPropertyDescriptor: (_, key) => {
+      const descriptor = isHiddenKey(key)
+        ? undefined
+        : Reflect.getOwnPropertyDescriptor(target, key);
+      if (!descriptor) {
+        return undefined;
+      }
+      return {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        ...("value" in descriptor
+          ? { value: expose(descriptor.value), writable: descriptor.writable }
+          : { get: expose(descriptor.get), set: expose(descriptor.set) }),
+      };
+    },
+    defineProperty: () => false,
+    getPrototypeOf: () => null,
+    setPrototypeOf: () => false,
+    preventExtensions: () => false,
+    apply: (_, thisArg, args) =>
+      expose(Reflect.apply(target, unwrap(thisArg), args.map(unwrap))),
+    construct: (_, args) => expose(Reflect.construct(target, args.map(unwrap))),
+  });
+
+  const runOptions = { timeout: SANDBOX_TIMEOUT_IN_MS };
+
+  /**
+   * run calls the given function source code inside the sandbox, with the
+   * given values from our side as its argument. It returns the function's
+   * result, which must be a primitive value, so we never run sandbox code
+   * (like a getter) on our side, outside the time limit.
+   */
+  const run = (functionSource, hostValues = {}) => {
+    context.__host = expose(hostValues);
+    let result;
+    try {
+      result = vm.runInContext(
+        `(() => {
+          try {
+            const value = (${functionSource})(__host);
+            const isPrimitive =
+              value === null ||
+              (typeof value !== "object" && typeof value !== "function");
+            if (!isPrimitive) {
+              return {
+                error: "Expected a primitive value from the sandbox",
+                value: undefined,
+              };
+            }
+            return { error: null, value };
+          } catch (e) {
+            return { error: String(e && e.message), value: undefined };
+          }
+        })()`,
+        context,
+        runOptions
+      );
+    } finally {
+      delete context.__host;
+    }
+
+    if (result.error != null) {
+      throw new Error(result.error);
+    }
+    return result.value;
+  };
+
+  run(
+    `(host) => {
+      globalThis.window = globalThis;
+
+      // createjs checks for this before falling back to \`document\`, so this
+      // is how we get it to use node-canvas for its internal canvases.
+      globalThis.createjs = { createCanvas: () => host.createCanvas(1, 1) };
+      globalThis.AdobeAn = {};
+      globalThis.navigator = { userAgent: "node" };
+      globalThis.performance = { now: () => Date.now() };
+      globalThis.document = {
+        createElement: (tagName) => {
+          if (tagName === "canvas") {
+            return host.createCanvas(1, 1);
+          }
+          throw new Error(\`Can't create <\${tagName}> outside a browser\`);
+        },
+      };
+
+      // We advance frames ourselves, by calling \`stage.update\`, so we stub
+      // out the timers that createjs would use to keep playing. That way, it
+      // can't leave anything running once we're done!
+      globalThis.requestAnimationFrame = () => 0;
+      globalThis.cancelAnimationFrame = () => {};
+      globalThis.setTimeout = () => 0;
+      globalThis.clearTimeout = () => {};
+      globalThis.setInterval = () => 0;
+      globalThis.clearInterval = () => {};
+    }`,
+    { createCanvas }
+  );
+
+  for (const script of CREATEJS_SCRIPTS) {
+    script.runInContext(context, runOptions);
+  }
+
+  return {
+    run,
+    runScript: (source, filename) =>
+      vm.runInContext(source, context, { ...runOptions, filename }),
+  };
+}
+
+async function loadMovieLibrary(libraryUrl, sandbox) {
+  const librarySource = await loadMovieLibrarySource(libraryUrl);
+  sandbox.runScript(librarySource, libraryUrl);
+
+  // The library adds its composition to `AdobeAn.compositions`. We have a
+  // fresh sandbox, so it should be the only one! We keep it in the sandbox,
+  // and just bring back the list of images it needs, as JSON.
+  const manifestJson = sandbox.run(
+    `(host) => {
+      const compositions = Object.values(AdobeAn.compositions || {});
+      if (compositions.length !== 1) {
+        throw new Error(
+          \`Movie library \${host.libraryUrl} added \${compositions.length} \` +
+            \`compositions to AdobeAn.compositions, but we expected 1.\`
+        );
+      }
+      movieComposition = compositions[0];
+      movieLibrary = movieComposition.getLibrary();
+
+      return JSON.stringify(
+        movieLibrary.properties.manifest.map(({ id, src }) => ({
+          id: String(id),
+          src: String(src),
+        }))
+      );
+    }`,
+    { libraryUrl }
+  );
+  const manifest = JSON.parse(manifestJson);
+
+  // Like in the browser, we need to load the library's images ourselves, and
+  // mutate the library to give them to it.
+  const libraryUrlDir = libraryUrl.split("/").slice(0, -1).join("/");
+  const manifestImages = await Promise.all(
+    manifest.map(async ({ id, src }) => ({
+      id,
+      image: await loadImage(libraryUrlDir + "/" + src),
+    }))
+  );
+
+  sandbox.run(
+    `(host) => {
+      const images = movieComposition.getImages();
+      for (let i = 0; i < host.manifestImages.length; i++) {
+        const { id, image } = host.manifestImages[i];
+        images[id] = image;
+      }
+
+      const spriteSheets = movieComposition.getSpriteSheet();
+      for (const { name, frames } of movieLibrary.ssMetadata) {
+        spriteSheets[name] = new createjs.SpriteSheet({
+          images: [images[name]],
+          frames,
+        });
+      }
+    }`,
+    { manifestImages }
+  );
+}
+
+async function loadMovieLibrarySource(libraryUrl) {
+  const cachedSource = MOVIE_LIBRARY_SOURCE_CACHE.get(libraryUrl);
+  if (cachedSource) {
+    return cachedSource;
+  }
+
+  const res = await fetch(libraryUrl);
+  if (!res.ok) {
+    throw new Error(
+      `Could not load movie library ${libraryUrl}: ${res.status} ${res.statusText}`
+    );
+  }
+  const source = await res.text();
+
+  MOVIE_LIBRARY_SOURCE_CACHE.set(libraryUrl, source);
+  return source;
+}
+
+module.exports = { createMovieRenderer, renderMovieLibraryFirstFrame };
@@ -0,0 +1,43 @@
+// This worker encodes an animated GIF for renderOutfitAnimation. Quantizing
+// the colors for every frame can take several seconds of CPU, so we do it in
+// a worker thread, to keep the server responsive to other requests meanwhile.
+//
+// NOTE: We load this file from disk at runtime, rather than bundling it, so
+//       it's plain CommonJS, and can only use what Node can require itself!
+const { parentPort } = require("worker_threads");
+const { BitmapImage, GifCodec, GifFrame, GifUtil } = require("gifwrap");
+
+async function encodeGif({ framesData, numFrames, size, fps }) {
+  const frameSizeInBytes = size * size * 4;
+  const gifFrames = [];
+  for (let i = 0; i < numFrames; i++) {
+    const data = Buffer.from(
+      framesData,
+      i * frameSizeInBytes,
+      frameSizeInBytes
+    );
+    gifFrames.push(
+      new GifFrame(new BitmapImage({ width: size, height: size, data }), {
+        delayCentisecs: Math.round(100 / fps),
+      })
+    );
+  }
+
+  // GIFs only get 256 colors, and we save one for transparency. Quantizing
+  // all the frames together keeps the colors from flickering between them.
+  GifUtil.quantizeDekker(gifFrames, 255);
+
+  const gif = await new GifCodec().encodeGif(gifFrames, { loops: 0 });
+  return gif.buffer;
+}
+
+// We get the job as a message, rather than as workerData, because gifwrap
+// finishes setting itself up on the next tick after we require it.
+parentPort.once("message", async (job) => {
+  const gifBuffer = await encodeGif(job);
+
+  // Copy the GIF into its own ArrayBuffer, so we can transfer it back rather
+  // than cloning it.
+  const gifArrayBuffer = new Uint8Array(gifBuffer).buffer;
+  parentPort.postMessage(gifArrayBuffer, [gifArrayBuffer]);
+});
@@ -42,11 +42,15 @@ const schema = makeExecutableSchema(
     { typeDefs: rootTypeDefs, resolvers: {} },
     require("./types/AppearanceLayer"),
     require("./types/ClosetList"),
+    require("./types/Feedback"),
     require("./types/Item"),
+    require("./types/ModelingLog"),
     require("./types/MutationsForSupport"),
     require("./types/Outfit"),
     require("./types/Pet"),
     require("./types/PetAppearance"),
+    require("./types/SupportAuditLog"),
+    require("./types/TradeNotification"),
     require("./types/User"),
     require("./types/Zone"),
   ])
@@ -1,5 +1,5 @@
 import DataLoader from "dataloader";
-import { normalizeRow } from "./util";
+import { normalizeRow, parseItemSearchQuery, VISIBILITY_VALUES } from "./util";
 
 const buildClosetListLoader = (db) =>
   new DataLoader(async (ids) => {
@@ -204,14 +204,14 @@ const buildTradeMatchesLoader = (db) =>
             AND (
               -- For the public user (but not the current), the hanger must be
               -- marked Trading.
-              (public_user_hangers.list_id IS NOT NULL AND public_user_lists.visibility >= 2)
+              (public_user_hangers.list_id IS NOT NULL AND public_user_lists.visibility >= ${VISIBILITY_VALUES.TRADING})
                 OR (
                   public_user_hangers.list_id IS NULL AND public_user_hangers.owned = 1
-                  AND public_users.owned_closet_hangers_visibility >= 2
+                  AND public_users.owned_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
                 )
                 OR (
                   public_user_hangers.list_id IS NULL AND public_user_hangers.owned = 0
-                  AND public_users.wanted_closet_hangers_visibility >= 2
+                  AND public_users.wanted_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
                 )
             )
           )
@@ -244,6 +244,22 @@ const loadAllPetTypes = (db) => async () => {
   return entities;
 };
 
+const buildFeedbackRepliesLoader = (db) =>
+  new DataLoader(async (feedbackIds) => {
+    const qs = feedbackIds.map((_) => "?").join(",");
+    const [rows] = await db.execute(
+      `SELECT * FROM feedback_replies WHERE feedback_id IN (${qs})
+       ORDER BY created_at, id`,
+      feedbackIds
+    );
+
+    const entities = rows.map(normalizeRow);
+
+    return feedbackIds.map((feedbackId) =>
+      entities.filter((e) => e.feedbackId === String(feedbackId))
+    );
+  });
+
 const buildItemLoader = (db) =>
   new DataLoader(async (ids) => {
     const qs = ids.map((_) => "?").join(",");
@@ -323,6 +339,77 @@ const itemSearchKindConditions = {
   PB: `description LIKE "%This item is part of a deluxe paint brush set!%"`,
 };
 
+// Other users can see items in a trade list if the list's visibility is at
+// least TRADING; or, for items in no list, if the user's default visibility
+// for owned/wanted items is at least TRADING.
+const itemSearchTradeHangersCondition = `
+  (sch.list_id IS NOT NULL AND scl.visibility >= ${VISIBILITY_VALUES.TRADING})
+  OR (
+    sch.list_id IS NULL AND sch.owned = 1
+    AND su.owned_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
+  )
+  OR (
+    sch.list_id IS NULL AND sch.owned = 0
+    AND su.wanted_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
+  )
+`;
+const buildItemSearchTradeCountSql = (owned) => `(
+  SELECT count(DISTINCT sch.user_id) FROM closet_hangers sch
+  INNER JOIN users su ON su.id = sch.user_id
+  LEFT JOIN closet_lists scl ON scl.id = sch.list_id
+  WHERE sch.item_id = items.id AND sch.owned = ${owned} AND (
+    ${itemSearchTradeHangersCondition}
+  )
+)`;
+const itemSearchSortOrders = {
+  NEWEST: `items.created_at DESC`,
+  RARITY: `items.rarity_index DESC`,
+  MOST_WANTED: `${buildItemSearchTradeCountSql(0)} DESC`,
+  MOST_OFFERED: `${buildItemSearchTradeCountSql(1)} DESC`,
+};
+
+function escapeForLike(str) {
+  return str.replace(/[\\_%]/g, "\\$&");
+}
+
+/**
+ * Build LIKE patterns that match the given word with at most one typo: a
+ * missing, extra, or wrong letter, or two letters swapped. (Each pattern
+ * allows exactly one of those edits, so this is a cheap approximation of edit
+ * distance that MySQL can run without any extra setup!)
+ */
+function buildTypoTolerantMatchers(word) {
+  const matchers = new Set();
+  const addMatcher = (...parts) =>
+    matchers.add(
+      "%" + parts.map((p) => (p === "_" ? p : escapeForLike(p))).join("") + "%"
+    );
+  for (let i = 0; i < word.length; i++) {
+    const before = word.slice(0, i);
+    const after = word.slice(i + 1);
+
+    // Replace this letter with any one letter, or leave it out.
+    addMatcher(before, "_", after);
+    addMatcher(before, after);
+
+    // Allow one extra letter before this one. (An extra letter at the start
+    // or end of the word doesn't matter, because we match substrings anyway.)
+    if (i > 0) {
+      addMatcher(before, "_", word.slice(i));
+    }
+
+    // Swap this letter with the next one.
+    if (i < word.length - 1) {
+      addMatcher(before, word[i + 1] + word[i] + word.slice(i + 2));
+    }
+  }
+  return [...matchers];
+}
+
+// Short words are too likely to match everything once we allow a typo, so we
+// only apply typo tolerance to words at least this long.
+const MIN_TYPO_TOLERANT_WORD_LENGTH = 4;
+
 function buildItemSearchConditions({
   query,
   bodyId,
@@ -330,12 +417,20 @@ function buildItemSearchConditions({
   currentUserOwnsOrWants,
   currentUserId,
   zoneIds,
+  mode = "SUBSTRING",
+  sortBy = "RELEVANCE",
+  maxItemId = null,
 }) {
-  // Split the query into words, and search for each word as a substring
-  // of the name.
-  const words = query.split(/\s+/);
+  // First, pull out any filters written into the query, like `is:nc`.
+  const parsedQuery = parseItemSearchQuery(query);
+
+  // Split the rest of the query into words, and search for each word as a
+  // substring of the name. In RANKED mode, we also allow typos in longer
+  // words, and compute a relevance score to sort the best matches first.
+  const words = parsedQuery.text.split(/\s+/);
   const wordMatchConditions = [];
   const wordMatchValues = [];
+  const positiveWords = [];
   for (let word of words) {
     // If the word starts with `-`, remove `-` and treat the filter as negative.
     const isNegative = word.startsWith("-");
@@ -346,14 +441,61 @@ function buildItemSearchConditions({
       continue;
     }
 
-    const condition = isNegative ? "t.name NOT LIKE ?" : "t.name LIKE ?";
-    const matcher = "%" + word.replace(/_%/g, "\\$0") + "%";
+    const matcher = "%" + escapeForLike(word) + "%";
 
-    wordMatchConditions.push(condition);
-    wordMatchValues.push(matcher);
+    if (isNegative) {
+      wordMatchConditions.push("t.name NOT LIKE ?");
+      wordMatchValues.push(matcher);
+    } else if (
+      mode === "RANKED" &&
+      word.length >= MIN_TYPO_TOLERANT_WORD_LENGTH
+    ) {
+      const typoMatchers = buildTypoTolerantMatchers(word);
+      wordMatchConditions.push(
+        "(" + typoMatchers.map((_) => "t.name LIKE ?").join(" OR ") + ")"
+      );
+      wordMatchValues.push(...typoMatchers);
+      positiveWords.push(word);
+    } else {
+      wordMatchConditions.push("t.name LIKE ?");
+      wordMatchValues.push(matcher);
+      positiveWords.push(word);
+    }
   }
   const wordMatchCondition = wordMatchConditions.join(" AND ") || "1";
 
+  // In SUBSTRING mode, we sort alphabetically. In RANKED mode, we sort by a
+  // relevance score: an exact name match first, then names that start with
+  // the query, then names where the query words start a word (rather than
+  // matching a typo, or the middle of a word). Ties are sorted by name.
+  let queryOrderBy = "t.name";
+  let queryOrderByValues = [];
+  if (mode === "RANKED") {
+    const scoreTerms = [`(t.name = ?) * 1000`, `(t.name LIKE ?) * 100`];
+    const scoreValues = [
+      parsedQuery.text,
+      escapeForLike(parsedQuery.text) + "%",
+    ];
+    for (const word of positiveWords) {
+      scoreTerms.push(`(t.name LIKE ? OR t.name LIKE ?) * 10`);
+      scoreValues.push(
+        escapeForLike(word) + "%",
+        "% " + escapeForLike(word) + "%"
+      );
+      scoreTerms.push(`(t.name LIKE ?) * 5`);
+      scoreValues.push("%" + escapeForLike(word) + "%");
+    }
+    queryOrderBy = `(${scoreTerms.join(" + ")}) DESC, t.name`;
+    queryOrderByValues = scoreValues;
+  }
+
+  // Other sort options replace the mode's sort order, with ties sorted by
+  // name.
+  if (sortBy in itemSearchSortOrders) {
+    queryOrderBy = `${itemSearchSortOrders[sortBy]}, t.name`;
+    queryOrderByValues = [];
+  }
+
   const itemKindCondition = itemSearchKindConditions[itemKind] || "1";
   const bodyIdCondition = bodyId
     ? "(swf_assets.body_id = ? OR swf_assets.body_id = 0)"
@@ -373,6 +515,96 @@ function buildItemSearchConditions({
     ? [currentUserId, currentUserOwnsOrWants === "OWNS" ? "1" : "0"]
     : [];
 
+  // Then, build conditions for the filters from the query text. These stack
+  // on top of the filter arguments, rather than replacing them.
+  const queryFilterConditions = [];
+  const queryFilterValues = [];
+  if (parsedQuery.itemKind) {
+    queryFilterConditions.push(itemSearchKindConditions[parsedQuery.itemKind]);
+  }
+  if (parsedQuery.zoneLabel) {
+    queryFilterConditions.push(
+      `swf_assets.zone_id IN (
+        SELECT zone_id FROM zone_translations WHERE locale = "en" AND label = ?
+      )`
+    );
+    queryFilterValues.push(parsedQuery.zoneLabel);
+  }
+  if (parsedQuery.restrictsZoneLabel) {
+    // `zones_restrict` is a string of 0s and 1s, where the Nth character is 1
+    // if the item restricts the zone with ID N.
+    queryFilterConditions.push(
+      `EXISTS (
+        SELECT 1 FROM zone_translations rzt
+        WHERE rzt.locale = "en" AND rzt.label = ? AND
+          SUBSTRING(items.zones_restrict, rzt.zone_id, 1) = "1"
+      )`
+    );
+    queryFilterValues.push(parsedQuery.restrictsZoneLabel);
+  }
+  if (parsedQuery.fitsSpeciesName) {
+    // We accept color names with spaces written as hyphens, like
+    // `fits:ice-cream-acara`.
+    queryFilterConditions.push(
+      `(swf_assets.body_id = 0 OR swf_assets.body_id IN (
+        SELECT pt.body_id FROM pet_types pt
+        INNER JOIN color_translations ct
+          ON ct.color_id = pt.color_id AND ct.locale = "en"
+        INNER JOIN species_translations st
+          ON st.species_id = pt.species_id AND st.locale = "en"
+        WHERE ct.name IN (?, ?) AND st.name = ?
+      ))`
+    );
+    queryFilterValues.push(
+      parsedQuery.fitsColorName,
+      parsedQuery.fitsColorName.replace(/-/g, " "),
+      parsedQuery.fitsSpeciesName
+    );
+  }
+  for (const [isOwned, filterValue] of [
+    [true, parsedQuery.currentUserOwns],
+    [false, parsedQuery.currentUserWants],
+  ]) {
+    if (filterValue == null) {
+      continue;
+    }
+    if (!currentUserId) {
+      // Logged-out users don't own or want anything!
+      queryFilterConditions.push(filterValue ? "0" : "1");
+      continue;
+    }
+    queryFilterConditions.push(
+      `items.id ${filterValue ? "IN" : "NOT IN"} (
+        SELECT item_id FROM closet_hangers WHERE user_id = ? AND owned = ?
+      )`
+    );
+    queryFilterValues.push(currentUserId, isOwned ? "1" : "0");
+  }
+  if (parsedQuery.category) {
+    queryFilterConditions.push("items.category = ?");
+    queryFilterValues.push(parsedQuery.category);
+  }
+  if (parsedQuery.isSoldInNcMall != null) {
+    queryFilterConditions.push("items.sold_in_mall = ?");
+    queryFilterValues.push(parsedQuery.isSoldInNcMall ? "1" : "0");
+  }
+  if (parsedQuery.addedAfter) {
+    queryFilterConditions.push("items.created_at >= ?");
+    queryFilterValues.push(parsedQuery.addedAfter);
+  }
+  if (parsedQuery.addedBefore) {
+    queryFilterConditions.push("items.created_at < ?");
+    queryFilterValues.push(parsedQuery.addedBefore);
+  }
+  // When paginating with a cursor, we ignore items added after the first
+  // page loaded, so that they don't shift the later pages around.
+  if (maxItemId != null) {
+    queryFilterConditions.push("items.id <= ?");
+    queryFilterValues.push(maxItemId);
+  }
+  const queryFilterCondition =
+    queryFilterConditions.map((c) => `(${c})`).join(" AND ") || "1";
+
   const queryJoins = `
     INNER JOIN item_translations t ON t.item_id = items.id
     INNER JOIN parents_swf_assets rel
@@ -384,16 +616,24 @@ function buildItemSearchConditions({
   const queryConditions = `
     (${wordMatchCondition}) AND (${bodyIdCondition}) AND
     (${zoneIdsCondition}) AND (${itemKindCondition}) AND
-    (${currentUserCondition}) AND t.locale = "en"
+    (${currentUserCondition}) AND (${queryFilterCondition}) AND
+    t.locale = "en"
   `;
   const queryConditionValues = [
     ...wordMatchValues,
     ...bodyIdValues,
     ...zoneIds,
     ...currentUserValues,
+    ...queryFilterValues,
   ];
 
-  return { queryJoins, queryConditions, queryConditionValues };
+  return {
+    queryJoins,
+    queryConditions,
+    queryConditionValues,
+    queryOrderBy,
+    queryOrderByValues,
+  };
 }
 
 const buildItemSearchNumTotalItemsLoader = (db) =>
@@ -408,6 +648,8 @@ const buildItemSearchNumTotalItemsLoader = (db) =>
         currentUserOwnsOrWants,
         currentUserId,
         zoneIds = [],
+        mode,
+        maxItemId,
       }) => {
         const {
           queryJoins,
@@ -420,6 +662,8 @@ const buildItemSearchNumTotalItemsLoader = (db) =>
           currentUserOwnsOrWants,
           currentUserId,
           zoneIds,
+          mode,
+          maxItemId,
         });
 
         const [totalRows] = await db.execute(
@@ -453,6 +697,9 @@ const buildItemSearchItemsLoader = (db, loaders) =>
         currentUserOwnsOrWants,
         currentUserId,
         zoneIds = [],
+        mode,
+        sortBy,
+        maxItemId,
         offset,
         limit,
       }) => {
@@ -463,6 +710,8 @@ const buildItemSearchItemsLoader = (db, loaders) =>
           queryJoins,
           queryConditions,
           queryConditionValues,
+          queryOrderBy,
+          queryOrderByValues,
         } = buildItemSearchConditions({
           query,
           bodyId,
@@ -470,6 +719,9 @@ const buildItemSearchItemsLoader = (db, loaders) =>
           currentUserOwnsOrWants,
           currentUserId,
           zoneIds,
+          mode,
+          sortBy,
+          maxItemId,
         });
 
         const [rows] = await db.execute(
@@ -477,10 +729,15 @@ const buildItemSearchItemsLoader = (db, loaders) =>
             SELECT DISTINCT items.*, t.name FROM items
             ${queryJoins}
             WHERE ${queryConditions}
-            ORDER BY t.name
+            ORDER BY ${queryOrderBy}
             LIMIT ? OFFSET ?
           `,
-          [...queryConditionValues, actualLimit, actualOffset]
+          [
+            ...queryConditionValues,
+            ...queryOrderByValues,
+            actualLimit,
+            actualOffset,
+          ]
         );
 
         const entities = rows.map(normalizeRow);
@@ -498,6 +755,100 @@ const buildItemSearchItemsLoader = (db, loaders) =>
     return responses;
   });
 
+const buildItemSearchFacetsLoader = (db) =>
+  new DataLoader(
+    async (queries) => {
+      // This isn't actually optimized as a batch query, we're just using a
+      // DataLoader API consistency with our other loaders!
+      const queryPromises = queries.map(
+        async ({
+          query,
+          bodyId,
+          itemKind,
+          currentUserOwnsOrWants,
+          currentUserId,
+          zoneIds = [],
+          mode,
+          maxItemId,
+        }) => {
+          // Each facet ignores its own filter argument, so that it can show the
+          // counts for the _other_ options too. (Otherwise, once you filter to
+          // Hats, the zone facets would only ever show Hats!)
+          const zoneConditions = buildItemSearchConditions({
+            query,
+            bodyId,
+            itemKind,
+            currentUserOwnsOrWants,
+            currentUserId,
+            zoneIds: [],
+            mode,
+            maxItemId,
+          });
+          const itemKindConditions = buildItemSearchConditions({
+            query,
+            bodyId,
+            itemKind: null,
+            currentUserOwnsOrWants,
+            currentUserId,
+            zoneIds,
+            mode,
+            maxItemId,
+          });
+
+          const [[zoneRows], [itemKindRows]] = await Promise.all([
+            db.execute(
+              `
+              SELECT zt.label AS zone_label,
+                count(DISTINCT items.id) AS num_items
+              FROM items
+              ${zoneConditions.queryJoins}
+              INNER JOIN zone_translations zt
+                ON zt.zone_id = swf_assets.zone_id AND zt.locale = "en"
+              WHERE ${zoneConditions.queryConditions}
+              GROUP BY zt.label
+              ORDER BY num_items DESC, zt.label
+            `,
+              zoneConditions.queryConditionValues
+            ),
+            db.execute(
+              `
+              SELECT
+                ${Object.entries(itemSearchKindConditions)
+                  .map(
+                    ([kind, condition]) =>
+                      `count(DISTINCT IF(${condition}, items.id, NULL)) ` +
+                      `AS ${kind}`
+                  )
+                  .join(", ")}
+              FROM items
+              ${itemKindConditions.queryJoins}
+              WHERE ${itemKindConditions.queryConditions}
+            `,
+              itemKindConditions.queryConditionValues
+            ),
+          ]);
+
+          const zoneFacets = zoneRows.map(normalizeRow);
+          const itemKindFacets = Object.keys(itemSearchKindConditions).map(
+            (kind) => ({
+              itemKind: kind,
+              numItems: itemKindRows[0][kind],
+            })
+          );
+
+          return { zoneFacets, itemKindFacets };
+        }
+      );
+
+      const responses = await Promise.all(queryPromises);
+
+      return responses;
+    },
+    // The zoneFacets and itemKindFacets resolvers both load the same facets,
+    // so we key by value, to only run the queries once.
+    { cacheKeyFn: (query) => JSON.stringify(query) }
+  );
+
 const buildNewestItemsLoader = (db, loaders) =>
   new DataLoader(async (keys) => {
     // Essentially, I want to provide the loader-like API, and populate other
@@ -749,14 +1100,14 @@ const buildItemTradesLoader = (db, loaders) =>
               WHERE (
                 (${qs})
                 AND (
-                  (closet_hangers.list_id IS NOT NULL AND closet_lists.visibility >= 2)
+                  (closet_hangers.list_id IS NOT NULL AND closet_lists.visibility >= ${VISIBILITY_VALUES.TRADING})
                   OR (
                     closet_hangers.list_id IS NULL AND closet_hangers.owned = 1
-                    AND users.owned_closet_hangers_visibility >= 2
+                    AND users.owned_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
                   )
                   OR (
                     closet_hangers.list_id IS NULL AND closet_hangers.owned = 0
-                    AND users.wanted_closet_hangers_visibility >= 2
+                    AND users.wanted_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
                   )
                 )
               );
@@ -788,6 +1139,7 @@ const buildItemTradesLoader = (db, loaders) =>
             id: e.closetHanger.id,
             closetList: e.closetList.id ? e.closetList : null,
             user: e.user,
+            quantity: e.closetHanger.quantity,
           }))
       );
     },
@@ -1028,6 +1380,45 @@ const buildOutfitLoader = (db) =>
     return outfitIds.map((outfitId) => entities.find((e) => e.id === outfitId));
   });
 
+const buildOutfitRevisionLoader = (db) =>
+  new DataLoader(async (revisionIds) => {
+    const qs = revisionIds.map((_) => "?").join(",");
+    const [rows] = await db.execute(
+      `SELECT * FROM outfit_revisions WHERE id IN (${qs})`,
+      revisionIds
+    );
+
+    const entities = rows.map(normalizeRow);
+
+    return revisionIds.map((revisionId) =>
+      entities.find((e) => e.id === String(revisionId))
+    );
+  });
+
+const buildOutfitRevisionsForOutfitLoader = (db, loaders) =>
+  new DataLoader(async (queries) => {
+    // This isn't actually optimized as a batch query, we're just using a
+    // DataLoader API consistency with our other loaders!
+    return queries.map(async ({ outfitId, limit }) => {
+      const actualLimit = Math.min(limit || 30, 100);
+
+      const [rows] = await db.execute(
+        `SELECT * FROM outfit_revisions
+         WHERE outfit_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [outfitId, actualLimit]
+      );
+
+      const entities = rows.map(normalizeRow);
+      for (const entity of entities) {
+        loaders.outfitRevisionLoader.prime(entity.id, entity);
+      }
+
+      return entities;
+    });
+  });
+
 const buildItemOutfitRelationshipsLoader = (db) =>
   new DataLoader(async (outfitIds) => {
     const qs = outfitIds.map((_) => "?").join(",");
@@ -1043,6 +1434,131 @@ const buildItemOutfitRelationshipsLoader = (db) =>
     );
   });
 
+const buildItemSetNameLoader = (db) =>
+  new DataLoader(async (itemIds) => {
+    const qs = itemIds.map((_) => "?").join(",");
+    const [rows] = await db.execute(
+      `SELECT item_id, set_name FROM item_sets WHERE item_id IN (${qs})`,
+      itemIds
+    );
+
+    const entities = rows.map(normalizeRow);
+
+    return itemIds.map(
+      (itemId) =>
+        entities.find((e) => e.itemId === String(itemId))?.setName || null
+    );
+  });
+
+// How many related items of each kind we return, at most.
+const NUM_RELATED_ITEMS_PER_REASON = 12;
+
+// Popular items are in a lot of outfits, so to find the items they're often
+// worn with, we only look at this many of their most recent outfits.
+const NUM_OFTEN_WORN_WITH_OUTFITS_TO_SAMPLE = 500;
+
+/**
+ * getItemNameStem guesses the name of the set an item belongs to, from its
+ * name: everything but the last word, like "Darigan Citadel" for "Darigan
+ * Citadel Shirt". Returns null if that would be too short to be meaningful.
+ */
+function getItemNameStem(name) {
+  const words = name.trim().split(/\s+/);
+  const stem = words.slice(0, -1).join(" ");
+  return stem.length >= 4 ? stem : null;
+}
+
+const buildRelatedItemsLoader = (db, loaders) =>
+  new DataLoader(async (itemIds) => {
+    // This isn't actually optimized as a batch query, we're just using a
+    // DataLoader API consistency with our other loaders!
+    const queryPromises = itemIds.map(async (itemId) => {
+      const [item, itemTranslation, setName] = await Promise.all([
+        loaders.itemLoader.load(itemId),
+        loaders.itemTranslationLoader.load(itemId),
+        loaders.itemSetNameLoader.load(itemId),
+      ]);
+      const limit = NUM_RELATED_ITEMS_PER_REASON;
+
+      // Items in the same set: the manual set if Support gave it one, or
+      // items whose names share a stem otherwise.
+      const nameStem = getItemNameStem(itemTranslation?.name || "");
+      const sameSetPromise = setName
+        ? db.execute(
+            `SELECT item_id FROM item_sets WHERE set_name = ? AND item_id != ?
+             ORDER BY item_id LIMIT ${limit}`,
+            [setName, itemId]
+          )
+        : nameStem
+        ? db.execute(
+            `SELECT item_id FROM item_translations
+             WHERE locale = "en" AND name LIKE ? AND item_id != ?
+             ORDER BY name LIMIT ${limit}`,
+            [escapeForLike(nameStem) + " %", itemId]
+          )
+        : Promise.resolve([[]]);
+
+      const sameSpecialColorPromise = item.manualSpecialColorId
+        ? db.execute(
+            `SELECT id AS item_id FROM items
+             WHERE manual_special_color_id = ? AND id != ?
+             ORDER BY created_at DESC LIMIT ${limit}`,
+            [item.manualSpecialColorId, itemId]
+          )
+        : Promise.resolve([[]]);
+
+      // Items worn together with this one in the most saved outfits, out of
+      // a sample of its most recent ones. (Newer outfits have higher IDs.)
+      const oftenWornWithPromise = db.execute(
+        `SELECT other.item_id, count(DISTINCT other.outfit_id) AS num_outfits
+         FROM (
+           SELECT outfit_id FROM item_outfit_relationships
+           WHERE item_id = ? AND is_worn = 1
+           ORDER BY outfit_id DESC
+           LIMIT ${NUM_OFTEN_WORN_WITH_OUTFITS_TO_SAMPLE}
+         ) recent_outfits
+         INNER JOIN item_outfit_relationships other
+           ON other.outfit_id = recent_outfits.outfit_id
+         WHERE other.item_id != ? AND other.is_worn = 1
+         GROUP BY other.item_id
+         ORDER BY num_outfits DESC, other.item_id
+         LIMIT ${limit}`,
+        [itemId, itemId]
+      );
+
+      const [
+        [sameSetRows],
+        [sameSpecialColorRows],
+        [oftenWornWithRows],
+      ] = await Promise.all([
+        sameSetPromise,
+        sameSpecialColorPromise,
+        oftenWornWithPromise,
+      ]);
+
+      // If an item is related for more than one reason, only list it once,
+      // for the first reason.
+      const relatedItems = [];
+      const seenItemIds = new Set();
+      for (const [reason, rows] of [
+        ["SAME_SET", sameSetRows],
+        ["SAME_SPECIAL_COLOR", sameSpecialColorRows],
+        ["OFTEN_WORN_WITH", oftenWornWithRows],
+      ]) {
+        for (const { itemId: relatedItemId } of rows.map(normalizeRow)) {
+          if (!seenItemIds.has(relatedItemId)) {
+            seenItemIds.add(relatedItemId);
+            relatedItems.push({ itemId: relatedItemId, reason });
+          }
+        }
+      }
+
+      return relatedItems;
+    });
+
+    return await Promise.all(queryPromises);
+  });
+
 const buildPetStateLoader = (db) =>
   new DataLoader(async (petStateIds) => {
     const qs = petStateIds.map((_) => "?").join(",");
@@ -1170,6 +1686,54 @@ const buildPetStateByPetTypeAndAssetsLoader = (db, loaders) =>
     }
   );
 
+const buildContributorLoader = (db) =>
+  new DataLoader(
+    async (typeAndIdPairs) => {
+      const qs = typeAndIdPairs
+        .map((_) => "(contributed_type = ? AND contributed_id = ?)")
+        .join(" OR ");
+      const values = typeAndIdPairs
+        .map(({ contributedType, contributedId }) => [
+          contributedType,
+          contributedId,
+        ])
+        .flat();
+
+      // Logged-in users get credited in the contributions table, which we
+      // share with Classic DTI. Otherwise, we credit the pet's name instead.
+      const [[userRows], [petNameRows]] = await Promise.all([
+        db.execute(
+          `SELECT contributed_type, contributed_id, user_id, created_at
+           FROM contributions WHERE ${qs}`,
+          values
+        ),
+        db.execute(
+          `SELECT contributed_type, contributed_id, pet_name, created_at
+           FROM pet_name_contributions WHERE ${qs}`,
+          values
+        ),
+      ]);
+
+      const entities = [...userRows, ...petNameRows]
+        .map(normalizeRow)
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      // If more than one contribution somehow matches, credit the first.
+      return typeAndIdPairs.map(
+        ({ contributedType, contributedId }) =>
+          entities.find(
+            (e) =>
+              e.contributedType === contributedType &&
+              e.contributedId === String(contributedId)
+          ) || null
+      );
+    },
+    {
+      cacheKeyFn: ({ contributedType, contributedId }) =>
+        `${contributedType},${contributedId}`,
+    }
+  );
+
 const buildUserLoader = (db) =>
   new DataLoader(async (ids) => {
     const qs = ids.map((_) => "?").join(",");
@@ -1226,6 +1790,21 @@ const buildUserByEmailLoader = (db) =>
     return emails.map((email) => entities.find((e) => e.email === email).user);
   });
 
+const buildUserRolesLoader = (db) =>
+  new DataLoader(async (userIds) => {
+    const qs = userIds.map((_) => "?").join(",");
+    const [rows] = await db.execute(
+      `SELECT user_id, role FROM user_roles WHERE user_id IN (${qs})`,
+      userIds
+    );
+
+    const entities = rows.map(normalizeRow);
+
+    return userIds.map((userId) =>
+      entities.filter((e) => e.userId === String(userId)).map((e) => e.role)
+    );
+  });
+
 const buildUserClosetHangersLoader = (db) =>
   new DataLoader(async (userIds) => {
     const qs = userIds.map((_) => "?").join(",");
@@ -1326,6 +1905,43 @@ const buildUserNumTotalOutfitsLoader = (db) =>
       .map((e) => (e ? e.numTotalOutfits : 0));
   });
 
+const buildUserTradeNotificationsLoader = (db) =>
+  new DataLoader(async (queries) => {
+    // This isn't actually optimized as a batch query, we're just using a
+    // DataLoader API consistency with our other loaders!
+    return queries.map(async ({ userId, limit, offset }) => {
+      const actualLimit = Math.min(limit || 30, 30);
+      const actualOffset = Math.max(offset || 0, 0);
+
+      const [rows] = await db.execute(
+        `SELECT * FROM trade_notifications
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [userId, actualLimit, actualOffset]
+      );
+
+      return rows.map(normalizeRow);
+    });
+  });
+
+const buildUserNumUnreadTradeNotificationsLoader = (db) =>
+  new DataLoader(async (userIds) => {
+    const qs = userIds.map((_) => "?").join(",");
+    const [rows] = await db.execute(
+      `SELECT user_id, COUNT(*) AS num_unread FROM trade_notifications
+       WHERE user_id IN (${qs}) AND read_at IS NULL
+       GROUP BY user_id`,
+      userIds
+    );
+
+    const entities = rows.map(normalizeRow);
+
+    return userIds
+      .map((userId) => entities.find((e) => e.userId === String(userId)))
+      .map((e) => (e ? e.numUnread : 0));
+  });
+
 const buildUserLastTradeActivityLoader = (db) =>
   new DataLoader(async (userIds) => {
     const qs = userIds.map((_) => "?").join(",");
@@ -1356,14 +1972,14 @@ const buildUserLastTradeActivityLoader = (db) =>
           WHERE (
             closet_hangers.user_id IN (${qs})
             AND (
-              (closet_hangers.list_id IS NOT NULL AND closet_lists.visibility >= 2)
+              (closet_hangers.list_id IS NOT NULL AND closet_lists.visibility >= ${VISIBILITY_VALUES.TRADING})
               OR (
                 closet_hangers.list_id IS NULL AND closet_hangers.owned = 1
-                AND users.owned_closet_hangers_visibility >= 2
+                AND users.owned_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
               )
               OR (
                 closet_hangers.list_id IS NULL AND closet_hangers.owned = 0
-                AND users.wanted_closet_hangers_visibility >= 2
+                AND users.wanted_closet_hangers_visibility >= ${VISIBILITY_VALUES.TRADING}
               )
             )
           )
@@ -1441,13 +2057,17 @@ function buildLoaders(db) {
   );
   loaders.colorLoader = buildColorLoader(db);
   loaders.colorTranslationLoader = buildColorTranslationLoader(db);
+  loaders.contributorLoader = buildContributorLoader(db);
+  loaders.feedbackRepliesLoader = buildFeedbackRepliesLoader(db);
   loaders.itemLoader = buildItemLoader(db);
   loaders.itemTranslationLoader = buildItemTranslationLoader(db);
+  loaders.itemSetNameLoader = buildItemSetNameLoader(db);
   loaders.itemByNameLoader = buildItemByNameLoader(db, loaders);
   loaders.itemSearchNumTotalItemsLoader = buildItemSearchNumTotalItemsLoader(
     db
   );
   loaders.itemSearchItemsLoader = buildItemSearchItemsLoader(db, loaders);
+  loaders.itemSearchFacetsLoader = buildItemSearchFacetsLoader(db);
   loaders.newestItemsLoader = buildNewestItemsLoader(db, loaders);
   loaders.speciesThatNeedModelsForItemLoader = buildSpeciesThatNeedModelsForItemLoader(
     db
@@ -1477,9 +2097,15 @@ function buildLoaders(db) {
   loaders.petSwfAssetLoader = buildPetSwfAssetLoader(db, loaders);
   loaders.neopetsConnectionLoader = buildNeopetsConnectionLoader(db);
   loaders.outfitLoader = buildOutfitLoader(db);
+  loaders.outfitRevisionLoader = buildOutfitRevisionLoader(db);
+  loaders.outfitRevisionsForOutfitLoader = buildOutfitRevisionsForOutfitLoader(
+    db,
+    loaders
+  );
   loaders.itemOutfitRelationshipsLoader = buildItemOutfitRelationshipsLoader(
     db
   );
+  loaders.relatedItemsLoader = buildRelatedItemsLoader(db, loaders);
   loaders.petStateLoader = buildPetStateLoader(db);
   loaders.petStatesForPetTypeLoader = buildPetStatesForPetTypeLoader(
     db,
@@ -1499,12 +2125,17 @@ function buildLoaders(db) {
   loaders.userLoader = buildUserLoader(db);
   loaders.userByNameLoader = buildUserByNameLoader(db);
   loaders.userByEmailLoader = buildUserByEmailLoader(db);
+  loaders.userRolesLoader = buildUserRolesLoader(db);
   loaders.userClosetHangersLoader = buildUserClosetHangersLoader(db);
   loaders.userItemClosetHangersLoader = buildUserItemClosetHangersLoader(db);
   loaders.userClosetListsLoader = buildUserClosetListsLoader(db, loaders);
   loaders.userNumTotalOutfitsLoader = buildUserNumTotalOutfitsLoader(db);
   loaders.userOutfitsLoader = buildUserOutfitsLoader(db, loaders);
   loaders.userLastTradeActivityLoader = buildUserLastTradeActivityLoader(db);
+  loaders.userTradeNotificationsLoader = buildUserTradeNotificationsLoader(db);
+  loaders.userNumUnreadTradeNotificationsLoader = buildUserNumUnreadTradeNotificationsLoader(
+    db
+  );
   loaders.zoneLoader = buildZoneLoader(db);
   loaders.zoneTranslationLoader = buildZoneTranslationLoader(db);
 
@@ -1512,3 +2143,7 @@ function buildLoaders(db) {
 }
 
 module.exports = buildLoaders;
+
+// These aren't part of the loaders API, but we export them for testing.
+module.exports.buildTypoTolerantMatchers = buildTypoTolerantMatchers;
+module.exports.buildItemSearchConditions = buildItemSearchConditions;
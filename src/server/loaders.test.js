@@ -0,0 +1,184 @@
+import {
+  buildItemSearchConditions,
+  buildTypoTolerantMatchers,
+} from "./loaders";
+
+/**
+ * Check a name against a MySQL LIKE pattern, case-insensitively, like our
+ * database collation does.
+ */
+function matchesLike(name, pattern) {
+  let regExpSource = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+      regExpSource += escapeRegExp(pattern[i]);
+    } else if (char === "%") {
+      regExpSource += ".*";
+    } else if (char === "_") {
+      regExpSource += ".";
+    } else {
+      regExpSource += escapeRegExp(char);
+    }
+  }
+  return new RegExp("^" + regExpSource + "$", "is").test(name);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Sort the given item names like MySQL would, using the ORDER BY clause from
+ * buildItemSearchConditions. We only understand the relevance score terms it
+ * builds, like `(t.name LIKE ? OR t.name LIKE ?) * 10`, then `t.name`.
+ */
+function sortNames(names, { queryOrderBy, queryOrderByValues }) {
+  const [, scoreSql] = queryOrderBy.match(/^\((.+)\) DESC, t\.name$/);
+
+  let valueIndex = 0;
+  const scoreTerms = scoreSql.split(" + ").map((termSql) => {
+    const [, conditionSql, weight] = termSql.match(/^\((.+)\) \* (\d+)$/);
+    const comparisons = conditionSql.split(" OR ").map((comparisonSql) => ({
+      isLike: comparisonSql === "t.name LIKE ?",
+      value: queryOrderByValues[valueIndex++],
+    }));
+    return { comparisons, weight: Number(weight) };
+  });
+  expect(valueIndex).toEqual(queryOrderByValues.length);
+
+  const getScore = (name) =>
+    scoreTerms
+      .filter(({ comparisons }) =>
+        comparisons.some(({ isLike, value }) =>
+          isLike
+            ? matchesLike(name, value)
+            : name.toLowerCase() === value.toLowerCase()
+        )
+      )
+      .reduce((score, { weight }) => score + weight, 0);
+
+  return [...names].sort(
+    (a, b) => getScore(b) - getScore(a) || a.localeCompare(b)
+  );
+}
+
+describe("buildTypoTolerantMatchers", () => {
+  it("builds one pattern for each possible typo", () => {
+    expect(buildTypoTolerantMatchers("star")).toEqual([
+      "%_tar%",
+      "%tar%",
+      "%tsar%",
+      "%s_ar%",
+      "%sar%",
+      "%s_tar%",
+      "%satr%",
+      "%st_r%",
+      "%str%",
+      "%st_ar%",
+      "%stra%",
+      "%sta_%",
+      "%sta%",
+      "%sta_r%",
+    ]);
+  });
+
+  it("matches names with about one typo", () => {
+    const matchers = buildTypoTolerantMatchers("starry");
+    const matchesAny = (name) => matchers.some((m) => matchesLike(name, m));
+
+    expect(matchesAny("Starry Sky Background")).toBe(true);
+    expect(matchesAny("Stary Night Dress")).toBe(true); // missing letter
+    expect(matchesAny("Starrry Night Dress")).toBe(true); // extra letter
+    expect(matchesAny("Stsrry Night Dress")).toBe(true); // wrong letter
+    expect(matchesAny("Satrry Night Dress")).toBe(true); // swapped letters
+  });
+
+  it("doesn't match names with more than one typo", () => {
+    const matchers = buildTypoTolerantMatchers("starry");
+    const matchesAny = (name) => matchers.some((m) => matchesLike(name, m));
+
+    expect(matchesAny("Sunny Day Background")).toBe(false);
+    expect(matchesAny("Stxrxy Night Dress")).toBe(false);
+    expect(matchesAny("Sary Night Dress")).toBe(false);
+    expect(matchesAny("Sun Carry Bag")).toBe(false);
+  });
+
+  it("escapes LIKE wildcards in the word", () => {
+    expect(buildTypoTolerantMatchers("100%")).toContain("%10\\%%");
+  });
+});
+
+describe("buildItemSearchConditions", () => {
+  it("ranks exact matches, then prefixes, then word starts, then others", () => {
+    const conditions = buildItemSearchConditions({
+      query: "starry",
+      zoneIds: [],
+      mode: "RANKED",
+    });
+
+    expect(
+      sortNames(
+        [
+          "Stary Night Dress",
+          "Blue Starry Shirt",
+          "Unstarry Hat",
+          "Starry Sky Background",
+          "Starry",
+        ],
+        conditions
+      )
+    ).toEqual([
+      "Starry",
+      "Starry Sky Background",
+      "Blue Starry Shirt",
+      "Unstarry Hat",
+      "Stary Night Dress",
+    ]);
+  });
+
+  it("ranks names that match more of the words first", () => {
+    const conditions = buildItemSearchConditions({
+      query: "blue starry",
+      zoneIds: [],
+      mode: "RANKED",
+    });
+
+    expect(
+      sortNames(
+        [
+          "Blue Stary Shirt",
+          "Starry Blue Dress",
+          "Blue Starry Shirt",
+          "Light Blue Starry Wings",
+        ],
+        conditions
+      )
+    ).toEqual([
+      "Blue Starry Shirt",
+      "Light Blue Starry Wings",
+      "Starry Blue Dress",
+      "Blue Stary Shirt",
+    ]);
+  });
+
+  it("allows typos only in RANKED mode, and only in longer words", () => {
+    const ranked = buildItemSearchConditions({
+      query: "starry hat",
+      zoneIds: [],
+      mode: "RANKED",
+    });
+    expect(ranked.queryConditionValues).toEqual([
+      ...buildTypoTolerantMatchers("starry"),
+      "%hat%",
+    ]);
+
+    const substring = buildItemSearchConditions({
+      query: "starry hat",
+      zoneIds: [],
+    });
+    expect(substring.queryConditionValues).toEqual(["%starry%", "%hat%"]);
+    expect(substring.queryOrderBy).toEqual("t.name");
+  });
+});
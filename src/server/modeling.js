@@ -1,7 +1,10 @@
+import { sendNotification } from "./notifications";
+
 /**
  * saveModelingData takes data about a pet (generated by `loadCustomPetData`
- * and `loadPetMetaData`), and a GQL-y context object with a `db` and some
- * loaders; and updates the database to match.
+ * and `loadPetMetaData`), and a GQL-y context object with a `db`, the
+ * `currentUserId` if any, and some loaders; and updates the database to match.
+ * Any new data gets credited to the current user, or to the pet's name.
  *
  * These days, most calls to this function are a no-op: we detect that the
  * database already contains this data, and end up doing no writes. But when a
@@ -25,7 +28,11 @@ async function saveModelingData(customPetData, petMetaData, context) {
     console.info("[Modeling] " + JSON.stringify(entry, null, 4));
     modelingLogs.push(entry);
   };
-  context = { ...context, addToModelingLogs };
+  const contributions = [];
+  const addContribution = (contributedType, contributedId) => {
+    contributions.push({ contributedType, contributedId });
+  };
+  context = { ...context, addToModelingLogs, addContribution };
 
   await Promise.all([
     savePetTypeAndStateModelingData(customPetData, petMetaData, context),
@@ -33,12 +40,29 @@ async function saveModelingData(customPetData, petMetaData, context) {
     saveSwfAssetModelingData(customPetData, context),
   ]);
 
+  if (contributions.length > 0) {
+    await saveContributions(contributions, petMetaData.name, context);
+  }
+
   if (modelingLogs.length > 0) {
     const { db } = context;
     await db.execute(
       `INSERT INTO modeling_logs (log_json, pet_name) VALUES (?, ?)`,
       [JSON.stringify(modelingLogs, null, 4), petMetaData.name]
     );
+
+    try {
+      await sendNotification("modeling", {
+        title: `🧪 Modeled new data from ${petMetaData.name}`,
+        fields: modelingLogs.map(({ tableName, inserts, updates }) => ({
+          name: tableName,
+          value: `${inserts.length} inserted, ${updates.length} updated`,
+        })),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      console.error("Error sending modeling notification", e);
+    }
   }
 }
 
@@ -53,6 +77,7 @@ async function savePetTypeAndStateModelingData(
     petStateByPetTypeAndAssetsLoader,
     swfAssetByRemoteIdLoader,
     addToModelingLogs,
+    addContribution,
   } = context;
 
   const incomingPetType = {
@@ -138,6 +163,8 @@ async function savePetTypeAndStateModelingData(
         throw new Error(`pet state ${petState.id} has no saved assets?`);
       }
 
+      addContribution("PetState", petState.id);
+
       const relationshipInserts = swfAssets.map((sa) => ({
         parentType: "PetState",
         parentId: petState.id,
@@ -212,7 +239,12 @@ async function saveItemModelingData(customPetData, context) {
 }
 
 async function saveSwfAssetModelingData(customPetData, context) {
-  const { db, swfAssetByRemoteIdLoader, addToModelingLogs } = context;
+  const {
+    db,
+    swfAssetByRemoteIdLoader,
+    addToModelingLogs,
+    addContribution,
+  } = context;
 
   const objectAssets = Object.values(customPetData.object_asset_registry);
   const incomingItemSwfAssets = objectAssets.map((objectAsset) => ({
@@ -285,6 +317,17 @@ async function saveSwfAssetModelingData(customPetData, context) {
     ],
     includeUpdatedAt: false,
     afterInsert: async (inserts) => {
+      // Credit the submitter for the new assets. We need to load from the db
+      // to get the actual inserted IDs.
+      const insertedSwfAssets = await swfAssetByRemoteIdLoader.loadMany(
+        inserts.map(({ type, remoteId }) => ({ type, remoteId }))
+      );
+      for (const swfAsset of insertedSwfAssets) {
+        if (swfAsset && !(swfAsset instanceof Error)) {
+          addContribution("SwfAsset", swfAsset.id);
+        }
+      }
+
       // After inserting the assets, insert corresponding rows in
       // parents_swf_assets for item assets, to mark the asset as belonging to
       // the item. (We do this separately for pet states, so that we can get
@@ -334,6 +377,65 @@ async function saveSwfAssetModelingData(customPetData, context) {
   });
 }
 
+// How many points each kind of contribution is worth, to match Classic DTI.
+const CONTRIBUTION_POINT_VALUES = {
+  SwfAsset: 1,
+  PetState: 10,
+};
+
+/**
+ * saveContributions credits the current user with the given new rows, and
+ * awards them points for the Top Modelers leaderboard. If they're not logged
+ * in, we credit the submitted pet's name instead.
+ */
+async function saveContributions(contributions, petName, context) {
+  const { db, currentUserId } = context;
+
+  if (currentUserId) {
+    const qs = contributions
+      .map((_) => `(?, ?, ?, CURRENT_TIMESTAMP())`)
+      .join(", ");
+    const values = contributions
+      .map(({ contributedType, contributedId }) => [
+        contributedType,
+        contributedId,
+        currentUserId,
+      ])
+      .flat();
+    await db.execute(
+      `INSERT INTO contributions
+         (contributed_type, contributed_id, user_id, created_at)
+       VALUES ${qs};`,
+      values
+    );
+
+    const points = contributions
+      .map(({ contributedType }) => CONTRIBUTION_POINT_VALUES[contributedType])
+      .reduce((a, b) => a + b, 0);
+    await db.execute(
+      `UPDATE users SET points = points + ? WHERE id = ? LIMIT 1;`,
+      [points, currentUserId]
+    );
+  } else {
+    const qs = contributions
+      .map((_) => `(?, ?, ?, CURRENT_TIMESTAMP())`)
+      .join(", ");
+    const values = contributions
+      .map(({ contributedType, contributedId }) => [
+        contributedType,
+        contributedId,
+        petName,
+      ])
+      .flat();
+    await db.execute(
+      `INSERT INTO pet_name_contributions
+         (contributed_type, contributed_id, pet_name, created_at)
+       VALUES ${qs};`,
+      values
+    );
+  }
+}
+
 /**
  * Syncs the given data to the database: for each incoming row, if there's no
  * matching row in the loader, we insert a new row; or, if there's a matching
@@ -422,10 +524,17 @@ async function syncToDb(
     }
 
     if (Object.keys(update).length > 0) {
+      // Remember the old values too, so the modeling logs can show what
+      // changed. (We skip updatedAt, it's not very interesting!)
+      const previousValues = {};
+      for (const key in update) {
+        previousValues[key] = currentRow[key];
+      }
+
       if (includeUpdatedAt) {
         update.updatedAt = new Date();
       }
-      updates.push({ incomingRow, update });
+      updates.push({ incomingRow, update, previousValues });
 
       // Remove this from the loader cache, so that loading again will fetch
       // the updated row.
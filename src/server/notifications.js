@@ -0,0 +1,258 @@
+/**
+ * sendNotification sends a message about something that happened on the
+ * site (a Support edit, new feedback, etc) to wherever the site's maintainers
+ * have configured that kind of message to go!
+ *
+ * Each channel has its own list of sinks, configured with an environment
+ * variable like `NOTIFICATION_SINKS_SUPPORT`: a comma-separated list of
+ * `type:target` entries. For example:
+ *
+ *   NOTIFICATION_SINKS_SUPPORT="discord:https://discord.com/api/webhooks/..."
+ *   NOTIFICATION_SINKS_FEEDBACK="email:me@example.com,stdout"
+ *   NOTIFICATION_SINKS_MODELING="file:/tmp/dti-modeling.log"
+ *
+ * The sink types are:
+ *   - discord:<webhook url>  Posts the notification as a Discord embed.
+ *   - webhook:<url>          Posts the notification to the URL as JSON.
+ *   - email:<address>        Emails the notification via SendGrid. (Requires
+ *                            the SENDGRID_API_KEY environment variable.)
+ *   - file:<path>            Appends the notification to a local text file.
+ *   - stdout                 Logs the notification to the console.
+ *
+ * If a channel has no sinks configured, we fall back to the older
+ * single-purpose environment variables (see DEFAULT_SINK_SPECS), and then, in
+ * development, to stdout.
+ *
+ * Notifications are shaped like Discord embeds, because that's where they
+ * started: `{title, description, url, thumbnail: {url}, fields: [{name,
+ * value}], timestamp}`, all optional except `title`. Email sinks also respect
+ * `replyTo`.
+ */
+import fs from "fs";
+import beeline from "honeycomb-beeline";
+import fetch from "node-fetch";
+import sendgridMail from "@sendgrid/mail";
+
+if (process.env["SENDGRID_API_KEY"]) {
+  sendgridMail.setApiKey(process.env["SENDGRID_API_KEY"]);
+}
+
+const CHANNELS = ["support", "feedback", "modeling", "uploads"];
+
+// Before we had notification sinks, Support and upload logs always went to
+// this Discord webhook, and feedback always went to this email address, which
+// `FEEDBACK_EMAIL_TO` can override.
+const DEFAULT_FEEDBACK_EMAIL_TO = "matchu1993@gmail.com";
+const DEFAULT_SINK_SPECS = {
+  support: () =>
+    process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]
+      ? [`discord:${process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]}`]
+      : [],
+  feedback: () => [
+    `email:${process.env["FEEDBACK_EMAIL_TO"] || DEFAULT_FEEDBACK_EMAIL_TO}`,
+  ],
+  modeling: () => [],
+  uploads: () =>
+    process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]
+      ? [`discord:${process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]}`]
+      : [],
+};
+
+const SINKS = {
+  discord: sendToDiscord,
+  webhook: sendToWebhook,
+  email: sendToEmail,
+  file: sendToFile,
+  stdout: sendToStdout,
+};
+
+async function sendNotification(channel, notification) {
+  const sinkSpecs = getSinkSpecs(channel);
+  if (sinkSpecs.length === 0) {
+    console.warn(`No ${channel} notification sinks configured, skipping`);
+    return;
+  }
+
+  const span = beeline.startSpan({
+    name: "sendNotification",
+    channel,
+    num_sinks: sinkSpecs.length,
+  });
+
+  try {
+    // Send to every sink, even if some of them fail, then report the failures
+    // all together.
+    const results = await Promise.all(
+      sinkSpecs.map(({ type, target }) =>
+        SINKS[type](target, channel, notification).then(
+          () => null,
+          (e) => `${type}: ${e.message}`
+        )
+      )
+    );
+    const errorMessages = results.filter((m) => m != null);
+    if (errorMessages.length > 0) {
+      throw new Error(
+        `Error sending ${channel} notification: ${errorMessages.join("; ")}`
+      );
+    }
+  } finally {
+    beeline.finishSpan(span);
+  }
+}
+
+/**
+ * hasNotificationSinks returns whether any sinks are configured for this
+ * channel. Callers can use this to skip building a notification that's going
+ * nowhere, if it's expensive!
+ */
+function hasNotificationSinks(channel) {
+  return getSinkSpecs(channel).length > 0;
+}
+
+function getSinkSpecs(channel) {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`unexpected notification channel: ${channel}`);
+  }
+
+  const envValue =
+    process.env[`NOTIFICATION_SINKS_${channel.toUpperCase()}`] || "";
+  let specStrings = envValue
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  if (specStrings.length === 0) {
+    specStrings = DEFAULT_SINK_SPECS[channel]();
+  }
+  if (specStrings.length === 0 && process.env["NODE_ENV"] !== "production") {
+    specStrings = ["stdout"];
+  }
+
+  // A typo in the config shouldn't break whatever we're notifying about, so
+  // we skip invalid sinks instead of throwing.
+  const sinkSpecs = [];
+  for (const specString of specStrings) {
+    try {
+      sinkSpecs.push(parseSinkSpec(specString));
+    } catch (e) {
+      console.error(`Skipping invalid ${channel} notification sink`, e);
+    }
+  }
+  return sinkSpecs;
+}
+
+function parseSinkSpec(specString) {
+  const separatorIndex = specString.indexOf(":");
+  const type =
+    separatorIndex >= 0 ? specString.slice(0, separatorIndex) : specString;
+  const target =
+    separatorIndex >= 0 ? specString.slice(separatorIndex + 1) : null;
+
+  if (!Object.keys(SINKS).includes(type)) {
+    throw new Error(`unexpected notification sink type: ${type}`);
+  }
+  if (type !== "stdout" && !target) {
+    throw new Error(`notification sink ${type} requires a target`);
+  }
+
+  return { type, target };
+}
+
+// Discord rejects embeds with longer descriptions than this.
+const MAX_DISCORD_DESCRIPTION_LENGTH = 4096;
+
+async function sendToDiscord(webhookUrl, channel, notification) {
+  const { replyTo: unusedReplyTo, ...embed } = notification;
+  if (embed.description?.length > MAX_DISCORD_DESCRIPTION_LENGTH) {
+    embed.description =
+      embed.description.slice(0, MAX_DISCORD_DESCRIPTION_LENGTH - 1) + "…";
+  }
+  await postJson(webhookUrl, { embeds: [embed] });
+}
+
+async function sendToWebhook(url, channel, notification) {
+  await postJson(url, { channel, ...notification });
+}
+
+async function sendToEmail(address, channel, notification) {
+  await sendEmail({
+    to: address,
+    subject: notification.title,
+    replyTo: notification.replyTo,
+    text: formatNotificationAsText(notification),
+  });
+}
+
+/**
+ * sendEmail sends a plain-text email via SendGrid, from our notification
+ * address. The email sinks use this, and so do features that need to email a
+ * specific person, like replying to feedback.
+ */
+async function sendEmail({ to, subject, text, replyTo }) {
+  try {
+    await sendgridMail.send({
+      to,
+      from:
+        process.env["NOTIFICATION_EMAIL_FROM"] ||
+        "impress-2020-feedback@openneo.net",
+      subject,
+      replyTo: replyTo || undefined,
+      text,
+    });
+  } catch (e) {
+    // SendGrid puts the helpful part of the error in the response body!
+    if (e.response && e.response.body && e.response.body.errors) {
+      throw new Error(
+        `${e.message}: ${JSON.stringify(e.response.body.errors)}`
+      );
+    }
+    throw e;
+  }
+}
+
+async function sendToFile(path, channel, notification) {
+  await fs.promises.appendFile(
+    path,
+    `[${channel}] ${formatNotificationAsText(notification)}\n\n`
+  );
+}
+
+async function sendToStdout(target, channel, notification) {
+  console.info(`[${channel}] ${formatNotificationAsText(notification)}`);
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    const resText = await res.text();
+    throw new Error(`returned ${res.status} ${res.statusText}: ${resText}`);
+  }
+}
+
+function formatNotificationAsText(notification) {
+  const { title, description, url, fields = [], timestamp } = notification;
+  return [
+    title,
+    description,
+    ...fields.map(({ name, value }) => `${name}: ${value}`),
+    url,
+    timestamp,
+  ]
+    .filter((line) => line != null && line !== "")
+    .join("\n");
+}
+
+module.exports = {
+  formatNotificationAsText,
+  hasNotificationSinks,
+  sendEmail,
+  sendNotification,
+};
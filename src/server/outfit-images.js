@@ -1,10 +1,20 @@
+import path from "path";
+import { Worker } from "worker_threads";
 import { createCanvas, loadImage } from "canvas";
+import sharp from "sharp";
+
+import {
+  createMovieRenderer,
+  renderMovieLibraryFirstFrame,
+} from "./canvas-movies";
 
 async function renderOutfitImage(layerUrls, size) {
   const canvas = createCanvas(size, size);
   const ctx = canvas.getContext("2d");
 
-  const images = await Promise.all(layerUrls.map(loadImageAndSkipOnFailure));
+  const images = await Promise.all(
+    layerUrls.map((url) => loadImageAndSkipOnFailure(url, size))
+  );
 
   const loadedImages = images.filter((image) => image);
   if (loadedImages.length === 0) {
@@ -24,8 +34,77 @@ async function renderOutfitImage(layerUrls, size) {
   };
 }
 
-async function loadImageAndSkipOnFailure(url) {
+// How many outfit images we fit in each row of a contact sheet.
+const CONTACT_SHEET_NUM_COLUMNS = 3;
+
+/**
+ * renderOutfitContactSheet renders several versions of an outfit into one
+ * image, in a grid, with a label under each one. `cells` is a list of
+ * `{label, layerUrls}`, and we render each cell with renderOutfitImage, at
+ * the given size.
+ */
+async function renderOutfitContactSheet(cells, size) {
+  const numColumns = Math.min(cells.length, CONTACT_SHEET_NUM_COLUMNS);
+  const numRows = Math.ceil(cells.length / numColumns);
+  const labelHeight = Math.round(size / 6);
+
+  const canvas = createCanvas(
+    numColumns * size,
+    numRows * (size + labelHeight)
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // If a cell fails to render altogether, we leave it blank, and still send
+  // the rest of the sheet as a partial failure.
+  const cellResults = await Promise.all(
+    cells.map(({ layerUrls }) =>
+      renderOutfitImage(layerUrls, size).catch((e) => {
+        console.warn(`Error rendering contact sheet cell: ${e.message}`);
+        return null;
+      })
+    )
+  );
+  if (cellResults.every((result) => result == null)) {
+    throw new Error(`Could not render any of the contact sheet cells`);
+  }
+
+  ctx.fillStyle = "#2d3748"; // Chakra's gray.700
+  ctx.font = `${Math.round(labelHeight * 0.5)}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  for (const [i, { label }] of cells.entries()) {
+    const x = (i % numColumns) * size;
+    const y = Math.floor(i / numColumns) * (size + labelHeight);
+
+    const cellResult = cellResults[i];
+    if (cellResult) {
+      const image = await loadImage(cellResult.image);
+      ctx.drawImage(image, x, y, size, size);
+    }
+
+    ctx.fillText(label, x + size / 2, y + size + labelHeight / 2, size);
+  }
+
+  return {
+    image: canvas.toBuffer(),
+    status: cellResults.every((result) => result?.status === "success")
+      ? "success"
+      : "partial-failure",
+  };
+}
+
+async function loadImageAndSkipOnFailure(url, size) {
   try {
+    // Canvas movie layers, either as a library URL or as our /api/assetImage
+    // URL for one, we render ourselves, rather than loading an image.
+    const libraryUrl = getMovieLibraryUrl(url);
+    if (libraryUrl) {
+      return await renderMovieLibraryFirstFrame(libraryUrl, size);
+    }
+
     const image = await loadImage(url);
     return image;
   } catch (e) {
@@ -34,4 +113,218 @@ async function loadImageAndSkipOnFailure(url) {
   }
 }
 
-module.exports = { renderOutfitImage };
+/**
+ * renderOutfitAnimation renders the given layers as a looping animation, in
+ * the given format ("webp" or "gif"). Movie layers play at their own natural
+ * frame rate, and we sample them at the requested `fps`.
+ */
+async function renderOutfitAnimation(
+  layerUrls,
+  size,
+  { format, fps, durationInSeconds }
+) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext("2d");
+
+  const layers = await Promise.all(
+    layerUrls.map((url) => loadAnimationLayerAndSkipOnFailure(url, size))
+  );
+
+  const loadedLayers = layers.filter((layer) => layer);
+  if (loadedLayers.length === 0) {
+    throw new Error(
+      `Could not load any of the layer images: ${layerUrls.join(", ")}`
+    );
+  }
+
+  // We write every frame into one big buffer, which we can hand straight to
+  // the encoder, rather than gathering separate frames and copying them all
+  // together at the end. (Animations are big, so we don't want two copies!)
+  const numFrames = Math.max(1, Math.round(fps * durationInSeconds));
+  const frameSizeInBytes = size * size * 4;
+  const framesData = Buffer.alloc(frameSizeInBytes * numFrames);
+  for (let i = 0; i < numFrames; i++) {
+    const timeInSeconds = i / fps;
+
+    ctx.clearRect(0, 0, size, size);
+    for (const layer of loadedLayers) {
+      if (layer.movieRenderer) {
+        if (layer.failed) {
+          continue;
+        }
+
+        // Catch this movie up to the current time, at its own frame rate.
+        const { movieRenderer } = layer;
+        const targetFrameIndex = Math.floor(timeInSeconds * movieRenderer.fps);
+        try {
+          while (layer.numFramesRendered <= targetFrameIndex) {
+            movieRenderer.renderNextFrame();
+            layer.numFramesRendered++;
+          }
+        } catch (e) {
+          // If a frame's scripts break (or take too long!), we leave this
+          // movie out of the rest of the animation, and report it.
+          console.warn(`Error rendering movie frame, skipping: ${e.message}`);
+          layer.failed = true;
+          continue;
+        }
+        ctx.drawImage(movieRenderer.canvas, 0, 0, size, size);
+      } else {
+        ctx.drawImage(layer.image, 0, 0, size, size);
+      }
+    }
+
+    framesData.set(
+      ctx.getImageData(0, 0, size, size).data,
+      i * frameSizeInBytes
+    );
+
+    // Drawing frames is synchronous, so we let the server handle other
+    // requests between frames, instead of holding it up for the whole render.
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  return {
+    image: await encodeAnimation(framesData, numFrames, size, {
+      format,
+      fps,
+    }),
+    status:
+      loadedLayers.length === layerUrls.length &&
+      loadedLayers.every((layer) => !layer.failed)
+        ? "success"
+        : "partial-failure",
+  };
+}
+
+async function loadAnimationLayerAndSkipOnFailure(url, size) {
+  try {
+    const libraryUrl = getMovieLibraryUrl(url);
+    if (libraryUrl) {
+      const movieRenderer = await createMovieRenderer(libraryUrl, size);
+      return { movieRenderer, numFramesRendered: 0 };
+    }
+
+    const image = await loadImage(url);
+    return { image };
+  } catch (e) {
+    console.warn(`Error loading layer, skipping: ${e.message}. (${url})`);
+    return null;
+  }
+}
+
+/**
+ * encodeAnimation encodes the given frames, as raw size-by-size RGBA images
+ * one after another in a single buffer, into a looping animated image file.
+ */
+async function encodeAnimation(framesData, numFrames, size, { format, fps }) {
+  if (format === "webp") {
+    // sharp takes animations as one tall image, with each frame as a "page".
+    return await sharp(framesData, {
+      raw: { width: size, height: size * numFrames, channels: 4 },
+    })
+      .webp({
+        pageHeight: size,
+        loop: 0,
+        delay: new Array(numFrames).fill(Math.round(1000 / fps)),
+      })
+      .toBuffer();
+  } else if (format === "gif") {
+    return await encodeGifInWorker(framesData, numFrames, size, { fps });
+  } else {
+    throw new Error(`unexpected animation format: ${format}`);
+  }
+}
+
+// NOTE: Like the createjs scripts in canvas-movies, we read the worker from
+//       disk at runtime, because workers need a real file to run.
+const ENCODE_GIF_WORKER_PATH = path.join(
+  process.cwd(),
+  "src/server/encode-gif-worker.js"
+);
+
+/**
+ * encodeGifInWorker encodes the frames as a GIF in a new worker thread, see
+ * encode-gif-worker.js. We hand over `framesData`'s memory rather than copying
+ * it, so it's no longer usable here afterwards!
+ */
+function encodeGifInWorker(framesData, numFrames, size, { fps }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(ENCODE_GIF_WORKER_PATH);
+    worker.once("message", (gifArrayBuffer) =>
+      resolve(Buffer.from(gifArrayBuffer))
+    );
+    worker.once("error", reject);
+    worker.once("exit", (code) =>
+      reject(new Error(`GIF encoder exited early, with code ${code}`))
+    );
+    worker.postMessage(
+      { framesData: framesData.buffer, numFrames, size, fps },
+      [framesData.buffer]
+    );
+  });
+}
+
+/**
+ * getMovieLibraryUrl returns the canvas movie library URL for the given layer
+ * URL, if it's a movie: either the library's JS URL itself, or an
+ * /api/assetImage URL that would render it. Otherwise, returns null.
+ */
+function getMovieLibraryUrl(layerUrl) {
+  let url;
+  try {
+    url = new URL(layerUrl);
+  } catch (e) {
+    return null;
+  }
+
+  if (
+    url.origin === "https://images.neopets.com" &&
+    url.pathname.endsWith(".js")
+  ) {
+    return layerUrl;
+  }
+
+  if (
+    url.pathname === "/api/assetImage" &&
+    url.searchParams.has("libraryUrl")
+  ) {
+    return getMovieLibraryUrl(url.searchParams.get("libraryUrl"));
+  }
+
+  return null;
+}
+
+/**
+ * sendRenderedOutfit sends the result of one of our render functions as an
+ * API response, with the given Content-Type. If it rendered successfully, we
+ * send the given Cache-Control header too.
+ *
+ * If some of the layers failed to render, we still send the image without
+ * them, with a 200 status, because browsers would otherwise treat the whole
+ * image or download as broken. Instead, we set an `X-Outfit-Render-Status:
+ * partial-failure` header, as a debugging hint, and a one-week cache header
+ * that the user can refresh past to try again. (`private` means the CDN won't
+ * cache it, and we don't send `immutable`, which would keep it even across
+ * reloads.)
+ */
+function sendRenderedOutfit(
+  res,
+  { image, status },
+  { contentType, cacheControl }
+) {
+  res.setHeader(
+    "Cache-Control",
+    status === "success" ? cacheControl : "private, max-age=604800"
+  );
+  res.setHeader("X-Outfit-Render-Status", status);
+  res.setHeader("Content-Type", contentType);
+  return res.status(200).send(image);
+}
+
+module.exports = {
+  renderOutfitImage,
+  renderOutfitAnimation,
+  renderOutfitContactSheet,
+  sendRenderedOutfit,
+};
@@ -1,4 +1,9 @@
-import { renderOutfitImage } from "./outfit-images";
+import {
+  renderOutfitAnimation,
+  renderOutfitContactSheet,
+  renderOutfitImage,
+} from "./outfit-images";
+import sharp from "sharp";
 import { toMatchImageSnapshot } from "jest-image-snapshot";
 expect.extend({ toMatchImageSnapshot });
 
@@ -50,4 +55,140 @@ describe("renderOutfitImage", () => {
       `Error loading layer, skipping: Server responded with 403. (https://impress-asset-images.openneo.net/object/000/000/000/00000000/600x600.png)`
     );
   });
+
+  it("renders a canvas movie layer, as PNG", async () => {
+    const { image, status } = await renderOutfitImage(
+      [
+        "https://images.neopets.com/cp/items/data/000/000/235/235877_6d273e217c/235877.js",
+      ],
+      150
+    );
+    expect(image.slice(1, 4).toString()).toEqual("PNG");
+    // Make sure we actually drew the movie, and didn't leave it transparent!
+    const { channels } = await sharp(image).stats();
+    expect(channels[3].max).toBeGreaterThan(0);
+    expect(status).toEqual("success");
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
+
+describe("renderOutfitAnimation", () => {
+  beforeEach(() => {
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+  });
+
+  it("renders the Moon and Stars Background and Green Leaf String Lights, as WebP", async () => {
+    const { image, status } = await renderOutfitAnimation(
+      [
+        "https://impress-asset-images.openneo.net/object/000/000/006/6829/600x600.png",
+        "https://impress-asset-images.openneo.net/object/000/000/036/36414/600x600.png",
+      ],
+      150,
+      { format: "webp", fps: 4, durationInSeconds: 1 }
+    );
+    expect(image.slice(0, 4).toString()).toEqual("RIFF");
+    expect(image.slice(8, 12).toString()).toEqual("WEBP");
+    expect(status).toEqual("success");
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it("renders the Moon and Stars Background and Green Leaf String Lights, as GIF", async () => {
+    const { image, status } = await renderOutfitAnimation(
+      [
+        "https://impress-asset-images.openneo.net/object/000/000/006/6829/600x600.png",
+        "https://impress-asset-images.openneo.net/object/000/000/036/36414/600x600.png",
+      ],
+      150,
+      { format: "gif", fps: 4, durationInSeconds: 1 }
+    );
+    expect(image.slice(0, 6).toString()).toEqual("GIF89a");
+    expect(status).toEqual("success");
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it("plays a canvas movie layer, as GIF", async () => {
+    const { image, status } = await renderOutfitAnimation(
+      [
+        "https://impress-asset-images.openneo.net/object/000/000/006/6829/600x600.png",
+        "https://images.neopets.com/cp/items/data/000/000/235/235877_6d273e217c/235877.js",
+      ],
+      150,
+      { format: "gif", fps: 4, durationInSeconds: 1 }
+    );
+    expect(image.slice(0, 6).toString()).toEqual("GIF89a");
+    expect(status).toEqual("success");
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it("skips network failures, and reports partial failure", async () => {
+    const { status } = await renderOutfitAnimation(
+      [
+        "https://impress-asset-images.openneo.net/object/000/000/006/6829/600x600.png",
+        "https://impress-asset-images.openneo.net/object/000/000/000/00000000/600x600.png", // fake URL
+      ],
+      150,
+      { format: "gif", fps: 4, durationInSeconds: 1 }
+    );
+    expect(status).toEqual("partial-failure");
+    expect(console.warn).toHaveBeenCalledWith(
+      `Error loading layer, skipping: Server responded with 403. (https://impress-asset-images.openneo.net/object/000/000/000/00000000/600x600.png)`
+    );
+  });
+});
+
+describe("renderOutfitContactSheet", () => {
+  beforeEach(() => {
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+  });
+
+  it("renders the Moon and Stars Background in a labeled grid, as PNG", async () => {
+    const layerUrls = [
+      "https://impress-asset-images.openneo.net/object/000/000/006/6829/150x150.png",
+    ];
+    const { image, status } = await renderOutfitContactSheet(
+      ["Happy", "Sad", "Sick", "Unconverted"].map((label) => ({
+        label,
+        layerUrls,
+      })),
+      150
+    );
+    expect(image.slice(1, 4).toString()).toEqual("PNG");
+    // Three columns, and two rows: each row is 150px tall, plus 25px of label.
+    expect(image.readUInt32BE(16)).toEqual(450);
+    expect(image.readUInt32BE(20)).toEqual(350);
+    expect(status).toEqual("success");
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it("leaves cells blank when they fail, and reports partial failure", async () => {
+    const { status } = await renderOutfitContactSheet(
+      [
+        {
+          label: "Happy",
+          layerUrls: [
+            "https://impress-asset-images.openneo.net/object/000/000/006/6829/150x150.png",
+          ],
+        },
+        {
+          label: "Sad",
+          layerUrls: [
+            "https://impress-asset-images.openneo.net/object/000/000/000/00000000/150x150.png", // fake URL
+          ],
+        },
+      ],
+      150
+    );
+    expect(status).toEqual("partial-failure");
+    expect(console.warn).toHaveBeenCalledWith(
+      `Error rendering contact sheet cell: Could not load any of the layer images: https://impress-asset-images.openneo.net/object/000/000/000/00000000/150x150.png`
+    );
+  });
 });
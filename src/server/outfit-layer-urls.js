@@ -0,0 +1,194 @@
+import gql from "graphql-tag";
+import { ApolloServer } from "apollo-server";
+import { createTestClient } from "apollo-server-testing";
+
+import { config as graphqlConfig } from "./index";
+import getVisibleLayers, {
+  petAppearanceFragmentForGetVisibleLayers,
+  itemAppearanceFragmentForGetVisibleLayers,
+} from "../shared/getVisibleLayers";
+
+const VALID_LAYER_URLS = [
+  /^https:\/\/(impress-asset-images\.openneo\.net|impress-asset-images\.s3\.amazonaws\.com)\/(biology|object)\/[0-9]{3}\/[0-9]{3}\/[0-9]{3}\/[0-9]+\/(150|300|600)x(150|300|600)\.png(\?[a-zA-Z0-9_-]+)?$/,
+  /^http:\/\/images\.neopets\.com\/cp\/(bio|object|items)\/data\/[0-9]{3}\/[0-9]{3}\/[0-9]{3}\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+\.(svg|png)(\?.*)?$/,
+  // NOTE: We don't validate the layer's libraryUrl here, because we check it's a Neopets URL when rendering.
+  /^https:\/\/impress-2020\.openneo\.net\/api\/assetImage\?libraryUrl=[^&]+(&size=(150|300|600))?$/,
+  /^https:\/\/images\.neopets\.com\/cp\/(bio|object|items)\/data\/[0-9]{3}\/[0-9]{3}\/[0-9]{3}\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+\.js(\?.*)?$/,
+];
+
+/**
+ * isValidLayerUrl returns whether the given URL matches a known layer URL
+ * format, so it's safe for us to load and render it.
+ */
+function isValidLayerUrl(layerUrl) {
+  return VALID_LAYER_URLS.some((pattern) => layerUrl.match(pattern));
+}
+
+// Check out this scrappy way of making a query against server code ^_^`
+const graphqlClient = createTestClient(new ApolloServer(graphqlConfig));
+
+async function loadLayerUrlsForSavedOutfit(outfitId, size) {
+  const { errors, data } = await graphqlClient.query({
+    query: gql`
+      query ApiOutfitLayerUrls($outfitId: ID!, $size: LayerImageSize) {
+        outfit(id: $outfitId) {
+          petAppearance {
+            layers {
+              id
+              imageUrl(size: $size)
+              canvasMovieLibraryUrl
+            }
+            ...PetAppearanceForGetVisibleLayers
+          }
+          itemAppearances {
+            layers {
+              id
+              imageUrl(size: $size)
+              canvasMovieLibraryUrl
+            }
+            ...ItemAppearanceForGetVisibleLayers
+          }
+        }
+      }
+      ${petAppearanceFragmentForGetVisibleLayers}
+      ${itemAppearanceFragmentForGetVisibleLayers}
+    `,
+    variables: { outfitId, size: `SIZE_${size}` },
+  });
+
+  if (errors && errors.length > 0) {
+    throw new Error(
+      `GraphQL Error: ${errors.map((e) => e.message).join(", ")}`
+    );
+  }
+
+  if (!data.outfit) {
+    throw new Error(`outfit ${outfitId} not found`);
+  }
+
+  const { petAppearance, itemAppearances } = data.outfit;
+  return getLayerUrlsForAppearances(petAppearance, itemAppearances, size);
+}
+
+// The poses we render in an outfit contact sheet, in order. These are all the
+// standard poses, plus Unconverted, which we skip if the pet doesn't have it.
+const CONTACT_SHEET_POSES = [
+  "HAPPY_MASC",
+  "SAD_MASC",
+  "SICK_MASC",
+  "HAPPY_FEM",
+  "SAD_FEM",
+  "SICK_FEM",
+  "UNCONVERTED",
+];
+
+/**
+ * loadLayerUrlsForAllPoses loads the layer URLs for the given items, on the
+ * given species/color in each pose it has. Returns a list of `{pose,
+ * layerUrls}`, in the order of CONTACT_SHEET_POSES, skipping the poses this
+ * pet doesn't have.
+ */
+async function loadLayerUrlsForAllPoses(
+  { speciesId, colorId, wornItemIds, hiddenLayerIds = [] },
+  size
+) {
+  // We load all the poses in one query, by giving each pose its own alias.
+  const petAppearanceFields = CONTACT_SHEET_POSES.map(
+    (pose) => `
+      ${pose}: petAppearance(
+        speciesId: $speciesId
+        colorId: $colorId
+        pose: ${pose}
+      ) {
+        layers {
+          id
+          imageUrl(size: $size)
+          canvasMovieLibraryUrl
+        }
+        ...PetAppearanceForGetVisibleLayers
+      }
+    `
+  ).join("\n");
+
+  const { errors, data } = await graphqlClient.query({
+    query: gql`
+      query ApiOutfitContactSheetLayerUrls(
+        $speciesId: ID!
+        $colorId: ID!
+        $wornItemIds: [ID!]!
+        $size: LayerImageSize
+      ) {
+        ${petAppearanceFields}
+        items(ids: $wornItemIds) {
+          appearanceOn(speciesId: $speciesId, colorId: $colorId) {
+            layers {
+              id
+              imageUrl(size: $size)
+              canvasMovieLibraryUrl
+            }
+            ...ItemAppearanceForGetVisibleLayers
+          }
+        }
+      }
+      ${petAppearanceFragmentForGetVisibleLayers}
+      ${itemAppearanceFragmentForGetVisibleLayers}
+    `,
+    variables: { speciesId, colorId, wornItemIds, size: `SIZE_${size}` },
+  });
+
+  if (errors && errors.length > 0) {
+    throw new Error(
+      `GraphQL Error: ${errors.map((e) => e.message).join(", ")}`
+    );
+  }
+
+  const itemAppearances = data.items
+    .filter((item) => item)
+    .map((item) => item.appearanceOn);
+  const poses = CONTACT_SHEET_POSES.filter((pose) => data[pose] != null);
+  if (poses.length === 0) {
+    throw new Error(
+      `species ${speciesId} and color ${colorId} have no pet appearances`
+    );
+  }
+
+  return poses.map((pose) => ({
+    pose,
+    layerUrls: getLayerUrlsForAppearances(data[pose], itemAppearances, size, {
+      hiddenLayerIds,
+    }),
+  }));
+}
+
+function getLayerUrlsForAppearances(
+  petAppearance,
+  itemAppearances,
+  size,
+  { hiddenLayerIds = [] } = {}
+) {
+  const visibleLayers = getVisibleLayers(petAppearance, itemAppearances).filter(
+    (layer) => !hiddenLayerIds.includes(layer.id)
+  );
+
+  for (const layer of visibleLayers) {
+    if (!layer.imageUrl && !layer.canvasMovieLibraryUrl) {
+      throw new Error(`layer ${layer.id} has no imageUrl for size ${size}`);
+    }
+  }
+
+  // For movie layers, we render the library directly, instead of going
+  // through /api/assetImage and its headless browser.
+  return visibleLayers
+    .sort((a, b) => a.depth - b.depth)
+    .map((layer) =>
+      layer.canvasMovieLibraryUrl
+        ? layer.canvasMovieLibraryUrl.replace(/^http:\/\//, "https://")
+        : layer.imageUrl
+    );
+}
+
+module.exports = {
+  isValidLayerUrl,
+  loadLayerUrlsForSavedOutfit,
+  loadLayerUrlsForAllPoses,
+};
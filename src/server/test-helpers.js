@@ -0,0 +1,99 @@
+/**
+ * buildFakeDb returns a stand-in for our MySQL connection pool, for testing
+ * resolvers without a database. Each query is passed to `handleQuery` as
+ * `{type, table, sql, params}`, where `type` is the statement's first keyword
+ * (like "SELECT" or "UPDATE") and `table` is the main table it reads or
+ * writes, and whatever it returns becomes the query's result.
+ *
+ * Every write is recorded in `db.writes`, as `{type, table, params}`, and
+ * every transaction step (begin, commit, rollback) in `db.transactionSteps`,
+ * so tests can check what we changed, and whether it was all-or-nothing,
+ * without depending on exactly how the SQL is written.
+ */
+function buildFakeDb(handleQuery = () => []) {
+  const writes = [];
+  const transactionSteps = [];
+
+  const run = async (sql, params = []) => {
+    const query = { ...parseQuery(sql), sql, params };
+    if (query.type !== "SELECT") {
+      writes.push({ type: query.type, table: query.table, params });
+    }
+    const result = await handleQuery(query);
+    return [result, []];
+  };
+
+  const connection = {
+    execute: run,
+    query: run,
+    beginTransaction: async () => transactionSteps.push("begin"),
+    commit: async () => transactionSteps.push("commit"),
+    rollback: async () => transactionSteps.push("rollback"),
+    release: () => {},
+  };
+
+  return {
+    execute: run,
+    query: run,
+    getConnection: async () => connection,
+    writes,
+    transactionSteps,
+  };
+}
+
+function parseQuery(sql) {
+  const type = sql.trim().split(/\s+/)[0].toUpperCase();
+  const tableMatch = sql.match(
+    /\b(?:FROM|INTO|UPDATE)\s+`?([a-z_]+(?:\.[a-z_]+)?)`?/i
+  );
+  return { type, table: tableMatch ? tableMatch[1] : null };
+}
+
+/**
+ * buildFakeLoader returns a stand-in for a DataLoader, which loads each key
+ * by calling `loadOne`. (Missing values should be returned as null, like our
+ * real loaders do.)
+ */
+function buildFakeLoader(loadOne = () => null) {
+  const loader = {
+    load: async (key) => loadOne(key),
+    loadMany: async (keys) => Promise.all(keys.map((key) => loadOne(key))),
+    clear: () => loader,
+    clearAll: () => loader,
+    prime: () => loader,
+  };
+  return loader;
+}
+
+// The users our tests act as, by ID. Any other user has no Support roles.
+const TEST_ROLES_BY_USER_ID = {
+  98: ["support"],
+  99: ["moderator"],
+};
+
+/**
+ * buildFakeContext returns a stand-in for our GraphQL context, for calling
+ * resolvers directly. `loaders` maps each loader the resolver needs to a
+ * function that loads one key, like buildFakeLoader takes. We always include
+ * `userRolesLoader`, with the roles in TEST_ROLES_BY_USER_ID, so permission
+ * checks work like they do for real users.
+ */
+function buildFakeContext({
+  currentUserId = null,
+  db = buildFakeDb(),
+  loaders = {},
+} = {}) {
+  const context = {
+    currentUserId,
+    db,
+    userRolesLoader: buildFakeLoader(
+      (userId) => TEST_ROLES_BY_USER_ID[userId] || []
+    ),
+  };
+  for (const [name, loadOne] of Object.entries(loaders)) {
+    context[name] = buildFakeLoader(loadOne);
+  }
+  return context;
+}
+
+module.exports = { buildFakeContext, buildFakeDb, buildFakeLoader };
@@ -82,6 +82,12 @@ const typeDefs = gql`
     that our behavior _doesn't_ match official behavior.
     """
     knownGlitches: [AppearanceLayerKnownGlitch!]!
+
+    """
+    Who modeled this layer, if we know! (We only started keeping track in
+    Impress 2020, and only for layers modeled here.)
+    """
+    contributedBy: ModelingContributor
   }
 
   enum AppearanceLayerKnownGlitch {
@@ -325,6 +331,11 @@ const resolvers = {
 
       return knownGlitches;
     },
+    contributedBy: ({ id }, _, { contributorLoader }) =>
+      contributorLoader.load({
+        contributedType: "SwfAsset",
+        contributedId: id,
+      }),
   },
 
   Query: {
@@ -1,6 +1,8 @@
 import { gql } from "apollo-server";
 
-import { logToDiscord } from "../util";
+import { getVisibilityName, normalizeRow, VISIBILITY_VALUES } from "../util";
+import { hasNotificationSinks, sendNotification } from "../notifications";
+import { assertSupportPermissionOrThrow } from "./MutationsForSupport";
 
 const typeDefs = gql`
   enum OwnsOrWants {
@@ -8,6 +10,17 @@ const typeDefs = gql`
     WANTS
   }
 
+  enum ClosetListVisibility {
+    "Only the list's owner can see it."
+    PRIVATE
+
+    "Anyone can see it, but it doesn't appear in trades."
+    PUBLIC
+
+    "Anyone can see it, and it appears in trades for its items."
+    TRADING
+  }
+
   type ClosetList {
     id: ID!
     name: String
@@ -33,9 +46,21 @@ const typeDefs = gql`
     """
     isDefaultList: Boolean!
 
+    """
+    Who can see this list. For default lists, this is the user's setting for
+    items they own/want that aren't in any list.
+    """
+    visibility: ClosetListVisibility!
+
     "The items in this list."
     items: [Item!]!
 
+    """
+    The hangers in this list: one per item, with extra info like how many of
+    the item the user has.
+    """
+    hangers: [ClosetHanger!]!
+
     "Whether the given item appears in this list."
     hasItem(itemId: ID!): Boolean!
 
@@ -43,6 +68,18 @@ const typeDefs = gql`
     creator: User!
   }
 
+  """
+  A closet hanger represents an item in a closet list, along with how many of
+  that item the user has.
+  """
+  type ClosetHanger {
+    id: ID!
+    item: Item!
+
+    "How many of this item the user has in this list. Always at least 1."
+    quantity: Int!
+  }
+
   extend type Query {
     # The closet list with the given ID. Will be null if it doesn't exist, or
     # if you're not allowed to see it.
@@ -52,14 +89,61 @@ const typeDefs = gql`
   extend type Mutation {
     """
     Edit the metadata of a closet list. Requires the current user to own the
-    list, or for the correct supportSecret to be provided.
+    list, or to have a Support role that can edit user data. (The
+    supportSecret is a deprecated fallback.)
     """
     editClosetList(
       closetListId: ID!
       name: String!
       description: String!
+      "Optional, leaves the visibility unchanged if omitted."
+      visibility: ClosetListVisibility
       supportSecret: String
     ): ClosetList
+
+    """
+    Change who can see a closet list. Requires the current user to own the
+    list. Works for default lists too, by updating the user's settings.
+    """
+    setClosetListVisibility(
+      closetListId: ID!
+      visibility: ClosetListVisibility!
+    ): ClosetList
+
+    "Create a new, empty closet list for the current user."
+    createClosetList(
+      name: String!
+      description: String
+      ownsOrWantsItems: OwnsOrWants!
+    ): ClosetList!
+
+    """
+    Delete a closet list. Requires the current user to own the list. If
+    moveItemsToDefaultList is true, the list's items move to the user's default
+    list, instead of being removed from their items entirely. Returns the ID of
+    the deleted list.
+    """
+    deleteClosetList(closetListId: ID!, moveItemsToDefaultList: Boolean): ID!
+
+    """
+    Move the given items from one of the current user's closet lists to
+    another. The lists must both be lists of owned items, or both be lists of
+    wanted items. Either list can be the default list. Items that aren't in the
+    source list are skipped, and moving items to the list they're already in
+    does nothing. Returns the source and destination lists.
+    """
+    moveItemsBetweenClosetLists(
+      fromListId: ID!
+      toListId: ID!
+      itemIds: [ID!]!
+    ): [ClosetList!]!
+
+    """
+    Set how many of an item the user has in a list. Requires the current user
+    to own the hanger. The quantity must be at least 1: to remove the item from
+    the list, use removeItemFromClosetList instead.
+    """
+    setClosetHangerQuantity(closetHangerId: ID!, quantity: Int!): ClosetHanger
   }
 `;
 
@@ -108,6 +192,24 @@ const resolvers = {
       return Boolean(isDefaultList);
     },
 
+    visibility: async (
+      { id, isDefaultList, userId, ownsOrWantsItems },
+      _,
+      { closetListLoader, userLoader }
+    ) => {
+      if (isDefaultList) {
+        const user = await userLoader.load(userId);
+        return getVisibilityName(
+          ownsOrWantsItems === "OWNS"
+            ? user.ownedClosetHangersVisibility
+            : user.wantedClosetHangersVisibility
+        );
+      }
+
+      const list = await closetListLoader.load(id);
+      return getVisibilityName(list.visibility);
+    },
+
     items: async (
       { isDefaultList, id, userId, ownsOrWantsItems, items: precomputedItems },
       _,
@@ -136,6 +238,31 @@ const resolvers = {
       return items.map(({ id }) => ({ id }));
     },
 
+    hangers: async (
+      {
+        isDefaultList,
+        id,
+        userId,
+        ownsOrWantsItems,
+        hangers: precomputedHangers,
+      },
+      _,
+      { closetHangersForListLoader, closetHangersForDefaultListLoader }
+    ) => {
+      // HACK: Like `items`, this is precomputed when called from User.js.
+      if (precomputedHangers) {
+        return precomputedHangers;
+      }
+
+      const closetHangers = isDefaultList
+        ? await closetHangersForDefaultListLoader.load({
+            userId,
+            ownsOrWantsItems,
+          })
+        : await closetHangersForListLoader.load(id);
+      return closetHangers;
+    },
+
     hasItem: async (
       { isDefaultList, id, userId, ownsOrWantsItems, items: precomputedItems },
       { itemId },
@@ -168,29 +295,65 @@ const resolvers = {
     },
   },
 
+  ClosetHanger: {
+    item: ({ itemId }) => ({ id: itemId }),
+    // NOTE: Some older hangers from Classic DTI have a null quantity, which it
+    //       treats as 1.
+    quantity: ({ quantity }) => quantity || 1,
+  },
+
   Query: {
-    closetList: async (_, { id }, { currentUserId, closetListLoader }) => {
-      // TODO: Accept the `not-in-a-list` case too!
-      const closetList = await closetListLoader.load(id);
-      if (!closetList) {
+    closetList: async (
+      _,
+      { id },
+      { currentUserId, closetListLoader, userLoader }
+    ) => {
+      const closetListRef = await loadClosetListOrDefaultList(
+        id,
+        closetListLoader
+      );
+      if (!closetListRef) {
         return null;
       }
 
+      let visibility;
+      if (closetListRef.isDefaultList) {
+        const user = await userLoader.load(closetListRef.userId);
+        if (!user) {
+          return null;
+        }
+        visibility =
+          closetListRef.ownsOrWantsItems === "OWNS"
+            ? user.ownedClosetHangersVisibility
+            : user.wantedClosetHangersVisibility;
+      } else {
+        const closetList = await closetListLoader.load(id);
+        visibility = closetList.visibility;
+      }
+
       const canView =
-        closetList.userId === currentUserId || closetList.visibility >= 1;
+        closetListRef.userId === currentUserId ||
+        visibility >= VISIBILITY_VALUES.PUBLIC;
       if (!canView) {
         return null;
       }
 
-      return { id };
+      return closetListRef;
     },
   },
 
   Mutation: {
     editClosetList: async (
       _,
-      { closetListId, name, description, supportSecret },
-      { currentUserId, closetListLoader, userLoader, db }
+      { closetListId, name, description, visibility, supportSecret },
+      {
+        currentUserId,
+        closetListLoader,
+        userClosetListsLoader,
+        userLoader,
+        userRolesLoader,
+        db,
+      }
     ) => {
       const oldClosetList = await closetListLoader.load(closetListId);
       if (!oldClosetList) {
@@ -201,61 +364,476 @@ const resolvers = {
       }
 
       const isCurrentUser = oldClosetList.userId === currentUserId;
-      const isSupportUser = supportSecret === process.env["SUPPORT_SECRET"];
-      if (!isCurrentUser && !isSupportUser) {
-        throw new Error(
-          `Current user does not have permission to edit closet list ${closetListId}`
-        );
+      if (!isCurrentUser) {
+        await assertSupportPermissionOrThrow("EDIT_USER_DATA", {
+          supportSecret,
+          currentUserId,
+          userRolesLoader,
+        });
       }
 
+      // If we got this far without owning the list, it's a Support edit.
+      const isSupportEdit = !isCurrentUser;
+
+      const visibilityValue =
+        visibility != null
+          ? VISIBILITY_VALUES[visibility]
+          : oldClosetList.visibility;
       await db.execute(
         `
-        UPDATE closet_lists SET name = ?, description = ? WHERE id = ? LIMIT 1
+        UPDATE closet_lists
+          SET name = ?, description = ?, visibility = ?, updated_at = ?
+          WHERE id = ? LIMIT 1
       `,
-        [name, description, closetListId]
+        [name, description, visibilityValue, new Date(), closetListId]
       );
 
       // we changed it, so clear it from cache
       closetListLoader.clear(closetListId);
+      userClosetListsLoader.clear(oldClosetList.userId);
 
       // If this was a Support action (rather than a normal edit), log it.
-      if (!isCurrentUser && isSupportUser) {
-        if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      if (isSupportEdit) {
+        if (hasNotificationSinks("support")) {
           try {
             const user = await userLoader.load(oldClosetList.userId);
 
-            await logToDiscord({
-              embeds: [
+            await sendNotification("support", {
+              title: `🛠 User ${user.name} - List ${closetListId}`,
+              fields: [
                 {
-                  title: `🛠 User ${user.name} - List ${closetListId}`,
-                  fields: [
-                    {
-                      name: `Name`,
-                      value: `${oldClosetList.name} → **${name}**`,
-                    },
-                    {
-                      name: `Description`,
-                      value:
-                        `\`${oldClosetList.description.substr(0, 60)}…\`` +
-                        `→ **\`${description.substr(0, 60)}…\`**`,
-                    },
-                  ],
-                  timestamp: new Date().toISOString(),
-                  url: `https://impress-2020.openneo.net/user/${user.id}/lists#list-${closetListId}`,
+                  name: `Name`,
+                  value: `${oldClosetList.name} → **${name}**`,
+                },
+                {
+                  name: `Description`,
+                  value:
+                    `\`${oldClosetList.description.substr(0, 60)}…\`` +
+                    `→ **\`${description.substr(0, 60)}…\`**`,
+                },
+                {
+                  name: `Visibility`,
+                  value:
+                    `${getVisibilityName(oldClosetList.visibility)} → ` +
+                    `**${getVisibilityName(visibilityValue)}**`,
                 },
               ],
+              timestamp: new Date().toISOString(),
+              url: `https://impress-2020.openneo.net/user/${user.id}/lists#list-${closetListId}`,
             });
           } catch (e) {
-            console.error("Error sending Discord support log", e);
+            console.error("Error sending support notification", e);
           }
         } else {
-          console.warn("No Discord support webhook provided, skipping");
+          console.warn("No support notification sinks configured, skipping");
         }
       }
 
       return { id: closetListId };
     },
+
+    setClosetListVisibility: async (
+      _,
+      { closetListId, visibility },
+      { currentUserId, db, closetListLoader, userClosetListsLoader, userLoader }
+    ) => {
+      const closetListRef = await loadClosetListOrDefaultList(
+        closetListId,
+        closetListLoader
+      );
+      if (closetListRef == null) {
+        throw new Error(`list ${closetListId} not found`);
+      }
+
+      if (closetListRef.userId !== currentUserId) {
+        throw new Error(`current user does not own this list`);
+      }
+
+      // We also record when the visibility changed, so that the trade matches
+      // job can notice items that just became visible for trading.
+      if (closetListRef.isDefaultList) {
+        // Default lists don't have a row of their own: their visibility is a
+        // setting on the user.
+        const column =
+          closetListRef.ownsOrWantsItems === "OWNS"
+            ? "owned_closet_hangers_visibility"
+            : "wanted_closet_hangers_visibility";
+        await db.execute(
+          `
+            UPDATE users
+              SET ${column} = ?, closet_hangers_visibility_updated_at = ?
+              WHERE id = ? LIMIT 1
+          `,
+          [VISIBILITY_VALUES[visibility], new Date(), currentUserId]
+        );
+        userLoader.clear(currentUserId);
+      } else {
+        await db.execute(
+          `
+            UPDATE closet_lists SET visibility = ?, updated_at = ?
+              WHERE id = ? LIMIT 1
+          `,
+          [VISIBILITY_VALUES[visibility], new Date(), closetListId]
+        );
+        closetListLoader.clear(closetListId);
+        userClosetListsLoader.clear(currentUserId);
+      }
+
+      return closetListRef;
+    },
+
+    createClosetList: async (
+      _,
+      { name, description, ownsOrWantsItems },
+      { currentUserId, db, userClosetListsLoader }
+    ) => {
+      if (currentUserId == null) {
+        throw new Error(`must be logged in`);
+      }
+
+      const now = new Date();
+      const [result] = await db.execute(
+        `
+          INSERT INTO closet_lists
+            (name, description, user_id, hangers_owned, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?);
+        `,
+        [
+          name,
+          description || "",
+          currentUserId,
+          ownsOrWantsItems === "OWNS",
+          now,
+          now,
+        ]
+      );
+
+      // The user's lists changed, so clear them from cache.
+      userClosetListsLoader.clear(currentUserId);
+
+      return { id: String(result.insertId) };
+    },
+
+    deleteClosetList: async (
+      _,
+      { closetListId, moveItemsToDefaultList },
+      {
+        currentUserId,
+        db,
+        closetListLoader,
+        closetHangersForListLoader,
+        closetHangersForDefaultListLoader,
+        userClosetListsLoader,
+        userClosetHangersLoader,
+      }
+    ) => {
+      const closetList = await closetListLoader.load(closetListId);
+      if (!closetList) {
+        throw new Error(`list ${closetListId} not found`);
+      }
+
+      if (closetList.userId !== currentUserId) {
+        throw new Error(`current user does not own this list`);
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        if (moveItemsToDefaultList) {
+          // First, if an item is already in the default list, we don't need
+          // to move it there: just delete it from this list. Then, move the
+          // remaining hangers into the default list.
+          // NOTE: MySQL doesn't let us reference closet_hangers in a subquery
+          //       of a DELETE from closet_hangers, so we use a self-join.
+          await connection.query(
+            `
+              DELETE list_hangers FROM closet_hangers AS list_hangers
+                INNER JOIN closet_hangers AS default_hangers
+                  ON default_hangers.item_id = list_hangers.item_id
+                    AND default_hangers.user_id = list_hangers.user_id
+                    AND default_hangers.owned = list_hangers.owned
+                    AND default_hangers.list_id IS NULL
+                WHERE list_hangers.list_id = ?;
+            `,
+            [closetListId]
+          );
+          await connection.query(
+            `
+              UPDATE closet_hangers SET list_id = NULL, updated_at = ?
+                WHERE list_id = ?;
+            `,
+            [new Date(), closetListId]
+          );
+        } else {
+          await connection.query(
+            `DELETE FROM closet_hangers WHERE list_id = ?;`,
+            [closetListId]
+          );
+        }
+
+        await connection.query(
+          `DELETE FROM closet_lists WHERE id = ? LIMIT 1;`,
+          [closetListId]
+        );
+
+        await connection.commit();
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch (error2) {
+          console.warn(`Error rolling back transaction`, error2);
+        }
+
+        throw error;
+      } finally {
+        await connection.release();
+      }
+
+      // We changed the list and its hangers, so clear them from cache.
+      closetListLoader.clear(closetListId);
+      closetHangersForListLoader.clear(closetListId);
+      closetHangersForDefaultListLoader.clearAll();
+      userClosetListsLoader.clear(currentUserId);
+      userClosetHangersLoader.clear(currentUserId);
+
+      return closetListId;
+    },
+
+    moveItemsBetweenClosetLists: async (
+      _,
+      { fromListId, toListId, itemIds },
+      {
+        currentUserId,
+        db,
+        closetListLoader,
+        closetHangersForListLoader,
+        closetHangersForDefaultListLoader,
+        userClosetHangersLoader,
+      }
+    ) => {
+      const [fromListRef, toListRef] = await Promise.all([
+        loadClosetListOrDefaultList(fromListId, closetListLoader),
+        loadClosetListOrDefaultList(toListId, closetListLoader),
+      ]);
+      if (fromListRef == null) {
+        throw new Error(`list ${fromListId} not found`);
+      }
+      if (toListRef == null) {
+        throw new Error(`list ${toListId} not found`);
+      }
+
+      if (
+        fromListRef.userId !== currentUserId ||
+        toListRef.userId !== currentUserId
+      ) {
+        throw new Error(`current user does not own these lists`);
+      }
+
+      // If this is the same list, the items are already where they belong.
+      // (And we mustn't continue: every item would look like it's already in
+      // the destination list, and we'd delete them all!)
+      const isSameList = fromListRef.isDefaultList
+        ? toListRef.isDefaultList &&
+          fromListRef.ownsOrWantsItems === toListRef.ownsOrWantsItems
+        : fromListRef.id === toListRef.id;
+      if (isSameList) {
+        return [fromListRef, toListRef];
+      }
+
+      if (fromListRef.ownsOrWantsItems !== toListRef.ownsOrWantsItems) {
+        throw new Error(
+          `can't move items between a list of owned items and a list of ` +
+            `wanted items`
+        );
+      }
+
+      const loadHangers = (listRef) =>
+        listRef.isDefaultList
+          ? closetHangersForDefaultListLoader.load({
+              userId: listRef.userId,
+              ownsOrWantsItems: listRef.ownsOrWantsItems,
+            })
+          : closetHangersForListLoader.load(listRef.id);
+      const [fromHangers, toHangers] = await Promise.all([
+        loadHangers(fromListRef),
+        loadHangers(toListRef),
+      ]);
+
+      // Skip items that aren't in the source list. Then, for items that are
+      // already in the destination list, we just remove them from the source
+      // list; and, for the rest, we move their hangers over.
+      const fromItemIds = new Set(fromHangers.map((h) => h.itemId));
+      const toItemIds = new Set(toHangers.map((h) => h.itemId));
+      const itemIdsToMove = itemIds.filter((id) => fromItemIds.has(id));
+      const itemIdsToDelete = itemIdsToMove.filter((id) => toItemIds.has(id));
+      const itemIdsToUpdate = itemIdsToMove.filter((id) => !toItemIds.has(id));
+
+      const fromListMatcherCondition = fromListRef.isDefaultList
+        ? `(user_id = ? AND owned = ? AND list_id IS NULL)`
+        : `(list_id = ?)`;
+      const fromListMatcherValues = fromListRef.isDefaultList
+        ? [fromListRef.userId, fromListRef.ownsOrWantsItems === "OWNS"]
+        : [fromListRef.id];
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        if (itemIdsToDelete.length > 0) {
+          const qs = itemIdsToDelete.map((_) => "?").join(", ");
+          await connection.query(
+            `
+              DELETE FROM closet_hangers
+                WHERE ${fromListMatcherCondition} AND item_id IN (${qs});
+            `,
+            [...fromListMatcherValues, ...itemIdsToDelete]
+          );
+        }
+
+        if (itemIdsToUpdate.length > 0) {
+          const qs = itemIdsToUpdate.map((_) => "?").join(", ");
+          await connection.query(
+            `
+              UPDATE closet_hangers SET list_id = ?, updated_at = ?
+                WHERE ${fromListMatcherCondition} AND item_id IN (${qs});
+            `,
+            [
+              toListRef.id,
+              new Date(),
+              ...fromListMatcherValues,
+              ...itemIdsToUpdate,
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch (error2) {
+          console.warn(`Error rolling back transaction`, error2);
+        }
+
+        throw error;
+      } finally {
+        await connection.release();
+      }
+
+      // We changed the hangers in these lists, so clear them from cache.
+      for (const listRef of [fromListRef, toListRef]) {
+        if (!listRef.isDefaultList) {
+          closetHangersForListLoader.clear(listRef.id);
+        }
+      }
+      closetHangersForDefaultListLoader.clearAll();
+      userClosetHangersLoader.clear(currentUserId);
+
+      return [fromListRef, toListRef];
+    },
+
+    setClosetHangerQuantity: async (
+      _,
+      { closetHangerId, quantity },
+      {
+        currentUserId,
+        db,
+        closetHangersForListLoader,
+        closetHangersForDefaultListLoader,
+        userClosetHangersLoader,
+      }
+    ) => {
+      if (currentUserId == null) {
+        throw new Error(`must be logged in`);
+      }
+
+      if (quantity < 1) {
+        throw new Error(`quantity must be at least 1, but was ${quantity}`);
+      }
+
+      const [
+        rows,
+      ] = await db.execute(
+        `SELECT * FROM closet_hangers WHERE id = ? LIMIT 1;`,
+        [closetHangerId]
+      );
+      if (rows.length === 0) {
+        throw new Error(`closet hanger ${closetHangerId} not found`);
+      }
+
+      const closetHanger = normalizeRow(rows[0]);
+      if (closetHanger.userId !== currentUserId) {
+        throw new Error(`current user does not own this closet hanger`);
+      }
+
+      await db.execute(
+        `
+          UPDATE closet_hangers SET quantity = ?, updated_at = ?
+            WHERE id = ? LIMIT 1;
+        `,
+        [quantity, new Date(), closetHangerId]
+      );
+
+      // We changed the hanger, so clear its lists from cache.
+      if (closetHanger.listId != null) {
+        closetHangersForListLoader.clear(closetHanger.listId);
+      }
+      closetHangersForDefaultListLoader.clearAll();
+      userClosetHangersLoader.clear(currentUserId);
+
+      return { ...closetHanger, quantity };
+    },
   },
 };
 
-module.exports = { typeDefs, resolvers };
+// This matches the ID that we return from ClosetList for the default list.
+const DEFAULT_LIST_ID_PATTERN = /user-(.+?)-default-list-(OWNS|WANTS)/;
+
+/**
+ * Given a list ID returned from ClosetList (which the client might've passed
+ * back to us in a mutation), parse it as either a *real* list ID, or the
+ * placeholder ID we provide to "default" lists; and return the fields that
+ * our ClosetList resolver expects in order to return the correct list. (That
+ * is: `isDefaultList`, `id` (perhaps null), `userId`, and `ownsOrWantsItems`.
+ * The resolver doesn't need all of the fields in both cases, but we return
+ * both in case you want to use them for other things, e.g. checking the
+ * `userId`!)
+ *
+ * (Or return null, if the list ID does not correspond to a default list *or* a
+ * real list in the database.)
+ */
+async function loadClosetListOrDefaultList(listId, closetListLoader) {
+  if (listId == null) {
+    return null;
+  }
+
+  const defaultListMatch = listId.match(DEFAULT_LIST_ID_PATTERN);
+  if (defaultListMatch) {
+    const userId = defaultListMatch[1];
+    const ownsOrWantsItems = defaultListMatch[2];
+    return {
+      isDefaultList: true,
+      id: null,
+      userId,
+      ownsOrWantsItems,
+    };
+  }
+
+  const closetList = await closetListLoader.load(listId);
+  if (closetList) {
+    return {
+      isDefaultList: false,
+      id: closetList.id,
+      userId: closetList.userId,
+      ownsOrWantsItems: closetList.hangersOwned ? "OWNS" : "WANTS",
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  typeDefs,
+  resolvers,
+  loadClosetListOrDefaultList,
+};
@@ -0,0 +1,328 @@
+import { resolvers } from "./ClosetList";
+import { sendNotification } from "../notifications";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+jest.mock("../notifications", () => ({
+  hasNotificationSinks: () => true,
+  sendNotification: jest.fn(),
+}));
+
+const CLOSET_LISTS = {
+  1: {
+    id: "1",
+    userId: "44",
+    name: "Trades",
+    description: "Make me an offer!",
+    visibility: 2,
+    hangersOwned: true,
+  },
+  2: { id: "2", userId: "44", name: "Keepers", hangersOwned: true },
+  3: { id: "3", userId: "44", name: "Dream items", hangersOwned: false },
+  4: { id: "4", userId: "6", name: "Someone else's", hangersOwned: true },
+};
+
+const HANGERS_BY_LIST_ID = {
+  1: [{ itemId: "100" }, { itemId: "200" }],
+  2: [{ itemId: "200" }],
+  3: [],
+  4: [],
+};
+
+const LOADERS = {
+  userLoader: (id) => ({ id, name: `user${id}` }),
+  closetListLoader: (id) => CLOSET_LISTS[id] || null,
+  closetHangersForListLoader: (id) => HANGERS_BY_LIST_ID[id] || [],
+  closetHangersForDefaultListLoader: () => [
+    { itemId: "100" },
+    { itemId: "300" },
+  ],
+  userClosetListsLoader: () => [],
+  userClosetHangersLoader: () => [],
+};
+
+describe("moveItemsBetweenClosetLists", () => {
+  it("moves new items, and removes items the destination already has", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.moveItemsBetweenClosetLists(
+      null,
+      { fromListId: "1", toListId: "2", itemIds: ["100", "200", "999"] },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      { type: "DELETE", table: "closet_hangers", params: ["1", "200"] },
+      {
+        type: "UPDATE",
+        table: "closet_hangers",
+        params: ["2", expect.any(Date), "1", "100"],
+      },
+    ]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("does nothing when moving items to the list they're already in", async () => {
+    const db = buildFakeDb();
+
+    const lists = await resolvers.Mutation.moveItemsBetweenClosetLists(
+      null,
+      { fromListId: "1", toListId: "1", itemIds: ["100", "200"] },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(lists.map((l) => l.id)).toEqual(["1", "1"]);
+    expect(db.writes).toEqual([]);
+  });
+
+  it("does nothing when moving items to the default list they're already in", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.moveItemsBetweenClosetLists(
+      null,
+      {
+        fromListId: "user-44-default-list-OWNS",
+        toListId: "user-44-default-list-OWNS",
+        itemIds: ["100", "300"],
+      },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([]);
+  });
+
+  it("refuses to move items between owned and wanted lists", async () => {
+    await expect(
+      resolvers.Mutation.moveItemsBetweenClosetLists(
+        null,
+        { fromListId: "1", toListId: "3", itemIds: ["100"] },
+        buildFakeContext({ currentUserId: "44", loaders: LOADERS })
+      )
+    ).rejects.toThrow(/can't move items between a list of owned items/);
+  });
+
+  it("refuses to move items into another user's list", async () => {
+    await expect(
+      resolvers.Mutation.moveItemsBetweenClosetLists(
+        null,
+        { fromListId: "1", toListId: "4", itemIds: ["100"] },
+        buildFakeContext({ currentUserId: "44", loaders: LOADERS })
+      )
+    ).rejects.toThrow(`current user does not own these lists`);
+  });
+});
+
+describe("deleteClosetList", () => {
+  it("deletes the list and its items", async () => {
+    const db = buildFakeDb();
+
+    const deletedId = await resolvers.Mutation.deleteClosetList(
+      null,
+      { closetListId: "1", moveItemsToDefaultList: false },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(deletedId).toEqual("1");
+    expect(db.writes).toEqual([
+      { type: "DELETE", table: "closet_hangers", params: ["1"] },
+      { type: "DELETE", table: "closet_lists", params: ["1"] },
+    ]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("moves the list's items to the default list, if requested", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.deleteClosetList(
+      null,
+      { closetListId: "1", moveItemsToDefaultList: true },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    // First, we delete the items the default list already has, then move the
+    // rest, and only then delete the list itself.
+    expect(db.writes.map((w) => [w.type, w.table])).toEqual([
+      ["DELETE", "closet_hangers"],
+      ["UPDATE", "closet_hangers"],
+      ["DELETE", "closet_lists"],
+    ]);
+  });
+
+  it("rolls back if a step fails", async () => {
+    const db = buildFakeDb(({ type, table }) => {
+      if (type === "DELETE" && table === "closet_lists") {
+        throw new Error("oh no!");
+      }
+      return [];
+    });
+
+    await expect(
+      resolvers.Mutation.deleteClosetList(
+        null,
+        { closetListId: "1", moveItemsToDefaultList: false },
+        buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow("oh no!");
+    expect(db.transactionSteps).toEqual(["begin", "rollback"]);
+  });
+
+  it("refuses to delete another user's list", async () => {
+    const db = buildFakeDb();
+
+    await expect(
+      resolvers.Mutation.deleteClosetList(
+        null,
+        { closetListId: "4", moveItemsToDefaultList: false },
+        buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`current user does not own this list`);
+    expect(db.writes).toEqual([]);
+  });
+});
+
+describe("closetList", () => {
+  const USERS = {
+    44: { id: "44", ownedClosetHangersVisibility: 2 },
+    45: { id: "45", ownedClosetHangersVisibility: 0 },
+  };
+  const load = (id, currentUserId) =>
+    resolvers.Query.closetList(
+      null,
+      { id },
+      buildFakeContext({
+        currentUserId,
+        loaders: { ...LOADERS, userLoader: (id) => USERS[id] || null },
+      })
+    );
+
+  it("shows lists to other users, only if they're public", async () => {
+    expect(await load("1", "6")).toMatchObject({ id: "1", userId: "44" });
+    expect(await load("2", "6")).toBeNull();
+    expect(await load("2", "44")).toMatchObject({ id: "2", userId: "44" });
+  });
+
+  it("checks the user's visibility setting for default lists", async () => {
+    expect(await load("user-44-default-list-OWNS", "6")).toMatchObject({
+      isDefaultList: true,
+      userId: "44",
+    });
+    expect(await load("user-45-default-list-OWNS", "6")).toBeNull();
+  });
+
+  it("returns null for the default list of a user who doesn't exist", async () => {
+    expect(await load("user-55-default-list-OWNS", "6")).toBeNull();
+    expect(await load("user-55-default-list-OWNS", "55")).toBeNull();
+  });
+});
+
+describe("editClosetList", () => {
+  beforeEach(() => {
+    sendNotification.mockClear();
+  });
+
+  it("edits the current user's own list", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.editClosetList(
+      null,
+      { closetListId: "1", name: "Trading", description: "Offers only!" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      {
+        type: "UPDATE",
+        table: "closet_lists",
+        params: ["Trading", "Offers only!", 2, expect.any(Date), "1"],
+      },
+    ]);
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  it("lets a Support user with EDIT_USER_DATA edit another user's list, and notifies", async () => {
+    const db = buildFakeDb();
+
+    const list = await resolvers.Mutation.editClosetList(
+      null,
+      { closetListId: "1", name: "Trades", description: "" },
+      buildFakeContext({ currentUserId: "99", db, loaders: LOADERS })
+    );
+
+    expect(list).toEqual({ id: "1" });
+    expect(db.writes).toEqual([
+      {
+        type: "UPDATE",
+        table: "closet_lists",
+        params: ["Trades", "", 2, expect.any(Date), "1"],
+      },
+    ]);
+    expect(sendNotification).toHaveBeenCalledWith(
+      "support",
+      expect.objectContaining({ title: "🛠 User user44 - List 1" })
+    );
+  });
+
+  it("refuses to let other users edit the list", async () => {
+    for (const currentUserId of ["6", "98", null]) {
+      const db = buildFakeDb();
+
+      await expect(
+        resolvers.Mutation.editClosetList(
+          null,
+          { closetListId: "1", name: "Mine now", description: "" },
+          buildFakeContext({ currentUserId, db, loaders: LOADERS })
+        )
+      ).rejects.toThrow(
+        `You don't have permission to do this (EDIT_USER_DATA)`
+      );
+      expect(db.writes).toEqual([]);
+    }
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe("setClosetListVisibility", () => {
+  it("updates a list's visibility, and when it changed", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.setClosetListVisibility(
+      null,
+      { closetListId: "2", visibility: "TRADING" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      {
+        type: "UPDATE",
+        table: "closet_lists",
+        params: [2, expect.any(Date), "2"],
+      },
+    ]);
+  });
+
+  it("updates a default list's visibility on the user, and when it changed", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.setClosetListVisibility(
+      null,
+      { closetListId: "user-44-default-list-WANTS", visibility: "PUBLIC" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      { type: "UPDATE", table: "users", params: [1, expect.any(Date), "44"] },
+    ]);
+  });
+
+  it("refuses to change another user's list", async () => {
+    const db = buildFakeDb();
+
+    await expect(
+      resolvers.Mutation.setClosetListVisibility(
+        null,
+        { closetListId: "4", visibility: "PUBLIC" },
+        buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`current user does not own this list`);
+    expect(db.writes).toEqual([]);
+  });
+});
@@ -0,0 +1,262 @@
+import { gql } from "apollo-server";
+
+import { normalizeRow } from "../util";
+import { sendEmail } from "../notifications";
+import { assertSupportPermissionOrThrow } from "./MutationsForSupport";
+
+const typeDefs = gql`
+  """
+  A message someone sent us with the feedback form. See /api/sendFeedback.
+  """
+  type Feedback {
+    id: ID!
+    content: String!
+
+    "The email address the sender gave us, if any."
+    email: String
+
+    "The sender, if they were logged in."
+    user: User
+
+    "The page the sender was on when they sent this, if known."
+    pageUrl: String
+
+    "The outfit the sender was working on when they sent this, if any."
+    outfit: Outfit
+
+    status: FeedbackStatus!
+
+    "When this feedback was sent, as an ISO 8601 timestamp."
+    createdAt: String!
+
+    "Our replies to this feedback, oldest first."
+    replies: [FeedbackReply!]!
+  }
+
+  type FeedbackReply {
+    id: ID!
+    content: String!
+
+    "The Support user who wrote this reply."
+    user: User
+
+    "Whether we emailed this reply to the sender."
+    wasEmailed: Boolean!
+
+    "When this reply was written, as an ISO 8601 timestamp."
+    createdAt: String!
+  }
+
+  enum FeedbackStatus {
+    NEW
+    TRIAGED
+    DONE
+  }
+
+  extend type Query {
+    """
+    Feedback in the inbox, newest first, optionally filtered by status.
+    Requires the current user to have a Support role that can manage feedback.
+    (The supportSecret is a deprecated fallback.)
+    """
+    feedbackInbox(
+      status: FeedbackStatus
+      limit: Int
+      offset: Int
+      supportSecret: String
+    ): [Feedback!]!
+  }
+
+  extend type Mutation {
+    setFeedbackStatus(
+      feedbackId: ID!
+      status: FeedbackStatus!
+      supportSecret: String
+    ): Feedback!
+
+    """
+    Reply to the given feedback. If the sender gave us their email address, we
+    email the reply to them too, unless sendEmail is false. Replying to NEW
+    feedback marks it as TRIAGED.
+    """
+    replyToFeedback(
+      feedbackId: ID!
+      content: String!
+      sendEmail: Boolean
+      supportSecret: String
+    ): Feedback!
+  }
+`;
+
+// How we name each status in the database.
+const STATUS_VALUES = {
+  NEW: "new",
+  TRIAGED: "triaged",
+  DONE: "done",
+};
+
+const resolvers = {
+  Feedback: {
+    user: ({ userId }) => (userId != null ? { id: userId } : null),
+    outfit: async ({ outfitId }, _, { outfitLoader }) => {
+      if (outfitId == null) {
+        return null;
+      }
+
+      // The outfit might have been deleted since!
+      const outfit = await outfitLoader.load(outfitId);
+      return outfit ? { id: outfit.id } : null;
+    },
+    status: ({ status }) =>
+      Object.keys(STATUS_VALUES).find((key) => STATUS_VALUES[key] === status),
+    createdAt: ({ createdAt }) => createdAt.toISOString(),
+    replies: ({ id }, _, { feedbackRepliesLoader }) =>
+      feedbackRepliesLoader.load(id),
+  },
+
+  FeedbackReply: {
+    user: ({ userId }) => (userId != null ? { id: userId } : null),
+    wasEmailed: ({ emailedAt }) => emailedAt != null,
+    createdAt: ({ createdAt }) => createdAt.toISOString(),
+  },
+
+  Query: {
+    feedbackInbox: async (
+      _,
+      { status, limit, offset, supportSecret },
+      { currentUserId, userRolesLoader, db }
+    ) => {
+      await assertSupportPermissionOrThrow("MANAGE_FEEDBACK", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      const actualLimit = Math.min(limit || 30, 100);
+      const actualOffset = Math.max(offset || 0, 0);
+      const statusCondition = status != null ? `WHERE status = ?` : ``;
+      const statusValues = status != null ? [STATUS_VALUES[status]] : [];
+      const [rows] = await db.execute(
+        `
+          SELECT * FROM feedback ${statusCondition}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${actualLimit} OFFSET ${actualOffset}
+        `,
+        statusValues
+      );
+
+      return rows.map(normalizeRow);
+    },
+  },
+
+  Mutation: {
+    setFeedbackStatus: async (
+      _,
+      { feedbackId, status, supportSecret },
+      { currentUserId, userRolesLoader, db }
+    ) => {
+      await assertSupportPermissionOrThrow("MANAGE_FEEDBACK", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      const [result] = await db.execute(
+        `
+          UPDATE feedback SET status = ?, updated_at = CURRENT_TIMESTAMP()
+            WHERE id = ? LIMIT 1
+        `,
+        [STATUS_VALUES[status], feedbackId]
+      );
+      if (result.affectedRows !== 1) {
+        throw new Error(`Feedback ${feedbackId} not found`);
+      }
+
+      return await loadFeedback(feedbackId, db);
+    },
+
+    replyToFeedback: async (
+      _,
+      { feedbackId, content, sendEmail: shouldSendEmail = true, supportSecret },
+      { currentUserId, userRolesLoader, feedbackRepliesLoader, db }
+    ) => {
+      await assertSupportPermissionOrThrow("MANAGE_FEEDBACK", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      const feedback = await loadFeedback(feedbackId, db);
+      if (!feedback) {
+        throw new Error(`Feedback ${feedbackId} not found`);
+      }
+
+      if (content.trim().length === 0) {
+        throw new Error(`Reply must not be empty`);
+      }
+
+      // Save the reply first, so it's never lost, even if the email fails.
+      // Then, we only mark it as emailed once the email actually goes out.
+      const [result] = await db.execute(
+        `
+          INSERT INTO feedback_replies
+            (feedback_id, user_id, content, emailed_at, created_at)
+            VALUES (?, ?, ?, NULL, CURRENT_TIMESTAMP())
+        `,
+        [feedbackId, currentUserId || null, content]
+      );
+      const replyId = result.insertId;
+
+      if (shouldSendEmail && feedback.email) {
+        try {
+          await sendEmail({
+            to: feedback.email,
+            subject: `Re: DTI feedback`,
+            text:
+              `${content}\n\n` +
+              `---\n` +
+              `You wrote:\n` +
+              feedback.content
+                .split("\n")
+                .map((line) => `> ${line}`)
+                .join("\n"),
+          });
+          await db.execute(
+            `
+              UPDATE feedback_replies SET emailed_at = CURRENT_TIMESTAMP()
+                WHERE id = ? LIMIT 1
+            `,
+            [replyId]
+          );
+        } catch (e) {
+          // The reply is saved either way, and the inbox shows that it wasn't
+          // emailed, so Support can follow up some other way.
+          console.error(
+            `Error emailing reply ${replyId} to feedback ${feedbackId}, ` +
+              `skipping`,
+            e
+          );
+        }
+      }
+
+      feedbackRepliesLoader.clear(feedbackId);
+
+      await db.execute(
+        `
+          UPDATE feedback SET status = "triaged", updated_at = CURRENT_TIMESTAMP()
+            WHERE id = ? AND status = "new" LIMIT 1
+        `,
+        [feedbackId]
+      );
+
+      return await loadFeedback(feedbackId, db);
+    },
+  },
+};
+
+async function loadFeedback(id, db) {
+  const [rows] = await db.execute(`SELECT * FROM feedback WHERE id = ?`, [id]);
+  return rows[0] ? normalizeRow(rows[0]) : null;
+}
+
+module.exports = { typeDefs, resolvers };
@@ -0,0 +1,105 @@
+import { resolvers } from "./Feedback";
+import { sendEmail } from "../notifications";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+jest.mock("../notifications", () => ({
+  hasNotificationSinks: () => false,
+  sendNotification: jest.fn(),
+  sendEmail: jest.fn(),
+}));
+
+const FEEDBACK_ROW = {
+  id: 1,
+  user_id: null,
+  outfit_id: null,
+  email: "someone@example.com",
+  content: "I love it!",
+  page_url: "https://impress-2020.openneo.net/",
+  status: "new",
+  created_at: new Date("2021-01-01T00:00:00Z"),
+};
+
+function buildFeedbackDb() {
+  return buildFakeDb(({ type, table }) => {
+    if (type === "SELECT" && table === "feedback") {
+      return [FEEDBACK_ROW];
+    } else if (type === "INSERT" && table === "feedback_replies") {
+      return { insertId: 7 };
+    } else {
+      return { affectedRows: 1 };
+    }
+  });
+}
+
+const LOADERS = {
+  feedbackRepliesLoader: () => [],
+};
+
+const writesTo = (db, table) => db.writes.filter((w) => w.table === table);
+
+describe("replyToFeedback", () => {
+  const originalConsoleError = console.error;
+
+  beforeEach(() => {
+    sendEmail.mockReset();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+  });
+
+  it("saves the reply, then emails it, then marks it as emailed", async () => {
+    const db = buildFeedbackDb();
+    sendEmail.mockImplementation(async () => {
+      // By the time we send the email, the reply should already be saved, but
+      // not yet marked as emailed.
+      expect(writesTo(db, "feedback_replies").length).toEqual(1);
+    });
+
+    await resolvers.Mutation.replyToFeedback(
+      null,
+      { feedbackId: "1", content: "Thank you!" },
+      buildFakeContext({ currentUserId: "99", db, loaders: LOADERS })
+    );
+
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "someone@example.com" })
+    );
+    expect(writesTo(db, "feedback_replies")).toEqual([
+      { type: "INSERT", table: "feedback_replies", params: expect.any(Array) },
+      { type: "UPDATE", table: "feedback_replies", params: [7] },
+    ]);
+  });
+
+  it("keeps the reply, unemailed, if the email fails", async () => {
+    const db = buildFeedbackDb();
+    sendEmail.mockRejectedValue(new Error("SendGrid is down"));
+
+    await expect(
+      resolvers.Mutation.replyToFeedback(
+        null,
+        { feedbackId: "1", content: "Thank you!" },
+        buildFakeContext({ currentUserId: "99", db, loaders: LOADERS })
+      )
+    ).resolves.toMatchObject({ id: "1" });
+
+    expect(writesTo(db, "feedback_replies")).toEqual([
+      { type: "INSERT", table: "feedback_replies", params: expect.any(Array) },
+    ]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("doesn't email the reply if asked not to", async () => {
+    const db = buildFeedbackDb();
+
+    await resolvers.Mutation.replyToFeedback(
+      null,
+      { feedbackId: "1", content: "Noted!", sendEmail: false },
+      buildFakeContext({ currentUserId: "99", db, loaders: LOADERS })
+    );
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(writesTo(db, "feedback_replies").length).toEqual(1);
+  });
+});
@@ -5,7 +5,9 @@ import {
   oneWeek,
   oneDay,
   oneHour,
+  parseItemSearchQuery,
 } from "../util";
+import { loadClosetListOrDefaultList } from "./ClosetList";
 
 const typeDefs = gql`
   type Item @cacheControl(maxAge: ${oneDay}, staleWhileRevalidate: ${oneWeek}) {
@@ -27,6 +29,30 @@ const typeDefs = gql`
     """
     createdAt: String
 
+    """
+    This item's price in Neopoints, according to Neopets.com when we last
+    checked. Null if we don't know, which is common for NC items.
+    """
+    price: Int
+
+    "This item's category on Neopets.com, like Clothes or Food, if known."
+    category: String
+
+    "This item's type on Neopets.com, if known."
+    type: String
+
+    "This item's weight in pounds, according to Neopets.com, if known."
+    weightLbs: Int
+
+    "Whether this item was for sale in the NC Mall when we last checked."
+    isSoldInNcMall: Boolean!
+
+    """
+    When we last checked Neopets.com for this item's price and NC Mall
+    availability. ISO 8601 string, or null if we never have.
+    """
+    lastSpideredAt: String
+
     """
     Deprecated: This item's capsule trade value as text, according to
     wakaguide.com, as a human-readable string. **This now always returns null.**
@@ -84,6 +110,20 @@ const typeDefs = gql`
     """
     isManuallyNc: Boolean!
 
+    """
+    This is set manually by Support users, to group items into a set, like
+    all the pieces of a costume. Items in the same set show up in each other's
+    relatedItems. When null, we guess the set from the item's name instead.
+    """
+    manualSetName: String @cacheControl(maxAge: 0)
+
+    """
+    Other items that go with this one: items from the same set, items for the
+    same special color, and items that people often wear with it in their
+    saved outfits.
+    """
+    relatedItems: [RelatedItem!]! @cacheControl(maxAge: ${oneHour})
+
     """
     Get the species that we need modeled for this item for the given color.
     
@@ -155,6 +195,22 @@ const typeDefs = gql`
     restrictedZones: [Zone!]!
   }
 
+  type RelatedItem {
+    item: Item!
+    reason: RelatedItemReason!
+  }
+
+  enum RelatedItemReason {
+    "In the same set, according to Support, or by sharing most of its name."
+    SAME_SET
+
+    "Set to the same special color by Support, like Maraquan."
+    SAME_SPECIAL_COLOR
+
+    "Often worn together in saved outfits."
+    OFTEN_WORN_WITH
+  }
+
   type BodyAndZones {
     body: Body!
     zones: [Zone!]!
@@ -171,6 +227,35 @@ const typeDefs = gql`
     PB
   }
 
+  enum ItemSearchMode {
+    "Each word must appear in the item name. Sorted alphabetically."
+    SUBSTRING
+
+    """
+    Like SUBSTRING, but longer words may have a typo, and results are sorted
+    by relevance: exact name matches first, then names that start with the
+    query, then names where the query words start a word.
+    """
+    RANKED
+  }
+
+  enum ItemSearchSortBy {
+    "Sorted by the search mode: alphabetical for SUBSTRING, or by relevance."
+    RELEVANCE
+
+    "Sorted by when we first saw the item, newest first."
+    NEWEST
+
+    "Sorted by rarity index, rarest first."
+    RARITY
+
+    "Sorted by how many users want the item, in their trade lists."
+    MOST_WANTED
+
+    "Sorted by how many users are offering the item, in their trade lists."
+    MOST_OFFERED
+  }
+
   # TODO: I guess I didn't add the NC/NP/PB filter to this. Does that cause
   #       bugs in comparing results on the client?
   type ItemSearchResult {
@@ -180,20 +265,79 @@ const typeDefs = gql`
     numTotalItems: Int!
   }
 
-  # TODO: I guess I didn't add the NC/NP/PB filter to this. Does that cause
-  #       bugs in comparing results on the client?
   type ItemSearchResultV2 {
+    """
+    Identifies this search, including every filter and the sort order, so
+    results for different filters never share a cache entry on the client.
+    """
     id: ID!
     query: String!
     zones: [Zone!]!
-    items(offset: Int, limit: Int): [Item!]!
+    itemKind: ItemKindSearchFilter
+    currentUserOwnsOrWants: OwnsOrWants
+    fitsPet: FitsPet
+
+    """
+    How many results there are. Like itemsPage and the facets, this ignores
+    items added after this search was requested, so they all agree. (When
+    loading later pages by cursor, the counts can include items added since
+    the first page, even though the pages themselves won't.)
+    """
     numTotalItems: Int!
+
+    """
+    A page of results, by offset. Prefer itemsPage for infinite scrolling,
+    because this can skip or repeat items if new items are added between
+    pages.
+    """
+    items(offset: Int, limit: Int): [Item!]!
+
+    """
+    A page of results, by cursor. Pass the nextCursor from the previous page
+    as after, to load the next page. Items added after the first page loaded
+    won't appear in later pages, so the pages stay stable.
+    """
+    itemsPage(after: String, limit: Int): ItemSearchItemsPage!
+
+    """
+    How many results are in each zone, ignoring the zoneIds filter. Sorted
+    with the most common zones first.
+    """
+    zoneFacets: [ItemSearchZoneFacet!]!
+
+    "How many results are NC, NP, and PB, ignoring the itemKind filter."
+    itemKindFacets: [ItemSearchItemKindFacet!]!
+  }
+
+  type ItemSearchItemsPage {
+    items: [Item!]!
+
+    "Null when there are definitely no more results."
+    nextCursor: String
+  }
+
+  type FitsPet {
+    speciesId: ID!
+    colorId: ID!
+  }
+
+  type ItemSearchZoneFacet {
+    zoneLabel: String!
+    numItems: Int!
+  }
+
+  type ItemSearchItemKindFacet {
+    itemKind: ItemKindSearchFilter!
+    numItems: Int!
   }
 
   type ItemTrade {
     id: ID!
     user: User!
     closetList: ClosetList!
+
+    "How many of this item the user is offering or seeking."
+    quantity: Int!
   }
 
   extend type Query {
@@ -226,6 +370,11 @@ const typeDefs = gql`
 
     """
     Search for items with fuzzy matching.
+
+    The query can also contain filters, which stack on top of the filter
+    arguments: is:nc, is:np, is:pb, zone:"Hat", restricts:"Hat",
+    fits:blue-acara, owns:yes, wants:no, category:"Clothes", mall:yes, and
+    added:>2021-01 (also <, >=, <=, or an exact year, month, or day).
     """
     itemSearchV2(
       query: String!
@@ -233,6 +382,8 @@ const typeDefs = gql`
       itemKind: ItemKindSearchFilter
       currentUserOwnsOrWants: OwnsOrWants
       zoneIds: [ID!]
+      mode: ItemSearchMode = SUBSTRING
+      sortBy: ItemSearchSortBy = RELEVANCE
     ): ItemSearchResultV2!
 
     """
@@ -340,6 +491,31 @@ const resolvers = {
       const item = await itemLoader.load(id);
       return item.createdAt && item.createdAt.toISOString();
     },
+    price: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      // We store unknown prices as 0.
+      return item.price > 0 ? item.price : null;
+    },
+    category: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      return item.category || null;
+    },
+    type: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      return item.type || null;
+    },
+    weightLbs: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      return item.weightLbs;
+    },
+    isSoldInNcMall: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      return Boolean(item.soldInMall);
+    },
+    lastSpideredAt: async ({ id }, _, { itemLoader }) => {
+      const item = await itemLoader.load(id);
+      return item.lastSpidered && item.lastSpidered.toISOString();
+    },
     wakaValueText: () => {
       // This feature is deprecated, so now we just always return unknown value.
       return null;
@@ -457,6 +633,7 @@ const resolvers = {
               ownsOrWantsItems: "OWNS",
             },
         user: { id: trade.user.id },
+        quantity: trade.quantity || 1,
       }));
     },
 
@@ -475,6 +652,7 @@ const resolvers = {
               ownsOrWantsItems: "WANTS",
             },
         user: { id: trade.user.id },
+        quantity: trade.quantity || 1,
       }));
     },
 
@@ -503,6 +681,15 @@ const resolvers = {
       const item = await itemLoader.load(id);
       return item.isManuallyNc;
     },
+    manualSetName: ({ id }, _, { itemSetNameLoader }) =>
+      itemSetNameLoader.load(id),
+    relatedItems: async ({ id }, _, { relatedItemsLoader }) => {
+      const relatedItems = await relatedItemsLoader.load(id);
+      return relatedItems.map(({ itemId, reason }) => ({
+        item: { id: itemId },
+        reason,
+      }));
+    },
     speciesThatNeedModels: async (
       { id },
       { colorId = "8" }, // Blue
@@ -715,7 +902,7 @@ const resolvers = {
       },
       { cacheControl }
     ) => {
-      if (currentUserOwnsOrWants != null) {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
         cacheControl.setCacheHint({ scope: "PRIVATE" });
       }
 
@@ -758,8 +945,16 @@ const resolvers = {
     },
     itemSearchV2: async (
       _,
-      { query, fitsPet, itemKind, currentUserOwnsOrWants, zoneIds = [] },
-      { petTypeBySpeciesAndColorLoader }
+      {
+        query,
+        fitsPet,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds = [],
+        mode = "SUBSTRING",
+        sortBy = "RELEVANCE",
+      },
+      { petTypeBySpeciesAndColorLoader, currentUserId, db }
     ) => {
       let bodyId = null;
       if (fitsPet) {
@@ -781,16 +976,42 @@ const resolvers = {
       // caching the search result. (We define the ID for caching here, rather
       // than in the resolver or with a custom cache key on the client, to
       // make it hard for the ID and relevant search fields to get out of sync!)
+      //
+      // Every filter needs to be in here, even the ones that seem redundant
+      // (like fitsPet alongside bodyId), so that no two different searches can
+      // share an ID and get their cached results merged. We also sort the zone
+      // IDs, so their order doesn't matter. And if the results depend on the
+      // current user, we include their ID, so that logging in as someone else
+      // doesn't show the previous user's results.
       const fields = {
         query,
+        fitsPet: fitsPet
+          ? { speciesId: fitsPet.speciesId, colorId: fitsPet.colorId }
+          : null,
         bodyId,
-        itemKind,
-        currentUserOwnsOrWants,
-        zoneIds,
+        itemKind: itemKind || null,
+        currentUserOwnsOrWants: currentUserOwnsOrWants || null,
+        zoneIds: [...zoneIds].sort(),
+        mode,
+        sortBy,
       };
-      const id = JSON.stringify(fields);
+      const id = JSON.stringify({
+        ...fields,
+        userId: searchDependsOnCurrentUser(query, currentUserOwnsOrWants)
+          ? currentUserId
+          : null,
+      });
+
+      // The newest item ID right now. The counts, facets, and first page of
+      // results all ignore items newer than this, so that they agree with
+      // each other, and with the later pages. (It's not part of the ID,
+      // because the client merges later pages into this same result.)
+      const [rows] = await db.execute(
+        `SELECT max(id) AS max_item_id FROM items`
+      );
+      const maxItemId = rows[0].max_item_id;
 
-      return { id, ...fields };
+      return { id, ...fields, maxItemId };
     },
     itemSearchToFit: async (
       _,
@@ -849,12 +1070,20 @@ const resolvers = {
 
   ItemSearchResultV2: {
     numTotalItems: async (
-      { query, bodyId, itemKind, currentUserOwnsOrWants, zoneIds },
+      {
+        query,
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds,
+        mode,
+        maxItemId,
+      },
       { offset, limit },
       { currentUserId, itemSearchNumTotalItemsLoader },
       { cacheControl }
     ) => {
-      if (currentUserOwnsOrWants != null) {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
         cacheControl.setCacheHint({ scope: "PRIVATE" });
       }
       const numTotalItems = await itemSearchNumTotalItemsLoader.load({
@@ -864,18 +1093,28 @@ const resolvers = {
         currentUserOwnsOrWants,
         currentUserId,
         zoneIds,
+        mode,
+        maxItemId,
         offset,
         limit,
       });
       return numTotalItems;
     },
     items: async (
-      { query, bodyId, itemKind, currentUserOwnsOrWants, zoneIds },
+      {
+        query,
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds,
+        mode,
+        sortBy,
+      },
       { offset, limit },
       { currentUserId, itemSearchItemsLoader },
       { cacheControl }
     ) => {
-      if (currentUserOwnsOrWants != null) {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
         cacheControl.setCacheHint({ scope: "PRIVATE" });
       }
       const items = await itemSearchItemsLoader.load({
@@ -885,12 +1124,128 @@ const resolvers = {
         currentUserOwnsOrWants,
         currentUserId,
         zoneIds,
+        mode,
+        sortBy,
         offset,
         limit,
       });
       return items.map(({ id }) => ({ id }));
     },
+    itemsPage: async (
+      {
+        query,
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds,
+        mode,
+        sortBy,
+        maxItemId: firstPageMaxItemId,
+      },
+      { after, limit },
+      { currentUserId, itemSearchItemsLoader },
+      { cacheControl }
+    ) => {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
+        cacheControl.setCacheHint({ scope: "PRIVATE" });
+      }
+
+      // The cursor remembers the newest item ID when the first page loaded,
+      // so that later pages ignore items added since then.
+      let offset = 0;
+      let maxItemId = firstPageMaxItemId;
+      if (after) {
+        ({ offset, maxItemId } = parseItemSearchCursor(after));
+      }
+
+      // NOTE: The loader caps the page size at 30, so we do the same here, to
+      //       know whether we got a full page.
+      const actualLimit = Math.min(limit || 30, 30);
+      const items = await itemSearchItemsLoader.load({
+        query: query.trim(),
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        currentUserId,
+        zoneIds,
+        mode,
+        sortBy,
+        maxItemId,
+        offset,
+        limit: actualLimit,
+      });
+
+      // If this page isn't full, there are no more results. (If it _is_ full,
+      // there might still be no more, and the next page will be empty.)
+      const nextCursor =
+        items.length < actualLimit
+          ? null
+          : buildItemSearchCursor({
+              offset: offset + items.length,
+              maxItemId,
+            });
+
+      return { items: items.map(({ id }) => ({ id })), nextCursor };
+    },
     zones: ({ zoneIds }) => zoneIds.map((id) => ({ id })),
+    zoneFacets: async (
+      {
+        query,
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds,
+        mode,
+        maxItemId,
+      },
+      _,
+      { currentUserId, itemSearchFacetsLoader },
+      { cacheControl }
+    ) => {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
+        cacheControl.setCacheHint({ scope: "PRIVATE" });
+      }
+      const { zoneFacets } = await itemSearchFacetsLoader.load({
+        query: query.trim(),
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        currentUserId,
+        zoneIds,
+        mode,
+        maxItemId,
+      });
+      return zoneFacets;
+    },
+    itemKindFacets: async (
+      {
+        query,
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        zoneIds,
+        mode,
+        maxItemId,
+      },
+      _,
+      { currentUserId, itemSearchFacetsLoader },
+      { cacheControl }
+    ) => {
+      if (searchDependsOnCurrentUser(query, currentUserOwnsOrWants)) {
+        cacheControl.setCacheHint({ scope: "PRIVATE" });
+      }
+      const { itemKindFacets } = await itemSearchFacetsLoader.load({
+        query: query.trim(),
+        bodyId,
+        itemKind,
+        currentUserOwnsOrWants,
+        currentUserId,
+        zoneIds,
+        mode,
+        maxItemId,
+      });
+      return itemKindFacets;
+    },
   },
 
   Mutation: {
@@ -1153,50 +1508,39 @@ const resolvers = {
   },
 };
 
-// This matches the ID that we return from ClosetList for the default list.
-const DEFAULT_LIST_ID_PATTERN = /user-(.+?)-default-list-(OWNS|WANTS)/;
+function buildItemSearchCursor({ offset, maxItemId }) {
+  return Buffer.from(JSON.stringify({ offset, maxItemId })).toString("base64");
+}
 
-/**
- * Given a list ID returned from ClosetList (which the client might've passed
- * back to us in a mutation), parse it as either a *real* list ID, or the
- * placeholder ID we provide to "default" lists; and return the fields that
- * our ClosetList resolver expects in order to return the correct list. (That
- * is: `isDefaultList`, `id` (perhaps null), `userId`, and `ownsOrWantsItems`.
- * The resolver doesn't need all of the fields in both cases, but we return
- * both in case you want to use them for other things, e.g. checking the
- * `userId`!)
- *
- * (Or return null, if the list ID does not correspond to a default list *or* a
- * real list in the database.)
- */
-async function loadClosetListOrDefaultList(listId, closetListLoader) {
-  if (listId == null) {
-    return null;
+function parseItemSearchCursor(cursor) {
+  let parsedCursor;
+  try {
+    parsedCursor = JSON.parse(Buffer.from(cursor, "base64").toString());
+  } catch (e) {
+    throw new Error(`invalid item search cursor: ${cursor}`);
   }
 
-  const defaultListMatch = listId.match(DEFAULT_LIST_ID_PATTERN);
-  if (defaultListMatch) {
-    const userId = defaultListMatch[1];
-    const ownsOrWantsItems = defaultListMatch[2];
-    return {
-      isDefaultList: true,
-      id: null,
-      userId,
-      ownsOrWantsItems,
-    };
+  const { offset, maxItemId } = parsedCursor;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`invalid item search cursor: ${cursor}`);
   }
 
-  const closetList = await closetListLoader.load(listId);
-  if (closetList) {
-    return {
-      isDefaultList: false,
-      id: closetList.id,
-      userId: closetList.userId,
-      ownsOrWantsItems: closetList.hangersOwned ? "OWNS" : "WANTS",
-    };
+  return { offset, maxItemId };
+}
+
+/**
+ * searchDependsOnCurrentUser returns whether the search results will depend
+ * on who's asking, either via the `currentUserOwnsOrWants` argument, or via
+ * `owns:` or `wants:` filters in the query text. If so, the results mustn't
+ * be cached publicly!
+ */
+function searchDependsOnCurrentUser(query, currentUserOwnsOrWants) {
+  if (currentUserOwnsOrWants != null) {
+    return true;
   }
 
-  return null;
+  const { currentUserOwns, currentUserWants } = parseItemSearchQuery(query);
+  return currentUserOwns != null || currentUserWants != null;
 }
 
 module.exports = { typeDefs, resolvers };
@@ -0,0 +1,205 @@
+import { gql } from "apollo-server";
+
+import { normalizeRow } from "../util";
+import { assertSupportPermissionOrThrow } from "./MutationsForSupport";
+
+const typeDefs = gql`
+  """
+  The changes we made to the database when modeling a pet someone submitted.
+  See saveModelingData in modeling.js.
+  """
+  type ModelingLog {
+    id: ID!
+
+    "The name of the pet that was submitted."
+    petName: String!
+
+    "When the pet was modeled, as an ISO 8601 timestamp."
+    createdAt: String!
+
+    "Each row this pet added or changed, grouped by table."
+    changes: [ModelingLogChange!]!
+  }
+
+  "A single row that modeling added or changed."
+  type ModelingLogChange {
+    "The database table this row is in, like swf_assets."
+    tableName: String!
+
+    kind: ModelingLogChangeKind!
+
+    "A short description of the row, like Item 12345."
+    label: String!
+
+    "The item this row is about, if any."
+    item: Item
+
+    """
+    For inserts, every field of the new row. For updates, only the fields that
+    changed.
+    """
+    fields: [ModelingLogField!]!
+  }
+
+  enum ModelingLogChangeKind {
+    INSERT
+    UPDATE
+  }
+
+  type ModelingLogField {
+    name: String!
+
+    """
+    The value before this change, formatted for display. Null for inserts, and
+    for updates logged before we started recording old values.
+    """
+    oldValue: String
+
+    "The value after this change, formatted for display."
+    newValue: String
+  }
+
+  extend type Query {
+    """
+    Recent modeling logs, newest first, optionally only for the given pet.
+    Requires the current user to have a Support role that can edit modeling
+    data. (The supportSecret is a deprecated fallback.)
+    """
+    modelingLogs(
+      limit: Int
+      offset: Int
+      petName: String
+      supportSecret: String
+    ): [ModelingLog!]!
+  }
+`;
+
+// For each table, how to describe one of its rows, and which item it's about.
+// (Note that updates only have the fields we use to look up the row, plus the
+// changed fields, so these should only depend on those.)
+const TABLE_DESCRIPTIONS = {
+  pet_types: {
+    getLabel: (row) =>
+      `Pet type (species ${row.speciesId}, color ${row.colorId})`,
+    getItemId: () => null,
+  },
+  pet_states: {
+    getLabel: (row) =>
+      `Pet state for pet type ${row.petTypeId} (assets ${row.swfAssetIds})`,
+    getItemId: () => null,
+  },
+  items: {
+    getLabel: (row) => `Item ${row.id}`,
+    getItemId: (row) => row.id,
+  },
+  item_translations: {
+    getLabel: (row) => `Item ${row.itemId} translation`,
+    getItemId: (row) => row.itemId,
+  },
+  swf_assets: {
+    getLabel: (row) =>
+      `${row.type === "object" ? "Item" : "Pet"} layer ${row.remoteId}`,
+    getItemId: () => null,
+  },
+  parents_swf_assets: {
+    getLabel: (row) =>
+      `${row.parentType} ${row.parentId} uses layer ` +
+      (row.swfAssetId != null
+        ? `(internal ID ${row.swfAssetId})`
+        : `${row.remoteId}`),
+    getItemId: (row) => (row.parentType === "Item" ? row.parentId : null),
+  },
+};
+
+const resolvers = {
+  ModelingLog: {
+    createdAt: ({ createdAt }) => createdAt.toISOString(),
+    changes: ({ logJson }) => {
+      const changes = [];
+      for (const { tableName, inserts, updates } of JSON.parse(logJson)) {
+        for (const row of inserts) {
+          changes.push({
+            tableName,
+            kind: "INSERT",
+            row,
+            fields: Object.entries(row).map(([name, value]) => ({
+              name,
+              oldValue: null,
+              newValue: formatValue(value),
+            })),
+          });
+        }
+        for (const { incomingRow, update, previousValues } of updates) {
+          changes.push({
+            tableName,
+            kind: "UPDATE",
+            row: { ...incomingRow, ...update },
+            fields: Object.entries(update).map(([name, value]) => ({
+              name,
+              oldValue: previousValues
+                ? formatValue(previousValues[name])
+                : null,
+              newValue: formatValue(value),
+            })),
+          });
+        }
+      }
+      return changes;
+    },
+  },
+
+  ModelingLogChange: {
+    label: ({ tableName, row }) => {
+      const description = TABLE_DESCRIPTIONS[tableName];
+      return description ? description.getLabel(row) : tableName;
+    },
+    item: ({ tableName, row }) => {
+      const description = TABLE_DESCRIPTIONS[tableName];
+      const itemId = description ? description.getItemId(row) : null;
+      return itemId != null ? { id: String(itemId) } : null;
+    },
+  },
+
+  Query: {
+    modelingLogs: async (
+      _,
+      { limit, offset, petName, supportSecret },
+      { currentUserId, userRolesLoader, db }
+    ) => {
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      const actualLimit = Math.min(limit || 30, 100);
+      const actualOffset = Math.max(offset || 0, 0);
+      const petNameCondition = petName ? `WHERE pet_name = ?` : ``;
+      const petNameValues = petName ? [petName] : [];
+      const [rows] = await db.execute(
+        `
+          SELECT * FROM modeling_logs ${petNameCondition}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${actualLimit} OFFSET ${actualOffset}
+        `,
+        petNameValues
+      );
+
+      return rows.map(normalizeRow);
+    },
+  },
+};
+
+/**
+ * formatValue formats a value from a modeling log for display. Strings are
+ * shown as-is, and everything else as JSON. (Dates are already strings, once
+ * they've been through JSON!)
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+module.exports = { typeDefs, resolvers };
@@ -7,9 +7,9 @@ import {
   getPetStateFieldsFromPose,
   getPoseName,
   loadBodyName,
-  logToDiscord,
   normalizeRow,
 } from "../util";
+import { hasNotificationSinks, sendNotification } from "../notifications";
 
 let auth0;
 /**
@@ -35,62 +35,75 @@ const typeDefs = gql`
     item: Item!
   }
 
+  # NOTE: Each of these requires the current user to have a Support role that
+  #       grants permission to do it. The supportSecret argument is a
+  #       deprecated fallback, from before we had roles.
   extend type Mutation {
     setManualSpecialColor(
       itemId: ID!
       colorId: ID
-      supportSecret: String!
+      supportSecret: String
     ): Item!
 
     setItemExplicitlyBodySpecific(
       itemId: ID!
       explicitlyBodySpecific: Boolean!
-      supportSecret: String!
+      supportSecret: String
     ): Item!
 
     setItemIsManuallyNc(
       itemId: ID!
       isManuallyNc: Boolean!
-      supportSecret: String!
+      supportSecret: String
     ): Item!
 
+    "Put the item in the named set, or take it out of its set with null."
+    setItemSetName(itemId: ID!, setName: String, supportSecret: String): Item!
+
     setLayerBodyId(
       layerId: ID!
       bodyId: ID!
-      supportSecret: String!
+      supportSecret: String
     ): AppearanceLayer
 
     setLayerKnownGlitches(
       layerId: ID!
       knownGlitches: [AppearanceLayerKnownGlitch!]!
-      supportSecret: String!
+      supportSecret: String
     ): AppearanceLayer
 
     bulkAddLayersToItem(
       itemId: ID!
       entries: [BulkAddLayersToItemEntry!]!
-      supportSecret: String!
+      supportSecret: String
     ): Item
 
     removeLayerFromItem(
       layerId: ID!
       itemId: ID!
-      supportSecret: String!
+      supportSecret: String
     ): RemoveLayerFromItemMutationResult!
 
     setPetAppearancePose(
       appearanceId: ID!
       pose: Pose!
-      supportSecret: String!
+      supportSecret: String
     ): PetAppearance!
 
     setPetAppearanceIsGlitched(
       appearanceId: ID!
       isGlitched: Boolean!
-      supportSecret: String!
+      supportSecret: String
     ): PetAppearance!
 
-    setUsername(userId: ID!, newUsername: String!, supportSecret: String!): User
+    "Set the artist credit for this PetAppearance, or clear it with null."
+    setPetAppearanceArtist(
+      appearanceId: ID!
+      artistNeopetsUsername: String
+      supportSecret: String
+    ): PetAppearance!
+
+    setUsername(userId: ID!, newUsername: String!, supportSecret: String): User
   }
 
   input BulkAddLayersToItemEntry {
@@ -104,9 +117,20 @@ const resolvers = {
     setManualSpecialColor: async (
       _,
       { itemId, colorId, supportSecret },
-      { itemLoader, itemTranslationLoader, colorTranslationLoader, db }
+      {
+        currentUserId,
+        userRolesLoader,
+        itemLoader,
+        itemTranslationLoader,
+        colorTranslationLoader,
+        db,
+      }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldItem = await itemLoader.load(itemId);
 
@@ -125,7 +149,16 @@ const resolvers = {
 
       itemLoader.clear(itemId); // we changed the item, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setManualSpecialColor",
+        subjectType: "item",
+        subjectId: itemId,
+        before: { manualSpecialColorId: oldItem.manualSpecialColorId },
+        after: { manualSpecialColorId: colorId },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const [
             itemTranslation,
@@ -147,31 +180,27 @@ const resolvers = {
           const newColorName = newColorTranslation
             ? capitalize(newColorTranslation.name)
             : "Auto-detect";
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: oldItem.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: oldItem.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name: "Special color",
-                    value: `${oldColorName} → **${newColorName}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${oldItem.id}`,
+                name: "Special color",
+                value: `${oldColorName} → **${newColorName}**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${oldItem.id}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: itemId };
@@ -180,9 +209,13 @@ const resolvers = {
     setItemExplicitlyBodySpecific: async (
       _,
       { itemId, explicitlyBodySpecific, supportSecret },
-      { itemLoader, itemTranslationLoader, db }
+      { currentUserId, userRolesLoader, itemLoader, itemTranslationLoader, db }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldItem = await itemLoader.load(itemId);
 
@@ -201,7 +234,18 @@ const resolvers = {
 
       itemLoader.clear(itemId); // we changed the item, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setItemExplicitlyBodySpecific",
+        subjectType: "item",
+        subjectId: itemId,
+        before: {
+          explicitlyBodySpecific: Boolean(oldItem.explicitlyBodySpecific),
+        },
+        after: { explicitlyBodySpecific },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const itemTranslation = await itemTranslationLoader.load(itemId);
           const oldRuleName = oldItem.explicitlyBodySpecific
@@ -210,31 +254,27 @@ const resolvers = {
           const newRuleName = explicitlyBodySpecific
             ? "Body specific"
             : "Auto-detect";
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: oldItem.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: oldItem.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name: "Pet compatibility rule",
-                    value: `${oldRuleName} → **${newRuleName}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${oldItem.id}`,
+                name: "Pet compatibility rule",
+                value: `${oldRuleName} → **${newRuleName}**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${oldItem.id}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: itemId };
@@ -243,9 +283,13 @@ const resolvers = {
     setItemIsManuallyNc: async (
       _,
       { itemId, isManuallyNc, supportSecret },
-      { itemLoader, itemTranslationLoader, db }
+      { currentUserId, userRolesLoader, itemLoader, itemTranslationLoader, db }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldItem = await itemLoader.load(itemId);
 
@@ -264,7 +308,16 @@ const resolvers = {
 
       itemLoader.clear(itemId); // we changed the item, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setItemIsManuallyNc",
+        subjectType: "item",
+        subjectId: itemId,
+        before: { isManuallyNc: Boolean(oldItem.isManuallyNc) },
+        after: { isManuallyNc },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const itemTranslation = await itemTranslationLoader.load(itemId);
           const oldRuleName = oldItem.isManuallyNc
@@ -273,31 +326,111 @@ const resolvers = {
           const newRuleName = isManuallyNc
             ? "Manually set: Yes"
             : "Auto-detect";
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: oldItem.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: oldItem.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name: "Is NC rule",
-                    value: `${oldRuleName} → **${newRuleName}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${oldItem.id}`,
+                name: "Is NC rule",
+                value: `${oldRuleName} → **${newRuleName}**`,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${oldItem.id}`,
+          });
+        } catch (e) {
+          console.error("Error sending support notification", e);
+        }
+      } else {
+        console.warn("No support notification sinks configured, skipping");
+      }
+
+      return { id: itemId };
+    },
+
+    setItemSetName: async (
+      _,
+      { itemId, setName, supportSecret },
+      {
+        currentUserId,
+        userRolesLoader,
+        itemLoader,
+        itemTranslationLoader,
+        itemSetNameLoader,
+        relatedItemsLoader,
+        db,
+      }
+    ) => {
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      // Make sure the item exists, before we put it in a set!
+      const oldItem = await itemLoader.load(itemId);
+      const oldSetName = await itemSetNameLoader.load(itemId);
+
+      // Treat an empty set name the same as clearing it.
+      const newSetName = setName?.trim() || null;
+
+      if (newSetName) {
+        await db.execute(
+          `INSERT INTO item_sets (item_id, set_name, created_at, updated_at)
+           VALUES (?, ?, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP())
+           ON DUPLICATE KEY UPDATE
+             set_name = VALUES(set_name), updated_at = VALUES(updated_at)`,
+          [itemId, newSetName]
+        );
+      } else {
+        await db.execute(`DELETE FROM item_sets WHERE item_id = ? LIMIT 1`, [
+          itemId,
+        ]);
+      }
+
+      // we changed the item's set, so clear it from cache
+      itemSetNameLoader.clear(itemId);
+      relatedItemsLoader.clear(itemId);
+
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setItemSetName",
+        subjectType: "item",
+        subjectId: itemId,
+        before: { setName: oldSetName },
+        after: { setName: newSetName },
+      });
+
+      if (hasNotificationSinks("support")) {
+        try {
+          const itemTranslation = await itemTranslationLoader.load(itemId);
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: oldItem.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
+              {
+                name: "Set",
+                value: `${oldSetName || "Auto-detect"} → **${
+                  newSetName || "Auto-detect"
+                }**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${oldItem.id}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: itemId };
@@ -307,6 +440,8 @@ const resolvers = {
       _,
       { layerId, bodyId, supportSecret },
       {
+        currentUserId,
+        userRolesLoader,
         itemLoader,
         itemTranslationLoader,
         swfAssetLoader,
@@ -314,7 +449,11 @@ const resolvers = {
         db,
       }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldSwfAsset = await swfAssetLoader.load(layerId);
       if (!oldSwfAsset) {
@@ -348,7 +487,16 @@ const resolvers = {
 
       swfAssetLoader.clear(layerId); // we changed it, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setLayerBodyId",
+        subjectType: "layer",
+        subjectId: layerId,
+        before: { bodyId: oldSwfAsset.bodyId },
+        after: { bodyId },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const itemId = await db
             .execute(
@@ -372,33 +520,29 @@ const resolvers = {
             loadBodyName(bodyId, db),
           ]);
 
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: item.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: item.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name:
-                      `Layer ${layerId} (${zoneTranslation.label}): ` +
-                      `Pet compatibility`,
-                    value: `${oldBodyName} → **${newBodyName}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${itemId}`,
+                name:
+                  `Layer ${layerId} (${zoneTranslation.label}): ` +
+                  `Pet compatibility`,
+                value: `${oldBodyName} → **${newBodyName}**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${itemId}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: layerId };
@@ -408,6 +552,8 @@ const resolvers = {
       _,
       { layerId, knownGlitches, supportSecret },
       {
+        currentUserId,
+        userRolesLoader,
         itemLoader,
         itemTranslationLoader,
         swfAssetLoader,
@@ -419,7 +565,11 @@ const resolvers = {
         db,
       }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldSwfAsset = await swfAssetLoader.load(layerId);
       if (!oldSwfAsset) {
@@ -455,7 +605,20 @@ const resolvers = {
 
       swfAssetLoader.clear(layerId); // we changed it, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setLayerKnownGlitches",
+        subjectType: "layer",
+        subjectId: layerId,
+        before: {
+          knownGlitches: oldSwfAsset.knownGlitches
+            ? oldSwfAsset.knownGlitches.split(",")
+            : [],
+        },
+        after: { knownGlitches },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const { parentType, parentId } = await db
             .execute(
@@ -472,29 +635,25 @@ const resolvers = {
               zoneTranslationLoader.load(oldSwfAsset.zoneId),
             ]);
 
-            await logToDiscord({
-              embeds: [
+            await sendNotification("support", {
+              title: `🛠 ${itemTranslation.name}`,
+              thumbnail: {
+                url: item.thumbnailUrl,
+                height: 80,
+                width: 80,
+              },
+              fields: [
                 {
-                  title: `🛠 ${itemTranslation.name}`,
-                  thumbnail: {
-                    url: item.thumbnailUrl,
-                    height: 80,
-                    width: 80,
-                  },
-                  fields: [
-                    {
-                      name:
-                        `Layer ${layerId} (${zoneTranslation.label}): ` +
-                        `Known glitches`,
-                      value: `${oldSwfAsset.knownGlitches || "<none>"} → **${
-                        newKnownGlitchesString || "<none>"
-                      }**`,
-                    },
-                  ],
-                  timestamp: new Date().toISOString(),
-                  url: `https://impress.openneo.net/items/${parentId}`,
+                  name:
+                    `Layer ${layerId} (${zoneTranslation.label}): ` +
+                    `Known glitches`,
+                  value: `${oldSwfAsset.knownGlitches || "<none>"} → **${
+                    newKnownGlitchesString || "<none>"
+                  }**`,
                 },
               ],
+              timestamp: new Date().toISOString(),
+              url: `https://impress.openneo.net/items/${parentId}`,
             });
           } else if (parentType === "PetState") {
             const petState = await petStateLoader.load(parentId);
@@ -513,29 +672,25 @@ const resolvers = {
             const speciesName = capitalize(speciesTranslation.name);
             const pose = getPoseFromPetState(petState);
 
-            await logToDiscord({
-              embeds: [
+            await sendNotification("support", {
+              title: `🛠 ${colorName} ${speciesName}`,
+              thumbnail: {
+                url: `http://pets.neopets.com/cp/${
+                  petType.basicImageHash || petType.imageHash
+                }/1/6.png`,
+                height: 150,
+                width: 150,
+              },
+              fields: [
                 {
-                  title: `🛠 ${colorName} ${speciesName}`,
-                  thumbnail: {
-                    url: `http://pets.neopets.com/cp/${
-                      petType.basicImageHash || petType.imageHash
-                    }/1/6.png`,
-                    height: 150,
-                    width: 150,
-                  },
-                  fields: [
-                    {
-                      name: `Appearance ${petState.id}, Layer ${layerId} (${zoneTranslation.label}): Known glitches`,
-                      value: `${oldSwfAsset.knownGlitches || "<none>"} → **${
-                        newKnownGlitchesString || "<none>"
-                      }**`,
-                    },
-                  ],
-                  timestamp: new Date().toISOString(),
-                  url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${petState.id}`,
+                  name: `Appearance ${petState.id}, Layer ${layerId} (${zoneTranslation.label}): Known glitches`,
+                  value: `${oldSwfAsset.knownGlitches || "<none>"} → **${
+                    newKnownGlitchesString || "<none>"
+                  }**`,
                 },
               ],
+              timestamp: new Date().toISOString(),
+              url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${petState.id}`,
             });
           } else {
             console.error(
@@ -543,10 +698,10 @@ const resolvers = {
             );
           }
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: layerId };
@@ -555,9 +710,20 @@ const resolvers = {
     bulkAddLayersToItem: async (
       _,
       { itemId, entries, supportSecret },
-      { itemLoader, itemTranslationLoader, db }
+      {
+        currentUserId,
+        userRolesLoader,
+        itemLoader,
+        itemTranslationLoader,
+        swfAssetLoader,
+        db,
+      }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const item = await itemLoader.load(itemId);
       if (!item) {
@@ -567,6 +733,19 @@ const resolvers = {
         return null;
       }
 
+      // Remember each layer's old state, so we can undo this later.
+      const oldSwfAssets = await Promise.all(
+        entries.map(({ layerId }) => swfAssetLoader.load(layerId))
+      );
+      const [oldRelationshipRows] = await db.execute(
+        `SELECT swf_asset_id FROM parents_swf_assets
+         WHERE parent_type = "Item" AND parent_id = ?`,
+        [itemId]
+      );
+      const oldLayerIdsOnItem = new Set(
+        oldRelationshipRows.map((row) => String(row.swf_asset_id))
+      );
+
       const handleEntry = async ({ layerId, bodyId }) => {
         await Promise.all([
           db.execute(`UPDATE swf_assets SET body_id = ? WHERE id = ? LIMIT 1`, [
@@ -591,36 +770,56 @@ const resolvers = {
       };
 
       await Promise.all(entries.map(handleEntry));
+      for (const { layerId } of entries) {
+        swfAssetLoader.clear(layerId); // we changed it, so clear it from cache
+      }
+
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "bulkAddLayersToItem",
+        subjectType: "item",
+        subjectId: itemId,
+        before: {
+          layers: entries.map(({ layerId }, i) => ({
+            layerId,
+            bodyId: oldSwfAssets[i] ? oldSwfAssets[i].bodyId : null,
+            isOnItem: oldLayerIdsOnItem.has(String(layerId)),
+          })),
+        },
+        after: {
+          layers: entries.map(({ layerId, bodyId }) => ({
+            layerId,
+            bodyId,
+            isOnItem: true,
+          })),
+        },
+      });
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      if (hasNotificationSinks("support")) {
         try {
           const itemTranslation = await itemTranslationLoader.load(itemId);
 
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: item.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: item.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name: `Bulk-add body-specific layers`,
-                    value: `✅ Added/updated ${entries.length} layers`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${itemId}`,
+                name: `Bulk-add body-specific layers`,
+                value: `✅ Added/updated ${entries.length} layers`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${itemId}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: itemId };
@@ -630,6 +829,8 @@ const resolvers = {
       _,
       { layerId, itemId, supportSecret },
       {
+        currentUserId,
+        userRolesLoader,
         itemLoader,
         itemTranslationLoader,
         swfAssetLoader,
@@ -637,7 +838,11 @@ const resolvers = {
         db,
       }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldSwfAsset = await swfAssetLoader.load(layerId);
 
@@ -656,7 +861,16 @@ const resolvers = {
 
       swfAssetLoader.clear(layerId); // we changed it, so clear it from cache
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "removeLayerFromItem",
+        subjectType: "layer",
+        subjectId: layerId,
+        before: { itemId, bodyId: oldSwfAsset.bodyId, isOnItem: true },
+        after: { itemId, isOnItem: false },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const [
             item,
@@ -670,31 +884,27 @@ const resolvers = {
             loadBodyName(oldSwfAsset.bodyId, db),
           ]);
 
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${itemTranslation.name}`,
+            thumbnail: {
+              url: item.thumbnailUrl,
+              height: 80,
+              width: 80,
+            },
+            fields: [
               {
-                title: `🛠 ${itemTranslation.name}`,
-                thumbnail: {
-                  url: item.thumbnailUrl,
-                  height: 80,
-                  width: 80,
-                },
-                fields: [
-                  {
-                    name: `Layer ${layerId} (${zoneTranslation.label})`,
-                    value: `❌ Removed from ${bodyName}`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress.openneo.net/items/${itemId}`,
+                name: `Layer ${layerId} (${zoneTranslation.label})`,
+                value: `❌ Removed from ${bodyName}`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress.openneo.net/items/${itemId}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { layer: { id: layerId }, item: { id: itemId } };
@@ -704,6 +914,8 @@ const resolvers = {
       _,
       { appearanceId, pose, supportSecret },
       {
+        currentUserId,
+        userRolesLoader,
         colorTranslationLoader,
         speciesTranslationLoader,
         petStateLoader,
@@ -711,7 +923,11 @@ const resolvers = {
         db,
       }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldPetState = await petStateLoader.load(appearanceId);
 
@@ -737,7 +953,16 @@ const resolvers = {
       // we changed it, so clear it from cache
       petStateLoader.clear(appearanceId);
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setPetAppearancePose",
+        subjectType: "petAppearance",
+        subjectId: appearanceId,
+        before: { pose: getPoseFromPetState(oldPetState) },
+        after: { pose },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const petType = await petTypeLoader.load(oldPetState.petTypeId);
           const [colorTranslation, speciesTranslation] = await Promise.all([
@@ -749,33 +974,29 @@ const resolvers = {
           const colorName = capitalize(colorTranslation.name);
           const speciesName = capitalize(speciesTranslation.name);
 
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${colorName} ${speciesName}`,
+            thumbnail: {
+              url: `http://pets.neopets.com/cp/${
+                petType.basicImageHash || petType.imageHash
+              }/1/6.png`,
+              height: 150,
+              width: 150,
+            },
+            fields: [
               {
-                title: `🛠 ${colorName} ${speciesName}`,
-                thumbnail: {
-                  url: `http://pets.neopets.com/cp/${
-                    petType.basicImageHash || petType.imageHash
-                  }/1/6.png`,
-                  height: 150,
-                  width: 150,
-                },
-                fields: [
-                  {
-                    name: `Appearance ${appearanceId}: Pose`,
-                    value: `${getPoseName(oldPose)} → **${getPoseName(pose)}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${appearanceId}`,
+                name: `Appearance ${appearanceId}: Pose`,
+                value: `${getPoseName(oldPose)} → **${getPoseName(pose)}**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${appearanceId}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: appearanceId };
@@ -785,6 +1006,8 @@ const resolvers = {
       _,
       { appearanceId, isGlitched, supportSecret },
       {
+        currentUserId,
+        userRolesLoader,
         colorTranslationLoader,
         speciesTranslationLoader,
         petStateLoader,
@@ -792,7 +1015,11 @@ const resolvers = {
         db,
       }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldPetState = await petStateLoader.load(appearanceId);
 
@@ -812,7 +1039,16 @@ const resolvers = {
       // we changed it, so clear it from cache
       petStateLoader.clear(appearanceId);
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setPetAppearanceIsGlitched",
+        subjectType: "petAppearance",
+        subjectId: appearanceId,
+        before: { isGlitched: Boolean(oldPetState.glitched) },
+        after: { isGlitched },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const petType = await petTypeLoader.load(oldPetState.petTypeId);
           const [colorTranslation, speciesTranslation] = await Promise.all([
@@ -828,33 +1064,121 @@ const resolvers = {
             String(oldPetState.glitched) === "1" ? "Glitched" : "Valid";
           const newGlitchinessState = isGlitched ? "Glitched" : "Valid";
 
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 ${colorName} ${speciesName}`,
+            thumbnail: {
+              url: `http://pets.neopets.com/cp/${
+                petType.basicImageHash || petType.imageHash
+              }/1/6.png`,
+              height: 150,
+              width: 150,
+            },
+            fields: [
               {
-                title: `🛠 ${colorName} ${speciesName}`,
-                thumbnail: {
-                  url: `http://pets.neopets.com/cp/${
-                    petType.basicImageHash || petType.imageHash
-                  }/1/6.png`,
-                  height: 150,
-                  width: 150,
-                },
-                fields: [
-                  {
-                    name: `Appearance ${appearanceId}`,
-                    value: `${oldGlitchinessState} → **${newGlitchinessState}**`,
-                  },
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${appearanceId}`,
+                name: `Appearance ${appearanceId}`,
+                value: `${oldGlitchinessState} → **${newGlitchinessState}**`,
               },
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${appearanceId}`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
+      }
+
+      return { id: appearanceId };
+    },
+
+    setPetAppearanceArtist: async (
+      _,
+      { appearanceId, artistNeopetsUsername, supportSecret },
+      {
+        currentUserId,
+        userRolesLoader,
+        colorTranslationLoader,
+        speciesTranslationLoader,
+        petStateLoader,
+        petTypeLoader,
+        db,
+      }
+    ) => {
+      await assertSupportPermissionOrThrow("EDIT_MODELING_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
+
+      const oldPetState = await petStateLoader.load(appearanceId);
+
+      // Treat an empty username the same as clearing it.
+      const newArtist = artistNeopetsUsername?.trim() || null;
+
+      const [
+        result,
+      ] = await db.execute(
+        `UPDATE pet_states SET artist_neopets_username = ? WHERE id = ? LIMIT 1`,
+        [newArtist, appearanceId]
+      );
+
+      if (result.affectedRows !== 1) {
+        throw new Error(
+          `Expected to affect 1 layer, but affected ${result.affectedRows}`
+        );
+      }
+
+      // we changed it, so clear it from cache
+      petStateLoader.clear(appearanceId);
+
+      const oldArtist = oldPetState.artistNeopetsUsername || null;
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setPetAppearanceArtist",
+        subjectType: "petAppearance",
+        subjectId: appearanceId,
+        before: { artistNeopetsUsername: oldArtist },
+        after: { artistNeopetsUsername: newArtist },
+      });
+
+      if (hasNotificationSinks("support")) {
+        try {
+          const petType = await petTypeLoader.load(oldPetState.petTypeId);
+          const [colorTranslation, speciesTranslation] = await Promise.all([
+            colorTranslationLoader.load(petType.colorId),
+            speciesTranslationLoader.load(petType.speciesId),
+          ]);
+
+          const colorName = capitalize(colorTranslation.name);
+          const speciesName = capitalize(speciesTranslation.name);
+          const pose = getPoseFromPetState(oldPetState);
+
+          await sendNotification("support", {
+            title: `🛠 ${colorName} ${speciesName}`,
+            thumbnail: {
+              url: `http://pets.neopets.com/cp/${
+                petType.basicImageHash || petType.imageHash
+              }/1/6.png`,
+              height: 150,
+              width: 150,
+            },
+            fields: [
+              {
+                name: `Appearance ${appearanceId}: Artist`,
+                value: `${oldArtist || "<none>"} → **${
+                  newArtist || "<none>"
+                }**`,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress-2020.openneo.net/outfits/new?species=${petType.speciesId}&color=${petType.colorId}&pose=${pose}&state=${appearanceId}`,
+          });
+        } catch (e) {
+          console.error("Error sending support notification", e);
+        }
+      } else {
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: appearanceId };
@@ -863,9 +1187,13 @@ const resolvers = {
     setUsername: async (
       _,
       { userId, newUsername, supportSecret },
-      { userLoader, db }
+      { currentUserId, userRolesLoader, userLoader, db }
     ) => {
-      assertSupportSecretOrThrow(supportSecret);
+      await assertSupportPermissionOrThrow("EDIT_USER_DATA", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const oldUser = await userLoader.load(userId);
       if (!oldUser) {
@@ -933,7 +1261,16 @@ const resolvers = {
         await connection.release();
       }
 
-      if (process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"]) {
+      await recordSupportAction(db, {
+        currentUserId,
+        action: "setUsername",
+        subjectType: "user",
+        subjectId: userId,
+        before: { username: oldUser.name },
+        after: { username: newUsername },
+      });
+
+      if (hasNotificationSinks("support")) {
         try {
           const auth0WarningFields = auth0Warning
             ? [
@@ -944,27 +1281,23 @@ const resolvers = {
                 },
               ]
             : [];
-          await logToDiscord({
-            embeds: [
+          await sendNotification("support", {
+            title: `🛠 User ${oldUser.id}: ${newUsername}`,
+            fields: [
               {
-                title: `🛠 User ${oldUser.id}: ${newUsername}`,
-                fields: [
-                  {
-                    name: `Username`,
-                    value: `${oldUser.name} → **${newUsername}**`,
-                  },
-                  ...auth0WarningFields,
-                ],
-                timestamp: new Date().toISOString(),
-                url: `https://impress-2020.openneo.net/user/${oldUser.id}/items`,
+                name: `Username`,
+                value: `${oldUser.name} → **${newUsername}**`,
               },
+              ...auth0WarningFields,
             ],
+            timestamp: new Date().toISOString(),
+            url: `https://impress-2020.openneo.net/user/${oldUser.id}/items`,
           });
         } catch (e) {
-          console.error("Error sending Discord support log", e);
+          console.error("Error sending support notification", e);
         }
       } else {
-        console.warn("No Discord support webhook provided, skipping");
+        console.warn("No support notification sinks configured, skipping");
       }
 
       return { id: userId };
@@ -972,10 +1305,116 @@ const resolvers = {
   },
 };
 
-function assertSupportSecretOrThrow(supportSecret) {
-  if (supportSecret !== process.env["SUPPORT_SECRET"]) {
-    throw new Error(`Support secret is incorrect. Try setting up again?`);
+/**
+ * recordSupportAction saves a Support change to the `support_audit_log`
+ * table, with the relevant values before and after the change. That way, we
+ * can review who changed what, and undo it! (See SupportAuditLog.js.)
+ *
+ * We call this after the change is already saved, so if logging it fails, we
+ * just log the error, rather than report the whole change as failed.
+ */
+async function recordSupportAction(
+  db,
+  { currentUserId, action, subjectType, subjectId, before, after }
+) {
+  try {
+    await db.execute(
+      `
+        INSERT INTO support_audit_log
+          (user_id, action, subject_type, subject_id, before_value,
+           after_value, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP());
+      `,
+      [
+        currentUserId || null,
+        action,
+        subjectType,
+        subjectId,
+        JSON.stringify(before),
+        JSON.stringify(after),
+      ]
+    );
+  } catch (e) {
+    console.error(
+      `Error recording Support action ${action} for ${subjectType} ` +
+        `${subjectId}, skipping`,
+      e
+    );
+  }
+}
+
+/**
+ * The permissions that each Support role grants. Roles are assigned per-user,
+ * in the `user_roles` table, so we can grant and revoke them for one person
+ * at a time!
+ */
+const SUPPORT_PERMISSIONS_BY_ROLE = {
+  support: ["EDIT_MODELING_DATA"],
+  moderator: [
+    "EDIT_MODELING_DATA",
+    "EDIT_USER_DATA",
+    "VIEW_USER_EMAILS",
+    "MANAGE_FEEDBACK",
+  ],
+  admin: [
+    "EDIT_MODELING_DATA",
+    "EDIT_USER_DATA",
+    "VIEW_USER_EMAILS",
+    "MANAGE_FEEDBACK",
+  ],
+};
+
+function getSupportPermissionsForRoles(roles) {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of SUPPORT_PERMISSIONS_BY_ROLE[role] || []) {
+      permissions.add(permission);
+    }
+  }
+  return [...permissions];
+}
+
+/**
+ * hasSupportPermission returns whether the current user's roles grant the
+ * given permission.
+ *
+ * The shared `supportSecret` still grants every permission too, but it's
+ * deprecated: we can't revoke it for just one person. Prefer roles!
+ */
+async function hasSupportPermission(
+  permission,
+  { supportSecret, currentUserId, userRolesLoader }
+) {
+  if (
+    supportSecret != null &&
+    process.env["SUPPORT_SECRET"] &&
+    supportSecret === process.env["SUPPORT_SECRET"]
+  ) {
+    return true;
   }
+
+  if (currentUserId == null) {
+    return false;
+  }
+
+  const roles = await userRolesLoader.load(currentUserId);
+  return getSupportPermissionsForRoles(roles).includes(permission);
 }
 
-module.exports = { typeDefs, resolvers, assertSupportSecretOrThrow };
+async function assertSupportPermissionOrThrow(permission, context) {
+  if (!(await hasSupportPermission(permission, context))) {
+    throw new Error(
+      `You don't have permission to do this (${permission}). Are you ` +
+        `logged in as a Support user?`
+    );
+  }
+}
+
+module.exports = {
+  typeDefs,
+  resolvers,
+  assertSupportPermissionOrThrow,
+  getSupportPermissionsForRoles,
+  hasSupportPermission,
+  recordSupportAction,
+};
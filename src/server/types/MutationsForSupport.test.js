@@ -0,0 +1,138 @@
+import {
+  getSupportPermissionsForRoles,
+  hasSupportPermission,
+  resolvers,
+} from "./MutationsForSupport";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+jest.mock("../notifications", () => ({
+  hasNotificationSinks: () => true,
+  sendNotification: jest.fn(),
+}));
+
+const LOADERS = {
+  itemLoader: (id) => ({ id, manualSpecialColorId: null }),
+  itemTranslationLoader: () => ({ name: "Starry Hat" }),
+  colorTranslationLoader: () => ({ name: "starry" }),
+};
+
+describe("getSupportPermissionsForRoles", () => {
+  it("grants each role's permissions, without duplicates", () => {
+    expect(getSupportPermissionsForRoles([])).toEqual([]);
+    expect(getSupportPermissionsForRoles(["support"])).toEqual([
+      "EDIT_MODELING_DATA",
+    ]);
+    expect(
+      getSupportPermissionsForRoles(["support", "moderator"]).sort()
+    ).toEqual([
+      "EDIT_MODELING_DATA",
+      "EDIT_USER_DATA",
+      "MANAGE_FEEDBACK",
+      "VIEW_USER_EMAILS",
+    ]);
+  });
+
+  it("ignores unknown roles", () => {
+    expect(getSupportPermissionsForRoles(["superuser"])).toEqual([]);
+  });
+});
+
+describe("hasSupportPermission", () => {
+  const originalSupportSecret = process.env["SUPPORT_SECRET"];
+  afterEach(() => {
+    process.env["SUPPORT_SECRET"] = originalSupportSecret;
+  });
+
+  it("checks the current user's roles", async () => {
+    const { userRolesLoader } = buildFakeContext();
+    const check = (currentUserId, permission) =>
+      hasSupportPermission(permission, { currentUserId, userRolesLoader });
+
+    expect(await check("98", "EDIT_MODELING_DATA")).toBe(true);
+    expect(await check("98", "EDIT_USER_DATA")).toBe(false);
+    expect(await check("99", "EDIT_USER_DATA")).toBe(true);
+    expect(await check("97", "EDIT_MODELING_DATA")).toBe(false);
+    expect(await check(null, "EDIT_MODELING_DATA")).toBe(false);
+  });
+
+  it("still accepts the shared secret, but only if it's configured", async () => {
+    const { userRolesLoader } = buildFakeContext();
+    const check = (supportSecret) =>
+      hasSupportPermission("EDIT_USER_DATA", {
+        supportSecret,
+        currentUserId: null,
+        userRolesLoader,
+      });
+
+    process.env["SUPPORT_SECRET"] = "abc123";
+    expect(await check("abc123")).toBe(true);
+    expect(await check("wrong")).toBe(false);
+
+    delete process.env["SUPPORT_SECRET"];
+    expect(await check(undefined)).toBe(false);
+    expect(await check("")).toBe(false);
+  });
+});
+
+describe("setManualSpecialColor", () => {
+  it("lets users with EDIT_MODELING_DATA set the color", async () => {
+    const db = buildFakeDb(() => ({ affectedRows: 1 }));
+
+    await resolvers.Mutation.setManualSpecialColor(
+      null,
+      { itemId: "123", colorId: "8" },
+      buildFakeContext({ currentUserId: "98", db, loaders: LOADERS })
+    );
+
+    expect(db.writes[0]).toEqual({
+      type: "UPDATE",
+      table: "items",
+      params: ["8", "123"],
+    });
+  });
+
+  it("still succeeds if we can't record it in the audit log", async () => {
+    const originalConsoleError = console.error;
+    console.error = jest.fn();
+    const db = buildFakeDb(({ type, table }) => {
+      if (type === "INSERT" && table === "support_audit_log") {
+        throw new Error("oh no!");
+      }
+      return { affectedRows: 1 };
+    });
+
+    try {
+      await expect(
+        resolvers.Mutation.setManualSpecialColor(
+          null,
+          { itemId: "123", colorId: "8" },
+          buildFakeContext({ currentUserId: "98", db, loaders: LOADERS })
+        )
+      ).resolves.toEqual({ id: "123" });
+      expect(console.error).toHaveBeenCalledWith(
+        "Error recording Support action setManualSpecialColor for item 123, " +
+          "skipping",
+        expect.any(Error)
+      );
+    } finally {
+      console.error = originalConsoleError;
+    }
+  });
+
+  it("refuses users without a Support role", async () => {
+    for (const currentUserId of ["97", null]) {
+      const db = buildFakeDb(() => ({ affectedRows: 1 }));
+
+      await expect(
+        resolvers.Mutation.setManualSpecialColor(
+          null,
+          { itemId: "123", colorId: "8" },
+          buildFakeContext({ currentUserId, db, loaders: LOADERS })
+        )
+      ).rejects.toThrow(
+        `You don't have permission to do this (EDIT_MODELING_DATA)`
+      );
+      expect(db.writes).toEqual([]);
+    }
+  });
+});
@@ -27,11 +27,43 @@ const typeDefs = gql`
     petAppearance and wornItems, but this gets you it in one shot!
     """
     itemAppearances: [ItemAppearance!]!
+
+    """
+    Earlier versions of this outfit, newest first: we save a revision each
+    time the outfit is saved with changes, and keep the latest 100. Returns an
+    empty list if the current user is not the outfit's creator.
+    """
+    revisions(limit: Int): [OutfitRevision!]!
+  }
+
+  """
+  A version of an outfit, as it was when it was saved. See
+  restoreOutfitRevision.
+  """
+  type OutfitRevision {
+    id: ID!
+    outfit: Outfit!
+    name: String
+    petAppearance: PetAppearance!
+    wornItems: [Item!]!
+    closetedItems: [Item!]!
+
+    "When this version was saved. ISO 8601 string."
+    createdAt: String!
+
+    "Like Outfit.itemAppearances, but for the items in this version."
+    itemAppearances: [ItemAppearance!]!
   }
 
   extend type Query {
     outfit(id: ID!): Outfit
     outfits(ids: [ID!]!): [Outfit]!
+
+    """
+    An earlier version of a saved outfit. Null if the current user is not the
+    outfit's creator, like Outfit.revisions.
+    """
+    outfitRevision(id: ID!): OutfitRevision
   }
 
   extend type Mutation {
@@ -46,6 +78,33 @@ const typeDefs = gql`
       wornItemIds: [ID!]!
       closetedItemIds: [ID!]!
     ): Outfit!
+
+    """
+    Delete the given outfit. Requires the current user to own it. Returns the
+    ID of the deleted outfit.
+    """
+    deleteOutfit(id: ID!): ID!
+
+    """
+    Delete several outfits at once. Requires the current user to own all of
+    them: if any of them can't be deleted, none of them are. Returns the IDs of
+    the deleted outfits.
+    """
+    deleteOutfits(ids: [ID!]!): [ID!]!
+
+    """
+    Save a copy of the given outfit, owned by the current user. Requires the
+    current user to own the original outfit. If no name is provided, we'll use
+    the original outfit's name, with a "(1)" suffix to keep it unique.
+    """
+    duplicateOutfit(id: ID!, name: String): Outfit!
+
+    """
+    Change the revision's outfit back to how it was in this revision. Requires
+    the current user to own the outfit. This saves a new revision too, so you
+    can change your mind later!
+    """
+    restoreOutfitRevision(revisionId: ID!): Outfit!
   }
 `;
 
@@ -114,6 +173,63 @@ const resolvers = {
       const outfit = await outfitLoader.load(id);
       return outfit.updatedAt.toISOString();
     },
+    revisions: async (
+      { id },
+      { limit },
+      { currentUserId, outfitLoader, outfitRevisionsForOutfitLoader }
+    ) => {
+      const outfit = await outfitLoader.load(id);
+      if (!currentUserId || outfit.userId !== currentUserId) {
+        return [];
+      }
+
+      const revisions = await outfitRevisionsForOutfitLoader.load({
+        outfitId: id,
+        limit,
+      });
+      return revisions.map((revision) => ({ id: revision.id }));
+    },
+  },
+
+  OutfitRevision: {
+    outfit: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return { id: revision.outfitId };
+    },
+    name: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return revision.name;
+    },
+    petAppearance: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return { id: revision.petStateId };
+    },
+    wornItems: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return parseItemIds(revision.wornItemIds).map((id) => ({ id }));
+    },
+    closetedItems: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return parseItemIds(revision.closetedItemIds).map((id) => ({ id }));
+    },
+    createdAt: async ({ id }, _, { outfitRevisionLoader }) => {
+      const revision = await outfitRevisionLoader.load(id);
+      return revision.createdAt.toISOString();
+    },
+    itemAppearances: async (
+      { id },
+      _,
+      { outfitRevisionLoader, petStateLoader, petTypeLoader }
+    ) => {
+      const revision = await outfitRevisionLoader.load(id);
+      const petState = await petStateLoader.load(revision.petStateId);
+      const petType = await petTypeLoader.load(petState.petTypeId);
+
+      return parseItemIds(revision.wornItemIds).map((itemId) => ({
+        item: { id: itemId },
+        bodyId: petType.bodyId,
+      }));
+    },
   },
 
   Query: {
@@ -130,6 +246,24 @@ const resolvers = {
       const outfits = await outfitLoader.loadMany(ids);
       return outfits.map((outfit) => (outfit ? { id: outfit.id } : null));
     },
+
+    outfitRevision: async (
+      _,
+      { id },
+      { currentUserId, outfitLoader, outfitRevisionLoader }
+    ) => {
+      const revision = await outfitRevisionLoader.load(id);
+      if (!revision) {
+        return null;
+      }
+
+      const outfit = await outfitLoader.load(revision.outfitId);
+      if (!currentUserId || !outfit || outfit.userId !== currentUserId) {
+        return null;
+      }
+
+      return { id };
+    },
   },
 
   Mutation: {
@@ -149,6 +283,11 @@ const resolvers = {
         db,
         petTypeBySpeciesAndColorLoader,
         petStatesForPetTypeLoader,
+        outfitLoader,
+        outfitRevisionsForOutfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
       }
     ) => {
       if (!currentUserId) {
@@ -157,34 +296,11 @@ const resolvers = {
         );
       }
 
-      // Get the base name of the provided name: trim it, and strip any "(1)"
-      // suffixes.
-      const baseName = (rawName || "Untitled outfit").replace(
-        /\s*\([0-9]+\)\s*$/,
-        ""
-      );
-      const namePlaceholder = baseName.trim().replace(/_%/g, "\\$0") + "%";
-
-      // Then, look for outfits from this user with the same base name. Omit
-      // the current outfit (if it's already saved), because it's fine for this
-      // outfit to have the same name as itself lol!
-      const [outfitRows] = await db.query(
-        `
-          SELECT name FROM outfits WHERE user_id = ? AND name LIKE ? AND id != ?;
-        `,
-        [currentUserId, namePlaceholder, id || "<no-ID-new-outfit>"]
-      );
-      const existingOutfitNames = new Set(
-        outfitRows.map(({ name }) => name.trim())
-      );
-
-      // Then, get the unique name to use for this outfit: try the provided
-      // name first, but, if it's taken, add a "(1)" suffix and keep
-      // incrementing it until it's not.
-      let name = rawName || "Untitled outfit";
-      for (let i = 1; existingOutfitNames.has(name); i++) {
-        name = `${baseName} (${i})`;
-      }
+      const name = await getUniqueOutfitName(db, {
+        userId: currentUserId,
+        rawName,
+        excludeOutfitId: id,
+      });
 
       // Next, get the petState corresponding to this species/color/pose.
       const petType = await petTypeBySpeciesAndColorLoader.load({
@@ -234,41 +350,20 @@ const resolvers = {
             );
         newOutfitId = id || String(result.insertId);
 
-        // If this outfit is already saved, clear the item relationships. We'll
-        // re-insert them in the next query. (We're in a transaction, so this
-        // is safe: on error, we'll roll this back!)
-        //
-        // TODO: This delete-then-insert paradigm isn't super-performant,
-        //       performing the actual needed sync could be better. Keep an eye
-        //       on query perf!
-        if (id) {
-          await connection.execute(
-            `DELETE FROM item_outfit_relationships WHERE outfit_id = ?;`,
-            [id]
-          );
-        }
-
-        if (wornItemIds.length > 0 || closetedItemIds.length > 0) {
-          const itemRowPlaceholders = [
-            [...wornItemIds, ...closetedItemIds].map(
-              (_) => `(?, ?, ?, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP())`
-            ),
-          ].join(", ");
-          const itemRowValues = [
-            ...wornItemIds.map((itemId) => [newOutfitId, itemId, true]),
-            ...closetedItemIds.map((itemId) => [newOutfitId, itemId, false]),
-          ].flat();
-          await connection.execute(
-            // TODO: When we start saving existing outfits, we'll need a delete
-            //       here too, or some other sync mechanism.
-            `
-              INSERT INTO item_outfit_relationships
-                (outfit_id, item_id, is_worn, created_at, updated_at)
-                VALUES ${itemRowPlaceholders};
-            `,
-            itemRowValues
-          );
-        }
+        await replaceOutfitItems(connection, newOutfitId, {
+          wornItemIds,
+          closetedItemIds,
+        });
+
+        // Save a revision too, so the user can come back to this version of
+        // the outfit later, even after more changes.
+        await insertOutfitRevision(connection, {
+          outfitId: newOutfitId,
+          name,
+          petStateId: petState.id,
+          wornItemIds,
+          closetedItemIds,
+        });
 
         await connection.commit();
       } catch (e) {
@@ -278,11 +373,448 @@ const resolvers = {
         await connection.release();
       }
 
+      // We changed the outfit, and maybe the user's outfit list, so clear
+      // them from cache.
+      clearOutfitCaches(newOutfitId, currentUserId, {
+        outfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
+      });
+      outfitRevisionsForOutfitLoader.clearAll();
+
       console.info(`Saved outfit ${newOutfitId}`);
 
       return { id: newOutfitId };
     },
+
+    deleteOutfit: async (_, { id }, context) => {
+      const [deletedId] = await deleteOutfitsForCurrentUser([id], context);
+      return deletedId;
+    },
+
+    deleteOutfits: async (_, { ids }, context) => {
+      return await deleteOutfitsForCurrentUser(ids, context);
+    },
+
+    duplicateOutfit: async (
+      _,
+      { id, name: rawName },
+      {
+        currentUserId,
+        db,
+        outfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
+      }
+    ) => {
+      if (!currentUserId) {
+        throw new Error(`duplicateOutfit requires login`);
+      }
+
+      const oldOutfit = await outfitLoader.load(id);
+      if (!oldOutfit) {
+        throw new Error(`outfit ${id} not found`);
+      }
+      if (oldOutfit.userId !== currentUserId) {
+        throw new Error(`current user does not own outfit ${id}`);
+      }
+
+      // NOTE: We don't exclude the original outfit here, so that, by default,
+      //       the copy gets a "(1)" suffix rather than the exact same name.
+      const name = await getUniqueOutfitName(db, {
+        userId: currentUserId,
+        rawName: rawName || oldOutfit.name,
+      });
+
+      // Copy the outfit, and its item_outfit_relationships rows, in a
+      // transaction.
+      const connection = await db.getConnection();
+      let newOutfitId;
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `
+            INSERT INTO outfits
+              (name, pet_state_id, user_id, created_at, updated_at)
+              VALUES (?, ?, ?, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP());
+          `,
+          [name, oldOutfit.petStateId, currentUserId]
+        );
+        newOutfitId = String(result.insertId);
+
+        await connection.execute(
+          `
+            INSERT INTO item_outfit_relationships
+              (outfit_id, item_id, is_worn, created_at, updated_at)
+              SELECT ?, item_id, is_worn, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP()
+                FROM item_outfit_relationships WHERE outfit_id = ?;
+          `,
+          [newOutfitId, id]
+        );
+
+        await connection.commit();
+      } catch (e) {
+        await connection.rollback();
+        throw e;
+      } finally {
+        await connection.release();
+      }
+
+      clearOutfitCaches(newOutfitId, currentUserId, {
+        outfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
+      });
+
+      console.info(`Duplicated outfit ${id} as ${newOutfitId}`);
+
+      return { id: newOutfitId };
+    },
+
+    restoreOutfitRevision: async (
+      _,
+      { revisionId },
+      {
+        currentUserId,
+        db,
+        outfitLoader,
+        outfitRevisionLoader,
+        outfitRevisionsForOutfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
+      }
+    ) => {
+      if (!currentUserId) {
+        throw new Error(`restoreOutfitRevision requires login`);
+      }
+
+      const revision = await outfitRevisionLoader.load(revisionId);
+      if (!revision) {
+        throw new Error(`outfit revision ${revisionId} not found`);
+      }
+
+      const outfitId = revision.outfitId;
+      const outfit = await outfitLoader.load(outfitId);
+      if (!outfit) {
+        throw new Error(`outfit ${outfitId} not found`);
+      }
+      if (outfit.userId !== currentUserId) {
+        throw new Error(`current user does not own outfit ${outfitId}`);
+      }
+
+      // The user might have used this revision's name for another outfit
+      // since, so make sure it's still unique.
+      const name = await getUniqueOutfitName(db, {
+        userId: currentUserId,
+        rawName: revision.name,
+        excludeOutfitId: outfitId,
+      });
+      const wornItemIds = parseItemIds(revision.wornItemIds);
+      const closetedItemIds = parseItemIds(revision.closetedItemIds);
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          `
+            UPDATE outfits
+              SET name = ?, pet_state_id = ?, updated_at = CURRENT_TIMESTAMP()
+              WHERE id = ?;
+          `,
+          [name, revision.petStateId, outfitId]
+        );
+        await replaceOutfitItems(connection, outfitId, {
+          wornItemIds,
+          closetedItemIds,
+        });
+        await insertOutfitRevision(connection, {
+          outfitId,
+          name,
+          petStateId: revision.petStateId,
+          wornItemIds,
+          closetedItemIds,
+        });
+
+        await connection.commit();
+      } catch (e) {
+        await connection.rollback();
+        throw e;
+      } finally {
+        await connection.release();
+      }
+
+      clearOutfitCaches(outfitId, currentUserId, {
+        outfitLoader,
+        itemOutfitRelationshipsLoader,
+        userOutfitsLoader,
+        userNumTotalOutfitsLoader,
+      });
+      outfitRevisionsForOutfitLoader.clearAll();
+
+      console.info(`Restored outfit ${outfitId} to revision ${revisionId}`);
+
+      return { id: outfitId };
+    },
   },
 };
 
+/**
+ * Replace the outfit's item_outfit_relationships rows with the given items.
+ * Call this inside a transaction, so that, on error, the old items are
+ * restored!
+ *
+ * TODO: This delete-then-insert paradigm isn't super-performant, performing
+ *       the actual needed sync could be better. Keep an eye on query perf!
+ */
+async function replaceOutfitItems(
+  connection,
+  outfitId,
+  { wornItemIds, closetedItemIds }
+) {
+  await connection.execute(
+    `DELETE FROM item_outfit_relationships WHERE outfit_id = ?;`,
+    [outfitId]
+  );
+
+  if (wornItemIds.length > 0 || closetedItemIds.length > 0) {
+    const itemRowPlaceholders = [
+      [...wornItemIds, ...closetedItemIds].map(
+        (_) => `(?, ?, ?, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP())`
+      ),
+    ].join(", ");
+    const itemRowValues = [
+      ...wornItemIds.map((itemId) => [outfitId, itemId, true]),
+      ...closetedItemIds.map((itemId) => [outfitId, itemId, false]),
+    ].flat();
+    await connection.execute(
+      `
+        INSERT INTO item_outfit_relationships
+          (outfit_id, item_id, is_worn, created_at, updated_at)
+          VALUES ${itemRowPlaceholders};
+      `,
+      itemRowValues
+    );
+  }
+}
+
+// We keep this many revisions per outfit, which is as many as
+// Outfit.revisions will return. Older ones get deleted as new ones come in.
+const MAX_NUM_REVISIONS_PER_OUTFIT = 100;
+
+/**
+ * Save the given version of the outfit as a new revision. We store the item
+ * IDs as comma-separated lists, like pet_states.swf_asset_ids.
+ *
+ * The wardrobe saves often, so we skip saving a revision that's the same as
+ * the latest one, and we delete the oldest revisions past
+ * MAX_NUM_REVISIONS_PER_OUTFIT.
+ */
+async function insertOutfitRevision(
+  connection,
+  { outfitId, name, petStateId, wornItemIds, closetedItemIds }
+) {
+  const wornItemIdsString = wornItemIds.join(",");
+  const closetedItemIdsString = closetedItemIds.join(",");
+
+  const [latestRows] = await connection.execute(
+    `
+      SELECT name, pet_state_id, worn_item_ids, closeted_item_ids
+        FROM outfit_revisions WHERE outfit_id = ?
+        ORDER BY created_at DESC, id DESC LIMIT 1;
+    `,
+    [outfitId]
+  );
+  const latest = latestRows[0];
+  if (
+    latest &&
+    latest.name === name &&
+    String(latest.pet_state_id) === String(petStateId) &&
+    latest.worn_item_ids === wornItemIdsString &&
+    latest.closeted_item_ids === closetedItemIdsString
+  ) {
+    return;
+  }
+
+  await connection.execute(
+    `
+      INSERT INTO outfit_revisions
+        (outfit_id, name, pet_state_id, worn_item_ids, closeted_item_ids,
+          created_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP());
+    `,
+    [outfitId, name, petStateId, wornItemIdsString, closetedItemIdsString]
+  );
+
+  // Find the oldest revision we're keeping, and delete everything before it.
+  const [oldestKeptRows] = await connection.execute(
+    `
+      SELECT id FROM outfit_revisions WHERE outfit_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1 OFFSET ${MAX_NUM_REVISIONS_PER_OUTFIT - 1};
+    `,
+    [outfitId]
+  );
+  if (oldestKeptRows.length > 0) {
+    await connection.execute(
+      `DELETE FROM outfit_revisions WHERE outfit_id = ? AND id < ?;`,
+      [outfitId, oldestKeptRows[0].id]
+    );
+  }
+}
+
+function parseItemIds(itemIdsString) {
+  return itemIdsString ? itemIdsString.split(",") : [];
+}
+
+/**
+ * Get a name for this user's outfit that doesn't conflict with their other
+ * outfits: try the provided name first, but, if it's taken, add a "(1)"
+ * suffix and keep incrementing it until it's not.
+ *
+ * If `excludeOutfitId` is provided, we ignore that outfit when checking for
+ * conflicts, because it's fine for an outfit to have the same name as itself!
+ */
+async function getUniqueOutfitName(db, { userId, rawName, excludeOutfitId }) {
+  // Get the base name of the provided name: trim it, and strip any "(1)"
+  // suffixes.
+  const baseName = (rawName || "Untitled outfit").replace(
+    /\s*\([0-9]+\)\s*$/,
+    ""
+  );
+  const namePlaceholder = baseName.trim().replace(/_%/g, "\\$0") + "%";
+
+  // Then, look for outfits from this user with the same base name.
+  const [outfitRows] = await db.query(
+    `
+      SELECT name FROM outfits WHERE user_id = ? AND name LIKE ? AND id != ?;
+    `,
+    [userId, namePlaceholder, excludeOutfitId || "<no-ID-new-outfit>"]
+  );
+  const existingOutfitNames = new Set(
+    outfitRows.map(({ name }) => name.trim())
+  );
+
+  let name = rawName || "Untitled outfit";
+  for (let i = 1; existingOutfitNames.has(name); i++) {
+    name = `${baseName} (${i})`;
+  }
+
+  return name;
+}
+
+/**
+ * Delete the given outfits, and their item_outfit_relationships rows, in a
+ * transaction. Throws if any of them don't exist, or aren't owned by the
+ * current user.
+ */
+async function deleteOutfitsForCurrentUser(
+  rawIds,
+  {
+    currentUserId,
+    db,
+    outfitLoader,
+    itemOutfitRelationshipsLoader,
+    userOutfitsLoader,
+    userNumTotalOutfitsLoader,
+  }
+) {
+  if (!currentUserId) {
+    throw new Error(`deleting outfits requires login`);
+  }
+
+  // Dedupe the IDs, so we don't expect to delete an outfit twice!
+  const ids = [...new Set(rawIds)];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const outfits = await outfitLoader.loadMany(ids);
+  for (const [i, outfit] of outfits.entries()) {
+    if (!outfit) {
+      throw new Error(`outfit ${ids[i]} not found`);
+    }
+    if (outfit.userId !== currentUserId) {
+      throw new Error(`current user does not own outfit ${ids[i]}`);
+    }
+  }
+
+  const qs = ids.map((_) => "?").join(", ");
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      `DELETE FROM item_outfit_relationships WHERE outfit_id IN (${qs});`,
+      ids
+    );
+    await connection.execute(
+      `DELETE FROM outfit_revisions WHERE outfit_id IN (${qs});`,
+      ids
+    );
+    const [
+      result,
+    ] = await connection.execute(
+      `DELETE FROM outfits WHERE id IN (${qs}) AND user_id = ?;`,
+      [...ids, currentUserId]
+    );
+
+    if (result.affectedRows !== ids.length) {
+      throw new Error(
+        `Expected to delete ${ids.length} outfits, but deleted ` +
+          `${result.affectedRows}`
+      );
+    }
+
+    await connection.commit();
+  } catch (e) {
+    await connection.rollback();
+    throw e;
+  } finally {
+    await connection.release();
+  }
+
+  for (const id of ids) {
+    clearOutfitCaches(id, currentUserId, {
+      outfitLoader,
+      itemOutfitRelationshipsLoader,
+      userOutfitsLoader,
+      userNumTotalOutfitsLoader,
+    });
+  }
+
+  console.info(`Deleted outfits ${ids.join(", ")}`);
+
+  return ids;
+}
+
+/**
+ * After we change an outfit, clear it from the loader caches, along with the
+ * user's outfit list and count, so later fields in this request see the new
+ * data.
+ */
+function clearOutfitCaches(
+  outfitId,
+  userId,
+  {
+    outfitLoader,
+    itemOutfitRelationshipsLoader,
+    userOutfitsLoader,
+    userNumTotalOutfitsLoader,
+  }
+) {
+  outfitLoader.clear(outfitId);
+  itemOutfitRelationshipsLoader.clear(outfitId);
+  // NOTE: userOutfitsLoader is keyed by user _and_ page, so it's simplest to
+  //       just clear the whole thing.
+  userOutfitsLoader.clearAll();
+  userNumTotalOutfitsLoader.clear(userId);
+}
+
 module.exports = { typeDefs, resolvers };
@@ -0,0 +1,218 @@
+import { resolvers } from "./Outfit";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+const OUTFITS = {
+  1: { id: "1", userId: "44", name: "Outfit 1", petStateId: "2" },
+  2: { id: "2", userId: "44", name: "Outfit 2", petStateId: "2" },
+  3: { id: "3", userId: "6", name: "Someone else's outfit", petStateId: "2" },
+};
+
+const REVISIONS = {
+  10: {
+    id: "10",
+    outfitId: "1",
+    name: "Outfit 1, before",
+    petStateId: "3",
+    wornItemIds: "100,101",
+    closetedItemIds: "102",
+  },
+  11: {
+    id: "11",
+    outfitId: "3",
+    name: "Someone else's outfit, before",
+    petStateId: "3",
+    wornItemIds: "",
+    closetedItemIds: "",
+  },
+};
+
+const LOADERS = {
+  outfitLoader: (id) => OUTFITS[id] || null,
+  outfitRevisionLoader: (id) => REVISIONS[id] || null,
+  outfitRevisionsForOutfitLoader: () => [],
+  itemOutfitRelationshipsLoader: () => [],
+  userOutfitsLoader: () => [],
+  userNumTotalOutfitsLoader: () => 0,
+};
+
+describe("deleteOutfits", () => {
+  it("deletes each outfit once, even if the same ID is given twice", async () => {
+    // Like MySQL, only count each matching outfit once.
+    const db = buildFakeDb(({ type, table, params }) =>
+      type === "DELETE" && table === "outfits"
+        ? { affectedRows: new Set(params.slice(0, -1)).size }
+        : { affectedRows: 0 }
+    );
+
+    const deletedIds = await resolvers.Mutation.deleteOutfits(
+      null,
+      { ids: ["1", "2", "1"] },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(deletedIds).toEqual(["1", "2"]);
+    expect(db.writes.filter((w) => w.table === "outfits")).toEqual([
+      { type: "DELETE", table: "outfits", params: ["1", "2", "44"] },
+    ]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("refuses to delete other users' outfits", async () => {
+    const db = buildFakeDb();
+
+    await expect(
+      resolvers.Mutation.deleteOutfits(
+        null,
+        { ids: ["1", "3"] },
+        buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`current user does not own outfit 3`);
+    expect(db.writes).toEqual([]);
+  });
+});
+
+describe("outfitRevision", () => {
+  it("only shows revisions to the outfit's creator", async () => {
+    const load = (id, currentUserId) =>
+      resolvers.Query.outfitRevision(
+        null,
+        { id },
+        buildFakeContext({ currentUserId, loaders: LOADERS })
+      );
+
+    expect(await load("10", "44")).toEqual({ id: "10" });
+    expect(await load("10", "6")).toBeNull();
+    expect(await load("10", null)).toBeNull();
+    expect(await load("11", "44")).toBeNull();
+    expect(await load("12", "44")).toBeNull();
+  });
+});
+
+/**
+ * Build a fake db for saving outfits, where the outfit has the given revision
+ * rows, newest first. Like MySQL, we apply the LIMIT and OFFSET when reading
+ * them.
+ */
+function buildOutfitRevisionsDb(revisionRows = []) {
+  return buildFakeDb(({ type, table, sql }) => {
+    if (type === "SELECT" && table === "outfit_revisions") {
+      const limit = Number(sql.match(/LIMIT (\d+)/)[1]);
+      const offset = Number((sql.match(/OFFSET (\d+)/) || [null, 0])[1]);
+      return revisionRows.slice(offset, offset + limit);
+    } else if (type === "SELECT") {
+      return [];
+    } else {
+      return { affectedRows: 1 };
+    }
+  });
+}
+
+const writesTo = (db, table) => db.writes.filter((w) => w.table === table);
+
+describe("restoreOutfitRevision", () => {
+  it("restores the outfit, and saves a new revision", async () => {
+    const db = buildOutfitRevisionsDb([
+      {
+        id: 20,
+        name: "Outfit 1",
+        pet_state_id: 2,
+        worn_item_ids: "",
+        closeted_item_ids: "",
+      },
+    ]);
+
+    const outfit = await resolvers.Mutation.restoreOutfitRevision(
+      null,
+      { revisionId: "10" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(outfit).toEqual({ id: "1" });
+    expect(writesTo(db, "outfits")).toEqual([
+      {
+        type: "UPDATE",
+        table: "outfits",
+        params: ["Outfit 1, before", "3", "1"],
+      },
+    ]);
+    expect(writesTo(db, "outfit_revisions")).toEqual([
+      {
+        type: "INSERT",
+        table: "outfit_revisions",
+        params: ["1", "Outfit 1, before", "3", "100,101", "102"],
+      },
+    ]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("doesn't save a new revision if nothing changed", async () => {
+    const db = buildOutfitRevisionsDb([
+      {
+        id: 20,
+        name: "Outfit 1, before",
+        pet_state_id: 3,
+        worn_item_ids: "100,101",
+        closeted_item_ids: "102",
+      },
+    ]);
+
+    await resolvers.Mutation.restoreOutfitRevision(
+      null,
+      { revisionId: "10" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(writesTo(db, "outfit_revisions")).toEqual([]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("deletes the oldest revisions, past the limit", async () => {
+    // The newest revision has ID 5100, and the oldest has ID 5000.
+    const db = buildOutfitRevisionsDb(
+      Array.from({ length: 101 }, (_, i) => ({
+        id: 5100 - i,
+        name: "Outfit 1",
+        pet_state_id: 2,
+        worn_item_ids: "",
+        closeted_item_ids: "",
+      }))
+    );
+
+    await resolvers.Mutation.restoreOutfitRevision(
+      null,
+      { revisionId: "10" },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    // We keep the 100 newest, including the one we just saved. (The fake db
+    // doesn't actually save it, so here, that means keeping down to 5001.)
+    expect(writesTo(db, "outfit_revisions")).toEqual([
+      {
+        type: "INSERT",
+        table: "outfit_revisions",
+        params: expect.any(Array),
+      },
+      { type: "DELETE", table: "outfit_revisions", params: ["1", 5001] },
+    ]);
+  });
+
+  it("refuses to restore other users' outfits", async () => {
+    const db = buildOutfitRevisionsDb();
+
+    await expect(
+      resolvers.Mutation.restoreOutfitRevision(
+        null,
+        { revisionId: "11" },
+        buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`current user does not own outfit 3`);
+    await expect(
+      resolvers.Mutation.restoreOutfitRevision(
+        null,
+        { revisionId: "10" },
+        buildFakeContext({ currentUserId: null, db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`restoreOutfitRevision requires login`);
+    expect(db.writes).toEqual([]);
+  });
+});
@@ -115,6 +115,7 @@ const resolvers = {
       { petName },
       {
         db,
+        currentUserId,
         petTypeBySpeciesAndColorLoader,
         petStateByPetTypeAndAssetsLoader,
         itemLoader,
@@ -129,6 +130,7 @@ const resolvers = {
 
       await saveModelingData(customPetData, petMetaData, {
         db,
+        currentUserId,
         petTypeBySpeciesAndColorLoader,
         petStateByPetTypeAndAssetsLoader,
         itemLoader,
@@ -82,6 +82,14 @@ const typeDefs = gql`
     # flag that we set, in the case where this glitchy PetAppearance really did
     # appear on Neopets.com, and has since been fixed.
     isGlitched: Boolean!
+
+    # The Neopets username of the artist who drew this PetAppearance, if we
+    # know. This is mostly for custom and UC pet art, so the artists get credit!
+    artist: String
+
+    # Who modeled this PetAppearance, if we know! (We only started keeping
+    # track in Impress 2020, and only for appearances modeled here.)
+    contributedBy: ModelingContributor
   }
 
   # Like a PetAppearance, but with no pose specified. Species and color are
@@ -292,6 +300,15 @@ const resolvers = {
       const petState = await petStateLoader.load(id);
       return petState.glitched;
     },
+    artist: async ({ id }, _, { petStateLoader }) => {
+      const petState = await petStateLoader.load(id);
+      return petState.artistNeopetsUsername || null;
+    },
+    contributedBy: ({ id }, _, { contributorLoader }) =>
+      contributorLoader.load({
+        contributedType: "PetState",
+        contributedId: id,
+      }),
   },
 
   SpeciesColorPair: {
@@ -0,0 +1,286 @@
+import { gql } from "apollo-server";
+
+import { normalizeRow } from "../util";
+import {
+  assertSupportPermissionOrThrow,
+  resolvers as supportResolvers,
+} from "./MutationsForSupport";
+
+const typeDefs = gql`
+  """
+  A change that a Support user made, with the relevant values from before and
+  after the change. See the Support mutations in MutationsForSupport.
+  """
+  type SupportAuditLogEntry {
+    id: ID!
+
+    "The Support mutation that made this change, like setLayerBodyId."
+    action: String!
+
+    subjectType: SupportAuditLogSubjectType!
+    subjectId: ID!
+
+    """
+    The Support user who made this change. Null if they used the deprecated
+    shared supportSecret instead of logging in.
+    """
+    user: User
+
+    "The relevant values before this change, as a JSON string."
+    beforeValue: String!
+
+    "The relevant values after this change, as a JSON string."
+    afterValue: String!
+
+    "When this change was made, as an ISO 8601 timestamp."
+    createdAt: String!
+
+    "When this change was undone, as an ISO 8601 timestamp, if ever."
+    undoneAt: String
+
+    "The Support user who undid this change, if any."
+    undoneBy: User
+  }
+
+  enum SupportAuditLogSubjectType {
+    ITEM
+    LAYER
+    PET_APPEARANCE
+    USER
+  }
+
+  extend type Query {
+    """
+    Recent Support changes to the given subject, newest first. Requires the
+    current user to have a Support role that can make these changes. (The
+    supportSecret is a deprecated fallback.)
+    """
+    supportAuditLog(
+      subjectType: SupportAuditLogSubjectType!
+      subjectId: ID!
+      limit: Int
+      supportSecret: String
+    ): [SupportAuditLogEntry!]!
+  }
+
+  extend type Mutation {
+    """
+    Undo the given Support change, by restoring the values from before it.
+    This runs the same Support mutations a person would, so the undo is
+    recorded in the audit log too! If any part of the undo fails, none of it
+    is saved.
+    """
+    undoSupportAction(id: ID!, supportSecret: String): SupportAuditLogEntry!
+  }
+`;
+
+// How we name each subject type in the database.
+const SUBJECT_TYPE_VALUES = {
+  ITEM: "item",
+  LAYER: "layer",
+  PET_APPEARANCE: "petAppearance",
+  USER: "user",
+};
+
+// Changing user data needs a different permission than the rest!
+const SUBJECT_TYPE_PERMISSIONS = {
+  item: "EDIT_MODELING_DATA",
+  layer: "EDIT_MODELING_DATA",
+  petAppearance: "EDIT_MODELING_DATA",
+  user: "EDIT_USER_DATA",
+};
+
+/**
+ * For each Support action, the Support mutations that would undo it, as a
+ * list of `[mutationName, args]` pairs, given the subject ID and the values
+ * from before the change.
+ */
+const UNDO_STEPS = {
+  setManualSpecialColor: (itemId, { manualSpecialColorId }) => [
+    ["setManualSpecialColor", { itemId, colorId: manualSpecialColorId }],
+  ],
+  setItemExplicitlyBodySpecific: (itemId, { explicitlyBodySpecific }) => [
+    ["setItemExplicitlyBodySpecific", { itemId, explicitlyBodySpecific }],
+  ],
+  setItemIsManuallyNc: (itemId, { isManuallyNc }) => [
+    ["setItemIsManuallyNc", { itemId, isManuallyNc }],
+  ],
+  setItemSetName: (itemId, { setName }) => [
+    ["setItemSetName", { itemId, setName }],
+  ],
+  setLayerBodyId: (layerId, { bodyId }) => [
+    ["setLayerBodyId", { layerId, bodyId }],
+  ],
+  setLayerKnownGlitches: (layerId, { knownGlitches }) => [
+    ["setLayerKnownGlitches", { layerId, knownGlitches }],
+  ],
+  bulkAddLayersToItem: (itemId, { layers }) =>
+    layers.flatMap(({ layerId, bodyId, isOnItem }) => [
+      // If the layer was missing its body ID, there's nothing to restore.
+      ...(bodyId != null ? [["setLayerBodyId", { layerId, bodyId }]] : []),
+      ...(!isOnItem ? [["removeLayerFromItem", { layerId, itemId }]] : []),
+    ]),
+  removeLayerFromItem: (layerId, { itemId, bodyId }) => [
+    ["bulkAddLayersToItem", { itemId, entries: [{ layerId, bodyId }] }],
+  ],
+  setPetAppearancePose: (appearanceId, { pose }) => [
+    ["setPetAppearancePose", { appearanceId, pose }],
+  ],
+  setPetAppearanceIsGlitched: (appearanceId, { isGlitched }) => [
+    ["setPetAppearanceIsGlitched", { appearanceId, isGlitched }],
+  ],
+  setPetAppearanceArtist: (appearanceId, { artistNeopetsUsername }) => [
+    ["setPetAppearanceArtist", { appearanceId, artistNeopetsUsername }],
+  ],
+  setUsername: (userId, { username }) => [
+    ["setUsername", { userId, newUsername: username }],
+  ],
+};
+
+const resolvers = {
+  SupportAuditLogEntry: {
+    subjectType: ({ subjectType }) =>
+      Object.keys(SUBJECT_TYPE_VALUES).find(
+        (key) => SUBJECT_TYPE_VALUES[key] === subjectType
+      ),
+    user: ({ userId }) => (userId != null ? { id: userId } : null),
+    undoneBy: ({ undoneByUserId }) =>
+      undoneByUserId != null ? { id: undoneByUserId } : null,
+    createdAt: ({ createdAt }) => createdAt.toISOString(),
+    undoneAt: ({ undoneAt }) => (undoneAt ? undoneAt.toISOString() : null),
+  },
+
+  Query: {
+    supportAuditLog: async (
+      _,
+      { subjectType, subjectId, limit, supportSecret },
+      { currentUserId, userRolesLoader, db }
+    ) => {
+      const subjectTypeValue = SUBJECT_TYPE_VALUES[subjectType];
+      await assertSupportPermissionOrThrow(
+        SUBJECT_TYPE_PERMISSIONS[subjectTypeValue],
+        { supportSecret, currentUserId, userRolesLoader }
+      );
+
+      const actualLimit = Math.min(limit || 30, 100);
+      const [rows] = await db.execute(
+        `
+          SELECT * FROM support_audit_log
+            WHERE subject_type = ? AND subject_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${actualLimit}
+        `,
+        [subjectTypeValue, subjectId]
+      );
+
+      return rows.map(normalizeRow);
+    },
+  },
+
+  Mutation: {
+    undoSupportAction: async (_, { id, supportSecret }, context) => {
+      const { currentUserId, userRolesLoader, db } = context;
+
+      const entry = await loadSupportAuditLogEntry(id, db);
+      if (!entry) {
+        throw new Error(`Support action ${id} not found`);
+      }
+
+      await assertSupportPermissionOrThrow(
+        SUBJECT_TYPE_PERMISSIONS[entry.subjectType],
+        { supportSecret, currentUserId, userRolesLoader }
+      );
+
+      const getUndoSteps = UNDO_STEPS[entry.action];
+      if (!getUndoSteps) {
+        throw new Error(
+          `Support action ${id} (${entry.action}) can't be undone`
+        );
+      }
+
+      // We undo it all in one transaction: marking it as undone (which makes
+      // sure we only undo it once, even if two people click at the same
+      // time!), and every undo step, including their own audit log entries.
+      // That way, if any step fails, none of it happens, and it's clear that
+      // it can still be undone.
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `
+            UPDATE support_audit_log
+              SET undone_at = CURRENT_TIMESTAMP(), undone_by_user_id = ?
+              WHERE id = ? AND undone_at IS NULL LIMIT 1
+          `,
+          [currentUserId || null, id]
+        );
+        if (result.affectedRows !== 1) {
+          throw new Error(`Support action ${id} was already undone`);
+        }
+
+        const undoSteps = getUndoSteps(
+          entry.subjectId,
+          JSON.parse(entry.beforeValue)
+        );
+        const contextInTransaction = {
+          ...context,
+          db: buildDbInTransaction(connection),
+        };
+        for (const [mutationName, args] of undoSteps) {
+          await supportResolvers.Mutation[mutationName](
+            null,
+            { ...args, supportSecret },
+            contextInTransaction
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch (error2) {
+          console.warn(`Error rolling back transaction`, error2);
+        }
+
+        throw error;
+      } finally {
+        await connection.release();
+      }
+
+      return await loadSupportAuditLogEntry(id, db);
+    },
+  },
+};
+
+/**
+ * buildDbInTransaction wraps the given connection, which is in the middle of
+ * a transaction, to look like our usual `db` pool. Mutations that start their
+ * own transaction on it will join this one instead: MySQL doesn't nest
+ * transactions, so beginning a new one would commit ours early!
+ */
+function buildDbInTransaction(connection) {
+  const execute = (...args) => connection.execute(...args);
+  const query = (...args) => connection.query(...args);
+  const nestedConnection = {
+    execute,
+    query,
+    // The outer transaction decides whether to commit or roll back, so the
+    // nested one just passes its errors up.
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  };
+
+  return { execute, query, getConnection: async () => nestedConnection };
+}
+
+async function loadSupportAuditLogEntry(id, db) {
+  const [
+    rows,
+  ] = await db.execute(`SELECT * FROM support_audit_log WHERE id = ?`, [id]);
+  return rows[0] ? normalizeRow(rows[0]) : null;
+}
+
+module.exports = { typeDefs, resolvers };
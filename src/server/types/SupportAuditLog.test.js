@@ -0,0 +1,151 @@
+import { resolvers } from "./SupportAuditLog";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+jest.mock("../notifications", () => ({
+  hasNotificationSinks: () => false,
+  sendNotification: jest.fn(),
+}));
+
+const AUDIT_LOG_ROWS = {
+  1: {
+    id: 1,
+    user_id: 98,
+    action: "setManualSpecialColor",
+    subject_type: "item",
+    subject_id: "123",
+    before_value: JSON.stringify({ manualSpecialColorId: "5" }),
+    after_value: JSON.stringify({ manualSpecialColorId: "8" }),
+    created_at: new Date("2021-01-01T00:00:00Z"),
+    undone_at: null,
+    undone_by_user_id: null,
+  },
+  2: {
+    id: 2,
+    user_id: 98,
+    action: "bulkAddLayersToItem",
+    subject_type: "item",
+    subject_id: "123",
+    before_value: JSON.stringify({
+      layers: [
+        { layerId: "1001", bodyId: "0", isOnItem: false },
+        { layerId: "1002", bodyId: "0", isOnItem: false },
+      ],
+    }),
+    after_value: "{}",
+    created_at: new Date("2021-01-01T00:00:00Z"),
+    undone_at: null,
+    undone_by_user_id: null,
+  },
+};
+
+/**
+ * Build a fake db with the audit log rows above, which expects each UPDATE to
+ * affect 1 row, unless `handleQuery` says otherwise.
+ */
+function buildAuditLogDb(handleQuery = () => null) {
+  return buildFakeDb((query) => {
+    const result = handleQuery(query);
+    if (result) {
+      return result;
+    } else if (query.type === "SELECT" && query.table === "support_audit_log") {
+      return [AUDIT_LOG_ROWS[query.params[0]]].filter((r) => r);
+    } else if (query.type === "SELECT") {
+      return [];
+    } else {
+      return { affectedRows: 1 };
+    }
+  });
+}
+
+const LOADERS = {
+  itemLoader: (id) => ({ id, manualSpecialColorId: "8" }),
+  swfAssetLoader: (id) => ({ id, bodyId: "1" }),
+};
+
+const originalConsoleWarn = console.warn;
+
+describe("undoSupportAction", () => {
+  beforeEach(() => {
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = originalConsoleWarn;
+  });
+
+  it("restores the old values, and marks the action as undone", async () => {
+    const db = buildAuditLogDb();
+
+    await resolvers.Mutation.undoSupportAction(
+      null,
+      { id: "1" },
+      buildFakeContext({ currentUserId: "98", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      { type: "UPDATE", table: "support_audit_log", params: ["98", "1"] },
+      { type: "UPDATE", table: "items", params: ["5", "123"] },
+      {
+        type: "INSERT",
+        table: "support_audit_log",
+        params: expect.any(Array),
+      },
+    ]);
+    expect(db.transactionSteps).toEqual(["begin", "commit"]);
+  });
+
+  it("refuses to undo an action twice", async () => {
+    const db = buildAuditLogDb(({ type, table }) =>
+      type === "UPDATE" && table === "support_audit_log"
+        ? { affectedRows: 0 }
+        : null
+    );
+
+    await expect(
+      resolvers.Mutation.undoSupportAction(
+        null,
+        { id: "1" },
+        buildFakeContext({ currentUserId: "98", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`Support action 1 was already undone`);
+    expect(db.writes.filter((w) => w.table === "items")).toEqual([]);
+    expect(db.transactionSteps).toEqual(["begin", "rollback"]);
+  });
+
+  it("rolls back every step if one fails", async () => {
+    const db = buildAuditLogDb(({ type, table, params }) =>
+      type === "UPDATE" && table === "swf_assets" && params.includes("1002")
+        ? { affectedRows: 0 }
+        : null
+    );
+
+    await expect(
+      resolvers.Mutation.undoSupportAction(
+        null,
+        { id: "2" },
+        buildFakeContext({ currentUserId: "98", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`Expected to affect 1 layer, but affected 0`);
+    expect(
+      db.writes.some(
+        (w) => w.table === "swf_assets" && w.params.includes("1001")
+      )
+    ).toBe(true);
+    expect(db.transactionSteps).toEqual(["begin", "rollback"]);
+  });
+
+  it("requires a Support role", async () => {
+    const db = buildAuditLogDb();
+
+    await expect(
+      resolvers.Mutation.undoSupportAction(
+        null,
+        { id: "1" },
+        buildFakeContext({ currentUserId: "6", db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(
+      `You don't have permission to do this (EDIT_MODELING_DATA)`
+    );
+    expect(db.writes).toEqual([]);
+  });
+});
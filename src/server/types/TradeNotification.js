@@ -0,0 +1,140 @@
+import { gql } from "apollo-server";
+
+const typeDefs = gql`
+  """
+  A new trade match for a user: someone else started offering an item this
+  user wants, or seeking an item this user owns. These are detected in the
+  background, by scripts/detect-trade-matches.js.
+  """
+  type TradeNotification {
+    id: ID!
+    kind: TradeNotificationKind!
+
+    "The user who is now offering or seeking the item."
+    otherUser: User!
+
+    item: Item!
+
+    "When we detected this match, as an ISO 8601 timestamp."
+    createdAt: String!
+
+    isRead: Boolean!
+  }
+
+  enum TradeNotificationKind {
+    "The other user is now offering an item that this user wants."
+    OFFERING
+    "The other user is now seeking an item that this user owns."
+    SEEKING
+  }
+
+  extend type User {
+    """
+    This user's trade notifications, newest first. Returns an empty list if
+    the current user is not this user. This list is paginated, and will return
+    at most 30 at once.
+    """
+    tradeNotifications(limit: Int, offset: Int): [TradeNotification!]!
+
+    """
+    The number of trade notifications this user hasn't read yet. Returns 0 if
+    the current user is not this user.
+    """
+    numUnreadTradeNotifications: Int!
+  }
+
+  extend type Mutation {
+    """
+    Mark the given trade notifications as read, or all of them if no IDs are
+    given. Returns the current user, for updating the unread count.
+    """
+    markTradeNotificationsAsRead(notificationIds: [ID!]): User
+  }
+`;
+
+// How we name each kind in the database.
+const KIND_VALUES = {
+  OFFERING: "offering",
+  SEEKING: "seeking",
+};
+
+const resolvers = {
+  TradeNotification: {
+    kind: ({ kind }) =>
+      Object.keys(KIND_VALUES).find((key) => KIND_VALUES[key] === kind),
+    otherUser: ({ otherUserId }) => ({ id: otherUserId }),
+    item: ({ itemId }) => ({ id: itemId }),
+    createdAt: ({ createdAt }) => createdAt.toISOString(),
+    isRead: ({ readAt }) => readAt != null,
+  },
+
+  User: {
+    tradeNotifications: async (
+      { id },
+      { limit = 30, offset = 0 },
+      { currentUserId, userTradeNotificationsLoader }
+    ) => {
+      if (currentUserId !== id) {
+        return [];
+      }
+
+      return await userTradeNotificationsLoader.load({
+        userId: id,
+        limit,
+        offset,
+      });
+    },
+
+    numUnreadTradeNotifications: async (
+      { id },
+      _,
+      { currentUserId, userNumUnreadTradeNotificationsLoader }
+    ) => {
+      if (currentUserId !== id) {
+        return 0;
+      }
+
+      return await userNumUnreadTradeNotificationsLoader.load(id);
+    },
+  },
+
+  Mutation: {
+    markTradeNotificationsAsRead: async (
+      _,
+      { notificationIds },
+      {
+        currentUserId,
+        db,
+        userTradeNotificationsLoader,
+        userNumUnreadTradeNotificationsLoader,
+      }
+    ) => {
+      if (currentUserId == null) {
+        throw new Error(`must be logged in`);
+      }
+
+      if (notificationIds != null && notificationIds.length === 0) {
+        return { id: currentUserId };
+      }
+
+      const idCondition =
+        notificationIds != null
+          ? `AND id IN (${notificationIds.map((_) => "?").join(",")})`
+          : ``;
+      await db.execute(
+        `
+          UPDATE trade_notifications SET read_at = CURRENT_TIMESTAMP()
+            WHERE user_id = ? AND read_at IS NULL ${idCondition}
+        `,
+        [currentUserId, ...(notificationIds || [])]
+      );
+
+      userTradeNotificationsLoader.clearAll();
+      userNumUnreadTradeNotificationsLoader.clear(currentUserId);
+
+      return { id: currentUserId };
+    },
+  },
+};
+
+module.exports = { typeDefs, resolvers };
@@ -0,0 +1,96 @@
+import { resolvers } from "./TradeNotification";
+import { buildFakeContext, buildFakeDb } from "../test-helpers";
+
+const LOADERS = {
+  userTradeNotificationsLoader: () => [],
+  userNumUnreadTradeNotificationsLoader: () => 0,
+};
+
+describe("markTradeNotificationsAsRead", () => {
+  it("marks the given notifications as read, only for the current user", async () => {
+    const db = buildFakeDb(() => ({ affectedRows: 2 }));
+
+    const user = await resolvers.Mutation.markTradeNotificationsAsRead(
+      null,
+      { notificationIds: ["1", "2"] },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(user).toEqual({ id: "44" });
+    expect(db.writes).toEqual([
+      {
+        type: "UPDATE",
+        table: "trade_notifications",
+        params: ["44", "1", "2"],
+      },
+    ]);
+  });
+
+  it("marks all notifications as read, if no IDs are given", async () => {
+    const db = buildFakeDb(() => ({ affectedRows: 5 }));
+
+    await resolvers.Mutation.markTradeNotificationsAsRead(
+      null,
+      {},
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([
+      { type: "UPDATE", table: "trade_notifications", params: ["44"] },
+    ]);
+  });
+
+  it("does nothing for an empty list of IDs", async () => {
+    const db = buildFakeDb();
+
+    await resolvers.Mutation.markTradeNotificationsAsRead(
+      null,
+      { notificationIds: [] },
+      buildFakeContext({ currentUserId: "44", db, loaders: LOADERS })
+    );
+
+    expect(db.writes).toEqual([]);
+  });
+
+  it("requires a logged-in user", async () => {
+    const db = buildFakeDb();
+
+    await expect(
+      resolvers.Mutation.markTradeNotificationsAsRead(
+        null,
+        { notificationIds: ["1"] },
+        buildFakeContext({ currentUserId: null, db, loaders: LOADERS })
+      )
+    ).rejects.toThrow(`must be logged in`);
+    expect(db.writes).toEqual([]);
+  });
+});
+
+describe("User.tradeNotifications", () => {
+  it("only shows users their own notifications", async () => {
+    const notification = { id: "1", userId: "44", readAt: null };
+    const context = buildFakeContext({
+      currentUserId: "44",
+      loaders: {
+        ...LOADERS,
+        userTradeNotificationsLoader: () => [notification],
+      },
+    });
+
+    expect(
+      await resolvers.User.tradeNotifications({ id: "44" }, {}, context)
+    ).toEqual([notification]);
+    expect(
+      await resolvers.User.tradeNotifications({ id: "45" }, {}, context)
+    ).toEqual([]);
+  });
+});
+
+describe("TradeNotification.isRead", () => {
+  it("is true once the notification has a read time", () => {
+    expect(resolvers.TradeNotification.isRead({ readAt: null })).toBe(false);
+    expect(resolvers.TradeNotification.isRead({ readAt: new Date() })).toBe(
+      true
+    );
+  });
+});
@@ -1,6 +1,10 @@
 import { gql } from "apollo-server";
 
-import { assertSupportSecretOrThrow } from "./MutationsForSupport";
+import { getVisibilityName, VISIBILITY_VALUES } from "../util";
+import {
+  assertSupportPermissionOrThrow,
+  getSupportPermissionsForRoles,
+} from "./MutationsForSupport";
 
 const typeDefs = gql`
   type User {
@@ -10,6 +14,13 @@ const typeDefs = gql`
 
     closetLists: [ClosetList!]!
 
+    """
+    Who can see the items this user owns/wants that aren't in any list. (This
+    is the same as the visibility of their default lists.)
+    """
+    ownedClosetHangersVisibility: ClosetListVisibility!
+    wantedClosetHangersVisibility: ClosetListVisibility!
+
     itemsTheyOwn: [Item!]!
     itemsTheyWant: [Item!]!
 
@@ -39,14 +50,64 @@ const typeDefs = gql`
     """
     numTotalOutfits: Int!
 
-    "This user's email address. Requires the correct supportSecret to view."
-    emailForSupportUsers(supportSecret: String!): String!
+    """
+    This user's email address. Requires the current user to have a Support
+    role that can view emails. (The supportSecret is a deprecated fallback.)
+    """
+    emailForSupportUsers(supportSecret: String): String!
+
+    """
+    This user's Support roles, if any. Returns an empty list if the current
+    user is not this user.
+    """
+    roles: [UserRole!]!
+
+    """
+    The Support permissions that this user's roles grant them. Returns an empty
+    list if the current user is not this user.
+    """
+    supportPermissions: [SupportPermission!]!
+
+    """
+    The points this user has earned by modeling new data, like on Classic DTI.
+    """
+    modelingPoints: Int!
+  }
+
+  """
+  The person who first modeled some data, like an AppearanceLayer. If they
+  were logged in, this is their user account. Otherwise, it's the name of the
+  pet they submitted.
+  """
+  type ModelingContributor {
+    user: User
+    petName: String
+
+    "When this data was modeled, as an ISO 8601 timestamp."
+    contributedAt: String!
+  }
+
+  enum UserRole {
+    SUPPORT
+    MODERATOR
+    ADMIN
+  }
+
+  enum SupportPermission {
+    "Edit item, layer, and pet appearance data, to fix modeling mistakes."
+    EDIT_MODELING_DATA
+    "Edit other users' data, like their usernames and lists."
+    EDIT_USER_DATA
+    "View users' email addresses, and look them up by email."
+    VIEW_USER_EMAILS
+    "Read, triage, and reply to feedback in the feedback inbox."
+    MANAGE_FEEDBACK
   }
 
   extend type Query {
     user(id: ID!): User
     userByName(name: String!): User
-    userByEmail(email: String!, supportSecret: String!): User
+    userByEmail(email: String!, supportSecret: String): User
 
     """
     The currently logged-in user.
@@ -55,6 +116,11 @@ const typeDefs = gql`
     #       okay, because we set the header "Vary: Authorization", so
     #       login/logout will change the local cache key!
     currentUser: User @cacheControl(scope: PRIVATE)
+
+    """
+    The users with the most modeling points, most points first.
+    """
+    topModelers(limit: Int): [User!]!
   }
 `;
 
@@ -85,6 +151,16 @@ const resolvers = {
       return neopetsConnection.neopetsUsername;
     },
 
+    ownedClosetHangersVisibility: async ({ id }, _, { userLoader }) => {
+      const user = await userLoader.load(id);
+      return getVisibilityName(user.ownedClosetHangersVisibility);
+    },
+
+    wantedClosetHangersVisibility: async ({ id }, _, { userLoader }) => {
+      const user = await userLoader.load(id);
+      return getVisibilityName(user.wantedClosetHangersVisibility);
+    },
+
     itemsTheyOwn: async (
       { id },
       _,
@@ -108,8 +184,11 @@ const resolvers = {
         .filter(
           (h) =>
             user.id === currentUserId ||
-            (h.listId == null && user.ownedClosetHangersVisibility >= 1) ||
-            (h.listId != null && closetListsById.get(h.listId).visibility >= 1)
+            (h.listId == null &&
+              user.ownedClosetHangersVisibility >= VISIBILITY_VALUES.PUBLIC) ||
+            (h.listId != null &&
+              closetListsById.get(h.listId).visibility >=
+                VISIBILITY_VALUES.PUBLIC)
         );
 
       const items = visibleClosetHangers.map((h) => ({
@@ -144,8 +223,11 @@ const resolvers = {
         .filter(
           (h) =>
             user.id === currentUserId ||
-            (h.listId == null && user.wantedClosetHangersVisibility >= 1) ||
-            (h.listId != null && closetListsById.get(h.listId).visibility >= 1)
+            (h.listId == null &&
+              user.wantedClosetHangersVisibility >= VISIBILITY_VALUES.PUBLIC) ||
+            (h.listId != null &&
+              closetListsById.get(h.listId).visibility >=
+                VISIBILITY_VALUES.PUBLIC)
         );
 
       const items = visibleClosetHangers.map((h) => ({
@@ -221,35 +303,52 @@ const resolvers = {
       }
 
       const closetListNodes = closetLists
-        .filter((closetList) => isCurrentUser || closetList.visibility >= 1)
+        .filter(
+          (closetList) =>
+            isCurrentUser || closetList.visibility >= VISIBILITY_VALUES.PUBLIC
+        )
         .map((closetList) => ({
           id: closetList.id,
           items: hangersByList
             .get(closetList.id)
             .map((h) => ({ id: h.itemId })),
+          hangers: hangersByList.get(closetList.id),
         }));
 
-      if (isCurrentUser || user.ownedClosetHangersVisibility >= 1) {
+      if (
+        isCurrentUser ||
+        user.ownedClosetHangersVisibility >= VISIBILITY_VALUES.PUBLIC
+      ) {
         closetListNodes.push({
           isDefaultList: true,
           userId: id,
           ownsOrWantsItems: "OWNS",
           items: defaultListOwnedHangers.map((h) => ({ id: h.itemId })),
+          hangers: defaultListOwnedHangers,
         });
       }
 
-      if (isCurrentUser || user.wantedClosetHangersVisibility >= 1) {
+      if (
+        isCurrentUser ||
+        user.wantedClosetHangersVisibility >= VISIBILITY_VALUES.PUBLIC
+      ) {
         closetListNodes.push({
           isDefaultList: true,
           userId: id,
           ownsOrWantsItems: "WANTS",
           items: defaultListWantedHangers.map((h) => ({ id: h.itemId })),
+          hangers: defaultListWantedHangers,
         });
       }
 
       return closetListNodes;
     },
 
+    modelingPoints: async ({ id }, _, { userLoader }) => {
+      const user = await userLoader.load(id);
+      return user.points;
+    },
+
     lastTradeActivity: async ({ id }, _, { userLastTradeActivityLoader }) => {
       const lastTradeActivity = await userLastTradeActivityLoader.load(id);
       return lastTradeActivity.toISOString();
@@ -285,8 +384,16 @@ const resolvers = {
       return numTotalOutfits;
     },
 
-    emailForSupportUsers: async ({ id }, { supportSecret }, { db }) => {
-      assertSupportSecretOrThrow(supportSecret);
+    emailForSupportUsers: async (
+      { id },
+      { supportSecret },
+      { currentUserId, userRolesLoader, db }
+    ) => {
+      await assertSupportPermissionOrThrow("VIEW_USER_EMAILS", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const [rows] = await db.query(
         `
@@ -301,6 +408,34 @@ const resolvers = {
 
       return rows[0].email;
     },
+
+    roles: async ({ id }, _, { currentUserId, userRolesLoader }) => {
+      if (currentUserId !== id) {
+        return [];
+      }
+
+      const roles = await userRolesLoader.load(id);
+      return roles.map((role) => role.toUpperCase());
+    },
+
+    supportPermissions: async (
+      { id },
+      _,
+      { currentUserId, userRolesLoader }
+    ) => {
+      if (currentUserId !== id) {
+        return [];
+      }
+
+      const roles = await userRolesLoader.load(id);
+      return getSupportPermissionsForRoles(roles);
+    },
+  },
+
+  ModelingContributor: {
+    user: ({ userId }) => (userId != null ? { id: userId } : null),
+    petName: ({ petName }) => petName || null,
+    contributedAt: ({ createdAt }) => createdAt.toISOString(),
   },
 
   Query: {
@@ -327,10 +462,16 @@ const resolvers = {
       return { id: user.id };
     },
 
-    userByEmail: async (_, { email, supportSecret }, { userByEmailLoader }) => {
-      if (supportSecret !== process.env["SUPPORT_SECRET"]) {
-        throw new Error(`Support secret is incorrect. Try setting up again?`);
-      }
+    userByEmail: async (
+      _,
+      { email, supportSecret },
+      { currentUserId, userRolesLoader, userByEmailLoader }
+    ) => {
+      await assertSupportPermissionOrThrow("VIEW_USER_EMAILS", {
+        supportSecret,
+        currentUserId,
+        userRolesLoader,
+      });
 
       const user = await userByEmailLoader.load(email);
       if (!user) {
@@ -357,6 +498,15 @@ const resolvers = {
 
       return { id: currentUserId };
     },
+
+    topModelers: async (_, { limit }, { db }) => {
+      const actualLimit = Math.min(limit || 10, 100);
+      const [rows] = await db.execute(
+        `SELECT id FROM users WHERE points > 0
+         ORDER BY points DESC, id LIMIT ${actualLimit}`
+      );
+      return rows.map((row) => ({ id: String(row.id) }));
+    },
   },
 };
 
@@ -1,6 +1,3 @@
-import beeline from "honeycomb-beeline";
-import fetch from "node-fetch";
-
 function capitalize(str) {
   return str[0].toUpperCase() + str.slice(1);
 }
@@ -104,26 +101,137 @@ async function loadBodyName(bodyId, db) {
   return `${colorName} ${speciesName}`;
 }
 
-async function logToDiscord(body) {
-  const span = beeline.startSpan({ name: "logToDiscord" });
-
-  try {
-    const res = await fetch(process.env["SUPPORT_TOOLS_DISCORD_WEBHOOK_URL"], {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(body),
-    });
-
-    if (!res.ok) {
-      const resText = await res.text();
-      throw new Error(
-        `Discord returned ${res.status} ${res.statusText}: ${resText}`
-      );
+// These match the visibility values in the database, from Classic DTI. A list
+// must be at least PUBLIC for other users to see it, and at least TRADING to
+// appear in trades.
+const VISIBILITY_VALUES = { PRIVATE: 0, PUBLIC: 1, TRADING: 2 };
+
+function getVisibilityName(visibilityValue) {
+  if (visibilityValue >= VISIBILITY_VALUES.TRADING) {
+    return "TRADING";
+  } else if (visibilityValue >= VISIBILITY_VALUES.PUBLIC) {
+    return "PUBLIC";
+  } else {
+    return "PRIVATE";
+  }
+}
+
+/**
+ * parseItemSearchQuery splits an item search query into its plain text, and
+ * any filters written into it, like `is:nc`, `zone:"Hat"`, `fits:blue-acara`,
+ * `owns:yes`, `wants:no`, `restricts:"Hat"`, `category:"Clothes"`, `mall:yes`,
+ * or `added:>2021-01`.
+ *
+ * Anything that doesn't parse as a filter we understand stays in the text, so
+ * we'll still search for it as a word in the item name.
+ */
+function parseItemSearchQuery(query) {
+  const parsedQuery = {
+    text: "",
+    itemKind: null,
+    zoneLabel: null,
+    restrictsZoneLabel: null,
+    fitsColorName: null,
+    fitsSpeciesName: null,
+    currentUserOwns: null,
+    currentUserWants: null,
+    category: null,
+    isSoldInNcMall: null,
+    addedAfter: null,
+    addedBefore: null,
+  };
+
+  // Split into words, but keep quoted filter values like `zone:"Hat Item"`
+  // together as one token.
+  const tokens = query.match(/\S+?:"[^"]*"?|\S+/g) || [];
+  const textWords = [];
+  for (const token of tokens) {
+    const match = token.match(/^(\w+):(.+)$/);
+    const key = match ? match[1].toLowerCase() : null;
+    const value = match ? match[2].replace(/^"|"$/g, "").trim() : null;
+
+    if (key === "is" && ["NC", "NP", "PB"].includes(value.toUpperCase())) {
+      parsedQuery.itemKind = value.toUpperCase();
+    } else if (key === "zone" && value) {
+      parsedQuery.zoneLabel = value;
+    } else if (key === "restricts" && value) {
+      parsedQuery.restrictsZoneLabel = value;
+    } else if (key === "fits" && value.match(/^.+-[a-z]+$/i)) {
+      // The species name never has a hyphen, but the color name might (like
+      // "8-bit"), so we split on the last one.
+      const splitIndex = value.lastIndexOf("-");
+      parsedQuery.fitsColorName = value.slice(0, splitIndex);
+      parsedQuery.fitsSpeciesName = value.slice(splitIndex + 1);
+    } else if (key === "owns" && ["yes", "no"].includes(value.toLowerCase())) {
+      parsedQuery.currentUserOwns = value.toLowerCase() === "yes";
+    } else if (key === "wants" && ["yes", "no"].includes(value.toLowerCase())) {
+      parsedQuery.currentUserWants = value.toLowerCase() === "yes";
+    } else if (key === "category" && value) {
+      parsedQuery.category = value;
+    } else if (key === "mall" && ["yes", "no"].includes(value.toLowerCase())) {
+      parsedQuery.isSoldInNcMall = value.toLowerCase() === "yes";
+    } else if (key === "added" && parseDateRangeFilter(value)) {
+      const { after, before } = parseDateRangeFilter(value);
+      parsedQuery.addedAfter = after;
+      parsedQuery.addedBefore = before;
+    } else {
+      textWords.push(token);
     }
-  } finally {
-    beeline.finishSpan(span);
+  }
+  parsedQuery.text = textWords.join(" ");
+
+  return parsedQuery;
+}
+
+/**
+ * parseDateRangeFilter parses a filter value like `2021`, `>2021-01`, or
+ * `<=2021-01-15` into an inclusive `after` date and an exclusive `before`
+ * date, as YYYY-MM-DD strings. Either may be null, for an open-ended range.
+ * If the value doesn't parse, we return null.
+ */
+function parseDateRangeFilter(value) {
+  const match = value.match(
+    /^(>=|<=|>|<)?(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, operator, year, month, day] = match;
+  const monthIndex = month ? Number(month) - 1 : 0;
+  if (monthIndex < 0 || monthIndex > 11) {
+    return null;
+  }
+  const start = new Date(
+    Date.UTC(Number(year), monthIndex, day ? Number(day) : 1)
+  );
+  // Date.UTC rolls days that don't exist over into the next month (like
+  // 2021-02-30 becoming 2021-03-02), so treat that as a bad date instead.
+  if (day && (Number(day) < 1 || start.getUTCMonth() !== monthIndex)) {
+    return null;
+  }
+  const end = new Date(start);
+  if (day) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (month) {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+
+  const startString = start.toISOString().slice(0, 10);
+  const endString = end.toISOString().slice(0, 10);
+  switch (operator) {
+    case ">":
+      return { after: endString, before: null };
+    case ">=":
+      return { after: startString, before: null };
+    case "<":
+      return { after: null, before: startString };
+    case "<=":
+      return { after: null, before: endString };
+    default:
+      return { after: startString, before: endString };
   }
 }
 
@@ -145,9 +253,11 @@ module.exports = {
   getPetStateFieldsFromPose,
   getPoseName,
   getRestrictedZoneIds,
+  getVisibilityName,
   loadBodyName,
-  logToDiscord,
   normalizeRow,
+  parseItemSearchQuery,
+  VISIBILITY_VALUES,
 
   // For Apollo's @cacheControl maxAge: time in seconds.
   oneWeek: 604800,
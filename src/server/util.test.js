@@ -1,6 +1,6 @@
 import { getDbCalls } from "./query-tests/setup.js";
 import connectToDb from "./db";
-import { loadBodyName } from "./util";
+import { getVisibilityName, loadBodyName, parseItemSearchQuery } from "./util";
 
 describe("loadBodyName", () => {
   it("returns placeholder string for 0", async () => {
@@ -25,3 +25,75 @@ describe("loadBodyName", () => {
     expect(bodyNames).toMatchSnapshot();
   });
 });
+
+describe("getVisibilityName", () => {
+  it("maps Classic DTI visibility values to enum names", () => {
+    expect(getVisibilityName(0)).toEqual("PRIVATE");
+    expect(getVisibilityName(1)).toEqual("PUBLIC");
+    expect(getVisibilityName(2)).toEqual("TRADING");
+  });
+});
+
+describe("parseItemSearchQuery", () => {
+  it("leaves plain words in the text", () => {
+    const parsedQuery = parseItemSearchQuery("starry -background foo:bar");
+    expect(parsedQuery.text).toEqual("starry -background foo:bar");
+    expect(parsedQuery.itemKind).toBeNull();
+  });
+
+  it("parses filters out of the text", () => {
+    const parsedQuery = parseItemSearchQuery(
+      `starry is:NC zone:"Background Item" fits:8-bit-acara owns:yes ` +
+        `wants:no restricts:Hat category:"Special Clothes" mall:No`
+    );
+    expect(parsedQuery).toMatchObject({
+      text: "starry",
+      itemKind: "NC",
+      zoneLabel: "Background Item",
+      fitsColorName: "8-bit",
+      fitsSpeciesName: "acara",
+      currentUserOwns: true,
+      currentUserWants: false,
+      restrictsZoneLabel: "Hat",
+      category: "Special Clothes",
+      isSoldInNcMall: false,
+    });
+  });
+
+  it("leaves filters with unknown values in the text", () => {
+    const parsedQuery = parseItemSearchQuery(
+      "is:xyz owns:maybe fits:blue mall:maybe"
+    );
+    expect(parsedQuery.text).toEqual("is:xyz owns:maybe fits:blue mall:maybe");
+  });
+
+  it("parses date ranges", () => {
+    expect(parseItemSearchQuery("added:2021")).toMatchObject({
+      addedAfter: "2021-01-01",
+      addedBefore: "2022-01-01",
+    });
+    expect(parseItemSearchQuery("added:>2021-01")).toMatchObject({
+      addedAfter: "2021-02-01",
+      addedBefore: null,
+    });
+    expect(parseItemSearchQuery("added:>=2021-01")).toMatchObject({
+      addedAfter: "2021-01-01",
+      addedBefore: null,
+    });
+    expect(parseItemSearchQuery("added:<=2020-12-31")).toMatchObject({
+      addedAfter: null,
+      addedBefore: "2021-01-01",
+    });
+  });
+
+  it("leaves date ranges with impossible dates in the text", () => {
+    const parsedQuery = parseItemSearchQuery(
+      "added:2021-13 added:2021-00 added:>2021-01-32 added:2021-02-30"
+    );
+    expect(parsedQuery).toMatchObject({
+      text: "added:2021-13 added:2021-00 added:>2021-01-32 added:2021-02-30",
+      addedAfter: null,
+      addedBefore: null,
+    });
+  });
+});
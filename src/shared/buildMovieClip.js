@@ -0,0 +1,39 @@
+/**
+ * buildMovieClip instantiates the main MovieClip from a loaded movie library.
+ * The library names its constructor after the library file, so we derive the
+ * name from the URL.
+ *
+ * This is shared between the browser (OutfitMovieLayer) and the server
+ * (canvas-movies), which load the library differently but build the clip the
+ * same way.
+ */
+function buildMovieClip(library, libraryUrl) {
+  let constructorName;
+  try {
+    const fileName = decodeURI(libraryUrl).split("/").pop();
+    const fileNameWithoutExtension = fileName.split(".")[0];
+    constructorName = fileNameWithoutExtension.replace(/[ -]/g, "");
+    if (constructorName.match(/^[0-9]/)) {
+      constructorName = "_" + constructorName;
+    }
+  } catch (e) {
+    throw new Error(
+      `Movie libraryUrl ${JSON.stringify(
+        libraryUrl
+      )} did not match expected format: ${e.message}`
+    );
+  }
+
+  const LibraryMovieClipConstructor = library[constructorName];
+  if (!LibraryMovieClipConstructor) {
+    throw new Error(
+      `Expected JS movie library ${libraryUrl} to contain a constructor ` +
+        `named ${constructorName}, but it did not: ${Object.keys(library)}`
+    );
+  }
+  const movieClip = new LibraryMovieClipConstructor();
+
+  return movieClip;
+}
+
+export default buildMovieClip;
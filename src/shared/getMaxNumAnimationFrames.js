@@ -0,0 +1,20 @@
+// We hold every frame of an animation in memory while we encode it, so bigger
+// frames mean we can afford fewer of them: at 600x600, each frame is ~1.4MB!
+const MAX_NUM_FRAMES_BY_SIZE = {
+  150: 120,
+  300: 120,
+  600: 36,
+};
+
+/**
+ * getMaxNumAnimationFrames returns the most frames /api/outfitAnimation will
+ * render at the given size.
+ *
+ * This is shared between the server, which enforces it, and the wardrobe
+ * (OutfitControls), which only offers export settings within it.
+ */
+function getMaxNumAnimationFrames(size) {
+  return MAX_NUM_FRAMES_BY_SIZE[size] || 0;
+}
+
+export default getMaxNumAnimationFrames;